@@ -9,6 +9,9 @@
     // Extend the main S3Browser object with bucket methods
     $.extend(window.S3Browser, {
 
+        // Buckets whose star is on its way to the server
+        favoritesPending: {},
+
         /**
          * Bind bucket-related event handlers
          */
@@ -39,6 +42,105 @@
             });
         },
 
+        /**
+         * Star or unstar a bucket
+         *
+         * The star changes at once and changes back if the request fails.
+         * The rows are only reordered once the server has the new list.
+         */
+        toggleFavoriteBucket: function ($target) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.buckets;
+            var bucket = String($target.attr('data-bucket') || '');
+            var favorite = !this.isFavoriteBucket(bucket);
+
+            if (!bucket || this.favoritesPending[bucket]) return;
+
+            this.favoritesPending[bucket] = true;
+            this.setFavoriteState(bucket, favorite);
+
+            this.restPromise(favorite ? 'addFavoriteBucket' : 'removeFavoriteBucket', {bucket: bucket}).then(function (data) {
+                S3BrowserGlobalConfig.favoriteBuckets = data.favorites;
+                S3BrowserGlobalConfig.favoriteBucket = data.favorites[0] || '';
+
+                self.setFavoriteState(bucket, data.favorite);
+                self.sortFavoriteRows(data.favorites);
+                self.showNotification((data.favorite ? i18n.favoriteAdded : i18n.favoriteRemoved).replace('{bucket}', bucket), 'success');
+            }).catch(function (error) {
+                self.setFavoriteState(bucket, !favorite);
+                self.showNotification(i18n.favoriteError.replace('{message}', error.message), 'error');
+            }).then(function () {
+                delete self.favoritesPending[bucket];
+            });
+        },
+
+        /**
+         * Whether a bucket's star is lit
+         */
+        isFavoriteBucket: function (bucket) {
+            return this.favoriteControls(bucket).filter('.s3-favorite-star').attr('aria-pressed') === 'true';
+        },
+
+        /**
+         * The star and the row action for a bucket
+         *
+         * Matched by attribute value rather than a selector: bucket names
+         * may hold dots, which a selector would read as classes.
+         */
+        favoriteControls: function (bucket) {
+            return $('.s3-favorite-star, .s3-favorite-bucket').filter(function () {
+                return $(this).attr('data-bucket') === bucket;
+            });
+        },
+
+        /**
+         * Light or dim a bucket's star, and word its row action to match
+         */
+        setFavoriteState: function (bucket, favorite) {
+            var i18n = s3BrowserConfig.i18n.buckets;
+            var $controls = this.favoriteControls(bucket);
+
+            $controls.filter('.s3-favorite-star')
+                .toggleClass('is-favorite', favorite)
+                .attr('aria-pressed', favorite ? 'true' : 'false')
+                .find('.dashicons')
+                .toggleClass('dashicons-star-filled', favorite)
+                .toggleClass('dashicons-star-empty', !favorite);
+
+            $controls.filter('.s3-favorite-bucket').text(favorite ? i18n.removeFavorite : i18n.addFavorite);
+        },
+
+        /**
+         * Put the favorites' rows first, in the order they were starred
+         *
+         * The rest go back to the order the provider lists buckets in,
+         * which is by name.
+         */
+        sortFavoriteRows: function (favorites) {
+            var $tbody = $('.wp-list-table tbody');
+            var rows = $tbody.children('tr').get();
+
+            var nameOf = function (row) {
+                return String($(row).find('.bucket-name').attr('data-bucket') || '');
+            };
+
+            rows.sort(function (a, b) {
+                var aIndex = favorites.indexOf(nameOf(a));
+                var bIndex = favorites.indexOf(nameOf(b));
+
+                if (aIndex !== -1 || bIndex !== -1) {
+                    if (aIndex === -1) return 1;
+                    if (bIndex === -1) return -1;
+
+                    return aIndex - bIndex;
+                }
+
+                return nameOf(a) < nameOf(b) ? -1 : (nameOf(a) > nameOf(b) ? 1 : 0);
+            });
+
+            $tbody.append(rows);
+        },
+
         /**
          * Browse bucket - navigate to bucket contents
          */
@@ -195,10 +297,9 @@
                         'success'
                     );
 
-                    // Reload the page after a short delay to reflect changes
-                    setTimeout(function () {
-                        window.location.reload();
-                    }, 2000);
+                    // Nothing else on the page shows CORS, so the details are
+                    // the one place there is to reflect the change.
+                    self.showBucketDetails(bucket);
                 },
                 error: function (message) {
                     self.hideProgressOverlay();
@@ -235,7 +336,8 @@
                         ID: 'UploadFromBrowser',
                         AllowedOrigins: [window.location.origin],
                         AllowedMethods: ['PUT'],
-                        AllowedHeaders: ['Content-Type', 'Content-Length'],
+                        AllowedHeaders: ['Content-Type', 'Content-Length', 'Content-MD5', 'x-amz-checksum-sha256'],
+                        ExposeHeaders: ['ETag', 'x-amz-server-side-encryption', 'x-amz-server-side-encryption-customer-algorithm'],
                         MaxAgeSeconds: 3600
                     }, null, 2)) +
                 '</textarea>',
@@ -267,11 +369,14 @@
                     }
                 },
                 {
-                    text: i18n.refreshPage,
-                    action: 'refresh',
+                    text: i18n.checkAgain,
+                    action: 'check',
                     classes: 'button-primary',
                     callback: function () {
-                        window.location.reload();
+                        // The details read the rule afresh, so they show
+                        // whether the one added by hand has taken.
+                        window.S3Browser.hideModal('s3CORSManualSetupModal');
+                        window.S3Browser.showBucketDetails(bucket);
                     }
                 }
             ]);
@@ -304,10 +409,7 @@
                 success: function (response) {
                     self.hideProgressOverlay();
                     self.showNotification(i18n.revokeSuccess.replace('{bucket}', bucket), 'success');
-
-                    setTimeout(function () {
-                        window.location.reload();
-                    }, 2000);
+                    self.showBucketDetails(bucket);
                 },
                 error: function (message) {
                     self.hideProgressOverlay();
@@ -0,0 +1,729 @@
+/**
+ * S3 Browser Bulk Actions
+ * Delete, move, copy and link the files ticked in the selection bar. Every
+ * file gets a line in one progress list, and whatever did not go through
+ * stays listed with the reason once the rest are done.
+ */
+(function ($) {
+    'use strict';
+
+    // Keys per delete request. S3 takes a thousand; a hundred keeps the
+    // progress moving on a large selection.
+    var DELETE_CHUNK = 100;
+
+    // Keys per references lookup: the most the route takes in one request.
+    var REFERENCES_CHUNK = 1000;
+
+    // Moves and copies in flight at once. Each is a request S3 answers on
+    // its own, so a few together finish sooner without crowding the server.
+    var CONCURRENCY = 3;
+
+    $.extend(window.S3Browser, {
+
+        bulkRunning: false,
+
+        /**
+         * Wire the selection bar's action buttons
+         */
+        bindBulkEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3bulk').on('click.s3bulk', '.s3-bulk-action', function (e) {
+                e.preventDefault();
+
+                var files = self.selectedFiles();
+
+                if (!files.length || self.bulkRunning) return;
+
+                switch ($(this).attr('data-bulk-action')) {
+                    case 'delete':
+                        self.bulkDelete(files);
+                        break;
+                    case 'move':
+                        self.bulkMove(files);
+                        break;
+                    case 'copy':
+                        self.bulkCopy(files);
+                        break;
+                    case 'links':
+                        self.bulkLinks(files);
+                        break;
+                    case 'storage':
+                        self.bulkStorageClass(files, $(this).data('storage-classes') || []);
+                        break;
+                }
+            });
+        },
+
+        /**
+         * Delete the selection, after one warning covering all of it
+         */
+        bulkDelete: function (files) {
+            var self = this;
+            var bucket = files[0].bucket;
+            var keys = files.map(function (file) {
+                return String(file.key);
+            });
+
+            // One question for the lot. A lookup that fails must not block
+            // the delete; it just means the warning is the ordinary one.
+            this.findBulkReferences(bucket, keys).catch(function () {
+                return [];
+            }).then(function (referenced) {
+                if (!confirm(self.bulkDeleteMessage(files, referenced))) return;
+
+                self.runBulkDelete(bucket, files);
+            });
+        },
+
+        /**
+         * The referenced objects among the keys, asked in chunks the route takes
+         */
+        findBulkReferences: function (bucket, keys) {
+            var self = this;
+            var referenced = [];
+            var chunks = [];
+
+            for (var i = 0; i < keys.length; i += REFERENCES_CHUNK) {
+                chunks.push(keys.slice(i, i + REFERENCES_CHUNK));
+            }
+
+            var next = function () {
+                var chunk = chunks.shift();
+
+                if (!chunk) {
+                    return Promise.resolve(referenced);
+                }
+
+                return self.restPromise('batchObjectReferences', {bucket: bucket, keys: chunk}).then(function (data) {
+                    referenced = referenced.concat(data.objects || []);
+
+                    return next();
+                });
+            };
+
+            return next();
+        },
+
+        /**
+         * The confirmation for a bulk delete, naming what depends on the files
+         */
+        bulkDeleteMessage: function (files, referenced) {
+            var i18n = s3BrowserConfig.i18n.bulk;
+            var message = i18n.confirmDelete.replace('%d', files.length).replace(/\\n/g, '\n');
+
+            if (!referenced.length) return message;
+
+            var names = {};
+
+            files.forEach(function (file) {
+                names[String(file.key)] = file.fileName;
+            });
+
+            var lines = referenced.map(function (object) {
+                return '• ' + (names[object.key] || object.key) + ': ' + object.references.map(function (reference) {
+                    return reference.label;
+                }).join(', ');
+            });
+
+            return i18n.deleteBreaks.replace('%d', referenced.length) + '\n\n' + lines.join('\n') + '\n\n' + message;
+        },
+
+        /**
+         * Delete in chunks, marking each file as its chunk comes back
+         */
+        runBulkDelete: function (bucket, files) {
+            var self = this;
+            var run = this.openBulkProgress(s3BrowserConfig.i18n.bulk.deleteTitle, files);
+            var chunks = [];
+
+            for (var i = 0; i < files.length; i += DELETE_CHUNK) {
+                chunks.push(files.slice(i, i + DELETE_CHUNK));
+            }
+
+            var next = function () {
+                var chunk = chunks.shift();
+
+                if (!chunk) {
+                    self.finishBulk(run);
+                    return;
+                }
+
+                chunk.forEach(function (file) {
+                    self.setBulkStatus(run, file, 'working');
+                });
+
+                self.restPromise('batchDeleteObjects', {
+                    bucket: bucket,
+                    keys: chunk.map(function (file) {
+                        return String(file.key);
+                    })
+                }).then(function (data) {
+                    var failed = {};
+
+                    (data.failed || []).forEach(function (failure) {
+                        failed[failure.key] = failure.message;
+                    });
+
+                    chunk.forEach(function (file) {
+                        var key = String(file.key);
+
+                        if (Object.prototype.hasOwnProperty.call(failed, key)) {
+                            self.setBulkStatus(run, file, 'failed', failed[key]);
+                        } else if ((data.deleted || []).indexOf(key) !== -1) {
+                            self.setBulkStatus(run, file, 'done');
+                        } else {
+                            self.setBulkStatus(run, file, 'failed', s3BrowserConfig.i18n.bulk.notConfirmed);
+                        }
+                    });
+
+                    self.removeRows(data.deleted || []);
+                }).catch(function (error) {
+                    chunk.forEach(function (file) {
+                        self.setBulkStatus(run, file, 'failed', error.message);
+                    });
+                }).then(next);
+            };
+
+            next();
+        },
+
+        /**
+         * Move the selection into a folder chosen from the tree
+         */
+        bulkMove: function (files) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.bulk;
+
+            this.openFolderPicker({
+                id: 's3BulkMoveModal',
+                title: i18n.moveTitle.replace('%d', files.length),
+                intro: i18n.moveTo,
+                submitText: s3BrowserConfig.i18n.files.moveHere,
+                bucket: files[0].bucket,
+                currentPrefix: this.sharedPrefix(files),
+                submit: function (target) {
+                    self.hideModal('s3BulkMoveModal');
+                    self.runBulkQueue(i18n.movingTitle, files, function (file) {
+                        if (self.samePrefix(self.parentPrefix(String(file.key)), target.prefix)) {
+                            return Promise.resolve({state: 'skipped', message: i18n.alreadyThere});
+                        }
+
+                        return self.restPromise('moveObject', {
+                            bucket: file.bucket,
+                            key: file.key,
+                            target_prefix: target.prefix
+                        }).then(function () {
+                            self.removeRows([String(file.key)]);
+                        });
+                    });
+                }
+            });
+        },
+
+        /**
+         * Copy one file from its row, with the same picker and progress list
+         */
+        openCopyModal: function ($link) {
+            if (this.bulkRunning) return;
+
+            this.bulkCopy([{
+                fileName: $link.attr('data-filename'),
+                bucket: $link.attr('data-bucket'),
+                key: $link.attr('data-key')
+            }]);
+        },
+
+        /**
+         * Copy the selection into a folder of this bucket or another
+         *
+         * Any folder will do, the files' own included: with Keep both that
+         * duplicates them in place, under numbered names.
+         */
+        bulkCopy: function (files) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.bulk;
+            var single = files.length === 1;
+
+            this.openFolderPicker({
+                id: 's3BulkCopyModal',
+                title: single ? s3BrowserConfig.i18n.files.copyFile : i18n.copyTitle.replace('%d', files.length),
+                intro: single ? s3BrowserConfig.i18n.files.copyTo : i18n.copyTo,
+                submitText: i18n.copyHere,
+                bucket: files[0].bucket,
+                currentPrefix: null,
+                chooseBucket: true,
+                conflictPolicy: true,
+                submit: function (target) {
+                    self.confirmCopyOverwrites(files, target).then(function (confirmed) {
+                        if (!confirmed) return;
+
+                        self.hideModal('s3BulkCopyModal');
+                        self.runBulkCopy(files, target);
+                    });
+                }
+            });
+        },
+
+        /**
+         * Make sure replacing files products deliver is meant
+         *
+         * Only asked when Replace was chosen. A lookup that fails lets the
+         * copy go ahead, as it does for uploads.
+         */
+        confirmCopyOverwrites: function (files, target) {
+            var self = this;
+
+            if (target.onConflict !== 'overwrite') {
+                return Promise.resolve(true);
+            }
+
+            var keys = files.map(function (file) {
+                return self.copyTargetKey(file, target);
+            });
+
+            return this.findExistingObjects(target.bucket, keys).then(function (existing) {
+                var referenced = keys.filter(function (key) {
+                    return existing[key] && existing[key].length;
+                });
+
+                if (!referenced.length) return true;
+
+                return confirm(s3BrowserConfig.i18n.bulk.overwriteReferenced.replace('{files}', referenced.map(function (key) {
+                    return '• ' + key + ' (' + existing[key].map(function (reference) {
+                        return reference.label;
+                    }).join(', ') + ')';
+                }).join('\n')));
+            }, function () {
+                return true;
+            });
+        },
+
+        /**
+         * Where a file lands when copied into the chosen folder
+         */
+        copyTargetKey: function (file, target) {
+            var prefix = String(target.prefix).replace(/^\/+|\/+$/g, '');
+            var name = String(file.key).split('/').pop();
+
+            return prefix ? prefix + '/' + name : name;
+        },
+
+        /**
+         * Copy each file, skipping those already where they are going
+         */
+        runBulkCopy: function (files, target) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.bulk;
+            var copied = [];
+
+            this.runBulkQueue(i18n.copyingTitle, files, function (file, index, run) {
+                // Copying a file onto itself replaces it with itself, or skips
+                // it; only keeping both makes anything new.
+                if (target.onConflict !== 'rename'
+                    && target.bucket === file.bucket
+                    && self.samePrefix(self.parentPrefix(String(file.key)), target.prefix)) {
+                    return Promise.resolve({state: 'skipped', message: i18n.alreadyThere});
+                }
+
+                return self.restPromise('copyObject', {
+                    bucket: file.bucket,
+                    key: file.key,
+                    target_bucket: target.bucket,
+                    target_prefix: target.prefix,
+                    on_conflict: target.onConflict
+                }).then(function (data) {
+                    if (data.skipped) {
+                        return {state: 'skipped', message: data.message};
+                    }
+
+                    var copy = data.multipart ? self.copyInParts(run, file, data) : Promise.resolve();
+
+                    return copy.then(function () {
+                        copied.push(data.new_key);
+                    });
+                });
+            }, function () {
+                // Copies into the folder on screen belong in its rows.
+                if (copied.length && self.isCurrentLocation(target.bucket, target.prefix)) {
+                    self.refreshRows(target.bucket, target.prefix, copied);
+                }
+            });
+        },
+
+        /**
+         * Finish a copy the server started as a multipart upload
+         *
+         * A part at a time, each a request of its own, so the line can say
+         * how far it has got. A failed part abandons the upload rather than
+         * leaving its parts to be billed.
+         */
+        copyInParts: function (run, file, copy) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.bulk;
+            var parts = [];
+            var upload = {bucket: copy.target_bucket, key: copy.new_key, upload_id: copy.upload_id};
+
+            var next = function (part) {
+                if (part > copy.part_count) {
+                    return self.restPromise('completeMultipartUpload', $.extend({parts: parts}, upload));
+                }
+
+                self.setBulkStatus(run, file, 'working', i18n.copyingParts
+                    .replace('{part}', part)
+                    .replace('{parts}', copy.part_count));
+
+                return self.restPromise('copyObjectPart', {
+                    bucket: copy.bucket,
+                    key: copy.key,
+                    target_bucket: copy.target_bucket,
+                    target_key: copy.new_key,
+                    upload_id: copy.upload_id,
+                    part_number: part,
+                    part_size: copy.part_size,
+                    size: copy.size
+                }).then(function (data) {
+                    parts.push({part_number: data.part_number, etag: data.etag});
+
+                    return next(part + 1);
+                });
+            };
+
+            return next(1).catch(function (error) {
+                return self.restPromise('abortMultipartUpload', upload).catch(function () {
+                    // Nothing more can be done from here; the error that
+                    // stopped the copy is the one worth reporting.
+                }).then(function () {
+                    throw error;
+                });
+            });
+        },
+
+        /**
+         * Move the selection to another storage class
+         *
+         * @param {Array} files   Selected files.
+         * @param {Array} classes Storage classes the provider offers.
+         */
+        bulkStorageClass: function (files, classes) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.bulk;
+
+            var options = classes.map(function (storageClass) {
+                return '<option value="' + self.escapeHtml(storageClass) + '">' + self.escapeHtml(storageClass) + '</option>';
+            }).join('');
+
+            var content = [
+                '<div class="s3-modal-field">',
+                '<label for="s3BulkStorageClass">' + i18n.storageTo + '</label>',
+                '<select id="s3BulkStorageClass">' + options + '</select>',
+                '<p class="description">' + i18n.storageHelp + '</p>',
+                '</div>'
+            ].join('');
+
+            this.showModal('s3BulkStorageModal', i18n.storageTitle.replace('%d', files.length), content, [
+                {
+                    text: s3BrowserConfig.i18n.ui.cancel,
+                    action: 'cancel',
+                    callback: function () {
+                        self.hideModal('s3BulkStorageModal');
+                    }
+                },
+                {
+                    text: i18n.changeClass,
+                    action: 'change',
+                    classes: 'button-primary',
+                    callback: function () {
+                        var storageClass = $('#s3BulkStorageClass').val();
+
+                        if (self.isArchivedClass(storageClass)
+                            && !confirm(s3BrowserConfig.i18n.storage.confirmArchive.replace('{class}', storageClass))) return;
+
+                        self.hideModal('s3BulkStorageModal');
+                        self.runBulkStorageClass(files, storageClass);
+                    }
+                }
+            ]);
+        },
+
+        /**
+         * Copy each file onto itself in the new class
+         *
+         * A file already there, or archived and not yet restored, is
+         * skipped with the reason rather than failed.
+         */
+        runBulkStorageClass: function (files, storageClass) {
+            var self = this;
+
+            this.runBulkQueue(s3BrowserConfig.i18n.bulk.changingTitle, files, function (file) {
+                return self.restPromise('changeStorageClass', {
+                    bucket: file.bucket,
+                    key: file.key,
+                    storage_class: storageClass
+                }).then(function (data) {
+                    if (!data.changed) {
+                        return {state: 'skipped', message: data.message};
+                    }
+
+                    if (data.row) {
+                        self.upsertRows(data.row);
+                    }
+                }, function (error) {
+                    if (error.status === 409) {
+                        return {state: 'skipped', message: error.message};
+                    }
+
+                    throw error;
+                });
+            });
+        },
+
+        /**
+         * Generate a download link for every selected file
+         */
+        bulkLinks: function (files) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.bulk;
+
+            var content = [
+                '<div class="s3-modal-field">',
+                '<label for="s3BulkExpiresInput">' + s3BrowserConfig.i18n.copyLink.linkDuration + '</label>',
+                '<input type="number" id="s3BulkExpiresInput" min="1" max="10080" value="60">',
+                '<p class="description">' + s3BrowserConfig.i18n.copyLink.linkDurationHelp + '</p>',
+                '</div>'
+            ].join('');
+
+            this.showModal('s3BulkLinksModal', i18n.linksTitle.replace('%d', files.length), content, [
+                {
+                    text: s3BrowserConfig.i18n.ui.cancel,
+                    action: 'cancel',
+                    callback: function () {
+                        self.hideModal('s3BulkLinksModal');
+                    }
+                },
+                {
+                    text: i18n.generateLinks,
+                    action: 'generate',
+                    classes: 'button-primary',
+                    callback: function () {
+                        var expiresMinutes = parseInt($('#s3BulkExpiresInput').val(), 10) || 0;
+
+                        if (expiresMinutes < 1 || expiresMinutes > 10080) {
+                            self.showModalError('s3BulkLinksModal', s3BrowserConfig.i18n.copyLink.invalidDuration);
+                            return;
+                        }
+
+                        self.hideModal('s3BulkLinksModal');
+                        self.runBulkLinks(files, expiresMinutes);
+                    }
+                }
+            ]);
+
+            setTimeout(function () {
+                $('#s3BulkExpiresInput').focus().select();
+            }, 250);
+        },
+
+        /**
+         * Fetch the links, then offer them one per line, in selection order
+         */
+        runBulkLinks: function (files, expiresMinutes) {
+            var self = this;
+            var urls = [];
+
+            var run = this.runBulkQueue(s3BrowserConfig.i18n.bulk.linkingTitle, files, function (file, index) {
+                return self.restPromise('downloadUrl', {
+                    bucket: file.bucket,
+                    object_key: file.key,
+                    expires_minutes: expiresMinutes,
+                    share: true
+                }).then(function (data) {
+                    urls[index] = data.url;
+                });
+            }, function () {
+                var links = urls.filter(Boolean);
+
+                if (!links.length) return;
+
+                run.$modal.find('.s3-bulk-summary').after(
+                    '<div class="s3-modal-field">' +
+                    '<label for="s3GeneratedUrl">' + s3BrowserConfig.i18n.copyLink.generatedLink + '</label>' +
+                    '<textarea id="s3GeneratedUrl" rows="6" readonly></textarea>' +
+                    '</div>'
+                );
+
+                // Selected first, so a refused clipboard write leaves the
+                // links highlighted for Ctrl/Cmd+C.
+                $('#s3GeneratedUrl').val(links.join('\n')).trigger('focus').trigger('select');
+                self.copyLinkToClipboard();
+            });
+        },
+
+        /**
+         * Work through the selection a few files at a time
+         *
+         * The worker returns a promise for one file: resolving marks it done,
+         * or with {state, message} marks it that way instead; rejecting marks
+         * it failed with the error's message. It is handed the run as well,
+         * to report progress on a file that takes a while.
+         */
+        runBulkQueue: function (title, files, worker, onFinish) {
+            var self = this;
+            var run = this.openBulkProgress(title, files);
+            var queue = files.map(function (file, index) {
+                return {file: file, index: index};
+            });
+            var active = 0;
+
+            var next = function () {
+                if (!queue.length) {
+                    if (!active) {
+                        self.finishBulk(run);
+                        onFinish && onFinish();
+                    }
+                    return;
+                }
+
+                var job = queue.shift();
+
+                active++;
+                self.setBulkStatus(run, job.file, 'working');
+
+                worker(job.file, job.index, run).then(function (result) {
+                    self.setBulkStatus(run, job.file, (result && result.state) || 'done', result && result.message);
+                }, function (error) {
+                    self.setBulkStatus(run, job.file, 'failed', error.message);
+                }).then(function () {
+                    active--;
+                    next();
+                });
+            };
+
+            for (var i = 0; i < CONCURRENCY; i++) {
+                next();
+            }
+
+            return run;
+        },
+
+        /**
+         * Show the progress list, one line per file
+         */
+        openBulkProgress: function (title, files) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.bulk;
+
+            var items = files.map(function (file) {
+                return [
+                    '<li class="s3-bulk-item is-pending" data-key="' + self.escapeHtml(String(file.key)) + '">',
+                    '  <span class="s3-bulk-icon dashicons" aria-hidden="true"></span>',
+                    '  <span class="s3-bulk-name">' + self.escapeHtml(file.fileName) + '</span>',
+                    '  <span class="s3-bulk-message">' + self.escapeHtml(i18n.pending) + '</span>',
+                    '</li>'
+                ].join('');
+            }).join('');
+
+            var content = [
+                '<p class="s3-bulk-summary" aria-live="polite"></p>',
+                '<ul class="s3-bulk-items">' + items + '</ul>'
+            ].join('');
+
+            this.bulkRunning = true;
+
+            var run = {
+                $modal: this.showModal('s3BulkModal', this.escapeHtml(title), content, [
+                    {
+                        text: s3BrowserConfig.i18n.ui.close,
+                        action: 'close',
+                        callback: function () {
+                            self.hideModal('s3BulkModal');
+                        }
+                    }
+                ]),
+                total: files.length,
+                counts: {done: 0, failed: 0, skipped: 0}
+            };
+
+            this.updateBulkSummary(run);
+
+            return run;
+        },
+
+        /**
+         * Mark one file's line
+         */
+        setBulkStatus: function (run, file, state, message) {
+            var i18n = s3BrowserConfig.i18n.bulk;
+            var $item = run.$modal.find('.s3-bulk-item').filter(function () {
+                return $(this).attr('data-key') === String(file.key);
+            });
+
+            $item.removeClass('is-pending is-working is-done is-failed is-skipped').addClass('is-' + state);
+            $item.find('.s3-bulk-message').text(message || i18n[state]);
+
+            if (run.counts[state] !== undefined) {
+                run.counts[state]++;
+                this.updateBulkSummary(run);
+            }
+        },
+
+        /**
+         * Say how far the run has got
+         */
+        updateBulkSummary: function (run) {
+            var i18n = s3BrowserConfig.i18n.bulk;
+            var counts = run.counts;
+            var text = i18n.progress
+                .replace('{done}', counts.done + counts.failed + counts.skipped)
+                .replace('{total}', run.total);
+
+            if (counts.failed) {
+                text += ' ' + i18n.failedCount.replace('{failed}', counts.failed);
+            }
+
+            run.$modal.find('.s3-bulk-summary').text(text);
+        },
+
+        /**
+         * Settle the run: failures to the top of the list, and a notice
+         */
+        finishBulk: function (run) {
+            var i18n = s3BrowserConfig.i18n.bulk;
+            var counts = run.counts;
+            var $list = run.$modal.find('.s3-bulk-items');
+
+            this.bulkRunning = false;
+
+            // The files that need attention, where they are seen first.
+            $list.prepend($list.children('.is-failed'));
+
+            this.clearSelection();
+
+            if (counts.failed) {
+                this.showNotification(i18n.finishedWithFailures
+                    .replace('{failed}', counts.failed)
+                    .replace('{total}', run.total), 'error');
+                return;
+            }
+
+            this.showNotification(i18n.finished.replace('{done}', counts.done).replace('{total}', run.total), 'success');
+        },
+
+        /**
+         * The folder every selected file is in, or null if they differ
+         *
+         * Files found by searching all folders can come from anywhere.
+         */
+        sharedPrefix: function (files) {
+            var self = this;
+            var prefixes = files.map(function (file) {
+                return self.parentPrefix(String(file.key));
+            });
+
+            return prefixes.every(function (prefix) {
+                return prefix === prefixes[0];
+            }) ? prefixes[0] : null;
+        }
+    });
+
+})(jQuery);
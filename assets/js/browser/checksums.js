@@ -0,0 +1,359 @@
+/**
+ * S3 Browser Upload Checksums
+ * Hashes upload content in a Web Worker so the provider can reject a file
+ * that arrived damaged, and so the ETag it answers with can be checked
+ */
+(function ($) {
+    'use strict';
+
+    /**
+     * The worker's source
+     *
+     * Runs from a blob URL, never in this scope: a worker script loaded from
+     * its own file must share the admin's origin, and assets served from a
+     * CDN do not.
+     */
+    function checksumWorker() {
+        // 4 MiB at a time keeps a large single PUT from being read whole.
+        var CHUNK = 4 * 1024 * 1024;
+        var SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        var CONSTANTS = new Int32Array(64);
+
+        for (var i = 0; i < 64; i++) {
+            CONSTANTS[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 4294967296) | 0;
+        }
+
+        /**
+         * Incremental MD5, which SubtleCrypto does not offer
+         */
+        function Md5() {
+            this.state = new Int32Array([0x67452301, 0xefcdab89 | 0, 0x98badcfe | 0, 0x10325476]);
+            this.words = new Int32Array(16);
+            this.buffer = new Uint8Array(64);
+            this.buffered = 0;
+            this.length = 0;
+        }
+
+        Md5.prototype.block = function (bytes, offset) {
+            var words = this.words;
+            var a = this.state[0], b = this.state[1], c = this.state[2], d = this.state[3];
+
+            for (var w = 0; w < 16; w++) {
+                var o = offset + w * 4;
+                words[w] = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+            }
+
+            for (var n = 0; n < 64; n++) {
+                var round = n >> 4;
+                var f, g;
+
+                if (round === 0) {
+                    f = (b & c) | (~b & d);
+                    g = n;
+                } else if (round === 1) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * n + 1) & 15;
+                } else if (round === 2) {
+                    f = b ^ c ^ d;
+                    g = (3 * n + 5) & 15;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * n) & 15;
+                }
+
+                var shift = SHIFTS[(round << 2) | (n & 3)];
+                var sum = (a + f + CONSTANTS[n] + words[g]) | 0;
+
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+            }
+
+            this.state[0] = (this.state[0] + a) | 0;
+            this.state[1] = (this.state[1] + b) | 0;
+            this.state[2] = (this.state[2] + c) | 0;
+            this.state[3] = (this.state[3] + d) | 0;
+        };
+
+        Md5.prototype.update = function (bytes) {
+            var offset = 0;
+
+            this.length += bytes.length;
+
+            if (this.buffered) {
+                offset = Math.min(64 - this.buffered, bytes.length);
+                this.buffer.set(bytes.subarray(0, offset), this.buffered);
+                this.buffered += offset;
+
+                if (this.buffered < 64) {
+                    return;
+                }
+
+                this.block(this.buffer, 0);
+                this.buffered = 0;
+            }
+
+            for (; offset + 64 <= bytes.length; offset += 64) {
+                this.block(bytes, offset);
+            }
+
+            if (offset < bytes.length) {
+                this.buffer.set(bytes.subarray(offset), 0);
+                this.buffered = bytes.length - offset;
+            }
+        };
+
+        Md5.prototype.digest = function () {
+            var bits = this.length * 8;
+            var padding = new Uint8Array((this.buffered < 56 ? 56 : 120) - this.buffered + 8);
+            var low = bits >>> 0;
+            var high = Math.floor(bits / 4294967296) >>> 0;
+            var end = padding.length - 8;
+            var digest = new Uint8Array(16);
+
+            padding[0] = 0x80;
+
+            for (var b = 0; b < 4; b++) {
+                padding[end + b] = (low >>> (8 * b)) & 255;
+                padding[end + 4 + b] = (high >>> (8 * b)) & 255;
+            }
+
+            this.update(padding);
+
+            for (var s = 0; s < 16; s++) {
+                digest[s] = (this.state[s >> 2] >>> (8 * (s & 3))) & 255;
+            }
+
+            return digest;
+        };
+
+        function toHex(bytes) {
+            return Array.prototype.map.call(bytes, function (byte) {
+                return (byte < 16 ? '0' : '') + byte.toString(16);
+            }).join('');
+        }
+
+        function toBase64(bytes) {
+            return btoa(String.fromCharCode.apply(null, bytes));
+        }
+
+        function fromHex(hex) {
+            var bytes = new Uint8Array(hex.length / 2);
+
+            for (var h = 0; h < bytes.length; h++) {
+                bytes[h] = parseInt(hex.substr(h * 2, 2), 16);
+            }
+
+            return bytes;
+        }
+
+        /**
+         * MD5 a blob a chunk at a time, SHA-256 it whole when asked
+         */
+        function hashBlob(blob, sha256) {
+            var md5 = new Md5();
+
+            var readFrom = function (offset) {
+                if (offset >= blob.size) {
+                    return Promise.resolve();
+                }
+
+                return blob.slice(offset, offset + CHUNK).arrayBuffer().then(function (buffer) {
+                    md5.update(new Uint8Array(buffer));
+
+                    return readFrom(offset + CHUNK);
+                });
+            };
+
+            return readFrom(0).then(function () {
+                if (!sha256) {
+                    return null;
+                }
+
+                return blob.arrayBuffer().then(function (buffer) {
+                    return crypto.subtle.digest('SHA-256', buffer);
+                });
+            }).then(function (sha) {
+                var digest = md5.digest();
+
+                return {
+                    md5: toHex(digest),
+                    md5Base64: toBase64(digest),
+                    sha256: sha ? toBase64(new Uint8Array(sha)) : null
+                };
+            });
+        }
+
+        /**
+         * The ETag S3 gives a multipart upload: the MD5 of the parts' MD5s
+         */
+        function compositeEtag(digests) {
+            var md5 = new Md5();
+
+            digests.forEach(function (hex) {
+                md5.update(fromHex(hex));
+            });
+
+            return toHex(md5.digest()) + '-' + digests.length;
+        }
+
+        self.onmessage = function (e) {
+            var message = e.data;
+            var work = message.digests
+                ? Promise.resolve(compositeEtag(message.digests))
+                : hashBlob(message.blob, message.sha256);
+
+            work.then(function (result) {
+                self.postMessage({id: message.id, result: result});
+            }, function (error) {
+                self.postMessage({id: message.id, error: String(error)});
+            });
+        };
+    }
+
+    $.extend(window.S3Browser, {
+
+        checksumWorkerInstance: null,
+        checksumJobs: {},
+        checksumJobCount: 0,
+
+        /**
+         * Whether uploads should be hashed at all
+         */
+        checksumsEnabled: function () {
+            return (S3BrowserGlobalConfig.checksums || {}).md5 !== false && !!window.Worker;
+        },
+
+        /**
+         * Start the worker, or return false where the page will not allow one
+         *
+         * A content security policy without blob: in worker-src refuses it.
+         * Uploads then go ahead unverified rather than not at all.
+         */
+        getChecksumWorker: function () {
+            var self = this;
+
+            if (this.checksumWorkerInstance !== null) {
+                return this.checksumWorkerInstance;
+            }
+
+            try {
+                var source = '(' + checksumWorker.toString() + ')();';
+                var worker = new Worker(URL.createObjectURL(new Blob([source], {type: 'text/javascript'})));
+
+                worker.onmessage = function (e) {
+                    var job = self.checksumJobs[e.data.id];
+
+                    delete self.checksumJobs[e.data.id];
+
+                    if (job) {
+                        e.data.error ? job.reject(new Error(e.data.error)) : job.resolve(e.data.result);
+                    }
+                };
+
+                this.checksumWorkerInstance = worker;
+            } catch (e) {
+                this.checksumWorkerInstance = false;
+            }
+
+            return this.checksumWorkerInstance;
+        },
+
+        /**
+         * Hand the worker a job, resolving null where hashing is unavailable
+         */
+        runChecksumJob: function (message) {
+            var self = this;
+            var worker = this.checksumsEnabled() && this.getChecksumWorker();
+
+            if (!worker) {
+                return Promise.resolve(null);
+            }
+
+            message.id = ++this.checksumJobCount;
+
+            return new Promise(function (resolve, reject) {
+                self.checksumJobs[message.id] = {resolve: resolve, reject: reject};
+                worker.postMessage(message);
+            }).catch(function () {
+                // A file the browser cannot read fails at the PUT anyway,
+                // with a clearer error than the hash would give.
+                return null;
+            });
+        },
+
+        /**
+         * Hash a file or part: MD5 always, SHA-256 when configured
+         *
+         * Resolves {md5, md5Base64, sha256}, or null where hashing is off.
+         */
+        hashBlob: function (blob, withSha256) {
+            return this.runChecksumJob({
+                blob: blob,
+                sha256: !!withSha256 && (S3BrowserGlobalConfig.checksums || {}).sha256 === true
+            });
+        },
+
+        /**
+         * Work out the ETag a multipart upload of these part MD5s should get
+         */
+        compositeEtag: function (digests) {
+            return this.runChecksumJob({digests: digests});
+        },
+
+        /**
+         * Compare an ETag with the hash it should be
+         *
+         * Returns null when they cannot be compared: the ETag was not readable,
+         * or is not in the form the hash is -- a provider may answer a
+         * multipart upload with an opaque ID rather than an MD5 of MD5s -- or
+         * the response it came with says the object is encrypted.
+         *
+         * @param {XMLHttpRequest} [xhr] The response the ETag came with.
+         */
+        etagMatches: function (etag, expected, xhr) {
+            var clean = String(etag || '').replace(/"/g, '').toLowerCase();
+            var composite = expected.indexOf('-') !== -1;
+
+            if (!clean || !(composite ? /^[0-9a-f]{32}-\d+$/ : /^[0-9a-f]{32}$/).test(clean)) {
+                return null;
+            }
+
+            if (xhr && this.etagIsOpaque(xhr)) {
+                return null;
+            }
+
+            return clean === expected;
+        },
+
+        /**
+         * Whether a response's ETag is something other than the content's MD5
+         *
+         * Under SSE-KMS or SSE-C it is derived from the encrypted bytes, yet
+         * looks like any other MD5. The headers saying so are readable only
+         * where the bucket's CORS rule exposes them.
+         */
+        etagIsOpaque: function (xhr) {
+            var encryption = String(xhr.getResponseHeader('x-amz-server-side-encryption') || '').toLowerCase();
+
+            return encryption.indexOf('aws:kms') === 0
+                || !!xhr.getResponseHeader('x-amz-server-side-encryption-customer-algorithm');
+        },
+
+        /**
+         * The error for content that did not arrive as it was sent
+         *
+         * Marked for retry: the damage happened in transit, and the next
+         * attempt is sent from the same intact file.
+         */
+        checksumError: function () {
+            var error = new Error(s3BrowserConfig.i18n.upload.checksumMismatch);
+
+            error.code = 'ChecksumMismatch';
+
+            return error;
+        }
+    });
+
+})(jQuery);
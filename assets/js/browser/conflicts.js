@@ -0,0 +1,311 @@
+/**
+ * S3 Browser Upload Conflicts
+ * Checks which upload keys are already taken and asks whether to replace,
+ * skip or keep both before anything is signed
+ */
+(function ($) {
+    'use strict';
+
+    // The exists route takes this many keys per request: each is a HEAD to
+    // the provider, and a batch has to finish inside PHP's time limit on a
+    // slow one.
+    var BATCH_SIZE = 25;
+
+    // Batches checked at once, so a large drop does not tie up every PHP
+    // worker the site has.
+    var CONCURRENCY = 4;
+
+    $.extend(window.S3Browser, {
+
+        /**
+         * Decide each file's key, resolving the files that would replace one
+         *
+         * Resolves the uploads to go ahead, as {file, key} pairs. Skipped
+         * files are left out; a cancelled dialog resolves an empty list.
+         */
+        resolveUploadConflicts: function (bucket, files, keys) {
+            var self = this;
+
+            return this.findExistingObjects(bucket, keys)
+                .catch(function () {
+                    // Better to let the upload go ahead than to block it on a
+                    // check, but the admin should know it did not happen.
+                    self.showNotification(s3BrowserConfig.i18n.upload.conflictCheckFailed, 'info');
+
+                    return {};
+                })
+                .then(function (existing) {
+                    var uploads = files.map(function (file, index) {
+                        return {
+                            file: file,
+                            key: keys[index],
+                            references: existing[keys[index]] || null
+                        };
+                    });
+                    var conflicts = uploads.filter(function (upload) {
+                        return upload.references !== null;
+                    });
+
+                    if (!conflicts.length) {
+                        return uploads;
+                    }
+
+                    return self.askConflictPolicy(conflicts).then(function (choices) {
+                        return self.applyConflictPolicy(bucket, uploads, choices);
+                    });
+                });
+        },
+
+        /**
+         * Map each of the keys already taken to what refers to it
+         */
+        findExistingObjects: function (bucket, keys) {
+            var self = this;
+            var batches = [];
+            var existing = {};
+
+            for (var i = 0; i < keys.length; i += BATCH_SIZE) {
+                batches.push(keys.slice(i, i + BATCH_SIZE));
+            }
+
+            var next = function () {
+                var batch = batches.shift();
+
+                if (!batch) {
+                    return Promise.resolve();
+                }
+
+                return self.restPromise('objectsExist', {bucket: bucket, keys: batch}).then(function (data) {
+                    (data.objects || []).forEach(function (object) {
+                        if (object.exists) {
+                            existing[object.key] = object.references || [];
+                        }
+                    });
+
+                    return next();
+                });
+            };
+
+            var workers = [];
+
+            for (var w = 0; w < Math.min(CONCURRENCY, batches.length); w++) {
+                workers.push(next());
+            }
+
+            return Promise.all(workers).then(function () {
+                return existing;
+            });
+        },
+
+        /**
+         * Ask what to do with each file whose key is taken
+         *
+         * Resolves the choices keyed by object key. Keeping both is the
+         * default, since it is the one choice that loses nothing.
+         */
+        askConflictPolicy: function (conflicts) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.upload;
+            var options = function (selected) {
+                return [
+                    ['rename', i18n.conflictRename],
+                    ['overwrite', i18n.conflictOverwrite],
+                    ['skip', i18n.conflictSkip]
+                ].map(function (option) {
+                    return '<option value="' + option[0] + '"' + (option[0] === selected ? ' selected' : '') + '>' +
+                        self.escapeHtml(option[1]) + '</option>';
+                }).join('');
+            };
+
+            var rows = conflicts.map(function (conflict) {
+                var warning = conflict.references.length
+                    ? '<p class="s3-conflict-warning"><span class="dashicons dashicons-warning"></span>' +
+                    self.escapeHtml(i18n.conflictReferenced.replace('{labels}', conflict.references.map(function (reference) {
+                        return reference.label;
+                    }).join(', '))) + '</p>'
+                    : '';
+
+                return '<li class="s3-conflict' + (conflict.references.length ? ' s3-conflict-referenced' : '') + '">' +
+                    '<span class="s3-conflict-name">' + self.escapeHtml(conflict.key) + '</span>' +
+                    '<select class="s3-conflict-choice" data-key="' + self.escapeAttr(conflict.key) + '">' + options('rename') + '</select>' +
+                    warning +
+                    '</li>';
+            });
+
+            var content = [
+                '<p>' + self.escapeHtml(i18n.conflictIntro.replace('{count}', conflicts.length)) + '</p>',
+                '<p class="s3-conflict-all">',
+                '<label for="s3ConflictAll">' + self.escapeHtml(i18n.conflictApplyAll) + '</label> ',
+                '<select id="s3ConflictAll"><option value=""></option>' + options('') + '</select>',
+                '</p>',
+                '<ul class="s3-conflict-list">' + rows.join('') + '</ul>'
+            ].join('');
+
+            return new Promise(function (resolve) {
+                var $modal = self.showModal('s3UploadConflictModal', i18n.conflictTitle, content, [
+                    {
+                        text: s3BrowserConfig.i18n.ui.cancel,
+                        action: 'cancel',
+                        callback: function () {
+                            self.hideModal('s3UploadConflictModal');
+                            resolve(null);
+                        }
+                    },
+                    {
+                        text: i18n.conflictUpload,
+                        action: 'submit',
+                        classes: 'button-primary',
+                        callback: function () {
+                            var choices = {};
+
+                            // attr() rather than data(), which would turn a
+                            // key such as "1e3" into a number.
+                            $modal.find('.s3-conflict-choice').each(function () {
+                                choices[$(this).attr('data-key')] = $(this).val();
+                            });
+
+                            if (!self.confirmReferencedOverwrites(conflicts, choices)) {
+                                return;
+                            }
+
+                            self.hideModal('s3UploadConflictModal');
+                            resolve(choices);
+                        }
+                    }
+                ]);
+
+                $modal.on('change', '#s3ConflictAll', function () {
+                    if (this.value) {
+                        $modal.find('.s3-conflict-choice').val(this.value);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Make sure replacing a file products deliver is meant
+         *
+         * The file goes live the moment the upload finishes, under a link
+         * customers have already been sent.
+         */
+        confirmReferencedOverwrites: function (conflicts, choices) {
+            var referenced = conflicts.filter(function (conflict) {
+                return conflict.references.length && choices[conflict.key] === 'overwrite';
+            });
+
+            if (!referenced.length) {
+                return true;
+            }
+
+            return confirm(
+                s3BrowserConfig.i18n.upload.conflictOverwriteReferenced
+                    .replace('{files}', referenced.map(function (conflict) {
+                        return '• ' + conflict.key + ' (' + conflict.references.map(function (reference) {
+                            return reference.label;
+                        }).join(', ') + ')';
+                    }).join('\n'))
+            );
+        },
+
+        /**
+         * Drop the skipped uploads and give the renamed ones a free key
+         */
+        applyConflictPolicy: function (bucket, uploads, choices) {
+            if (!choices) {
+                return Promise.resolve([]);
+            }
+
+            var kept = uploads.filter(function (upload) {
+                return choices[upload.key] !== 'skip';
+            });
+            var renaming = kept.filter(function (upload) {
+                return choices[upload.key] === 'rename';
+            }).map(function (upload) {
+                return upload.key;
+            });
+            var taken = {};
+
+            // A renamed file must not land on a sibling from the same batch.
+            kept.forEach(function (upload) {
+                taken[upload.key] = true;
+            });
+
+            if (!renaming.length) {
+                return Promise.resolve(kept);
+            }
+
+            return this.uniqueUploadKeys(bucket, renaming, taken, 2).then(function (renamed) {
+                return kept.map(function (upload) {
+                    return choices[upload.key] === 'rename'
+                        ? {file: upload.file, key: renamed[upload.key]}
+                        : upload;
+                });
+            });
+        },
+
+        /**
+         * Find a free "name (n).ext" for each key, ten numbers at a time
+         */
+        uniqueUploadKeys: function (bucket, keys, taken, start) {
+            var self = this;
+            var candidates = {};
+            var all = [];
+
+            keys.forEach(function (key) {
+                candidates[key] = [];
+
+                for (var n = start; n < start + 10; n++) {
+                    var candidate = self.numberedKey(key, n);
+
+                    candidates[key].push(candidate);
+                    all.push(candidate);
+                }
+            });
+
+            return this.findExistingObjects(bucket, all).then(function (existing) {
+                var renamed = {};
+                var unresolved = [];
+
+                keys.forEach(function (key) {
+                    var free = candidates[key].filter(function (candidate) {
+                        return !(candidate in existing) && !taken[candidate];
+                    })[0];
+
+                    if (free) {
+                        taken[free] = true;
+                        renamed[key] = free;
+                    } else {
+                        unresolved.push(key);
+                    }
+                });
+
+                if (!unresolved.length) {
+                    return renamed;
+                }
+
+                return self.uniqueUploadKeys(bucket, unresolved, taken, start + 10).then(function (more) {
+                    return $.extend(renamed, more);
+                });
+            });
+        },
+
+        /**
+         * Number a key the way desktop file managers do: "manual (2).pdf"
+         *
+         * A number already there is replaced rather than added to, so a
+         * second copy of "manual (2).pdf" is "manual (3).pdf" and not
+         * "manual (2) (2).pdf".
+         */
+        numberedKey: function (key, n) {
+            var slash = key.lastIndexOf('/');
+            var folder = key.substring(0, slash + 1);
+            var name = key.substring(slash + 1);
+            var dot = name.lastIndexOf('.');
+            var base = dot > 0 ? name.substring(0, dot) : name;
+            var extension = dot > 0 ? name.substring(dot) : '';
+
+            return folder + base.replace(/ \(\d+\)$/, '') + ' (' + n + ')' + extension;
+        }
+    });
+
+})(jQuery);
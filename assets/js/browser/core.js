@@ -16,6 +16,8 @@
         totalLoadedItems: 0,
         isLoading: false,
         hasActiveUploads: false,
+        currentLocation: null,
+        navigationCount: 0,
 
         /**
          * Initialize the S3 Browser
@@ -28,7 +30,19 @@
             this.countInitialItems();
             this.initUploadToggle();
             this.bindBucketEvents();
+            this.bindDeepSearchEvents();
+            this.bindBulkEvents();
             this.initTooltips();
+            this.initRouter();
+            this.initSort();
+            this.bindPreviewEvents();
+            this.bindViewEvents();
+            this.bindMetadataEvents();
+            this.bindTagEvents();
+            this.bindVersionEvents();
+            this.bindStorageEvents();
+            this.bindSharedLinkEvents();
+            this.bindKeyboardEvents();
         },
 
         /**
@@ -82,10 +96,16 @@
                     self.deleteFile($link);
                 } else if ($link.hasClass('s3-delete-folder')) {
                     self.deleteFolderConfirm($link);
+                } else if ($link.hasClass('s3-rename-folder')) {
+                    self.openRenameFolderModal($link);
+                } else if ($link.hasClass('s3-move-folder')) {
+                    self.openMoveFolderModal($link);
                 } else if ($link.hasClass('s3-rename-file')) {
                     self.openRenameModal($link);
                 } else if ($link.hasClass('s3-move-file')) {
                     self.openMoveModal($link);
+                } else if ($link.hasClass('s3-copy-file')) {
+                    self.openCopyModal($link);
                 } else if ($link.hasClass('s3-copy-link')) {
                     self.openCopyLinkModal($link);
                 } else if ($link.hasClass('s3-show-details')) {
@@ -142,6 +162,17 @@
                         prefix: $link.data('prefix')
                     });
                 }
+
+                // Breadcrumbs carry real URLs, so a modified click can still
+                // open one in a new tab.
+                if ($link.closest('.s3-browser-breadcrumbs').length && !(e.metaKey || e.ctrlKey || e.shiftKey)) {
+                    var target = self.locationFromUrl(this.href);
+
+                    if (target && self.canRoute()) {
+                        e.preventDefault();
+                        self.navigateTo(target);
+                    }
+                }
             });
 
             // Search
@@ -149,6 +180,10 @@
                 var $this = $(this);
                 $('#s3-js-search-clear').toggle(Boolean($this.val()));
 
+                // A changed query leaves results from the other folders
+                // behind; the filter is back to the rows loaded here.
+                self.stopDeepSearch();
+
                 clearTimeout(self.searchTimeout);
                 self.searchTimeout = setTimeout(function () {
                     self.filterTable($this.val());
@@ -232,7 +267,7 @@
          * Count initial items in the table
          */
         countInitialItems: function () {
-            this.totalLoadedItems = $('.wp-list-table tbody tr:not(.s3-no-results)').length;
+            this.totalLoadedItems = $('.wp-list-table tbody tr:not(.s3-no-results, .no-items)').length;
             var hasMore = $('#s3-load-more').length && $('#s3-load-more').is(':visible');
             this.updateTotalCount(hasMore);
         },
@@ -273,7 +308,7 @@
                     $('#s3-upload-container').slideDown(300);
                     $('#s3-toggle-upload').addClass('active');
                 })
-                .on('s3UploadComplete s3AllUploadsComplete', function () {
+                .on('s3AllUploadsComplete', function () {
                     self.hasActiveUploads = false;
                 });
         },
@@ -293,7 +328,7 @@
             $tbody.find('.s3-no-results').remove();
 
             if (!searchTerm) {
-                $tbody.empty().append(this.originalTableData.clone());
+                $tbody.empty().append(this.originalTableData.length ? this.originalTableData.clone() : this.emptyTableRow());
                 $stats.text('');
                 $bottomNav.show();
                 this.refreshTooltips(); // Refresh tooltips after content change
@@ -301,7 +336,13 @@
             }
 
             $bottomNav.hide();
-            searchTerm = searchTerm.toLowerCase();
+
+            // tag:name and tag:name=value narrow by tag; the rest of the
+            // term is matched against names as before.
+            var self = this;
+            var tagFilter = this.parseTagFilter(searchTerm);
+            var nameTerm = tagFilter.text.toLowerCase();
+            var readingTags = tagFilter.tags.length > 0 && this.loadRowTags(searchTerm);
             var visibleRows = 0;
             var totalRows = 0;
 
@@ -311,13 +352,15 @@
                 var $row = $(this);
                 var fileName = $row.find('.column-name').text().toLowerCase();
 
-                if (fileName.includes(searchTerm)) {
+                if (fileName.includes(nameTerm) && self.rowMatchesTags($row, tagFilter.tags)) {
                     $tbody.append($row);
                     visibleRows++;
                 }
             });
 
-            if (visibleRows === 0) {
+            if (readingTags) {
+                $stats.text(s3BrowserConfig.i18n.tags.reading.replace('{visible}', visibleRows));
+            } else if (visibleRows === 0) {
                 $stats.text(s3BrowserConfig.i18n.search.noMatchesFound);
                 var colCount = $('.wp-list-table thead th').length;
                 var noResultsText = s3BrowserConfig.i18n.search.noFilesFound.replace('{term}', $('<div>').text(searchTerm).html());
@@ -337,7 +380,7 @@
          */
         refreshSearch: function () {
             var $table = $('.wp-list-table tbody');
-            if (!$table.length) return;
+            if (!$table.length || this.isDeepSearching()) return;
 
             this.originalTableData = $table.find('tr:not(.s3-no-results)').clone();
 
@@ -351,6 +394,455 @@
             this.refreshTooltips(); // Refresh tooltips after search refresh
         },
 
+        // ===========================================
+        // ROW UPDATES
+        // ===========================================
+
+        /**
+         * Put rendered rows into the table, replacing any with the same key
+         *
+         * A new row goes where the listing would have put it: folders before
+         * files, each in key order. Works on originalTableData, which holds
+         * every loaded row, and redraws from it -- the tbody may be showing a
+         * search's subset.
+         */
+        upsertRows: function (html) {
+            var self = this;
+            var added = 0;
+            var $rows = this.tableRows(html);
+
+            if (!$rows.length || !this.originalTableData) return;
+
+            var rows = this.originalTableData.not('.no-items').get();
+
+            $rows.each(function () {
+                var key = $(this).attr('data-row-key');
+                var index = self.findRowIndex(rows, key);
+
+                // A search hit renamed in a folder below this one.
+                if (self.isDeepSearching() && !self.isCurrentLocation(self.deepSearch.bucket, self.parentPrefix(key))) {
+                    return;
+                }
+
+                if (index !== -1) {
+                    rows[index] = this;
+                    return;
+                }
+
+                rows.splice(self.rowInsertIndex(rows, key), 0, this);
+                added++;
+            });
+
+            this.originalTableData = $(rows);
+            this.totalLoadedItems += added;
+            this.redrawTable();
+        },
+
+        /**
+         * Take rows out of the table by key
+         *
+         * A folder's key takes everything under it with it, which only
+         * matters when a search result listed deeper keys.
+         */
+        removeRows: function (keys) {
+            var removed = 0;
+
+            if (!this.originalTableData) return;
+
+            // data() reads a key such as "2024" back as a number.
+            keys = keys.map(String);
+
+            var isGone = function () {
+                var rowKey = $(this).attr('data-row-key');
+
+                return rowKey !== undefined && keys.some(function (key) {
+                    return rowKey === key || (key.slice(-1) === '/' && rowKey.indexOf(key) === 0);
+                });
+            };
+
+            // Search results are not redrawn from the loaded rows.
+            if (this.isDeepSearching()) {
+                $('.wp-list-table tbody tr').filter(isGone).remove();
+            }
+
+            this.originalTableData = this.originalTableData.filter(function () {
+                var gone = isGone.call(this);
+
+                if (gone) removed++;
+
+                return !gone;
+            });
+
+            this.totalLoadedItems = Math.max(0, this.totalLoadedItems - removed);
+            this.redrawTable();
+        },
+
+        /**
+         * Parse rendered rows, fitted to the columns this table has
+         *
+         * Rows come with a checkbox cell whether or not the table has the
+         * column: a page of nothing but folders is drawn without one.
+         */
+        tableRows: function (html) {
+            var $rows = $('<tbody>').html(html || '').children('tr');
+
+            if (!$('.wp-list-table thead .check-column').length) {
+                $rows.children('.check-column').remove();
+            }
+
+            return $rows;
+        },
+
+        /**
+         * Where a row with this key sits among the loaded rows, or -1
+         */
+        findRowIndex: function (rows, key) {
+            for (var i = 0; i < rows.length; i++) {
+                if ($(rows[i]).attr('data-row-key') === key) {
+                    return i;
+                }
+            }
+
+            return -1;
+        },
+
+        /**
+         * Where a new row belongs: folders first, then by key
+         */
+        rowInsertIndex: function (rows, key) {
+            var isFolder = key.slice(-1) === '/';
+
+            for (var i = 0; i < rows.length; i++) {
+                var rowKey = $(rows[i]).attr('data-row-key') || '';
+                var rowIsFolder = rowKey.slice(-1) === '/';
+
+                if ((isFolder && !rowIsFolder) || (isFolder === rowIsFolder && rowKey > key)) {
+                    return i;
+                }
+            }
+
+            return rows.length;
+        },
+
+        /**
+         * The folder a key or folder prefix sits in
+         */
+        parentPrefix: function (key) {
+            var path = key.slice(-1) === '/' ? key.slice(0, -1) : key;
+
+            return path.substring(0, path.lastIndexOf('/') + 1);
+        },
+
+        /**
+         * Draw the table again from originalTableData
+         *
+         * Through the search, so a filter stays applied, and keeping the
+         * ticked files ticked: the rows drawn are fresh clones. Results from
+         * searching all folders are left as they are.
+         */
+        redrawTable: function () {
+            var selected = {};
+
+            if (this.isDeepSearching()) {
+                this.updateSelectionBar();
+                return;
+            }
+
+            $('.s3-select-file:checked').each(function () {
+                selected[$(this).attr('data-key')] = true;
+            });
+
+            this.sortLoadedRows();
+            this.filterTable($('#s3-js-search').val());
+
+            $('.s3-select-file').each(function () {
+                if (selected[$(this).attr('data-key')]) {
+                    this.checked = true;
+                }
+            });
+
+            this.updateSelectionBar();
+            this.updateTotalCount($('#s3-load-more').is(':visible'));
+        },
+
+        /**
+         * The row WP_List_Table draws when a listing has nothing in it
+         */
+        emptyTableRow: function () {
+            return $('<tr class="no-items"><td class="colspanchange"></td></tr>')
+                .find('td')
+                .attr('colspan', $('.wp-list-table thead tr').first().children().length)
+                .text(s3BrowserConfig.i18n.display.noItems)
+                .end();
+        },
+
+        /**
+         * Fetch and place the rows for keys that changed under this prefix
+         *
+         * Resolves once they are in. A key that is gone, or that the listing
+         * would hide, comes back without a row and is left out.
+         */
+        refreshRows: function (bucket, prefix, keys) {
+            var self = this;
+            var batches = [];
+
+            for (var i = 0; i < keys.length; i += 100) {
+                batches.push(keys.slice(i, i + 100));
+            }
+
+            return Promise.all(batches.map(function (batch) {
+                return self.restPromise('objectRows', {bucket: bucket, prefix: prefix, keys: batch});
+            })).then(function (results) {
+                // The admin may have moved on to another folder meanwhile.
+                if (!self.isCurrentLocation(bucket, prefix)) return;
+
+                self.upsertRows(results.map(function (data) {
+                    return (data.rows || []).map(function (row) {
+                        return row.html;
+                    }).join('');
+                }).join(''));
+            });
+        },
+
+        // ===========================================
+        // ROUTING
+        // ===========================================
+
+        /**
+         * Take over Back and Forward for the folders visited in place
+         *
+         * The page's own location is recorded first, so Back from the first
+         * folder opened returns to it rather than leaving the browser.
+         */
+        initRouter: function () {
+            var self = this;
+            var $zone = $('.s3-upload-zone');
+
+            if (!$zone.length) return;
+
+            this.currentLocation = {
+                bucket: String($zone.data('bucket')),
+                prefix: String($zone.data('prefix') || '')
+            };
+
+            if (!this.canRoute()) return;
+
+            window.history.replaceState($.extend({s3Browser: true}, this.currentLocation), '');
+
+            $(window).off('popstate.s3router').on('popstate.s3router', function (e) {
+                var state = e.originalEvent.state;
+
+                // An entry from before the browser, or from another page.
+                if (!state || !state.s3Browser) {
+                    window.location.reload();
+                    return;
+                }
+
+                self.openLocation(state.bucket, state.prefix, false);
+            });
+        },
+
+        /**
+         * Whether a bucket and prefix are what the table is showing
+         *
+         * A listing, a page of "Load more" or an upload's row may arrive
+         * after the admin has opened another folder.
+         */
+        isCurrentLocation: function (bucket, prefix) {
+            var normalize = function (value) {
+                value = String(value || '');
+
+                return value && value.slice(-1) !== '/' ? value + '/' : value;
+            };
+
+            return !this.currentLocation || (
+                this.currentLocation.bucket === String(bucket) &&
+                normalize(this.currentLocation.prefix) === normalize(prefix)
+            );
+        },
+
+        /**
+         * Whether this page can change location without loading again
+         *
+         * Only the objects view holds what a listing redraws into.
+         */
+        canRoute: function () {
+            return !!(window.history && window.history.pushState) && $('.s3-upload-zone').length > 0;
+        },
+
+        /**
+         * Read the bucket and prefix a browser URL points at
+         *
+         * Null for the bucket list, which only a page load can draw.
+         */
+        locationFromUrl: function (url) {
+            var query = String(url).split('#')[0].split('?')[1] || '';
+            var params = {};
+
+            query.split('&').forEach(function (pair) {
+                var parts = pair.split('=');
+
+                if (parts[0]) {
+                    params[decodeURIComponent(parts[0])] = decodeURIComponent((parts[1] || '').replace(/\+/g, ' '));
+                }
+            });
+
+            if (!params.bucket || params.view === 'buckets') {
+                return null;
+            }
+
+            return {bucket: params.bucket, prefix: params.prefix || ''};
+        },
+
+        /**
+         * Fetch a folder's listing and draw it in place of the current one
+         *
+         * A click made while an earlier one is still loading wins: the
+         * earlier response is dropped when it arrives.
+         *
+         * @param {boolean} push Add a history entry, rather than following one.
+         */
+        openLocation: function (bucket, prefix, push) {
+            var self = this;
+            var navigation = ++this.navigationCount;
+
+            $('.s3-browser-container').addClass('s3-navigating');
+
+            return this.restPromise('listObjects', {bucket: bucket, prefix: prefix}).then(function (data) {
+                if (navigation !== self.navigationCount) {
+                    return false;
+                }
+
+                if (push) {
+                    window.history.pushState(
+                        {s3Browser: true, bucket: bucket, prefix: prefix},
+                        '',
+                        self.locationUrl({bucket: bucket, prefix: prefix})
+                    );
+                }
+
+                self.showLocation(bucket, prefix, data);
+
+                return true;
+            }, function (error) {
+                if (navigation === self.navigationCount) {
+                    self.showNotification(error.message, 'error');
+                }
+
+                return false;
+            }).then(function (opened) {
+                if (navigation === self.navigationCount) {
+                    $('.s3-browser-container').removeClass('s3-navigating');
+                }
+
+                return opened;
+            });
+        },
+
+        /**
+         * Draw a listing and point everything that acts on "here" at it
+         */
+        showLocation: function (bucket, prefix, data) {
+            var bucketChanged = !this.currentLocation || this.currentLocation.bucket !== bucket;
+            var hasFiles = (data.items || []).some(function (item) {
+                return item.type === 'file';
+            });
+
+            this.currentLocation = {bucket: bucket, prefix: prefix};
+
+            this.stopDeepSearch();
+            this.clearSelection();
+            $('#s3-js-search').val('');
+            $('#s3-js-search-clear, #s3-deep-search').hide();
+
+            $('.s3-upload-zone, #s3-create-folder, .s3-refresh-button[data-type="objects"]').each(function () {
+                $(this).attr({'data-bucket': bucket, 'data-prefix': prefix}).data({bucket: bucket, prefix: prefix});
+            });
+            $('.s3-toolbar-buttons .s3-bucket-details').attr('data-bucket', bucket).data('bucket', bucket);
+            $('#s3-load-more').attr({'data-bucket': bucket, 'data-prefix': prefix}).data({bucket: bucket, prefix: prefix});
+
+            this.setCheckColumn(hasFiles);
+
+            var $rows = this.tableRows(data.html);
+
+            this.originalTableData = $rows;
+            this.totalLoadedItems = $rows.length;
+            this.setLoadMoreToken(data.has_more ? data.continuation_token : '', bucket, prefix);
+            this.restoreSort(bucket);
+            this.redrawTable();
+            this.renderBreadcrumbs(bucket, prefix);
+
+            if (bucketChanged && this.checkResumableUploads) {
+                this.checkResumableUploads();
+            }
+
+            window.scrollTo(0, 0);
+        },
+
+        /**
+         * Add or take away the checkbox column to suit the listing
+         *
+         * WP_List_Table only offers it when there is a file to tick.
+         */
+        setCheckColumn: function (show) {
+            var $table = $('.wp-list-table');
+            var $headers = $table.find('thead tr, tfoot tr');
+
+            if (!show) {
+                $headers.children('.check-column').remove();
+                return;
+            }
+
+            if (!$headers.children('.check-column').length) {
+                $headers.prepend('<td class="manage-column column-cb check-column"><input type="checkbox" /></td>');
+            }
+        },
+
+        /**
+         * Draw the breadcrumbs for a location
+         *
+         * Built from the items already there, so they keep whatever markup
+         * the server's breadcrumbs use. The links are real URLs, which the
+         * click handler reads back.
+         */
+        renderBreadcrumbs: function (bucket, prefix) {
+            var self = this;
+            var $list = $('.s3-browser-breadcrumbs .breadcrumb');
+
+            if (!$list.length) return;
+
+            var $items = $list.children('li');
+            var $root = $items.first().clone();
+            var $separator = $items.filter('.separator').first().clone();
+            var parts = prefix.split('/').filter(Boolean);
+            var crumbs = [{label: bucket, prefix: ''}];
+            var path = '';
+
+            parts.forEach(function (part) {
+                path += part + '/';
+                crumbs.push({label: part, prefix: path});
+            });
+
+            $list.empty().append($root);
+
+            crumbs.forEach(function (crumb, index) {
+                var $item;
+
+                // The bucket stays a link at its root, as the server draws it.
+                if (index === crumbs.length - 1 && index > 0) {
+                    $item = $('<li class="active" aria-current="page"><span></span></li>');
+                    $item.find('span').text(crumb.label);
+                } else {
+                    $item = $('<li><a><span class="dashicons dashicons-category"></span></a></li>');
+                    $item.find('a')
+                        .attr('href', self.locationUrl({bucket: bucket, prefix: crumb.prefix}))
+                        .append(document.createTextNode(crumb.label));
+                }
+
+                $list.append($separator.clone(), $item);
+            });
+        },
+
         // ===========================================
         // NAVIGATION & LOAD MORE
         // ===========================================
@@ -373,10 +865,15 @@
                 continuation_token: token
             }, {
                 success: function (response) {
-                    var $tbody = $('.wp-list-table tbody');
-                    $tbody.append(response.data.html);
-                    self.originalTableData = $tbody.find('tr:not(.s3-no-results)').clone();
-                    self.totalLoadedItems += response.data.count;
+                    if (!self.isCurrentLocation(bucket, prefix)) return;
+
+                    var $rows = self.tableRows(response.data.html);
+
+                    // Added to originalTableData rather than read back from
+                    // the tbody, which holds only the rows a search matched.
+                    self.originalTableData = $(self.originalTableData.not('.no-items').get().concat($rows.get()));
+                    self.totalLoadedItems += $rows.length;
+                    self.redrawTable();
 
                     if (response.data.has_more && response.data.continuation_token) {
                         $button.data('token', response.data.continuation_token);
@@ -388,11 +885,6 @@
                         self.updateTotalCount(false);
                     }
 
-                    var currentSearch = $('#s3-js-search').val();
-                    if (currentSearch) {
-                        self.filterTable(currentSearch);
-                    }
-
                     self.refreshTooltips(); // Refresh tooltips after loading more items
                 },
                 error: function (message) {
@@ -424,10 +916,24 @@
                 prefix: $button.data('prefix') || ''
             }, {
                 success: function (response) {
-                    self.showNotification(response.data.message || s3BrowserConfig.i18n.cache.cacheRefreshed, 'success');
-                    setTimeout(function () {
-                        window.location.reload();
-                    }, 1500);
+                    var message = response.data.message || s3BrowserConfig.i18n.cache.cacheRefreshed;
+
+                    // Tags read for the filter came from the cache just cleared.
+                    self.objectTags = {};
+
+                    var relisted = $button.data('type') === 'objects'
+                        ? self.relistObjects($button.data('bucket'), $button.data('prefix') || '')
+                        : self.relistBuckets($button.attr('data-marker') || '');
+
+                    relisted
+                        .then(function () {
+                            self.showNotification(message, 'success');
+                        }, function (error) {
+                            self.showNotification(error.message, 'error');
+                        })
+                        .then(function () {
+                            self.clearButtonBusy($button);
+                        });
                 },
                 error: function (message) {
                     self.showNotification(message, 'error');
@@ -436,20 +942,102 @@
             });
         },
 
+        /**
+         * Replace the rows with a fresh first page of this prefix
+         *
+         * Rows from "Load more" go with the rest: their continuation token
+         * belongs to the listing the cache held. The search and the ticked
+         * files that are still there are kept.
+         */
+        relistObjects: function (bucket, prefix) {
+            var self = this;
+
+            return this.restPromise('listObjects', {bucket: bucket, prefix: prefix}).then(function (data) {
+                if (!self.isCurrentLocation(bucket, prefix)) return;
+
+                var $rows = self.tableRows(data.html);
+
+                self.originalTableData = $rows;
+                self.totalLoadedItems = $rows.length;
+                self.setLoadMoreToken(data.has_more ? data.continuation_token : '', bucket, prefix);
+                self.redrawTable();
+            });
+        },
+
+        /**
+         * Replace the bucket list's rows with a fresh copy of this page
+         *
+         * Favorites come first, as the server sorts them. The search stays
+         * applied.
+         */
+        relistBuckets: function (marker) {
+            var self = this;
+
+            return this.restPromise('bucketRows', {marker: marker}).then(function (data) {
+                self.originalTableData = self.tableRows(data.html);
+                self.filterTable($('#s3-js-search').val());
+                $('.tablenav.bottom .displaying-num').text(data.count_label);
+            });
+        },
+
+        /**
+         * Offer the next page from this token, or stop offering one
+         *
+         * The button is only printed when the first page had more after it,
+         * so it may have to be built.
+         */
+        setLoadMoreToken: function (token, bucket, prefix) {
+            var $button = $('#s3-load-more');
+
+            if (!token) {
+                $button.closest('.pagination-links').hide();
+                return;
+            }
+
+            if (!$button.length) {
+                $button = $('<button type="button" id="s3-load-more" class="button button-secondary"><span class="s3-button-text"></span></button>')
+                    .attr({'data-bucket': bucket, 'data-prefix': prefix});
+                $('<span class="pagination-links"></span>')
+                    .append($button, '<span class="s3-load-status"></span>')
+                    .insertAfter('#s3-total-count');
+            }
+
+            $button.data('token', token);
+            $button.find('.s3-button-text').text(s3BrowserConfig.i18n.loading.loadMoreItems);
+            $button.closest('.pagination-links').show();
+        },
+
         // ===========================================
         // UTILITY FUNCTIONS
         // ===========================================
 
         /**
          * Navigate to a new location within the browser
+         *
+         * From one folder or bucket to another the listing is fetched and
+         * drawn in place; anything else -- the bucket list, or a browser
+         * without the history API -- loads the page. Returns the in-place
+         * navigation's promise, resolving whether it arrived.
          */
         navigateTo: function (params) {
-            params.chromeless = 1;
-            params.post_id = s3BrowserConfig.postId || 0;
-            params.tab = 's3_' + S3BrowserGlobalConfig.providerId;
+            if (params.bucket && this.canRoute()) {
+                return this.openLocation(String(params.bucket), String(params.prefix || ''), true);
+            }
 
-            var queryString = $.param(params);
-            window.location.href = window.location.href.split('?')[0] + '?' + queryString;
+            window.location.href = this.locationUrl(params);
+        },
+
+        /**
+         * The URL a location loads at, the same as a full navigation would use
+         */
+        locationUrl: function (params) {
+            params = $.extend({}, params, {
+                chromeless: 1,
+                post_id: s3BrowserConfig.postId || 0,
+                tab: 's3_' + S3BrowserGlobalConfig.providerId
+            });
+
+            return window.location.href.split('?')[0] + '?' + $.param(params);
         },
 
         /**
@@ -458,6 +1046,10 @@
          * Minted on click rather than rendered into every row: signing each
          * one up front is a full SigV4 derivation per file, and it would put a
          * working, hour-long URL for every object into the page source.
+         *
+         * With proxyDownloads set the URL is a link to this site, which logs
+         * the download. It carries the REST nonce there, so the download is
+         * logged against the user rather than as an anonymous visit.
          */
         downloadFile: function ($link) {
             var self = this;
@@ -474,13 +1066,20 @@
 
             this.makeAjaxRequest('downloadUrl', {
                 bucket: $link.data('bucket'),
-                object_key: $link.data('key')
+                object_key: $link.data('key'),
+                proxy: !!s3BrowserConfig.proxyDownloads
             }, {
                 success: function (response) {
+                    var url = response.data.url;
+
+                    if (response.data.proxy) {
+                        url += (url.indexOf('?') === -1 ? '?' : '&') + '_wpnonce=' + encodeURIComponent(S3BrowserGlobalConfig.restNonce);
+                    }
+
                     if (target) {
-                        target.location = response.data.url;
+                        target.location = url;
                     } else {
-                        window.location = response.data.url;
+                        window.location = url;
                     }
                 },
                 error: function (message) {
@@ -595,17 +1194,54 @@
             'listObjects':               {method: 'GET',    path: '/buckets/{bucket}/objects'},
             'clearCache':             {method: 'DELETE', path: '/cache'},
             'uploadUrl':          {method: 'POST',   path: '/buckets/{bucket}/objects/upload-url', rename: {object_key: 'key'}},
+            'createMultipartUpload':  {method: 'POST',   path: '/buckets/{bucket}/objects/multipart'},
+            'signMultipartParts':     {method: 'POST',   path: '/buckets/{bucket}/objects/multipart/parts'},
+            'completeMultipartUpload': {method: 'POST',  path: '/buckets/{bucket}/objects/multipart/complete'},
+            'abortMultipartUpload':   {method: 'DELETE', path: '/buckets/{bucket}/objects/multipart'},
             'deleteObject':           {method: 'DELETE', path: '/buckets/{bucket}/objects'},
+            'batchDeleteObjects':     {method: 'POST',   path: '/buckets/{bucket}/objects/batch-delete'},
             'renameObject':           {method: 'PATCH',  path: '/buckets/{bucket}/objects'},
             'objectReferences':       {method: 'GET',    path: '/buckets/{bucket}/objects/references'},
+            'batchObjectReferences':  {method: 'POST',   path: '/buckets/{bucket}/objects/references'},
+            'repairObjectReferences': {method: 'POST',   path: '/buckets/{bucket}/objects/references/repair'},
+            'objectsExist':           {method: 'POST',   path: '/buckets/{bucket}/objects/exists'},
+            'objectRows':             {method: 'POST',   path: '/buckets/{bucket}/objects/rows'},
+            'searchObjects':          {method: 'GET',    path: '/buckets/{bucket}/search'},
             'moveObject':             {method: 'POST',   path: '/buckets/{bucket}/objects/move'},
+            'copyObject':             {method: 'POST',   path: '/buckets/{bucket}/objects/copy'},
+            'copyObjectPart':         {method: 'POST',   path: '/buckets/{bucket}/objects/copy/part'},
             'listFolders':            {method: 'GET',    path: '/buckets/{bucket}/folders'},
             'downloadUrl':       {method: 'POST',   path: '/buckets/{bucket}/objects/download-url', rename: {object_key: 'key'}},
+            'objectPreview':          {method: 'GET',    path: '/buckets/{bucket}/objects/preview'},
+            'downloadUrls':           {method: 'POST',   path: '/buckets/{bucket}/objects/download-urls'},
+            'sharedLinks':            {method: 'GET',    path: '/links'},
+            'revokeSharedLink':       {method: 'DELETE', path: '/links/{link}'},
+            'objectDownloads':        {method: 'GET',    path: '/buckets/{bucket}/objects/downloads'},
+            'objectMetadata':         {method: 'GET',    path: '/buckets/{bucket}/objects/metadata'},
+            'objectTags':             {method: 'GET',    path: '/buckets/{bucket}/objects/tags'},
+            'updateObjectTags':       {method: 'PUT',    path: '/buckets/{bucket}/objects/tags'},
+            'batchObjectTags':        {method: 'POST',   path: '/buckets/{bucket}/objects/tags'},
+            'updateObjectMetadata':   {method: 'PUT',    path: '/buckets/{bucket}/objects/metadata'},
+            'objectVersions':         {method: 'GET',    path: '/buckets/{bucket}/objects/versions'},
+            'restoreObjectVersion':   {method: 'POST',   path: '/buckets/{bucket}/objects/versions/restore'},
+            'deleteObjectVersion':    {method: 'DELETE', path: '/buckets/{bucket}/objects/versions'},
+            'objectStorage':          {method: 'GET',    path: '/buckets/{bucket}/objects/storage'},
+            'changeStorageClass':     {method: 'PUT',    path: '/buckets/{bucket}/objects/storage'},
+            'restoreObject':          {method: 'POST',   path: '/buckets/{bucket}/objects/storage/restore'},
             'createFolder':           {method: 'POST',   path: '/buckets/{bucket}/folders'},
             'deleteFolder':           {method: 'DELETE', path: '/buckets/{bucket}/folders'},
+            'folderContents':         {method: 'GET',    path: '/buckets/{bucket}/folders/contents'},
+            'moveFolder':             {method: 'POST',   path: '/buckets/{bucket}/folders/move'},
+            'folderJob':              {method: 'GET',    path: '/buckets/{bucket}/folders/jobs/{job}'},
+            'cancelFolderJob':        {method: 'DELETE', path: '/buckets/{bucket}/folders/jobs/{job}'},
+            'listBuckets':            {method: 'GET',    path: '/buckets'},
+            'bucketRows':             {method: 'GET',    path: '/bucket-rows'},
             'bucketDetails':      {method: 'GET',    path: '/buckets/{bucket}'},
+            'addFavoriteBucket':      {method: 'PUT',    path: '/buckets/{bucket}/favorite'},
+            'removeFavoriteBucket':   {method: 'DELETE', path: '/buckets/{bucket}/favorite'},
             'setupCors':              {method: 'PUT',    path: '/buckets/{bucket}/cors'},
             'deleteCors': {method: 'DELETE', path: '/buckets/{bucket}/cors'},
+            'setViewMode':            {method: 'PUT',    path: '/view'},
             'connectionTest':         {method: 'GET',    path: '/connection'}
         },
 
@@ -682,6 +1318,29 @@
             S3Browser.restRequest(route, data, callbacks);
         },
 
+        /**
+         * makeAjaxRequest() as a promise of the response payload.
+         *
+         * For code that chains several requests, where nesting callbacks
+         * loses track of which failure belongs to which step.
+         */
+        restPromise: function (routeName, data) {
+            var self = this;
+
+            return new Promise(function (resolve, reject) {
+                self.makeAjaxRequest(routeName, data, {
+                    success: function (response) {
+                        resolve(response.data);
+                    },
+                    error: function (message, xhr) {
+                        var error = new Error(message);
+                        error.status = xhr ? xhr.status : 0;
+                        reject(error);
+                    }
+                });
+            });
+        },
+
         /**
          * Perform a REST request and normalise the response.
          */
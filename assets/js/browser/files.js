@@ -34,12 +34,24 @@
 
         /**
          * Confirm a delete, naming whatever depends on the file.
+         *
+         * Products the server found in the host plugin's file table carry an
+         * id and can be repaired, so they get the delete dialog instead.
          */
         confirmDelete: function ($button, references) {
             var self = this;
             var filename = $button.data('filename');
             var i18n = s3BrowserConfig.i18n.files;
 
+            var repairable = references.some(function (reference) {
+                return reference.id > 0;
+            });
+
+            if (repairable) {
+                this.openDeleteModal($button, references);
+                return;
+            }
+
             var confirmMessage = i18n.confirmDelete
                 .replace('{filename}', filename)
                 .replace(/\\n/g, '\n');
@@ -68,11 +80,8 @@
                 success: function (response) {
                     self.showNotification(response.data.message || s3BrowserConfig.i18n.files.deleteSuccess, 'success');
 
-                    // Fade out the deleted row, then reload the page
                     $button.closest('tr').fadeOut(300, function () {
-                        setTimeout(function () {
-                            window.location.reload();
-                        }, 500);
+                        self.removeRows([$button.data('key')]);
                     });
                 },
                 error: function (message) {
@@ -87,6 +96,234 @@
             });
         },
 
+        /**
+         * Ask what to do about each product delivering a file, then delete it.
+         *
+         * A product can keep its link to the deleted file, lose it, or be
+         * linked to another file in the same bucket. Products reported only
+         * by the references filter have no id to act on and can only be kept.
+         */
+        openDeleteModal: function ($button, references) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.files;
+            var context = {
+                bucket: $button.data('bucket'),
+                key: $button.data('key'),
+                filename: $button.data('filename')
+            };
+
+            var heading = (references.length === 1 ? i18n.deleteBreaksOne : i18n.deleteBreaksMany)
+                .replace('%d', references.length);
+
+            var items = references.map(function (reference) {
+                var label = window.S3Browser.escapeHtml(reference.label);
+
+                return [
+                    '<li class="s3-delete-reference" data-id="' + (reference.id || 0) + '">',
+                    '  <span class="s3-delete-reference-label">',
+                    reference.edit_url
+                        ? '<a href="' + window.S3Browser.escapeHtml(reference.edit_url) + '" target="_blank" rel="noopener">' + label + '</a>'
+                        : label,
+                    '  </span>',
+                    reference.id > 0 ? [
+                        '  <select class="s3-delete-reference-action">',
+                        '    <option value="keep">' + window.S3Browser.escapeHtml(i18n.keepLink) + '</option>',
+                        '    <option value="remove">' + window.S3Browser.escapeHtml(i18n.removeLink) + '</option>',
+                        '    <option value="replace">' + window.S3Browser.escapeHtml(i18n.replaceLink) + '</option>',
+                        '  </select>',
+                        '  <span class="s3-delete-reference-replacement" hidden>',
+                        '    <code class="s3-delete-reference-key"></code>',
+                        '    <button type="button" class="button button-small s3-choose-replacement">' + window.S3Browser.escapeHtml(i18n.chooseFile) + '</button>',
+                        '  </span>'
+                    ].join('') : '  <span class="description">' + window.S3Browser.escapeHtml(i18n.cannotRepair) + '</span>',
+                    '</li>'
+                ].join('');
+            }).join('');
+
+            var content = [
+                '<p><strong>' + window.S3Browser.escapeHtml(heading) + '</strong></p>',
+                '<ul class="s3-delete-references">' + items + '</ul>',
+                '<p>' + window.S3Browser.escapeHtml(i18n.confirmDelete.replace('{filename}', context.filename).replace(/\\n/g, '\n'))
+                    .replace(/\n/g, '<br>') + '</p>'
+            ].join('');
+
+            var $modal = this.showModal('s3DeleteModal', window.S3Browser.escapeHtml(i18n.deleteFile), content, [
+                {
+                    text: s3BrowserConfig.i18n.ui.cancel,
+                    action: 'cancel',
+                    callback: function () {
+                        self.hideModal('s3DeleteModal');
+                    }
+                },
+                {
+                    text: i18n.deleteFile,
+                    action: 'submit',
+                    classes: 'button-primary',
+                    callback: function () {
+                        self.submitDelete($modal, context);
+                    }
+                }
+            ]);
+
+            $modal.on('change', '.s3-delete-reference-action', function () {
+                var $item = $(this).closest('.s3-delete-reference');
+                var replacing = $(this).val() === 'replace';
+
+                $item.find('.s3-delete-reference-replacement').prop('hidden', !replacing);
+
+                // Nothing to show yet, so go straight to choosing.
+                if (replacing && !$item.attr('data-replacement')) {
+                    self.chooseReplacement($item, context);
+                }
+            });
+
+            $modal.on('click', '.s3-choose-replacement', function () {
+                self.chooseReplacement($(this).closest('.s3-delete-reference'), context);
+            });
+        },
+
+        /**
+         * Pick the file a product is to deliver instead.
+         */
+        chooseReplacement: function ($item, context) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.files;
+
+            this.openFolderPicker({
+                id: 's3ReplacementModal',
+                title: i18n.chooseReplacement,
+                intro: i18n.chooseReplacementIntro.replace('{filename}', context.filename),
+                bucket: context.bucket,
+                currentPrefix: null,
+                pickFile: true,
+                submitText: i18n.useFile,
+                submit: function (choice) {
+                    if (choice.key === context.key) {
+                        self.showModalError('s3ReplacementModal', i18n.replacementSame);
+                        return;
+                    }
+
+                    $item.attr('data-replacement', choice.key);
+                    $item.find('.s3-delete-reference-key').text(choice.key);
+                    self.hideModal('s3ReplacementModal');
+                }
+            });
+        },
+
+        /**
+         * Make the chosen repairs, then delete the file.
+         *
+         * If any product cannot be changed the file stays: deleting it would
+         * break that product's download, which is what the admin chose to
+         * prevent.
+         */
+        submitDelete: function ($modal, context) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.files;
+            var repairs = [];
+            var incomplete = false;
+
+            $modal.find('.s3-delete-reference').each(function () {
+                var $item = $(this);
+                var action = $item.find('.s3-delete-reference-action').val();
+
+                if (!action || action === 'keep') {
+                    return;
+                }
+
+                if (action === 'replace' && !$item.attr('data-replacement')) {
+                    incomplete = true;
+                    return;
+                }
+
+                repairs.push({
+                    id: parseInt($item.attr('data-id'), 10),
+                    action: action,
+                    replacement: $item.attr('data-replacement') || ''
+                });
+            });
+
+            if (incomplete) {
+                this.showModalError('s3DeleteModal', i18n.replacementMissing);
+                return;
+            }
+
+            this.setModalLoading('s3DeleteModal', true, repairs.length ? i18n.repairingProducts : s3BrowserConfig.i18n.ui.deleting);
+
+            var repaired = repairs.length
+                ? this.restPromise('repairObjectReferences', {bucket: context.bucket, key: context.key, repairs: repairs})
+                : Promise.resolve({results: [], failed: 0});
+
+            repaired.then(function (report) {
+                if (report.failed) {
+                    self.showDeleteReport($modal, report.results, null);
+                    return;
+                }
+
+                self.setModalLoading('s3DeleteModal', true, s3BrowserConfig.i18n.ui.deleting);
+
+                return self.restPromise('deleteObject', {bucket: context.bucket, key: context.key}).then(function (data) {
+                    self.showDeleteReport($modal, report.results, data.message || i18n.deleteSuccess);
+                    self.removeRows([context.key]);
+                }, function (error) {
+                    self.showDeleteReport($modal, report.results, null, error.message);
+                });
+            }).catch(function (error) {
+                self.showModalError('s3DeleteModal', error.message);
+            });
+        },
+
+        /**
+         * Replace the delete dialog with what happened to each product.
+         *
+         * deleted is the server's message when the file went, null when it
+         * did not; failure says why, when the delete itself was refused.
+         */
+        showDeleteReport: function ($modal, results, deleted, failure) {
+            var i18n = s3BrowserConfig.i18n.files;
+            var byId = {};
+
+            results.forEach(function (result) {
+                byId[result.id] = result;
+            });
+
+            $modal.find('.s3-delete-reference').each(function () {
+                var $item = $(this);
+                var result = byId[parseInt($item.attr('data-id'), 10)];
+                var outcome = deleted ? i18n.linkKept : i18n.linkUnchanged;
+
+                if (result && result.status === 'failed') {
+                    outcome = result.message;
+                } else if (result && result.action === 'remove') {
+                    outcome = i18n.linkRemoved;
+                } else if (result && result.action === 'replace') {
+                    outcome = i18n.linkReplaced.replace('{key}', result.replacement);
+                }
+
+                $item.children().not('.s3-delete-reference-label').remove();
+                $item.append(
+                    $('<span class="s3-delete-reference-outcome"></span>')
+                        .toggleClass('is-failed', !!(result && result.status === 'failed'))
+                        .text(outcome)
+                );
+            });
+
+            $modal.find('.s3-delete-references').nextAll('p').remove();
+            $modal.find('.s3-delete-references').prevAll('p').remove();
+            $modal.find('.s3-delete-references').before(
+                $('<p><strong></strong></p>').find('strong').text(
+                    deleted || failure || i18n.deleteHeldBack
+                ).end()
+            );
+
+            $modal.find('.s3-modal-header h2').text(i18n.deleteReport);
+            $modal.find('button[data-action="submit"]').remove();
+            $modal.find('button[data-action="cancel"]').text(s3BrowserConfig.i18n.ui.close);
+            this.setModalLoading('s3DeleteModal', false);
+
+            this.showNotification(deleted || failure || i18n.deleteHeldBack, deleted ? 'success' : 'error');
+        },
+
         /**
          * Open file details modal
          */
@@ -106,6 +343,7 @@
             // Extract file data from row data attributes
             var $fileElement = $row.find('[data-key]');
             var fileData = {
+                bucket: this.currentLocation.bucket,
                 filename: $fileElement.data('filename'),
                 key: $fileElement.data('key'),
                 sizeBytes: $fileElement.data('size-bytes'),
@@ -121,6 +359,8 @@
                 partCount: $fileElement.data('part-count') || null
             };
 
+            fileData.previewKind = this.previewKind(fileData.mimeType, fileData.category, fileData.filename);
+
             this.showDetailsModal(fileData);
         },
 
@@ -152,7 +392,7 @@
                                 data: function (key) {
                                     var values = {
                                         filename: fileData.filename,
-                                        bucket: S3BrowserGlobalConfig.defaultBucket,
+                                        bucket: fileData.bucket,
                                         key: fileData.key
                                     };
                                     return values[key];
@@ -162,6 +402,16 @@
                     }
                 }
             ]);
+
+            if (fileData.previewKind) {
+                this.renderPreview($('#s3DetailsModal .s3-preview-pane'), fileData, false);
+            }
+
+            this.loadStorage(fileData);
+            this.loadMetadata(fileData);
+            this.loadTags(fileData);
+            this.loadDownloads(fileData);
+            this.prepareVersions(fileData);
         },
 
         /**
@@ -216,9 +466,16 @@
 
         /**
          * Open copy link modal for a file
+         *
+         * Besides how long it lasts, the link can say how the file is
+         * served: shown or saved, under what name, and as what type. Those
+         * are signed into the link; the file itself is left as it is. Every
+         * link made here goes on record in the shared links panel, and one
+         * made through this site has its downloads logged and can be revoked.
          */
         openCopyLinkModal: function ($button) {
             var self = this;
+            var i18n = s3BrowserConfig.i18n.copyLink;
             var filename = $button.data('filename');
             var bucket = $button.data('bucket');
             var key = $button.data('key');
@@ -226,19 +483,58 @@
             // Store context for later use
             var context = {filename: filename, bucket: bucket, key: key};
 
+            var presets = [
+                {minutes: 60, label: i18n.presetHour},
+                {minutes: 1440, label: i18n.presetDay},
+                {minutes: 10080, label: i18n.presetWeek}
+            ].map(function (preset) {
+                return '<button type="button" class="button button-small s3-expiry-preset" data-minutes="' + preset.minutes + '">' +
+                    self.escapeHtml(preset.label) + '</button>';
+            }).join('');
+
             var content = [
                 '<div class="s3-modal-field">',
-                '<label for="s3ExpiresInput">' + s3BrowserConfig.i18n.copyLink.linkDuration + '</label>',
+                '<label for="s3ExpiresInput">' + i18n.linkDuration + '</label>',
                 '<input type="number" id="s3ExpiresInput" min="1" max="10080" value="60">',
-                '<p class="description">' + s3BrowserConfig.i18n.copyLink.linkDurationHelp + '</p>',
+                '<div class="s3-expiry-presets">' + presets + '</div>',
+                '<p class="description">' + i18n.linkDurationHelp + '</p>',
                 '</div>',
                 '<div class="s3-modal-field">',
-                '<label for="s3GeneratedUrl">' + s3BrowserConfig.i18n.copyLink.generatedLink + '</label>',
-                '<textarea id="s3GeneratedUrl" rows="4" readonly placeholder="' + s3BrowserConfig.i18n.copyLink.generateLinkFirst + '"></textarea>',
-                '</div>'
+                '<label for="s3LinkDisposition">' + i18n.disposition + '</label>',
+                '<select id="s3LinkDisposition">',
+                '<option value="">' + i18n.dispositionStored + '</option>',
+                '<option value="inline">' + i18n.dispositionInline + '</option>',
+                '<option value="attachment">' + i18n.dispositionAttachment + '</option>',
+                '</select>',
+                '</div>',
+                '<div class="s3-modal-field">',
+                '<label for="s3LinkDownloadName">' + i18n.downloadName + '</label>',
+                '<input type="text" id="s3LinkDownloadName" placeholder="' + this.escapeHtml(filename) + '">',
+                '<p class="description">' + i18n.downloadNameHelp + '</p>',
+                '</div>',
+                '<div class="s3-modal-field">',
+                '<label for="s3LinkContentType">' + i18n.contentType + '</label>',
+                '<input type="text" id="s3LinkContentType" placeholder="' + i18n.contentTypePlaceholder + '">',
+                '<p class="description">' + i18n.contentTypeHelp + '</p>',
+                '</div>',
+                '<div class="s3-modal-field">',
+                '<label for="s3LinkNote">' + i18n.note + '</label>',
+                '<input type="text" id="s3LinkNote" maxlength="500">',
+                '<p class="description">' + i18n.noteHelp + '</p>',
+                '</div>',
+                '<div class="s3-modal-field">',
+                '<label><input type="checkbox" id="s3LinkProxy"> ' + i18n.proxy + '</label>',
+                '<p class="description">' + i18n.proxyHelp + '</p>',
+                '</div>',
+                '<div class="s3-modal-field">',
+                '<label for="s3GeneratedUrl">' + i18n.generatedLink + '</label>',
+                '<textarea id="s3GeneratedUrl" rows="4" readonly placeholder="' + i18n.generateLinkFirst + '"></textarea>',
+                '<p class="description s3-link-status"></p>',
+                '</div>',
+                '<div class="s3-link-qr" hidden></div>'
             ].join('');
 
-            this.showModal('s3CopyLinkModal', s3BrowserConfig.i18n.copyLink.copyLink, content, [
+            this.showModal('s3CopyLinkModal', i18n.copyLink, content, [
                 {
                     text: s3BrowserConfig.i18n.ui.cancel,
                     action: 'cancel',
@@ -247,7 +543,7 @@
                     }
                 },
                 {
-                    text: s3BrowserConfig.i18n.copyLink.generateLink,
+                    text: i18n.generateLink,
                     action: 'generate',
                     classes: 'button-primary',
                     callback: function () {
@@ -256,6 +552,10 @@
                 }
             ]);
 
+            $('#s3CopyLinkModal .s3-expiry-preset').on('click', function () {
+                $('#s3ExpiresInput').val($(this).data('minutes')).trigger('focus');
+            });
+
             // Focus and select the expiry input
             setTimeout(function () {
                 $('#s3ExpiresInput').focus().select();
@@ -267,19 +567,26 @@
          */
         generatePresignedUrl: function (context) {
             var self = this;
+            var i18n = s3BrowserConfig.i18n.copyLink;
             var expiresMinutes = parseInt($('#s3ExpiresInput').val(), 10) || 60;
 
             if (expiresMinutes < 1 || expiresMinutes > 10080) {
-                this.showModalError('s3CopyLinkModal', s3BrowserConfig.i18n.copyLink.invalidDuration);
+                this.showModalError('s3CopyLinkModal', i18n.invalidDuration);
                 return;
             }
 
-            this.setModalLoading('s3CopyLinkModal', true, s3BrowserConfig.i18n.copyLink.generatingLink);
+            this.setModalLoading('s3CopyLinkModal', true, i18n.generatingLink);
 
             this.makeAjaxRequest('downloadUrl', {
                 bucket: context.bucket,
                 object_key: context.key,
-                expires_minutes: expiresMinutes
+                expires_minutes: expiresMinutes,
+                disposition: $('#s3LinkDisposition').val(),
+                download_name: $.trim($('#s3LinkDownloadName').val()),
+                content_type: $.trim($('#s3LinkContentType').val()),
+                note: $.trim($('#s3LinkNote').val()),
+                proxy: $('#s3LinkProxy').is(':checked'),
+                share: true
             }, {
                 success: function (response) {
                     var url = response.data.url;
@@ -294,19 +601,14 @@
 
                     self.setModalLoading('s3CopyLinkModal', false);
 
-                    // Safe replacement with fallback
-                    var linkExpiresText = s3BrowserConfig.i18n.linkExpiresAt || 'Link expires at {time}';
-                    var expirationText = linkExpiresText.replace('{time}', expiresAt.toLocaleString());
-
-                    var linkGeneratedText = s3BrowserConfig.i18n.linkGenerated || 'Link generated successfully!';
-
-                    $('#s3CopyLinkModal .description').last().html(
-                        '<strong>' + linkGeneratedText + '</strong><br>' + expirationText
+                    $('#s3CopyLinkModal .s3-link-status').empty().append(
+                        $('<strong>').text(i18n.linkGenerated),
+                        $('<br>'),
+                        document.createTextNode(i18n.linkExpiresAt.replace('{time}', expiresAt.toLocaleString()))
                     );
 
-                    // Safe message with fallback
-                    var successMessage = response.data.message || s3BrowserConfig.i18n.linkGeneratedSuccess || 'Link generated successfully!';
-                    self.showNotification(successMessage, 'success');
+                    self.showLinkQrCode(url);
+                    self.showNotification(response.data.message || i18n.linkGeneratedSuccess, 'success');
                 },
                 error: function (message) {
                     self.showModalError('s3CopyLinkModal', message);
@@ -314,6 +616,21 @@
             });
         },
 
+        /**
+         * Show a generated link as a QR code below it
+         */
+        showLinkQrCode: function (url) {
+            var i18n = s3BrowserConfig.i18n.copyLink;
+            var $container = $('#s3CopyLinkModal .s3-link-qr').empty().prop('hidden', false);
+            var $code = this.renderQrCode(url, i18n.qrCode);
+
+            if ($code) {
+                $container.append($code, $('<p class="description">').text(i18n.qrCodeHelp));
+            } else {
+                $container.append($('<p class="description">').text(i18n.qrCodeTooLong));
+            }
+        },
+
         /**
          * Copy generated link to clipboard
          */
@@ -523,8 +840,46 @@
 
             var i18n = s3BrowserConfig.i18n.files;
 
+            var $modal = this.openFolderPicker({
+                id: 's3MoveModal',
+                title: i18n.moveFile,
+                intro: i18n.moveTo,
+                submitText: i18n.moveHere,
+                bucket: context.bucket,
+                currentPrefix: context.currentPrefix,
+                submit: function (target) {
+                    self.submitMove(context, target.prefix);
+                }
+            });
+
+            this.loadObjectReferences($modal, context);
+        },
+
+        /**
+         * Open a dialog for choosing a folder, and optionally a bucket.
+         *
+         * Shared by moving one file and by the bulk actions. A currentPrefix
+         * of null means the files come from more than one folder, so no
+         * folder is ruled out; otherwise the files' own folder in their own
+         * bucket is never a valid destination. With conflictPolicy the dialog
+         * also asks what to do about a file of the same name already there,
+         * and passes the answer on as target.onConflict.
+         */
+        openFolderPicker: function (options) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.files;
+            var bucket = options.bucket;
+
             var content = [
-                '<p class="description">' + window.S3Browser.escapeHtml(i18n.moveTo) + '</p>',
+                '<p class="description">' + window.S3Browser.escapeHtml(options.intro) + '</p>',
+                options.chooseBucket ? [
+                    '<div class="s3-modal-field s3-folder-bucket-field">',
+                    '  <label for="' + options.id + 'Bucket">' + window.S3Browser.escapeHtml(i18n.bucket) + '</label>',
+                    '  <select id="' + options.id + 'Bucket" class="s3-folder-bucket">',
+                    '    <option value="' + window.S3Browser.escapeHtml(bucket) + '">' + window.S3Browser.escapeHtml(bucket) + '</option>',
+                    '  </select>',
+                    '</div>'
+                ].join('') : '',
                 '<div class="s3-folder-tree" data-selected="">',
                 '  <ul>',
                 '    <li class="s3-folder-node is-root" data-prefix="">',
@@ -537,30 +892,52 @@
                 '    </li>',
                 '  </ul>',
                 '</div>',
+                options.conflictPolicy ? [
+                    '<div class="s3-modal-field s3-folder-conflict-field">',
+                    '  <label for="' + options.id + 'Conflict">' + window.S3Browser.escapeHtml(i18n.ifExists) + '</label>',
+                    '  <select id="' + options.id + 'Conflict" class="s3-folder-conflict">',
+                    [
+                        ['rename', s3BrowserConfig.i18n.upload.conflictRename],
+                        ['overwrite', s3BrowserConfig.i18n.upload.conflictOverwrite],
+                        ['skip', s3BrowserConfig.i18n.upload.conflictSkip]
+                    ].map(function (option) {
+                        return '    <option value="' + option[0] + '">' + window.S3Browser.escapeHtml(option[1]) + '</option>';
+                    }).join(''),
+                    '  </select>',
+                    '</div>'
+                ].join('') : '',
                 '<div class="s3-object-references" hidden></div>'
             ].join('');
 
-            var $modal = this.showModal('s3MoveModal', i18n.moveFile, content, [
+            var $modal = this.showModal(options.id, options.title, content, [
                 {
                     text: s3BrowserConfig.i18n.ui.cancel,
                     action: 'cancel',
                     callback: function () {
-                        self.hideModal('s3MoveModal');
+                        self.hideModal(options.id);
                     }
                 },
                 {
-                    text: i18n.moveHere,
+                    text: options.submitText,
                     action: 'submit',
                     classes: 'button-primary',
                     callback: function () {
-                        self.submitMove(context, $modal.find('.s3-folder-tree').attr('data-selected') || '');
+                        var selected = $modal.find('.s3-folder-tree').attr('data-selected') || '';
+
+                        options.submit({
+                            bucket: bucket,
+                            prefix: options.pickFile ? '' : selected,
+                            key: options.pickFile ? selected : '',
+                            onConflict: $modal.find('.s3-folder-conflict').val() || 'fail'
+                        });
                     }
                 }
             ]);
 
-            // Nothing is selected until a folder is clicked, and the file's
-            // own folder is never a valid destination.
-            $modal.find('button[data-action="submit"]').prop('disabled', true);
+            var $submit = $modal.find('button[data-action="submit"]');
+
+            // Nothing is selected until a folder is clicked.
+            $submit.prop('disabled', true);
 
             $modal.on('click keypress', '.s3-folder-row', function (e) {
                 if (e.type === 'keypress' && e.which !== 13 && e.which !== 32) {
@@ -572,12 +949,20 @@
                 var $node = $(this).closest('.s3-folder-node');
                 var prefix = String($node.attr('data-prefix') || '');
 
+                // Choosing a file, a folder is only somewhere to look.
+                if (options.pickFile && !$node.is('.s3-file-node')) {
+                    self.toggleFolderNode($node, bucket, true);
+                    return;
+                }
+
                 $modal.find('.s3-folder-node').removeClass('is-selected');
                 $node.addClass('is-selected');
-                $modal.find('.s3-folder-tree').attr('data-selected', prefix);
+                $modal.find('.s3-folder-tree').attr('data-selected', options.pickFile ? String($node.attr('data-key')) : prefix);
 
-                $modal.find('button[data-action="submit"]')
-                    .prop('disabled', self.samePrefix(prefix, context.currentPrefix));
+                $submit.prop('disabled', !options.pickFile
+                    && bucket === options.bucket
+                    && options.currentPrefix !== null
+                    && self.samePrefix(prefix, options.currentPrefix));
             });
 
             $modal.on('click', '.s3-folder-toggle', function (e) {
@@ -585,14 +970,56 @@
                 // below also fires and the folder gets picked on every twirl.
                 e.stopPropagation();
                 e.preventDefault();
-                self.toggleFolderNode($(this).closest('.s3-folder-node'), context.bucket);
+                self.toggleFolderNode($(this).closest('.s3-folder-node'), bucket, options.pickFile);
             });
 
-            this.loadObjectReferences($modal, context);
+            if (options.chooseBucket) {
+                this.loadBucketChoices($modal.find('.s3-folder-bucket'), bucket);
+
+                // Another bucket is another tree: start it again from the root.
+                $modal.on('change', '.s3-folder-bucket', function () {
+                    var $root = $modal.find('.s3-folder-node.is-root');
+
+                    bucket = String($(this).val());
+
+                    $modal.find('.s3-folder-tree').attr('data-selected', '');
+                    $root.removeClass('is-selected is-open is-leaf').attr('data-loaded', '')
+                        .children('.s3-folder-children').empty().prop('hidden', true);
+                    $submit.prop('disabled', true);
+
+                    self.toggleFolderNode($root, bucket, options.pickFile);
+                });
+            }
 
             // Open the root straight away; a picker showing one collapsed node
             // asks the admin to click twice to see anything.
-            this.toggleFolderNode($modal.find('.s3-folder-node.is-root'), context.bucket);
+            this.toggleFolderNode($modal.find('.s3-folder-node.is-root'), bucket, options.pickFile);
+
+            return $modal;
+        },
+
+        /**
+         * Fill a bucket dropdown with the buckets this browser may use.
+         *
+         * It starts with only the current bucket, which stays the choice if
+         * the list cannot be had -- copying within a bucket still works.
+         */
+        loadBucketChoices: function ($select, current) {
+            this.restPromise('listBuckets', {}).then(function (data) {
+                var buckets = data.buckets || [];
+
+                if (buckets.indexOf(current) === -1) {
+                    buckets.unshift(current);
+                }
+
+                $select.html(buckets.map(function (name) {
+                    var escaped = window.S3Browser.escapeHtml(name);
+
+                    return '<option value="' + escaped + '"' + (name === current ? ' selected' : '') + '>' + escaped + '</option>';
+                }).join(''));
+            }).catch(function () {
+                // The current bucket is already there to choose.
+            });
         },
 
         /**
@@ -604,8 +1031,11 @@
 
         /**
          * Expand or collapse a folder, fetching its children the first time.
+         *
+         * With withFiles, the folder's files are listed after its subfolders,
+         * for a picker choosing a file.
          */
-        toggleFolderNode: function ($node, bucket) {
+        toggleFolderNode: function ($node, bucket, withFiles) {
             var self = this;
             var $children = $node.children('.s3-folder-children');
 
@@ -620,19 +1050,28 @@
                 '<li class="s3-folder-loading">' + window.S3Browser.escapeHtml(s3BrowserConfig.i18n.files.loadingFolders) + '</li>'
             );
 
-            this.makeAjaxRequest('listFolders', {
+            var params = {
                 bucket: bucket,
                 prefix: String($node.attr('data-prefix') || '')
-            }, {
+            };
+
+            if (withFiles) {
+                params.files = true;
+            }
+
+            this.makeAjaxRequest('listFolders', params, {
                 success: function (response) {
                     var folders = (response.data && response.data.folders) || [];
+                    var files = withFiles ? ((response.data && response.data.files) || []) : [];
 
                     $node.attr('data-loaded', '1');
 
-                    if (!folders.length) {
+                    if (!folders.length && !files.length) {
                         $node.addClass('is-leaf');
                         $children.html(
-                            '<li class="s3-folder-empty">' + window.S3Browser.escapeHtml(s3BrowserConfig.i18n.files.noSubfolders) + '</li>'
+                            '<li class="s3-folder-empty">' + window.S3Browser.escapeHtml(
+                                withFiles ? s3BrowserConfig.i18n.files.noFiles : s3BrowserConfig.i18n.files.noSubfolders
+                            ) + '</li>'
                         );
                         return;
                     }
@@ -648,6 +1087,16 @@
                             '  <ul class="s3-folder-children" hidden></ul>',
                             '</li>'
                         ].join('');
+                    }).join('') + files.map(function (file) {
+                        return [
+                            '<li class="s3-folder-node s3-file-node" data-key="' + window.S3Browser.escapeHtml(file.key) + '">',
+                            '  <div class="s3-folder-row" role="button" tabindex="0">',
+                            '    <span class="s3-folder-toggle"></span>',
+                            '    <span class="dashicons dashicons-media-default s3-folder-icon"></span>',
+                            '    <span class="s3-folder-label">' + window.S3Browser.escapeHtml(file.name) + '</span>',
+                            '  </div>',
+                            '</li>'
+                        ].join('');
                     }).join(''));
                 },
                 error: function (message) {
@@ -677,11 +1126,9 @@
                         'success'
                     );
 
-                    // The list table is rendered server-side, so the row only
-                    // leaves this folder on a reload.
-                    setTimeout(function () {
-                        window.location.reload();
-                    }, 1500);
+                    // The folders the picker offers are already listed, so
+                    // the file leaving is the only change this one shows.
+                    self.removeRows([context.key]);
                 },
                 error: function (message) {
                     self.setModalLoading('s3MoveModal', false);
@@ -777,9 +1224,8 @@
                     self.showNotification(response.data.message || s3BrowserConfig.i18n.files.renameSuccess, 'success');
                     self.hideModal('s3RenameModal');
 
-                    setTimeout(function () {
-                        window.location.reload();
-                    }, 1500);
+                    self.removeRows([context.key]);
+                    self.upsertRows(response.data.row);
                 },
                 error: function (message) {
                     self.showModalError('s3RenameModal', message);
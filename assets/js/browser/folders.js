@@ -1,6 +1,7 @@
 /**
- * S3 Browser Folders - Folder operations (create, delete, navigate)
- * Handles folder creation, deletion, and navigation with simplified modals
+ * S3 Browser Folders - Folder operations (create, delete, rename, move, navigate)
+ * Handles folder creation, deletion, and navigation with simplified modals.
+ * Renames and moves run on the server as a job, polled here for progress.
  */
 (function ($) {
     'use strict';
@@ -12,6 +13,7 @@
          * Handle folder open button click
          */
         handleFolderOpen: function ($button) {
+            var self = this;
             var prefix = $button.data('prefix');
             var bucket = $button.data('bucket');
 
@@ -21,10 +23,20 @@
 
             // Navigate to the folder
             try {
-                this.navigateTo({
+                var navigation = this.navigateTo({
                     bucket: bucket,
                     prefix: prefix
                 });
+
+                // Opened in place, the button is gone with the old listing;
+                // one that did not open is still on screen.
+                if (navigation) {
+                    navigation.then(function (opened) {
+                        if (!opened) {
+                            self.clearButtonBusy($button);
+                        }
+                    });
+                }
             } catch (error) {
                 // Reset button state if navigation fails
                 $button.html(originalHtml);
@@ -74,10 +86,7 @@
                             response.data.message || s3BrowserConfig.i18n.folders.deleteFolderSuccess,
                             'success'
                         );
-
-                        setTimeout(function () {
-                            window.location.reload();
-                        }, 1500);
+                        self.removeRows([folderPath]);
                     }, 500);
                 },
                 error: function (message) {
@@ -209,15 +218,321 @@
 
                     self.showNotification(successMessage, 'success');
                     self.hideModal('s3FolderModal');
-
-                    setTimeout(function () {
-                        window.location.reload();
-                    }, 1500);
+                    self.upsertRows(response.data.row);
                 },
                 error: function (message) {
                     self.showModalError('s3FolderModal', message);
                 }
             });
+        },
+
+        /**
+         * Open the rename dialog for a folder
+         */
+        openRenameFolderModal: function ($button) {
+            var self = this;
+            var context = this.folderContext($button);
+
+            var content = [
+                '<div class="s3-modal-field">',
+                '<label for="s3FolderRenameInput">' + s3BrowserConfig.i18n.folders.newFolderName + '</label>',
+                '<input type="text" id="s3FolderRenameInput" maxlength="63">',
+                '<p class="description">' + s3BrowserConfig.i18n.folders.folderNameHelp + '</p>',
+                '</div>'
+            ].join('');
+
+            var $modal = this.showModal('s3FolderRenameModal', s3BrowserConfig.i18n.folders.renameFolder, content, [
+                {
+                    text: s3BrowserConfig.i18n.ui.cancel,
+                    action: 'cancel',
+                    callback: function () {
+                        self.hideModal('s3FolderRenameModal');
+                    }
+                },
+                {
+                    text: s3BrowserConfig.i18n.folders.renameFolder,
+                    action: 'submit',
+                    classes: 'button-primary',
+                    callback: function () {
+                        self.submitFolderRename(context);
+                    }
+                }
+            ]);
+
+            // Assigned as a property, not interpolated: see openRenameModal().
+            $modal.find('#s3FolderRenameInput').val(context.name);
+            $modal.find('button[data-action="submit"]').prop('disabled', true);
+
+            $modal.on('keyup', '#s3FolderRenameInput', function (e) {
+                var name = e.target.value.trim();
+                var validation = self.validateFolderName(name);
+                var $error = $modal.find('.s3-modal-error');
+
+                $error.hide();
+
+                if (!validation.valid && name.length > 0) {
+                    $error.text(validation.message).show();
+                }
+
+                $modal.find('button[data-action="submit"]').prop('disabled', !validation.valid || name === context.name);
+            }).on('keydown', '#s3FolderRenameInput', function (e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.submitFolderRename(context);
+                }
+            });
+
+            setTimeout(function () {
+                $('#s3FolderRenameInput').focus().select();
+            }, 250);
+        },
+
+        /**
+         * Check the new name, then hand over to the move
+         */
+        submitFolderRename: function (context) {
+            var name = $('#s3FolderRenameInput').val().trim();
+            var validation = this.validateFolderName(name);
+
+            if (!validation.valid) {
+                this.showModalError('s3FolderRenameModal', validation.message);
+                return;
+            }
+
+            if (name === context.name) {
+                this.showModalError('s3FolderRenameModal', s3BrowserConfig.i18n.folders.folderNameSame);
+                return;
+            }
+
+            this.confirmFolderMove('s3FolderRenameModal', context, this.parentPrefix(context.prefix) + name + '/');
+        },
+
+        /**
+         * Open the folder picker to move a folder into another
+         */
+        openMoveFolderModal: function ($button) {
+            var self = this;
+            var context = this.folderContext($button);
+
+            this.openFolderPicker({
+                id: 's3FolderMoveModal',
+                title: s3BrowserConfig.i18n.folders.moveFolder,
+                intro: s3BrowserConfig.i18n.folders.moveFolderTo,
+                submitText: s3BrowserConfig.i18n.files.moveHere,
+                bucket: context.bucket,
+                currentPrefix: this.parentPrefix(context.prefix),
+                submit: function (target) {
+                    var prefix = String(target.prefix).replace(/^\/+|\/+$/g, '');
+                    var parent = prefix ? prefix + '/' : '';
+
+                    // The tree offers the folder's own subfolders too.
+                    if (parent.indexOf(context.prefix) === 0) {
+                        self.showModalError('s3FolderMoveModal', s3BrowserConfig.i18n.folders.moveIntoItself);
+                        return;
+                    }
+
+                    self.confirmFolderMove('s3FolderMoveModal', context, parent + context.name + '/');
+                }
+            });
+        },
+
+        /**
+         * The folder a row action was taken on
+         */
+        folderContext: function ($button) {
+            var prefix = String($button.attr('data-prefix'));
+
+            return {
+                name: String($button.attr('data-folder-name')),
+                bucket: String($button.attr('data-bucket')),
+                prefix: prefix.slice(-1) === '/' ? prefix : prefix + '/'
+            };
+        },
+
+        /**
+         * Count the folder, say what the move involves, and start it
+         *
+         * The count and the references come first, so nothing is copied
+         * until the admin has seen how much there is and which products
+         * will have their links changed.
+         */
+        confirmFolderMove: function (modalId, context, targetPath) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.folders;
+
+            this.setModalLoading(modalId, true, i18n.countingFiles);
+
+            this.countFolder(context.bucket, context.prefix, function (count) {
+                self.setModalLoading(modalId, true, i18n.countingProgress.replace('{count}', count));
+            }).then(function (contents) {
+                var message = i18n.confirmMoveFolder
+                    .replace('{count}', contents.count)
+                    .replace('{from}', context.prefix)
+                    .replace('{to}', targetPath)
+                    .replace(/\\n/g, '\n');
+
+                if (contents.referenced.length) {
+                    message += '\n\n' + i18n.referencesFollow.replace('{count}', contents.referenced.length) + '\n' +
+                        contents.referenced.map(function (object) {
+                            return '• ' + object.key.slice(context.prefix.length) + ': ' + object.references.map(function (reference) {
+                                return reference.label;
+                            }).join(', ');
+                        }).join('\n');
+                }
+
+                if (!confirm(message)) {
+                    self.setModalLoading(modalId, false);
+                    return;
+                }
+
+                return self.restPromise('moveFolder', {
+                    bucket: context.bucket,
+                    folder_path: context.prefix,
+                    target_path: targetPath
+                }).then(function (job) {
+                    self.hideModal(modalId);
+                    self.watchFolderJob(context, job, contents.count);
+                });
+            }).catch(function (error) {
+                self.showModalError(modalId, error.message);
+            });
+        },
+
+        /**
+         * Count everything under a folder, and what refers to any of it
+         *
+         * Resolves {count, referenced}. The server counts a few thousand keys
+         * a call; onProgress hears the running total after each.
+         */
+        countFolder: function (bucket, folderPath, onProgress) {
+            var self = this;
+            var contents = {count: 0, referenced: []};
+
+            var next = function (token) {
+                return self.restPromise('folderContents', {
+                    bucket: bucket,
+                    folder_path: folderPath,
+                    continuation_token: token
+                }).then(function (data) {
+                    contents.count += data.count || 0;
+                    contents.referenced = contents.referenced.concat(data.referenced || []);
+
+                    if (!data.continuation_token) {
+                        return contents;
+                    }
+
+                    onProgress && onProgress(contents.count);
+
+                    return next(data.continuation_token);
+                });
+            };
+
+            return next('');
+        },
+
+        /**
+         * Show a folder job's progress, moving it along a batch per poll
+         *
+         * Each poll moves the next batch, so the next one goes out as soon as
+         * the last comes back. When cron has the job in hand the poll only
+         * reports, and the next waits a little.
+         */
+        watchFolderJob: function (context, job, total) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.folders;
+            var stopped = false;
+
+            var content = [
+                '<p class="s3-bulk-summary" aria-live="polite"></p>',
+                '<progress class="s3-folder-job-progress" max="' + Math.max(total, 1) + '" value="0"></progress>',
+                '<ul class="s3-bulk-items"></ul>'
+            ].join('');
+
+            var $modal = this.showModal('s3FolderJobModal', this.escapeHtml(i18n.movingFolder.replace('{name}', context.name)), content, [
+                {
+                    text: i18n.stopMove,
+                    action: 'stop',
+                    callback: function () {
+                        stopped = true;
+                        $modal.find('button[data-action="stop"]').prop('disabled', true);
+                        self.restPromise('cancelFolderJob', {bucket: context.bucket, job: job.job}).then(function (data) {
+                            show(data);
+                        }, function (error) {
+                            self.showNotification(error.message, 'error');
+                        });
+                    }
+                },
+                {
+                    text: s3BrowserConfig.i18n.ui.close,
+                    action: 'close',
+                    callback: function () {
+                        // The job carries on; only the watching stops.
+                        self.hideModal('s3FolderJobModal');
+                    }
+                }
+            ]);
+
+            var show = function (data) {
+                var text = i18n.folderJobProgress.replace('{moved}', data.moved).replace('{total}', total);
+
+                if (data.failed) {
+                    text += ' ' + i18n.folderJobFailures.replace('{failed}', data.failed);
+                }
+
+                $modal.find('.s3-bulk-summary').text(text);
+                $modal.find('.s3-folder-job-progress').val(data.moved + data.failed);
+            };
+
+            var poll = function (previous) {
+                self.restPromise('folderJob', {bucket: context.bucket, job: job.job}).then(function (data) {
+                    show(data);
+
+                    if (data.status === 'running' && !stopped) {
+                        setTimeout(function () {
+                            poll(data.moved + data.failed);
+                        }, data.moved + data.failed === previous ? 2000 : 0);
+                        return;
+                    }
+
+                    self.finishFolderJob(context, data, $modal);
+                }, function (error) {
+                    self.showNotification(error.message, 'error');
+                });
+            };
+
+            show(job);
+            poll(-1);
+        },
+
+        /**
+         * Report how a folder job ended and bring the rows up to date
+         */
+        finishFolderJob: function (context, data, $modal) {
+            var self = this;
+            var parent = this.parentPrefix(context.prefix);
+
+            $modal.find('button[data-action="stop"]').prop('disabled', true);
+
+            $modal.find('.s3-bulk-items').html((data.failures || []).map(function (failure) {
+                return [
+                    '<li class="s3-bulk-item is-failed">',
+                    '  <span class="s3-bulk-icon dashicons" aria-hidden="true"></span>',
+                    '  <span class="s3-bulk-name">' + self.escapeHtml(failure.key) + '</span>',
+                    '  <span class="s3-bulk-message">' + self.escapeHtml(failure.message) + '</span>',
+                    '</li>'
+                ].join('');
+            }).join(''));
+
+            this.showNotification(data.message, data.status === 'done' && !data.failed ? 'success' : 'error');
+
+            // A stopped or partly failed move leaves files in both folders,
+            // so both rows are fetched again rather than assumed.
+            if (this.isCurrentLocation(context.bucket, parent)) {
+                this.removeRows([context.prefix]);
+                this.refreshRows(context.bucket, parent, [context.prefix, data.target_path]);
+            } else if (this.isCurrentLocation(context.bucket, this.parentPrefix(data.target_path))) {
+                this.refreshRows(context.bucket, this.parentPrefix(data.target_path), [data.target_path]);
+            }
         }
 
     });
@@ -0,0 +1,233 @@
+/**
+ * S3 Browser Grid
+ * Switches the listing between rows and cards, and fills image cards with
+ * thumbnails as they scroll into view. The cards are the table's own rows
+ * laid out differently, so search, selection, Load More and the row actions
+ * work on them exactly as they do on the list.
+ */
+(function ($) {
+    'use strict';
+
+    // Keys signed per request: the most the route takes.
+    var BATCH = 100;
+
+    // How long a thumbnail URL is minted for, and how long before it runs
+    // out a card drawn again asks for a fresh one.
+    var URL_MINUTES = 60;
+    var URL_MARGIN = 60;
+
+    // Cards this far below the fold start loading, so a steady scroll
+    // meets images rather than icons.
+    var ROOT_MARGIN = '300px 0px';
+
+    $.extend(window.S3Browser, {
+
+        thumbnailUrls: {},
+        thumbnailQueue: [],
+        thumbnailTimer: null,
+        thumbnailObserver: null,
+
+        /**
+         * Wire the view switch and start watching for cards to fill
+         */
+        bindViewEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3view').on('click.s3view', '.s3-view-button', function (e) {
+                e.preventDefault();
+                self.setView($(this).data('view'));
+            });
+
+            this.watchThumbnails();
+        },
+
+        /**
+         * Whether the listing is showing cards
+         */
+        isGridView: function () {
+            return $('.wp-list-table').hasClass('s3-grid-view');
+        },
+
+        /**
+         * Show the listing as a list or a grid, and keep the choice
+         */
+        setView: function (view) {
+            var self = this;
+            var grid = view === 'grid';
+
+            if (grid === this.isGridView()) return;
+
+            $('.wp-list-table').toggleClass('s3-grid-view', grid);
+            $('.s3-view-button').each(function () {
+                $(this).attr('aria-pressed', String($(this).data('view') === view));
+            });
+
+            this.hideHoverPreview();
+            this.observeThumbnails();
+
+            this.restPromise('setViewMode', {view: view}).catch(function (error) {
+                self.showNotification(error.message, 'error');
+            });
+        },
+
+        /**
+         * Notice new cards wherever they come from
+         *
+         * Rows arrive from a listing, Load More, a search, an upload and a
+         * rename, so new ones are picked up here rather than each of those
+         * remembering to ask. Without IntersectionObserver every card keeps
+         * its icon.
+         */
+        watchThumbnails: function () {
+            var self = this;
+            var table = $('.wp-list-table')[0];
+            var pending = false;
+
+            if (!table || !window.IntersectionObserver || !window.MutationObserver) return;
+
+            this.thumbnailObserver = new IntersectionObserver(function (entries) {
+                entries.forEach(function (entry) {
+                    if (!entry.isIntersecting) return;
+
+                    self.thumbnailObserver.unobserve(entry.target);
+                    self.queueThumbnail($(entry.target));
+                });
+            }, {rootMargin: ROOT_MARGIN});
+
+            new MutationObserver(function () {
+                if (pending) return;
+
+                pending = true;
+                window.requestAnimationFrame(function () {
+                    pending = false;
+                    self.observeThumbnails();
+                });
+            }).observe(table, {childList: true, subtree: true});
+
+            this.observeThumbnails();
+        },
+
+        /**
+         * Watch the image cards on the page that have no thumbnail yet
+         *
+         * The mark is jQuery data rather than an attribute: rows are cloned
+         * when the table is drawn again, and a clone has to be watched anew.
+         */
+        observeThumbnails: function () {
+            var self = this;
+
+            if (!this.thumbnailObserver || !this.isGridView()) return;
+
+            $('.wp-list-table tbody .s3-filename[data-category="image"]').each(function () {
+                var $thumb = $(this).closest('td').find('.s3-thumb');
+
+                if (!$thumb.length || $thumb.data('s3Watched') || $thumb.children('img').length) return;
+
+                $thumb.data('s3Watched', true);
+                self.thumbnailObserver.observe($thumb[0]);
+            });
+        },
+
+        /**
+         * Fill a card now if its URL is in hand, or ask for it with the next batch
+         */
+        queueThumbnail: function ($thumb) {
+            var self = this;
+            var bucket = this.currentLocation ? this.currentLocation.bucket : '';
+            var key = $thumb.closest('td').find('.s3-filename').attr('data-key');
+            var cached = this.thumbnailUrls[bucket + '/' + key];
+
+            if (!bucket || !key) return;
+
+            if (cached && cached.expires - URL_MARGIN > Date.now() / 1000) {
+                this.setThumbnail($thumb, cached.url);
+                return;
+            }
+
+            this.thumbnailQueue.push({bucket: bucket, key: key, $thumb: $thumb});
+
+            // Cards come into view a few at a time as the page scrolls; the
+            // wait gathers them into one request.
+            clearTimeout(this.thumbnailTimer);
+            this.thumbnailTimer = setTimeout(function () {
+                self.loadThumbnails();
+            }, 100);
+        },
+
+        /**
+         * Sign the queued keys a batch at a time and fill their cards
+         *
+         * A batch that cannot be signed leaves its cards with their icons,
+         * to be tried again when the table is next drawn.
+         */
+        loadThumbnails: function () {
+            var self = this;
+            var queue = this.thumbnailQueue;
+            var waiting = {};
+            var batches = [];
+
+            this.thumbnailQueue = [];
+
+            queue.forEach(function (item) {
+                var cacheKey = item.bucket + '/' + item.key;
+
+                if (!waiting[cacheKey]) {
+                    waiting[cacheKey] = [];
+
+                    if (!batches.length || batches[batches.length - 1].bucket !== item.bucket || batches[batches.length - 1].keys.length >= BATCH) {
+                        batches.push({bucket: item.bucket, keys: []});
+                    }
+
+                    batches[batches.length - 1].keys.push(item.key);
+                }
+
+                waiting[cacheKey].push(item.$thumb);
+            });
+
+            batches.forEach(function (batch) {
+                self.restPromise('downloadUrls', {
+                    bucket: batch.bucket,
+                    keys: batch.keys,
+                    expires_minutes: URL_MINUTES
+                }).then(function (data) {
+                    (data.urls || []).forEach(function (signed) {
+                        var cacheKey = batch.bucket + '/' + signed.key;
+
+                        self.thumbnailUrls[cacheKey] = {url: signed.url, expires: data.expires_at};
+
+                        (waiting[cacheKey] || []).forEach(function ($thumb) {
+                            self.setThumbnail($thumb, signed.url);
+                        });
+                    });
+                }).catch(function () {
+                    batch.keys.forEach(function (key) {
+                        (waiting[batch.bucket + '/' + key] || []).forEach(function ($thumb) {
+                            $thumb.removeData('s3Watched');
+                        });
+                    });
+                });
+            });
+        },
+
+        /**
+         * Put a thumbnail in a card
+         *
+         * An image the browser cannot draw -- a TIFF, a PSD -- is taken out
+         * again and the card keeps its icon.
+         */
+        setThumbnail: function ($thumb, url) {
+            if ($thumb.children('img').length) return;
+
+            $('<img alt="" decoding="async">')
+                .on('load', function () {
+                    $thumb.addClass('has-image');
+                })
+                .on('error', function () {
+                    $(this).remove();
+                })
+                .attr('src', url)
+                .appendTo($thumb);
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,380 @@
+/**
+ * S3 Browser Keyboard
+ * Moves through the listing with the arrow keys and acts on the row reached
+ * without the mouse: open or insert, tick, delete, rename, search and go up a
+ * folder. ? lists the shortcuts. The row actions show on the focused row, so
+ * Tab reaches the rest.
+ */
+(function ($) {
+    'use strict';
+
+    var TABLE = '.s3-browser-container .wp-list-table';
+
+    var i18n = s3BrowserConfig.i18n.shortcuts;
+
+    $.extend(window.S3Browser, {
+
+        // The row last reached by keyboard, found again by its key after the
+        // focus has been in a modal or the table has been redrawn.
+        keyboardRowKey: null,
+
+        /**
+         * Listen for the shortcuts, and follow the mouse to the row clicked
+         */
+        bindKeyboardEvents: function () {
+            var self = this;
+
+            $(document).off('keydown.s3keys').on('keydown.s3keys', function (e) {
+                self.handleShortcut(e);
+            });
+
+            // Where the arrows carry on from after a click.
+            $(document).off('click.s3keys').on('click.s3keys', TABLE + ' > tbody > tr', function () {
+                self.keyboardRowKey = self.keyboardRowKeyOf($(this));
+            });
+        },
+
+        /**
+         * Act on a key pressed anywhere on the page
+         *
+         * Keys typed into a field are the field's, and a modal open on top
+         * has the keyboard to itself; Escape leaves the search for the table.
+         * With Ctrl, Cmd or Alt held the key is the browser's.
+         */
+        handleShortcut: function (e) {
+            var $target = $(e.target);
+
+            if (!$(TABLE).length || e.ctrlKey || e.metaKey || e.altKey) return;
+
+            if ($('.s3-modal-overlay:visible, .s3-progress-overlay').length) return;
+
+            if ($target.is(':input, [contenteditable="true"]')) {
+                if (e.key === 'Escape' && $target.is('#s3-js-search')) {
+                    e.preventDefault();
+                    this.focusRow(this.keyboardRow() || this.keyboardRows().first());
+                }
+                return;
+            }
+
+            // A focused link or button answers Enter and Space itself.
+            if ((e.key === 'Enter' || e.key === ' ') && $target.is('a, button')) return;
+
+            var handled = true;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    this.moveRow(this.isGridView() ? this.gridColumns() : 1);
+                    break;
+                case 'ArrowUp':
+                    this.moveRow(this.isGridView() ? -this.gridColumns() : -1);
+                    break;
+                case 'ArrowRight':
+                case 'ArrowLeft':
+                    // In the list the arrows across scroll a wide table.
+                    if (!this.isGridView()) return;
+                    this.moveRow(e.key === 'ArrowRight' ? 1 : -1);
+                    break;
+                case 'Home':
+                    this.focusRow(this.keyboardRows().first());
+                    break;
+                case 'End':
+                    this.focusRow(this.keyboardRows().last());
+                    break;
+                case 'Enter':
+                    handled = this.openRow(this.keyboardRow());
+                    break;
+                case ' ':
+                    handled = this.toggleRow(this.keyboardRow());
+                    break;
+                case 'Delete':
+                    handled = this.deleteRow(this.keyboardRow());
+                    break;
+                case 'F2':
+                    handled = this.renameRow(this.keyboardRow());
+                    break;
+                case '/':
+                    $('#s3-js-search').trigger('focus').trigger('select');
+                    break;
+                case 'Backspace':
+                    handled = this.goUpFolder();
+                    break;
+                case '?':
+                    this.showShortcuts();
+                    break;
+                default:
+                    handled = false;
+            }
+
+            if (handled) {
+                e.preventDefault();
+            }
+        },
+
+        /**
+         * The rows the arrows move through: those showing
+         *
+         * @returns {jQuery}
+         */
+        keyboardRows: function () {
+            return $(TABLE + ' > tbody > tr:visible').not('.no-items, .s3-no-results');
+        },
+
+        /**
+         * What a row is found again by: a key or prefix, or a bucket name
+         *
+         * @returns {string|null}
+         */
+        keyboardRowKeyOf: function ($row) {
+            var key = $row.attr('data-row-key');
+
+            if (key === undefined) {
+                key = $row.find('.bucket-name').data('bucket');
+            }
+
+            return key === undefined ? null : String(key);
+        },
+
+        /**
+         * The row the keys act on
+         *
+         * The focused row, or the one focus is inside, or else the row last
+         * reached while it is still showing.
+         *
+         * @returns {jQuery|null}
+         */
+        keyboardRow: function () {
+            var self = this;
+            var $rows = this.keyboardRows();
+            var $focused = $rows.filter(function () {
+                return this === document.activeElement || $.contains(this, document.activeElement);
+            });
+
+            if ($focused.length) return $focused.first();
+
+            if (this.keyboardRowKey === null) return null;
+
+            var $remembered = $rows.filter(function () {
+                return self.keyboardRowKeyOf($(this)) === self.keyboardRowKey;
+            });
+
+            return $remembered.length ? $remembered.first() : null;
+        },
+
+        /**
+         * Move focus to a row, scrolling it into view
+         */
+        focusRow: function ($row) {
+            if (!$row || !$row.length) return;
+
+            this.keyboardRowKey = this.keyboardRowKeyOf($row);
+
+            $row.attr('tabindex', '-1').trigger('focus');
+
+            if ($row[0].scrollIntoView) {
+                $row[0].scrollIntoView({block: 'nearest'});
+            }
+        },
+
+        /**
+         * Move a number of rows on, or back, from the current one
+         *
+         * From no row, down starts at the first and up at the last. Past
+         * either end the focus stays where it is.
+         */
+        moveRow: function (step) {
+            var $rows = this.keyboardRows();
+            var $row = this.keyboardRow();
+
+            if (!$rows.length) return;
+
+            if (!$row) {
+                this.focusRow(step > 0 ? $rows.first() : $rows.last());
+                return;
+            }
+
+            var index = $rows.index($row) + step;
+
+            this.focusRow($rows.eq(Math.max(0, Math.min($rows.length - 1, index))));
+        },
+
+        /**
+         * How many cards sit side by side in the grid
+         *
+         * @returns {number}
+         */
+        gridColumns: function () {
+            var $rows = this.keyboardRows();
+            var top = $rows.length ? $rows.first().offset().top : 0;
+            var columns = 0;
+
+            $rows.each(function () {
+                if (Math.abs($(this).offset().top - top) > 1) return false;
+                columns++;
+            });
+
+            return Math.max(1, columns);
+        },
+
+        /**
+         * Open a folder or bucket, or insert a file, as its row's button would
+         *
+         * @returns {boolean} Whether the row had anything to open.
+         */
+        openRow: function ($row) {
+            if (!$row) return false;
+
+            var $folder = $row.find('.s3-open-folder');
+            var $insert = $row.find('.s3-insert-file');
+            var $bucket = $row.find('.bucket-name');
+
+            if ($folder.length) {
+                this.handleFolderOpen($folder.first());
+            } else if ($insert.length) {
+                this.handleFileSelection($insert.first());
+            } else if ($bucket.length) {
+                this.navigateTo({bucket: $bucket.data('bucket')});
+            } else {
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Tick or untick a file's row
+         *
+         * @returns {boolean} Whether the row has a tick box.
+         */
+        toggleRow: function ($row) {
+            var $input = $row ? $row.find('.s3-select-file') : $();
+
+            if (!$input.length) return false;
+
+            $input.prop('checked', !$input.prop('checked')).trigger('change');
+
+            return true;
+        },
+
+        /**
+         * Delete the ticked files, or else the row's file or folder
+         *
+         * Through the same confirmations the buttons ask for.
+         *
+         * @returns {boolean} Whether there was anything to delete.
+         */
+        deleteRow: function ($row) {
+            var files = this.selectedFiles();
+
+            if (files.length && $('.s3-bulk-action[data-bulk-action="delete"]').length) {
+                if (!this.bulkRunning) {
+                    this.bulkDelete(files);
+                }
+                return true;
+            }
+
+            var $file = $row ? $row.find('.s3-delete-file') : $();
+            var $folder = $row ? $row.find('.s3-delete-folder') : $();
+
+            if ($file.length) {
+                this.deleteFile($file.first());
+            } else if ($folder.length) {
+                this.deleteFolderConfirm($folder.first());
+            } else {
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Rename the row's file or folder
+         *
+         * @returns {boolean} Whether the row can be renamed.
+         */
+        renameRow: function ($row) {
+            var $file = $row ? $row.find('.s3-rename-file') : $();
+            var $folder = $row ? $row.find('.s3-rename-folder') : $();
+
+            if ($file.length) {
+                this.openRenameModal($file.first());
+            } else if ($folder.length) {
+                this.openRenameFolderModal($folder.first());
+            } else {
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Go up to the folder above, or from a bucket's top to the buckets
+         *
+         * @returns {boolean} Whether there was anywhere to go.
+         */
+        goUpFolder: function () {
+            var location = this.currentLocation;
+
+            if (!location || !$('.s3-upload-zone').length) return false;
+
+            if (location.prefix) {
+                this.navigateTo({bucket: location.bucket, prefix: this.parentPrefix(location.prefix)});
+                return true;
+            }
+
+            // The breadcrumbs start at the bucket list, which only a page
+            // load draws.
+            var $root = $('.s3-browser-breadcrumbs .breadcrumb a').first();
+            var href = $root.attr('href');
+
+            if (!href || this.locationFromUrl(href)) return false;
+
+            window.location.href = href;
+
+            return true;
+        },
+
+        /**
+         * List the shortcuts in a modal
+         */
+        showShortcuts: function () {
+            var self = this;
+            var rows = [
+                [['↑', '↓'], i18n.move],
+                [['Home', 'End'], i18n.firstLast],
+                [['Enter'], i18n.open],
+                [[i18n.keySpace], i18n.select],
+                [['Delete'], i18n.remove],
+                [['F2'], i18n.rename],
+                [['/'], i18n.search],
+                [['Esc'], i18n.leaveSearch],
+                [['Backspace'], i18n.up],
+                [['?'], i18n.help]
+            ];
+
+            var content = [
+                '<p class="description">' + i18n.intro + '</p>',
+                '<table class="s3-shortcuts-table widefat striped"><tbody>',
+                rows.map(function (row) {
+                    var keys = row[0].map(function (key) {
+                        return '<kbd>' + self.escapeHtml(key) + '</kbd>';
+                    }).join(' ');
+
+                    return '<tr><th scope="row">' + keys + '</th><td>' + self.escapeHtml(row[1]) + '</td></tr>';
+                }).join(''),
+                '</tbody></table>'
+            ].join('');
+
+            this.showModal('s3ShortcutsModal', i18n.title, content, [
+                {
+                    text: s3BrowserConfig.i18n.ui.close,
+                    action: 'close',
+                    classes: 'button-primary',
+                    callback: function () {
+                        self.hideModal('s3ShortcutsModal');
+                    }
+                }
+            ]);
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,275 @@
+/**
+ * S3 Browser Shared Links
+ * The shared links panel: every link handed out from the copy link dialog
+ * or the bulk links action, who made it and until when, filtered here and
+ * exported as CSV. A link made through this site can be revoked from the
+ * list, and the downloads through such links are counted there and in the
+ * details dialog.
+ */
+(function ($) {
+    'use strict';
+
+    var MODAL = 's3SharedLinksModal';
+    var LIST = '#' + MODAL + ' .s3-shared-links-list';
+    var DOWNLOADS = '#s3DetailsModal .s3-downloads-pane';
+
+    var i18n = s3BrowserConfig.i18n.sharedLinks;
+
+    $.extend(window.S3Browser, {
+
+        sharedLinks: null,
+
+        sharedLinksTimeout: null,
+
+        objectDownloads: null,
+
+        /**
+         * Wire the panel's button, filters and row actions
+         */
+        bindSharedLinkEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3links').on('click.s3links', '.s3-shared-links', function (e) {
+                e.preventDefault();
+                self.openSharedLinks();
+            });
+
+            $(document).off('change.s3links').on('change.s3links', '#' + MODAL + ' .s3-shared-links-filter', function () {
+                self.loadSharedLinks();
+            });
+
+            // Typing searches once it pauses, as the file search does.
+            $(document).off('input.s3links').on('input.s3links', '#s3SharedLinksSearch', function () {
+                clearTimeout(self.sharedLinksTimeout);
+                self.sharedLinksTimeout = setTimeout(function () {
+                    self.loadSharedLinks();
+                }, 300);
+            });
+
+            $(document).on('click.s3links', LIST + ' .s3-shared-link-copy', function (e) {
+                e.preventDefault();
+                self.copySharedLink($(this));
+            });
+
+            $(document).on('click.s3links', LIST + ' .s3-shared-link-revoke', function (e) {
+                e.preventDefault();
+                self.revokeSharedLink($(this));
+            });
+        },
+
+        /**
+         * Open the panel on the links still active
+         */
+        openSharedLinks: function () {
+            var self = this;
+
+            var content = [
+                '<div class="s3-shared-links-filters">',
+                '<label for="s3SharedLinksStatus" class="screen-reader-text">' + i18n.status + '</label>',
+                '<select id="s3SharedLinksStatus" class="s3-shared-links-filter">',
+                '<option value="active">' + i18n.statusActive + '</option>',
+                '<option value="expired">' + i18n.statusExpired + '</option>',
+                '<option value="revoked">' + i18n.statusRevoked + '</option>',
+                '<option value="all">' + i18n.statusAll + '</option>',
+                '</select>',
+                '<label for="s3SharedLinksSearch" class="screen-reader-text">' + i18n.search + '</label>',
+                '<input type="search" id="s3SharedLinksSearch" placeholder="' + i18n.search + '">',
+                '<label><input type="checkbox" id="s3SharedLinksMine" class="s3-shared-links-filter"> ' + i18n.mine + '</label>',
+                '</div>',
+                '<div class="s3-shared-links-list"></div>'
+            ].join('');
+
+            this.showModal(MODAL, i18n.title, content, [
+                {
+                    text: i18n.exportCsv,
+                    action: 'export',
+                    callback: function () {
+                        self.exportSharedLinks();
+                    }
+                },
+                {
+                    text: s3BrowserConfig.i18n.ui.close,
+                    action: 'close',
+                    classes: 'button-primary',
+                    callback: function () {
+                        self.hideModal(MODAL);
+                    }
+                }
+            ]);
+
+            this.loadSharedLinks();
+        },
+
+        /**
+         * Read the links the filters ask for into the panel
+         */
+        loadSharedLinks: function () {
+            var self = this;
+            var state = {
+                filters: {
+                    status: $('#s3SharedLinksStatus').val() || 'active',
+                    search: $.trim($('#s3SharedLinksSearch').val() || ''),
+                    mine: $('#s3SharedLinksMine').is(':checked')
+                },
+                links: null
+            };
+
+            this.sharedLinks = state;
+
+            $(LIST).empty().append($('<p class="s3-shared-links-loading">').text(i18n.loading));
+
+            this.restPromise('sharedLinks', state.filters).then(function (data) {
+                // The filters changed, or the panel closed, meanwhile.
+                if (self.sharedLinks !== state) return;
+
+                state.links = data.links;
+                $(LIST).html(wp.template('s3-shared-links')(data));
+            }).catch(function (error) {
+                if (self.sharedLinks !== state) return;
+
+                $(LIST).empty().append($('<p class="s3-shared-links-error">').text(error.message || i18n.loadFailed));
+            });
+        },
+
+        /**
+         * The link a button in the list belongs to
+         *
+         * @returns {Object|null}
+         */
+        sharedLinkFor: function ($button) {
+            var state = this.sharedLinks;
+            var id = String($button.closest('.s3-shared-link').attr('data-link'));
+
+            if (!state || !state.links) return null;
+
+            return state.links.filter(function (link) {
+                return link.id === id;
+            })[0] || null;
+        },
+
+        /**
+         * Copy a revocable link again
+         */
+        copySharedLink: function ($button) {
+            var self = this;
+            var link = this.sharedLinkFor($button);
+
+            if (!link || !link.url) return;
+
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(link.url).then(function () {
+                    self.showNotification(s3BrowserConfig.i18n.copyLink.linkCopied, 'success');
+                }).catch(function () {
+                    self.fallbackCopyToClipboard(link.url);
+                });
+            } else {
+                this.fallbackCopyToClipboard(link.url);
+            }
+        },
+
+        /**
+         * Revoke a link, so whoever has it is turned away from now on
+         */
+        revokeSharedLink: function ($button) {
+            var self = this;
+            var link = this.sharedLinkFor($button);
+
+            if (!link || !confirm(i18n.confirmRevoke.replace('{file}', link.filename))) return;
+
+            if (!this.setButtonBusy($button, i18n.revoking)) return;
+
+            this.restPromise('revokeSharedLink', {link: link.id}).then(function (data) {
+                self.showNotification(data.message, 'success');
+                self.loadSharedLinks();
+            }).catch(function (error) {
+                self.clearButtonBusy($button);
+                self.showNotification(error.message, 'error');
+            });
+        },
+
+        /**
+         * Save the links listed as a CSV file
+         *
+         * Built from what the panel holds, so the file is exactly what the
+         * filters show.
+         */
+        exportSharedLinks: function () {
+            var state = this.sharedLinks;
+
+            if (!state || !state.links) return;
+
+            if (!state.links.length) {
+                this.showNotification(i18n.nothingToExport, 'info');
+                return;
+            }
+
+            var rows = [[
+                i18n.columnBucket, i18n.columnKey, i18n.columnStatus, i18n.columnSharedBy, i18n.columnCreated,
+                i18n.columnExpires, i18n.columnNote, i18n.columnRevocable, i18n.columnDownloads, i18n.columnRevoked,
+                i18n.columnRevokedBy
+            ]].concat(state.links.map(function (link) {
+                return [
+                    link.bucket, link.key, link.status, link.user, link.created_formatted, link.expires_formatted,
+                    link.note, link.revocable ? i18n.yes : i18n.no, link.revocable ? link.downloads : '',
+                    link.revoked_formatted, link.revoked_by
+                ];
+            }));
+
+            var csv = rows.map(function (row) {
+                return row.map(function (value) {
+                    value = String(value === null || value === undefined ? '' : value);
+
+                    // A cell a spreadsheet would read as a formula is kept
+                    // as text: keys and notes are typed by people.
+                    if (/^[=+\-@\t\r]/.test(value)) {
+                        value = "'" + value;
+                    }
+
+                    return '"' + value.replace(/"/g, '""') + '"';
+                }).join(',');
+            }).join('\r\n');
+
+            var blob = new Blob(['\uFEFF' + csv], {type: 'text/csv;charset=utf-8'});
+            var url = URL.createObjectURL(blob);
+            var anchor = document.createElement('a');
+
+            anchor.href = url;
+            anchor.download = 'shared-links-' + new Date().toISOString().slice(0, 10) + '.csv';
+            document.body.appendChild(anchor);
+            anchor.click();
+            document.body.removeChild(anchor);
+
+            setTimeout(function () {
+                URL.revokeObjectURL(url);
+            }, 1000);
+        },
+
+        /**
+         * Read how often a file was downloaded through links into the
+         * details dialog
+         *
+         * @param {Object} file bucket, key and filename.
+         */
+        loadDownloads: function (file) {
+            var self = this;
+            var state = {file: file};
+            var $pane = $(DOWNLOADS);
+
+            this.objectDownloads = state;
+
+            $pane.empty().append($('<p class="s3-downloads-loading">').text(i18n.downloadsLoading));
+
+            this.restPromise('objectDownloads', {bucket: file.bucket, key: file.key}).then(function (data) {
+                // The dialog was closed or opened on another file meanwhile.
+                if (self.objectDownloads !== state) return;
+
+                $pane.html(wp.template('s3-object-downloads')(data));
+            }).catch(function (error) {
+                if (self.objectDownloads !== state) return;
+
+                $pane.empty().append($('<p class="s3-downloads-error">').text(error.message || i18n.downloadsLoadFailed));
+            });
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,170 @@
+/**
+ * S3 Browser Metadata
+ * Shows a file's headers and custom metadata in the details dialog, and
+ * edits them. S3 cannot change an object's metadata in place, so a save
+ * copies the object onto itself with the new set -- which is also what
+ * fixes a Content-Type a browser upload got wrong.
+ */
+(function ($) {
+    'use strict';
+
+    var PANE = '#s3DetailsModal .s3-metadata-pane';
+
+    var i18n = s3BrowserConfig.i18n.metadata;
+
+    $.extend(window.S3Browser, {
+
+        objectMetadata: null,
+
+        /**
+         * Wire the edit form in the details dialog
+         */
+        bindMetadataEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3metadata').on('click.s3metadata', PANE + ' .s3-metadata-edit', function (e) {
+                e.preventDefault();
+                self.drawMetadata(true);
+                $(PANE).find('[name="content_type"]').trigger('focus');
+            });
+
+            $(document).on('click.s3metadata', PANE + ' .s3-metadata-cancel', function (e) {
+                e.preventDefault();
+                self.drawMetadata(false);
+            });
+
+            $(document).on('click.s3metadata', PANE + ' .s3-metadata-add', function (e) {
+                e.preventDefault();
+                self.addMetadataPair();
+            });
+
+            $(document).on('click.s3metadata', PANE + ' .s3-metadata-remove', function (e) {
+                e.preventDefault();
+                $(this).closest('.s3-metadata-pair').remove();
+            });
+
+            $(document).off('submit.s3metadata').on('submit.s3metadata', PANE + ' .s3-metadata-form', function (e) {
+                e.preventDefault();
+                self.saveMetadata($(this));
+            });
+        },
+
+        /**
+         * Read a file's headers into the details dialog
+         *
+         * @param {Object} file bucket, key and filename.
+         */
+        loadMetadata: function (file) {
+            var self = this;
+            var $pane = $(PANE);
+
+            this.objectMetadata = {file: file, data: null};
+
+            $pane.attr('data-metadata-key', file.key)
+                .empty()
+                .append($('<p class="s3-metadata-loading">').text(i18n.loading));
+
+            this.restPromise('objectMetadata', {bucket: file.bucket, key: file.key}).then(function (data) {
+                // The dialog was closed or opened on another file meanwhile.
+                if ($pane.attr('data-metadata-key') !== String(file.key)) return;
+
+                self.objectMetadata.data = data;
+                self.drawMetadata(false);
+            }).catch(function (error) {
+                if ($pane.attr('data-metadata-key') !== String(file.key)) return;
+
+                $pane.empty().append($('<p class="s3-metadata-error">').text(error.message || i18n.loadFailed));
+            });
+        },
+
+        /**
+         * Show the headers, or the form to edit them
+         */
+        drawMetadata: function (editing) {
+            var state = this.objectMetadata;
+
+            if (!state || !state.data) return;
+
+            $(PANE).html(wp.template('s3-object-metadata')($.extend({}, state.data, {
+                filename: state.file.filename,
+                editing: editing
+            })));
+        },
+
+        /**
+         * Add an empty name and value to the form
+         */
+        addMetadataPair: function () {
+            var $pair = $('<div class="s3-metadata-pair">').append(
+                $('<input type="text" class="s3-metadata-name">').attr('aria-label', i18n.name),
+                ' ',
+                $('<input type="text" class="s3-metadata-value">').attr('aria-label', i18n.value),
+                ' ',
+                $('<button type="button" class="button-link s3-metadata-remove">').text(i18n.remove)
+            );
+
+            $(PANE).find('.s3-metadata-pairs').append($pair);
+            $pair.find('.s3-metadata-name').trigger('focus');
+        },
+
+        /**
+         * Store the form's headers on the file and show what the provider kept
+         *
+         * A pair left without a name is one the admin started and thought
+         * better of; it is dropped rather than refused.
+         */
+        saveMetadata: function ($form) {
+            var self = this;
+            var state = this.objectMetadata;
+            var $submit = $form.find('[type="submit"]');
+            var $error = $form.find('.s3-metadata-error');
+            var metadata = [];
+
+            if (!state || !state.data) return;
+
+            $form.find('.s3-metadata-pair').each(function () {
+                var name = $.trim($(this).find('.s3-metadata-name').val());
+
+                if (name) {
+                    metadata.push({name: name, value: $(this).find('.s3-metadata-value').val()});
+                }
+            });
+
+            $error.prop('hidden', true);
+            $form.find(':input').prop('disabled', true);
+            $submit.text(i18n.saving);
+
+            this.restPromise('updateObjectMetadata', {
+                bucket: state.file.bucket,
+                key: state.file.key,
+                content_type: $.trim($form.find('[name="content_type"]').val()),
+                disposition: $form.find('[name="disposition"]').val(),
+                download_name: $.trim($form.find('[name="download_name"]').val()),
+                cache_control: $.trim($form.find('[name="cache_control"]').val()),
+                metadata: metadata
+            }).then(function (data) {
+                if (self.objectMetadata !== state) return;
+
+                state.data = data;
+                self.drawMetadata(false);
+
+                // The copy gave the file a new ETag, and its row a new
+                // modified time.
+                $('#s3DetailsModal .s3-details-etag').text(data.etag);
+
+                if (data.row) {
+                    self.upsertRows(data.row);
+                }
+
+                self.showNotification(data.message, 'success');
+            }).catch(function (error) {
+                if (self.objectMetadata !== state) return;
+
+                $form.find(':input').prop('disabled', false);
+                $submit.text(i18n.save);
+                $error.prop('hidden', false).find('p').text(error.message);
+            });
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,350 @@
+/**
+ * S3 Browser Previews
+ * Shows a file in the details dialog, and a glance of it on hovering its
+ * name in the list. Images, media and PDFs load from a short-lived presigned
+ * URL; text is read a few KB at a time through the server, since the bucket's
+ * CORS rule need not allow the browser a GET.
+ */
+(function ($) {
+    'use strict';
+
+    // How long a preview URL is minted for. Long enough to watch a video
+    // through, short enough not to be worth copying out of the page.
+    var URL_MINUTES = 15;
+
+    // A URL is minted afresh once it has less than this long left to run.
+    var URL_MARGIN = 60;
+
+    // Text files whose MIME type the server could not tell, by extension.
+    var TEXT_EXTENSIONS = ['txt', 'log', 'md', 'csv', 'tsv', 'json', 'xml', 'yml', 'yaml', 'ini', 'conf'];
+
+    // Rows of a CSV shown as a table before the rest is left to the download.
+    var CSV_ROWS = 50;
+
+    var i18n = s3BrowserConfig.i18n.preview;
+
+    $.extend(window.S3Browser, {
+
+        previewUrls: {},
+        hoverPreview: null,
+
+        /**
+         * Wire the hover preview on file names
+         */
+        bindPreviewEvents: function () {
+            var self = this;
+            var delay = (s3BrowserConfig.preview || {}).hoverDelay || 500;
+
+            $(document).off('mouseenter.s3preview').on('mouseenter.s3preview', '.wp-list-table .s3-filename[data-key]', function () {
+                var $name = $(this);
+
+                self.hideHoverPreview();
+
+                self.hoverPreview = {
+                    key: $name.data('key'),
+                    timer: setTimeout(function () {
+                        self.showHoverPreview($name);
+                    }, delay)
+                };
+            });
+
+            $(document).off('mouseleave.s3preview').on('mouseleave.s3preview', '.wp-list-table .s3-filename[data-key]', function () {
+                self.hideHoverPreview();
+            });
+
+            // Fixed to where the name was: once the list moves, it is not.
+            $(window).off('scroll.s3preview').on('scroll.s3preview', function () {
+                self.hideHoverPreview();
+            });
+        },
+
+        /**
+         * What kind of preview a file gets, if any
+         *
+         * @param {string} mimeType The row's data-mime-type.
+         * @param {string} category The row's data-category.
+         * @param {string} filename The file name, for text the server could not type.
+         * @returns {string|null} image, video, audio, pdf or text.
+         */
+        previewKind: function (mimeType, category, filename) {
+            mimeType = String(mimeType || '').toLowerCase();
+
+            if (category === 'image' || category === 'video' || category === 'audio') {
+                return category;
+            }
+
+            if (mimeType === 'application/pdf') {
+                return 'pdf';
+            }
+
+            if (mimeType.indexOf('text/') === 0 || /^application\/(json|xml|x-yaml)$/.test(mimeType)) {
+                return 'text';
+            }
+
+            var extension = String(filename || '').split('.').pop().toLowerCase();
+
+            if ((!mimeType || mimeType === 'application/octet-stream') && TEXT_EXTENSIONS.indexOf(extension) !== -1) {
+                return 'text';
+            }
+
+            return null;
+        },
+
+        /**
+         * A presigned URL to preview a file from, reused while it lasts
+         *
+         * @returns {Promise<string>}
+         */
+        previewUrl: function (bucket, key) {
+            var self = this;
+            var cacheKey = bucket + '/' + key;
+            var cached = this.previewUrls[cacheKey];
+
+            if (cached && cached.expires - URL_MARGIN > Date.now() / 1000) {
+                return cached.promise;
+            }
+
+            var promise = this.restPromise('downloadUrl', {
+                bucket: bucket,
+                object_key: key,
+                expires_minutes: URL_MINUTES
+            }).then(function (data) {
+                return data.url;
+            });
+
+            this.previewUrls[cacheKey] = {
+                promise: promise,
+                expires: Date.now() / 1000 + URL_MINUTES * 60
+            };
+
+            // A failure is not kept, or the file could never be tried again.
+            promise.catch(function () {
+                delete self.previewUrls[cacheKey];
+            });
+
+            return promise;
+        },
+
+        /**
+         * Render a file into a preview pane
+         *
+         * @param {jQuery}  $pane   Element to render into.
+         * @param {Object}  file    bucket, key, filename and previewKind.
+         * @param {boolean} compact The hover preview: smaller, silent and with less text.
+         */
+        renderPreview: function ($pane, file, compact) {
+            var self = this;
+
+            $pane.attr('data-preview-key', file.key)
+                .empty()
+                .append($('<p class="s3-preview-loading">').text(i18n.loading));
+
+            var source = file.previewKind === 'text' ?
+                this.previewText(file, compact) :
+                this.previewUrl(file.bucket, file.key).then(function (url) {
+                    return self.previewMedia(file, url, compact);
+                });
+
+            source.then(function ($content) {
+                // The dialog was closed or the pointer moved on while this loaded.
+                if ($pane.attr('data-preview-key') !== String(file.key)) return;
+
+                $pane.empty().append($content);
+            }).catch(function (error) {
+                if ($pane.attr('data-preview-key') !== String(file.key)) return;
+
+                $pane.empty().append($('<p class="s3-preview-error">').text(error.message || i18n.failed));
+            });
+        },
+
+        /**
+         * The element that shows an image, a recording or a PDF
+         *
+         * @returns {jQuery}
+         */
+        previewMedia: function (file, url, compact) {
+            switch (file.previewKind) {
+                case 'image':
+                    return $('<img class="s3-preview-image">').attr({src: url, alt: file.filename});
+
+                case 'video':
+                    return $('<video class="s3-preview-video" preload="metadata">')
+                        .attr('src', url)
+                        .prop(compact ? {muted: true, autoplay: true, loop: true} : {controls: true});
+
+                case 'audio':
+                    return $('<audio class="s3-preview-audio" preload="metadata" controls>').attr('src', url);
+
+                case 'pdf':
+                    return $('<iframe class="s3-preview-pdf">').attr({src: url, title: file.filename});
+            }
+
+            return $();
+        },
+
+        /**
+         * The start of a text file, laid out by what it holds
+         *
+         * JSON is indented when the whole of it arrived -- the start of a
+         * document will not parse -- and CSV is set out as a table in the
+         * dialog, where there is room for one.
+         *
+         * @returns {Promise<jQuery>}
+         */
+        previewText: function (file, compact) {
+            var self = this;
+            var settings = s3BrowserConfig.preview || {};
+
+            return this.restPromise('objectPreview', {
+                bucket: file.bucket,
+                key: file.key,
+                bytes: (compact ? settings.hoverBytes : settings.textBytes) || 4096
+            }).then(function (data) {
+                var extension = String(file.filename || '').split('.').pop().toLowerCase();
+                var content = data.content;
+                var $body = null;
+
+                if (extension === 'json' && !data.truncated) {
+                    try {
+                        content = JSON.stringify(JSON.parse(content), null, 2);
+                    } catch (e) {
+                        // Not valid JSON after all: show it as it is.
+                    }
+                }
+
+                if (!compact && (extension === 'csv' || extension === 'tsv')) {
+                    $body = self.previewTable(content, extension === 'tsv' ? '\t' : ',', data.truncated);
+                }
+
+                var $content = $('<div class="s3-preview-text">')
+                    .append($body || $('<pre>').text(content));
+
+                if (data.truncated) {
+                    $content.append($('<p class="description">').text(
+                        i18n.showingFirst
+                            .replace('{shown}', self.formatFileSize(self.byteLength(data.content)))
+                            .replace('{total}', self.formatFileSize(data.size))
+                    ));
+                }
+
+                return $content;
+            });
+        },
+
+        /**
+         * A CSV set out as a table
+         *
+         * Quoted fields may hold the delimiter and line breaks, so this walks
+         * the text a character at a time rather than splitting it. The last
+         * row of a truncated file is likely cut short and is dropped.
+         *
+         * @returns {jQuery}
+         */
+        previewTable: function (content, delimiter, truncated) {
+            var rows = [[]];
+            var field = '';
+            var quoted = false;
+
+            for (var i = 0; i < content.length; i++) {
+                var character = content[i];
+
+                if (quoted) {
+                    if (character === '"' && content[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else if (character === '"') {
+                        quoted = false;
+                    } else {
+                        field += character;
+                    }
+                } else if (character === '"') {
+                    quoted = true;
+                } else if (character === delimiter) {
+                    rows[rows.length - 1].push(field);
+                    field = '';
+                } else if (character === '\n') {
+                    rows[rows.length - 1].push(field.replace(/\r$/, ''));
+                    rows.push([]);
+                    field = '';
+                } else {
+                    field += character;
+                }
+            }
+
+            if (truncated) {
+                rows.pop();
+            } else if (field !== '' || rows[rows.length - 1].length) {
+                rows[rows.length - 1].push(field.replace(/\r$/, ''));
+            } else {
+                rows.pop();
+            }
+
+            var $table = $('<table class="s3-preview-table widefat striped">');
+
+            rows.slice(0, CSV_ROWS).forEach(function (row, index) {
+                var $row = $('<tr>');
+
+                row.forEach(function (value) {
+                    $row.append($(index === 0 ? '<th>' : '<td>').text(value));
+                });
+
+                $table.append($row);
+            });
+
+            return $table;
+        },
+
+        /**
+         * Size of a string once encoded as UTF-8
+         */
+        byteLength: function (text) {
+            return new Blob([text]).size;
+        },
+
+        /**
+         * Show the hover preview beside a file name
+         *
+         * Audio and PDFs are left to the dialog: neither says anything at a
+         * glance, and audio starting on a stray mouse-over is unwelcome.
+         */
+        showHoverPreview: function ($name) {
+            var file = {
+                bucket: this.currentLocation ? this.currentLocation.bucket : '',
+                key: $name.data('key'),
+                filename: $name.data('filename'),
+                previewKind: this.previewKind($name.data('mime-type'), $name.data('category'), $name.data('filename'))
+            };
+
+            if (!file.bucket || ['image', 'video', 'text'].indexOf(file.previewKind) === -1) return;
+
+            // An image card in the grid is its own preview.
+            if (file.previewKind === 'image' && this.isGridView && this.isGridView()) return;
+
+            var rect = $name[0].getBoundingClientRect();
+            var $hover = $('<div class="s3-hover-preview" aria-hidden="true">').appendTo('body');
+            var top = rect.bottom + 6;
+
+            // Above the name instead when there is no room below it.
+            if (top + 260 > window.innerHeight) {
+                top = Math.max(6, rect.top - 266);
+            }
+
+            $hover.css({top: top, left: Math.min(rect.left, window.innerWidth - 340)});
+
+            this.renderPreview($hover, file, true);
+        },
+
+        /**
+         * Take the hover preview away, and cancel one still waiting to open
+         */
+        hideHoverPreview: function () {
+            if (this.hoverPreview) {
+                clearTimeout(this.hoverPreview.timer);
+                this.hoverPreview = null;
+            }
+
+            $('.s3-hover-preview').remove();
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,555 @@
+/**
+ * S3 Browser QR Codes
+ * Draws a link as a QR code, so a file can be opened on a phone without the
+ * link being typed or sent. Byte mode only, which takes any URL; built here
+ * rather than loaded, as the link is signed and should not leave the page.
+ */
+(function ($) {
+    'use strict';
+
+    // Error correction codewords per block, and blocks, by version. Index 0
+    // is unused. M copes with more damage; L holds longer links.
+    var LEVELS = {
+        M: {
+            format: 0,
+            ecc: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+            blocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+        },
+        L: {
+            format: 1,
+            ecc: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+            blocks: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+        }
+    };
+
+    // Light modules drawn around the code, which readers need to find it.
+    var QUIET_ZONE = 4;
+
+    var MASKS = [
+        function (x, y) { return (x + y) % 2 === 0; },
+        function (x, y) { return y % 2 === 0; },
+        function (x) { return x % 3 === 0; },
+        function (x, y) { return (x + y) % 3 === 0; },
+        function (x, y) { return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; },
+        function (x, y) { return x * y % 2 + x * y % 3 === 0; },
+        function (x, y) { return (x * y % 2 + x * y % 3) % 2 === 0; },
+        function (x, y) { return ((x + y) % 2 + x * y % 3) % 2 === 0; }
+    ];
+
+    function bit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    /**
+     * Modules left for data and error correction once the patterns are in
+     */
+    function rawModules(version) {
+        var result = (16 * version + 128) * version + 64;
+
+        if (version >= 2) {
+            var alignments = Math.floor(version / 7) + 2;
+
+            result -= (25 * alignments - 10) * alignments - 55;
+
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+
+        return result;
+    }
+
+    function dataCodewords(version, level) {
+        return Math.floor(rawModules(version) / 8) - level.ecc[version] * level.blocks[version];
+    }
+
+    /**
+     * Multiply in GF(2^8), modulo the polynomial QR codes use
+     */
+    function gfMultiply(x, y) {
+        var z = 0;
+
+        for (var i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        var result = [];
+        var root = 1;
+
+        for (var i = 0; i < degree - 1; i++) {
+            result.push(0);
+        }
+        result.push(1);
+
+        for (i = 0; i < degree; i++) {
+            for (var j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+
+            root = gfMultiply(root, 0x02);
+        }
+
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        var result = divisor.map(function () {
+            return 0;
+        });
+
+        data.forEach(function (value) {
+            var factor = value ^ result.shift();
+
+            result.push(0);
+            divisor.forEach(function (coefficient, i) {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Split the data into blocks, add each one's error correction, and
+     * interleave them in the order they are placed
+     */
+    function addErrorCorrection(data, version, level) {
+        var blockCount = level.blocks[version];
+        var eccLength = level.ecc[version];
+        var total = Math.floor(rawModules(version) / 8);
+        var shortBlocks = blockCount - total % blockCount;
+        var shortLength = Math.floor(total / blockCount);
+        var divisor = reedSolomonDivisor(eccLength);
+        var blocks = [];
+        var result = [];
+        var offset = 0;
+
+        for (var i = 0; i < blockCount; i++) {
+            var block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+            var ecc = reedSolomonRemainder(block, divisor);
+
+            offset += block.length;
+
+            // A placeholder, so every block can be read off by one index.
+            if (i < shortBlocks) {
+                block.push(0);
+            }
+
+            blocks.push(block.concat(ecc));
+        }
+
+        for (i = 0; i < blocks[0].length; i++) {
+            for (var j = 0; j < blocks.length; j++) {
+                if (i !== shortLength - eccLength || j >= shortBlocks) {
+                    result.push(blocks[j][i]);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * The smallest version and level that hold the bytes
+     *
+     * @returns {Object|null} version and level, or null when even the
+     *                        largest code is too small.
+     */
+    function chooseSize(length) {
+        var names = ['M', 'L'];
+
+        for (var n = 0; n < names.length; n++) {
+            for (var version = 1; version <= 40; version++) {
+                var bits = 4 + (version <= 9 ? 8 : 16) + length * 8;
+
+                if (bits <= dataCodewords(version, LEVELS[names[n]]) * 8) {
+                    return {version: version, level: LEVELS[names[n]]};
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Byte mode header, the bytes, and padding out to the version's size
+     */
+    function dataCodewordsFor(bytes, version, level) {
+        var capacity = dataCodewords(version, level) * 8;
+        var bits = [];
+        var result = [];
+        var pad = 0xEC;
+
+        function append(value, length) {
+            for (var i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        }
+
+        append(0x4, 4);
+        append(bytes.length, version <= 9 ? 8 : 16);
+
+        for (var i = 0; i < bytes.length; i++) {
+            append(bytes[i], 8);
+        }
+
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        while (bits.length < capacity) {
+            append(pad, 8);
+            pad ^= 0xEC ^ 0x11;
+        }
+
+        for (i = 0; i < bits.length; i += 8) {
+            result.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+
+        return result;
+    }
+
+    function alignmentPositions(version) {
+        if (version === 1) return [];
+
+        var count = Math.floor(version / 7) + 2;
+        var step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        var result = [6];
+
+        for (var position = version * 4 + 10; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+
+        return result;
+    }
+
+    /**
+     * A code's grid, with which modules belong to its fixed patterns
+     */
+    function Grid(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.dark = [];
+        this.fixed = [];
+
+        for (var y = 0; y < this.size; y++) {
+            this.dark.push(new Array(this.size).fill(false));
+            this.fixed.push(new Array(this.size).fill(false));
+        }
+    }
+
+    Grid.prototype.set = function (x, y, dark) {
+        this.dark[y][x] = dark;
+        this.fixed[y][x] = true;
+    };
+
+    Grid.prototype.drawPatterns = function () {
+        var size = this.size;
+        var positions = alignmentPositions(this.version);
+        var last = positions.length - 1;
+        var i, j;
+
+        for (i = 0; i < size; i++) {
+            this.set(6, i, i % 2 === 0);
+            this.set(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinder(3, 3);
+        this.drawFinder(size - 4, 3);
+        this.drawFinder(3, size - 4);
+
+        for (i = 0; i <= last; i++) {
+            for (j = 0; j <= last; j++) {
+                // The three corners with a finder pattern in them.
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) continue;
+
+                this.drawAlignment(positions[i], positions[j]);
+            }
+        }
+
+        // Reserved now, so the data goes round them; the real format bits
+        // are drawn once the mask is chosen.
+        this.drawFormat(LEVELS.M, 0);
+        this.drawVersion();
+    };
+
+    Grid.prototype.drawFinder = function (x, y) {
+        for (var dy = -4; dy <= 4; dy++) {
+            for (var dx = -4; dx <= 4; dx++) {
+                var distance = Math.max(Math.abs(dx), Math.abs(dy));
+
+                if (x + dx >= 0 && x + dx < this.size && y + dy >= 0 && y + dy < this.size) {
+                    this.set(x + dx, y + dy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    };
+
+    Grid.prototype.drawAlignment = function (x, y) {
+        for (var dy = -2; dy <= 2; dy++) {
+            for (var dx = -2; dx <= 2; dx++) {
+                this.set(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    };
+
+    Grid.prototype.drawFormat = function (level, mask) {
+        var size = this.size;
+        var data = level.format << 3 | mask;
+        var remainder = data;
+        var i;
+
+        for (i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+
+        var bits = (data << 10 | remainder) ^ 0x5412;
+
+        for (i = 0; i <= 5; i++) {
+            this.set(8, i, bit(bits, i));
+        }
+
+        this.set(8, 7, bit(bits, 6));
+        this.set(8, 8, bit(bits, 7));
+        this.set(7, 8, bit(bits, 8));
+
+        for (i = 9; i < 15; i++) {
+            this.set(14 - i, 8, bit(bits, i));
+        }
+
+        for (i = 0; i < 8; i++) {
+            this.set(size - 1 - i, 8, bit(bits, i));
+        }
+
+        for (i = 8; i < 15; i++) {
+            this.set(8, size - 15 + i, bit(bits, i));
+        }
+
+        this.set(8, size - 8, true);
+    };
+
+    Grid.prototype.drawVersion = function () {
+        if (this.version < 7) return;
+
+        var remainder = this.version;
+        var i;
+
+        for (i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+
+        var bits = this.version << 12 | remainder;
+
+        for (i = 0; i < 18; i++) {
+            var a = this.size - 11 + i % 3;
+            var b = Math.floor(i / 3);
+
+            this.set(a, b, bit(bits, i));
+            this.set(b, a, bit(bits, i));
+        }
+    };
+
+    /**
+     * Place the codewords in the zigzag the standard reads them in
+     */
+    Grid.prototype.drawCodewords = function (codewords) {
+        var size = this.size;
+        var index = 0;
+
+        for (var right = size - 1; right >= 1; right -= 2) {
+            // The vertical timing pattern is skipped over whole.
+            if (right === 6) {
+                right = 5;
+            }
+
+            for (var step = 0; step < size; step++) {
+                for (var j = 0; j < 2; j++) {
+                    var x = right - j;
+                    var y = ((right + 1) & 2) === 0 ? size - 1 - step : step;
+
+                    if (!this.fixed[y][x] && index < codewords.length * 8) {
+                        this.dark[y][x] = bit(codewords[index >>> 3], 7 - (index & 7));
+                        index++;
+                    }
+                }
+            }
+        }
+    };
+
+    /**
+     * Flip the data modules a mask picks; flipping twice undoes it
+     */
+    Grid.prototype.applyMask = function (mask) {
+        for (var y = 0; y < this.size; y++) {
+            for (var x = 0; x < this.size; x++) {
+                if (!this.fixed[y][x] && MASKS[mask](x, y)) {
+                    this.dark[y][x] = !this.dark[y][x];
+                }
+            }
+        }
+    };
+
+    /**
+     * How hard the code is to read, by the standard's four rules: long runs,
+     * 2x2 blocks, shapes that look like a finder, and the dark/light balance
+     */
+    Grid.prototype.penalty = function () {
+        var size = this.size;
+        var dark = this.dark;
+        var result = 0;
+        var count = 0;
+        var finderLike = ['10111010000', '00001011101'];
+        var x, y;
+
+        var scan = function (get) {
+            for (var line = 0; line < size; line++) {
+                var run = 1;
+                var text = '';
+
+                for (var i = 0; i < size; i++) {
+                    text += get(line, i) ? '1' : '0';
+
+                    if (i > 0) {
+                        if (get(line, i) === get(line, i - 1)) {
+                            run++;
+                        } else {
+                            run = 1;
+                        }
+
+                        if (run === 5) {
+                            result += 3;
+                        } else if (run > 5) {
+                            result++;
+                        }
+                    }
+                }
+
+                finderLike.forEach(function (pattern) {
+                    for (var from = text.indexOf(pattern); from !== -1; from = text.indexOf(pattern, from + 1)) {
+                        result += 40;
+                    }
+                });
+            }
+        };
+
+        scan(function (line, i) {
+            return dark[line][i];
+        });
+        scan(function (line, i) {
+            return dark[i][line];
+        });
+
+        for (y = 0; y < size; y++) {
+            for (x = 0; x < size; x++) {
+                if (dark[y][x]) {
+                    count++;
+                }
+
+                if (x < size - 1 && y < size - 1 && dark[y][x] === dark[y][x + 1] &&
+                    dark[y][x] === dark[y + 1][x] && dark[y][x] === dark[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+        }
+
+        return result + Math.floor(Math.abs(count * 100 / (size * size) - 50) / 5) * 10;
+    };
+
+    $.extend(window.S3Browser, {
+
+        /**
+         * Encode text as a QR code
+         *
+         * @param {string} text
+         * @returns {boolean[][]|null} Rows of modules, true for dark, or null
+         *                             when the text is too long for one.
+         */
+        qrModules: function (text) {
+            var bytes = new TextEncoder().encode(String(text));
+            var size = chooseSize(bytes.length);
+
+            if (!size) return null;
+
+            var grid = new Grid(size.version);
+            var best = 0;
+            var lowest = Infinity;
+
+            grid.drawPatterns();
+            grid.drawCodewords(addErrorCorrection(dataCodewordsFor(bytes, size.version, size.level), size.version, size.level));
+
+            for (var mask = 0; mask < MASKS.length; mask++) {
+                grid.applyMask(mask);
+                grid.drawFormat(size.level, mask);
+
+                var penalty = grid.penalty();
+
+                if (penalty < lowest) {
+                    best = mask;
+                    lowest = penalty;
+                }
+
+                grid.applyMask(mask);
+            }
+
+            grid.applyMask(best);
+            grid.drawFormat(size.level, best);
+
+            return grid.dark;
+        },
+
+        /**
+         * Draw text as a QR code, as an SVG that scales to its container
+         *
+         * @param {string} text
+         * @param {string} label Accessible name for the image.
+         * @returns {jQuery|null} The SVG, or null when the text is too long.
+         */
+        renderQrCode: function (text, label) {
+            var modules = this.qrModules(text);
+
+            if (!modules) return null;
+
+            var span = modules.length + QUIET_ZONE * 2;
+            var path = '';
+
+            modules.forEach(function (row, y) {
+                row.forEach(function (isDark, x) {
+                    if (isDark) {
+                        path += 'M' + (x + QUIET_ZONE) + ',' + (y + QUIET_ZONE) + 'h1v1h-1z';
+                    }
+                });
+            });
+
+            var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            var background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            var shape = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+
+            svg.setAttribute('viewBox', '0 0 ' + span + ' ' + span);
+            svg.setAttribute('shape-rendering', 'crispEdges');
+            svg.setAttribute('role', 'img');
+            svg.setAttribute('aria-label', label || '');
+            svg.setAttribute('class', 's3-qr-code');
+
+            background.setAttribute('width', span);
+            background.setAttribute('height', span);
+            background.setAttribute('fill', '#fff');
+
+            shape.setAttribute('d', path);
+            shape.setAttribute('fill', '#000');
+
+            svg.appendChild(background);
+            svg.appendChild(shape);
+
+            return $(svg);
+        }
+    });
+
+})(jQuery);
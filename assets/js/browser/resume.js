@@ -0,0 +1,233 @@
+/**
+ * S3 Browser Resumable Uploads
+ * Remembers in-flight multipart uploads in IndexedDB so a closed tab or
+ * media modal does not throw away the parts already sent
+ */
+(function ($) {
+    'use strict';
+
+    var DB_NAME = 's3-browser-uploads';
+    var STORE = 'multipart';
+
+    // Parts left this long are presumed abandoned and aborted, so they stop
+    // being billed. Nothing else would ever clean them up.
+    var MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+    $.extend(window.S3Browser, {
+
+        resumeDb: null,
+
+        /**
+         * Open the upload store, or resolve null where IndexedDB is missing
+         *
+         * Private windows and some embedded browsers refuse IndexedDB. Uploads
+         * still work there; they just cannot be resumed.
+         */
+        openResumeStore: function () {
+            if (this.resumeDb) {
+                return this.resumeDb;
+            }
+
+            this.resumeDb = new Promise(function (resolve) {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    var request = window.indexedDB.open(DB_NAME, 1);
+
+                    request.onupgradeneeded = function () {
+                        request.result.createObjectStore(STORE, {keyPath: 'id'});
+                    };
+                    request.onsuccess = function () {
+                        resolve(request.result);
+                    };
+                    request.onerror = function () {
+                        resolve(null);
+                    };
+                } catch (e) {
+                    resolve(null);
+                }
+            });
+
+            return this.resumeDb;
+        },
+
+        /**
+         * Run one request against the store, resolving its result
+         */
+        resumeStoreRequest: function (mode, operation) {
+            return this.openResumeStore().then(function (db) {
+                if (!db) {
+                    return null;
+                }
+
+                return new Promise(function (resolve) {
+                    try {
+                        var request = operation(db.transaction(STORE, mode).objectStore(STORE));
+
+                        request.onsuccess = function () {
+                            resolve(request.result);
+                        };
+                        request.onerror = function () {
+                            resolve(null);
+                        };
+                    } catch (e) {
+                        resolve(null);
+                    }
+                });
+            });
+        },
+
+        /**
+         * Identify a file as the same one dropped before
+         *
+         * Name, size and modification time: reading the content to hash it
+         * would mean reading gigabytes before asking a yes-or-no question.
+         */
+        uploadFingerprint: function (file, bucket, objectKey) {
+            return [S3BrowserGlobalConfig.providerId, bucket, objectKey, file.size, file.lastModified].join('|');
+        },
+
+        /**
+         * Find an interrupted upload of this file to this key
+         */
+        findResumableUpload: function (file, bucket, objectKey) {
+            var id = this.uploadFingerprint(file, bucket, objectKey);
+
+            return this.resumeStoreRequest('readonly', function (store) {
+                return store.get(id);
+            });
+        },
+
+        /**
+         * Record an upload's progress, resolving whether it was stored
+         */
+        saveResumableUpload: function (state) {
+            return this.resumeStoreRequest('readwrite', function (store) {
+                return store.put({
+                    id: state.fingerprint,
+                    providerId: S3BrowserGlobalConfig.providerId,
+                    bucket: state.bucket,
+                    key: state.key,
+                    name: state.file.name,
+                    size: state.file.size,
+                    partSize: state.partSize,
+                    uploadId: state.multipartId,
+                    etags: state.etags,
+                    startedAt: state.startedAt,
+                    updatedAt: Date.now()
+                });
+            }).then(function (result) {
+                return result !== null;
+            });
+        },
+
+        /**
+         * Forget an upload once it has completed or been abandoned
+         */
+        forgetResumableUpload: function (id) {
+            return this.resumeStoreRequest('readwrite', function (store) {
+                return store.delete(id);
+            });
+        },
+
+        /**
+         * Abort an interrupted upload on the provider and forget it
+         */
+        discardResumableUpload: function (record) {
+            this.makeAjaxRequest('abortMultipartUpload', {
+                bucket: record.bucket,
+                key: record.key,
+                upload_id: record.uploadId
+            });
+
+            return this.forgetResumableUpload(record.id);
+        },
+
+        /**
+         * Every interrupted upload this browser instance started
+         */
+        resumableUploads: function () {
+            return this.resumeStoreRequest('readonly', function (store) {
+                return store.getAll();
+            }).then(function (records) {
+                return (records || []).filter(function (record) {
+                    return record.providerId === S3BrowserGlobalConfig.providerId;
+                });
+            });
+        },
+
+        /**
+         * Count the bytes an interrupted upload has already sent
+         */
+        resumedBytes: function (record) {
+            var lastPart = Math.ceil(record.size / record.partSize);
+
+            return Object.keys(record.etags || {}).reduce(function (total, partNumber) {
+                var n = parseInt(partNumber, 10);
+
+                return total + (n === lastPart ? record.size - (lastPart - 1) * record.partSize : record.partSize);
+            }, 0);
+        },
+
+        /**
+         * Ask whether to pick up where an interrupted upload left off
+         */
+        confirmResume: function (record) {
+            var percent = Math.floor((this.resumedBytes(record) / record.size) * 100);
+
+            return confirm(
+                s3BrowserConfig.i18n.upload.resumeConfirm
+                    .replace('{filename}', record.name)
+                    .replace('{percent}', percent)
+            );
+        },
+
+        /**
+         * Abort stale uploads, and list the rest for the bucket on screen
+         */
+        checkResumableUploads: function () {
+            var self = this;
+            var bucket = $('.s3-upload-zone').data('bucket');
+
+            this.resumableUploads().then(function (records) {
+                var waiting = [];
+
+                records.forEach(function (record) {
+                    if (Date.now() - record.updatedAt > MAX_AGE) {
+                        self.discardResumableUpload(record);
+                    } else if (bucket && record.bucket === bucket) {
+                        waiting.push(record);
+                    }
+                });
+
+                if (waiting.length) {
+                    self.showResumableNotice(waiting);
+                }
+            });
+        },
+
+        /**
+         * Tell the admin which files can be dropped again to continue
+         */
+        showResumableNotice: function (records) {
+            var self = this;
+            var i18n = s3BrowserConfig.i18n.upload;
+            var names = records.map(function (record) {
+                return '<li><strong>' + self.escapeHtml(record.name) + '</strong> &mdash; ' +
+                    Math.floor((self.resumedBytes(record) / record.size) * 100) + '%</li>';
+            });
+
+            $('.s3-upload-resumable').remove();
+            $('.s3-upload-list').before(
+                '<div class="s3-upload-resumable">' +
+                '<p>' + i18n.resumableUploads + '</p>' +
+                '<ul>' + names.join('') + '</ul>' +
+                '</div>'
+            );
+        }
+    });
+
+})(jQuery);
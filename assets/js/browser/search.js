@@ -0,0 +1,213 @@
+/**
+ * S3 Browser Deep Search
+ * Searches every folder below the current one through the REST search
+ * route, showing hits as each page of the listing is scanned. The filter
+ * over the rows already loaded stays the instant first pass.
+ */
+(function ($) {
+    'use strict';
+
+    $.extend(window.S3Browser, {
+
+        deepSearch: null,
+
+        // Past this many hits the results stop being a list anyone reads.
+        deepSearchLimit: 1000,
+
+        /**
+         * Wire the button, and Enter in the search box
+         */
+        bindDeepSearchEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3deepsearch').on('click.s3deepsearch', '#s3-deep-search', function (e) {
+                e.preventDefault();
+
+                if (self.deepSearch && self.deepSearch.running) {
+                    self.finishDeepSearch();
+                    return;
+                }
+
+                self.startDeepSearch($('#s3-js-search').val());
+            });
+
+            $('#s3-js-search').off('keydown.s3deepsearch').on('keydown.s3deepsearch', function (e) {
+                if (e.which !== 13 || !$('#s3-deep-search').length) return;
+
+                e.preventDefault();
+                self.startDeepSearch($(this).val());
+            });
+
+            $('#s3-js-search').off('input.s3deepsearch').on('input.s3deepsearch', function () {
+                $('#s3-deep-search').toggle(self.canDeepSearch($(this).val()));
+            });
+        },
+
+        /**
+         * Whether a query can be taken below this folder
+         *
+         * Not a tag filter: tags are read an object at a time, which is fine
+         * for a folder's rows and no way to scan a bucket.
+         */
+        canDeepSearch: function (query) {
+            query = $.trim(query || '');
+
+            return Boolean(query) && !this.parseTagFilter(query).tags.length;
+        },
+
+        /**
+         * Search the current folder and everything below it
+         */
+        startDeepSearch: function (query) {
+            query = $.trim(query || '');
+
+            if (!this.canDeepSearch(query) || !this.currentLocation) return;
+
+            // The typing delay would otherwise redraw the filtered rows over
+            // the results a moment after they are cleared.
+            clearTimeout(this.searchTimeout);
+
+            this.deepSearch = {
+                query: query,
+                bucket: this.currentLocation.bucket,
+                prefix: this.currentLocation.prefix,
+                scanned: 0,
+                found: 0,
+                running: true,
+                // A folder of nothing but folders is drawn without the
+                // checkbox column, and the files found need it.
+                addedCheckColumn: !$('.wp-list-table thead .check-column').length
+            };
+
+            this.setCheckColumn(true);
+
+            $('.wp-list-table tbody').empty();
+            $('.tablenav.bottom').hide();
+            $('.s3-browser-container').addClass('s3-deep-searching');
+            $('#s3-deep-search').text(s3BrowserConfig.i18n.search.stop).show();
+
+            this.updateSelectionBar();
+            this.updateDeepSearchStatus();
+            this.searchPage(this.deepSearch, '');
+        },
+
+        /**
+         * Fetch one batch of hits, then the next while there is more to scan
+         */
+        searchPage: function (search, token) {
+            var self = this;
+
+            this.restPromise('searchObjects', {
+                bucket: search.bucket,
+                prefix: search.prefix,
+                q: search.query,
+                continuation_token: token
+            }).then(function (data) {
+                // Stopped, or replaced by another search or another folder.
+                if (self.deepSearch !== search || !search.running) return;
+
+                var $tbody = $('.wp-list-table tbody');
+                var rows = data.matches.slice(0, self.deepSearchLimit - search.found).map(function (match) {
+                    return match.html;
+                });
+
+                $tbody.append(self.tableRows(rows.join('')));
+                self.sortTableBody();
+
+                search.scanned += data.scanned;
+                search.found += rows.length;
+
+                if (!data.continuation_token || search.found >= self.deepSearchLimit) {
+                    search.truncated = search.found >= self.deepSearchLimit && (
+                        Boolean(data.continuation_token) || data.matches.length > rows.length
+                    );
+                    self.finishDeepSearch();
+                    return;
+                }
+
+                self.updateDeepSearchStatus();
+                self.refreshTooltips();
+                self.searchPage(search, data.continuation_token);
+            }).catch(function (error) {
+                if (self.deepSearch !== search || !search.running) return;
+
+                self.finishDeepSearch();
+                self.showNotification(error.message, 'error');
+            });
+        },
+
+        /**
+         * Stop scanning, keeping the hits found so far on screen
+         */
+        finishDeepSearch: function () {
+            var search = this.deepSearch;
+
+            if (!search || !search.running) return;
+
+            search.running = false;
+
+            $('#s3-deep-search').text(s3BrowserConfig.i18n.search.searchAllFolders);
+
+            if (!search.found) {
+                var noResultsText = s3BrowserConfig.i18n.search.noFilesFound.replace('{term}', this.escapeHtml(search.query));
+
+                $('.wp-list-table tbody').append(
+                    '<tr class="s3-no-results"><td colspan="' + $('.wp-list-table thead th').length + '">' + noResultsText + '</td></tr>'
+                );
+            }
+
+            this.updateDeepSearchStatus();
+            this.refreshTooltips();
+        },
+
+        /**
+         * Leave search results for the rows of the current folder
+         *
+         * Called when the query changes and when another folder opens.
+         */
+        stopDeepSearch: function () {
+            if (!this.deepSearch) return;
+
+            if (this.deepSearch.addedCheckColumn) {
+                this.setCheckColumn(false);
+            }
+
+            this.deepSearch = null;
+
+            $('.s3-browser-container').removeClass('s3-deep-searching');
+            $('#s3-deep-search').text(s3BrowserConfig.i18n.search.searchAllFolders)
+                .toggle(this.canDeepSearch($('#s3-js-search').val()));
+        },
+
+        /**
+         * Whether the table is showing search results rather than the folder
+         */
+        isDeepSearching: function () {
+            return this.deepSearch !== null;
+        },
+
+        /**
+         * Say how far the search has got
+         */
+        updateDeepSearchStatus: function () {
+            var search = this.deepSearch;
+            var i18n = s3BrowserConfig.i18n.search;
+            var text;
+
+            if (!search) return;
+
+            if (search.running) {
+                text = i18n.searching;
+            } else if (search.truncated) {
+                text = i18n.searchLimited;
+            } else {
+                text = i18n.searchComplete;
+            }
+
+            $('.s3-search-stats').text(text
+                .replace('{found}', search.found.toLocaleString())
+                .replace('{scanned}', search.scanned.toLocaleString()));
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,234 @@
+/**
+ * S3 Browser Sorting
+ * Sorts the loaded rows by the column header clicked, remembering the
+ * choice per bucket. S3 only lists in key order, so this is the rows on
+ * the page, kept sorted as more are loaded.
+ */
+(function ($) {
+    'use strict';
+
+    var STORAGE_KEY = 's3BrowserSort';
+
+    // The direction a first click sorts in: newest and largest first are
+    // what anyone sorting by those wants.
+    var FIRST_ORDER = {name: 'asc', type: 'asc', size: 'desc', modified: 'desc'};
+
+    $.extend(window.S3Browser, {
+
+        sortState: null,
+
+        /**
+         * Wire the column headers
+         */
+        bindSortEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3sort').on('click.s3sort', '.wp-list-table th.sortable a, .wp-list-table th.sorted a', function (e) {
+                var column = self.sortColumnOf($(this).closest('th'));
+
+                if (!column || !self.currentLocation) return;
+
+                e.preventDefault();
+
+                var state = self.sortState;
+                var order = state && state.orderby === column
+                    ? (state.order === 'asc' ? 'desc' : 'asc')
+                    : FIRST_ORDER[column];
+
+                self.setSort(column, order);
+            });
+        },
+
+        /**
+         * Pick up the sort remembered for the bucket on screen
+         */
+        initSort: function () {
+            this.bindSortEvents();
+
+            if (!this.currentLocation) return;
+
+            this.restoreSort(this.currentLocation.bucket);
+
+            if (this.sortState) {
+                this.redrawTable();
+            }
+        },
+
+        /**
+         * Load a bucket's remembered sort, without drawing anything
+         */
+        restoreSort: function (bucket) {
+            var saved = this.readSortPreferences()[bucket];
+
+            this.sortState = saved && FIRST_ORDER[saved.orderby] && (saved.order === 'asc' || saved.order === 'desc')
+                ? {orderby: saved.orderby, order: saved.order}
+                : null;
+
+            this.updateSortHeaders();
+        },
+
+        /**
+         * Sort by a column, remember it for this bucket and redraw
+         */
+        setSort: function (orderby, order) {
+            var preferences = this.readSortPreferences();
+
+            this.sortState = {orderby: orderby, order: order};
+
+            preferences[this.currentLocation.bucket] = this.sortState;
+            this.writeSortPreferences(preferences);
+
+            this.updateSortHeaders();
+
+            if (this.isDeepSearching()) {
+                this.sortTableBody();
+                return;
+            }
+
+            this.redrawTable();
+        },
+
+        /**
+         * Put originalTableData in the chosen order
+         *
+         * Called before every redraw, so rows added by Load More, an upload
+         * or a rename take their place among the rest.
+         */
+        sortLoadedRows: function () {
+            if (!this.sortState || !this.originalTableData) return;
+
+            this.originalTableData = $(this.sortRows(this.originalTableData.get()));
+        },
+
+        /**
+         * Sort the rows drawn in the table as they are
+         *
+         * For search results from other folders, which are not in
+         * originalTableData.
+         */
+        sortTableBody: function () {
+            var $tbody = $('.wp-list-table tbody');
+
+            if (!this.sortState) return;
+
+            $tbody.prepend(this.sortRows($tbody.children('tr[data-row-key]').get()));
+        },
+
+        /**
+         * Sort row elements by the chosen column
+         *
+         * Folders stay above files, as in a listing, and follow the name
+         * order whatever the column: they have no size, date or type. Rows
+         * that are not objects -- "no items" -- go last. Ties fall back to
+         * the name, so the order is the same on every redraw.
+         */
+        sortRows: function (rows) {
+            var state = this.sortState;
+            var direction = state.order === 'desc' ? -1 : 1;
+            var collator = new Intl.Collator(undefined, {numeric: true, sensitivity: 'base'});
+
+            var decorated = rows.map(function (row, index) {
+                var $row = $(row);
+                var key = $row.attr('data-row-key');
+                var $data = $row.find('[data-size-bytes]').first();
+
+                return {
+                    row: row,
+                    index: index,
+                    isObject: key !== undefined,
+                    isFolder: key !== undefined && key.slice(-1) === '/',
+                    name: key !== undefined ? key.replace(/\/$/, '').split('/').pop() : '',
+                    size: Number($data.attr('data-size-bytes')) || 0,
+                    modified: Date.parse($data.attr('data-modified') || '') || 0,
+                    type: $data.attr('data-mime-type') || ''
+                };
+            });
+
+            decorated.sort(function (a, b) {
+                if (a.isObject !== b.isObject) return a.isObject ? -1 : 1;
+                if (a.isFolder !== b.isFolder) return a.isFolder ? -1 : 1;
+
+                var byName = collator.compare(a.name, b.name);
+                var result = 0;
+
+                if (a.isFolder) {
+                    result = state.orderby === 'name' ? direction * byName : byName;
+                } else if (state.orderby === 'size') {
+                    result = direction * (a.size - b.size);
+                } else if (state.orderby === 'modified') {
+                    result = direction * (a.modified - b.modified);
+                } else if (state.orderby === 'type') {
+                    result = direction * collator.compare(a.type, b.type);
+                } else {
+                    result = direction * byName;
+                }
+
+                return result || byName || a.index - b.index;
+            });
+
+            return decorated.map(function (item) {
+                return item.row;
+            });
+        },
+
+        /**
+         * Mark the sorted column the way WordPress marks it
+         */
+        updateSortHeaders: function () {
+            var self = this;
+            var state = this.sortState;
+
+            $('.wp-list-table thead th, .wp-list-table tfoot th').each(function () {
+                var $th = $(this);
+                var column = self.sortColumnOf($th);
+
+                if (!column || !$th.find('a').length) return;
+
+                if (state && state.orderby === column) {
+                    $th.removeClass('sortable asc desc').addClass('sorted ' + state.order)
+                        .attr('aria-sort', state.order === 'asc' ? 'ascending' : 'descending');
+                    return;
+                }
+
+                // A sortable header's class is the direction it shows on hover.
+                $th.removeClass('sorted asc desc').addClass('sortable ' + (FIRST_ORDER[column] === 'asc' ? 'desc' : 'asc'))
+                    .removeAttr('aria-sort');
+            });
+        },
+
+        /**
+         * The sortable column a header cell belongs to, if any
+         */
+        sortColumnOf: function ($th) {
+            var match = ($th.attr('class') || '').match(/\bcolumn-(name|type|size|modified)\b/);
+
+            return match ? match[1] : null;
+        },
+
+        /**
+         * Sorts chosen so far, by bucket
+         *
+         * Storage can be full, or refused outright in a private window; the
+         * sort then lasts as long as the page.
+         */
+        readSortPreferences: function () {
+            try {
+                return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+            } catch (e) {
+                return {};
+            }
+        },
+
+        /**
+         * Save the sorts chosen, where storage allows
+         */
+        writeSortPreferences: function (preferences) {
+            try {
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+            } catch (e) {
+                // Kept for this page only.
+            }
+        }
+    });
+
+})(jQuery);
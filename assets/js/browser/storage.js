@@ -0,0 +1,185 @@
+/**
+ * S3 Browser Storage
+ * The storage class part of the details dialog: moves a file to another
+ * class by copying it onto itself, and for a file archived in Glacier or
+ * Deep Archive asks for a restored copy and says how far that has got.
+ */
+(function ($) {
+    'use strict';
+
+    var PANE = '#s3DetailsModal .s3-storage-pane';
+
+    // Classes whose files cannot be read until restored.
+    var ARCHIVED = ['GLACIER', 'DEEP_ARCHIVE'];
+
+    var i18n = s3BrowserConfig.i18n.storage;
+
+    $.extend(window.S3Browser, {
+
+        objectStorage: null,
+
+        /**
+         * Wire the storage forms in the details dialog
+         */
+        bindStorageEvents: function () {
+            var self = this;
+
+            $(document).off('submit.s3storage').on('submit.s3storage', PANE + ' .s3-storage-form', function (e) {
+                e.preventDefault();
+                self.changeStorageClass($(this));
+            });
+
+            $(document).on('submit.s3storage', PANE + ' .s3-restore-form', function (e) {
+                e.preventDefault();
+                self.restoreArchived($(this));
+            });
+        },
+
+        /**
+         * Whether a storage class keeps files where they cannot be read
+         *
+         * @param {string} storageClass
+         * @returns {boolean}
+         */
+        isArchivedClass: function (storageClass) {
+            return ARCHIVED.indexOf(String(storageClass || '').toUpperCase()) !== -1;
+        },
+
+        /**
+         * Read a file's storage class and restore state into the dialog
+         *
+         * @param {Object} file bucket, key and filename.
+         */
+        loadStorage: function (file) {
+            var self = this;
+            var state = {file: file, data: null};
+            var $pane = $(PANE);
+
+            this.objectStorage = state;
+
+            $pane.empty().append($('<p class="s3-storage-loading">').text(i18n.loading));
+
+            this.restPromise('objectStorage', {bucket: file.bucket, key: file.key}).then(function (data) {
+                // The dialog was closed or opened on another file meanwhile.
+                if (self.objectStorage !== state) return;
+
+                state.data = data;
+                self.drawStorage();
+            }).catch(function (error) {
+                if (self.objectStorage !== state) return;
+
+                $pane.empty().append($('<p class="s3-storage-error">').text(error.message || i18n.loadFailed));
+            });
+        },
+
+        /**
+         * Show the class and, for an archived file, its restore state
+         */
+        drawStorage: function () {
+            var state = this.objectStorage;
+
+            if (!state || !state.data) return;
+
+            $(PANE).html(wp.template('s3-object-storage')(state.data));
+            $('#s3DetailsModal .s3-details-storage-class').text(state.data.storage_class);
+        },
+
+        /**
+         * Show why a storage request failed, below the forms
+         */
+        showStorageError: function (message) {
+            $(PANE).find('.s3-storage-error').prop('hidden', false).find('p').text(message);
+        },
+
+        /**
+         * Move the file to the class chosen
+         *
+         * Moving into an archive class is asked about first: the file
+         * cannot be downloaded again until it is restored.
+         */
+        changeStorageClass: function ($form) {
+            var self = this;
+            var state = this.objectStorage;
+            var storageClass = $form.find('[name="storage_class"]').val();
+            var $submit = $form.find('[type="submit"]');
+
+            if (!state || !state.data || !storageClass || storageClass === state.data.storage_class) return;
+
+            if (this.isArchivedClass(storageClass) && !confirm(i18n.confirmArchive.replace('{class}', storageClass))) return;
+
+            if (!this.setButtonBusy($submit, i18n.changing)) return;
+
+            $(PANE).find('.s3-storage-error').prop('hidden', true);
+
+            this.restPromise('changeStorageClass', {
+                bucket: state.file.bucket,
+                key: state.file.key,
+                storage_class: storageClass
+            }).then(function (data) {
+                // The copy gave the file a new ETag and modified time, which
+                // its row shows.
+                if (data.row) {
+                    self.upsertRows(data.row);
+                }
+
+                self.showNotification(data.message, 'success');
+
+                if (self.objectStorage !== state) return;
+
+                if (data.changed) {
+                    state.data = data;
+                    self.drawStorage();
+                    $('#s3DetailsModal .s3-details-etag').text(data.etag);
+                } else {
+                    self.clearButtonBusy($submit);
+                }
+            }).catch(function (error) {
+                if (self.objectStorage !== state) return;
+
+                self.clearButtonBusy($submit);
+                self.showStorageError(error.message);
+            });
+        },
+
+        /**
+         * Ask for a restored copy of an archived file, or keep one longer
+         */
+        restoreArchived: function ($form) {
+            var self = this;
+            var state = this.objectStorage;
+            var days = parseInt($form.find('[name="days"]').val(), 10) || 0;
+            var $submit = $form.find('[type="submit"]');
+
+            if (!state || !state.data) return;
+
+            if (days < 1 || days > 365) {
+                this.showStorageError(i18n.invalidDays);
+                return;
+            }
+
+            if (!this.setButtonBusy($submit, i18n.restoring)) return;
+
+            $(PANE).find('.s3-storage-error').prop('hidden', true);
+
+            this.restPromise('restoreObject', {
+                bucket: state.file.bucket,
+                key: state.file.key,
+                days: days,
+                tier: $form.find('[name="tier"]').val()
+            }).then(function (data) {
+                self.showNotification(data.message, 'success');
+
+                if (self.objectStorage !== state) return;
+
+                state.data = data;
+                self.drawStorage();
+            }).catch(function (error) {
+                if (self.objectStorage !== state) return;
+
+                self.clearButtonBusy($submit);
+                self.showStorageError(error.message);
+            });
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,317 @@
+/**
+ * S3 Browser Tags
+ * Shows and edits an object's tags in the details dialog, and narrows the
+ * listing to files carrying a tag: tag:tier or tag:tier=pro in the search
+ * box. The listing does not include tags, so the filter reads them for the
+ * folder's files a small batch at a time and shows matches as they come.
+ */
+(function ($) {
+    'use strict';
+
+    var PANE = '#s3DetailsModal .s3-tags-pane';
+
+    // Keys read per request: the most the route takes.
+    var BATCH = 25;
+
+    // S3's limit on tags per object.
+    var MAX_TAGS = 10;
+
+    // tag:name or tag:name=value, either half quoted to hold spaces.
+    var TAG_TOKEN = /(^|\s)tag:(?:"([^"]*)"|([^\s=]+))(?:=(?:"([^"]*)"|(\S*)))?(?=\s|$)/gi;
+
+    var i18n = s3BrowserConfig.i18n.tags;
+
+    $.extend(window.S3Browser, {
+
+        objectTags: {},
+        objectTagsState: null,
+        tagFilterFailure: null,
+
+        /**
+         * Wire the tag editor in the details dialog
+         */
+        bindTagEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3tags').on('click.s3tags', PANE + ' .s3-tags-edit', function (e) {
+                e.preventDefault();
+                self.drawTags(true);
+
+                if (!$(PANE).find('.s3-tag-pair').length) {
+                    self.addTagPair();
+                }
+
+                $(PANE).find('.s3-tag-key').first().trigger('focus');
+            });
+
+            $(document).on('click.s3tags', PANE + ' .s3-tags-cancel', function (e) {
+                e.preventDefault();
+                self.drawTags(false);
+            });
+
+            $(document).on('click.s3tags', PANE + ' .s3-tags-add', function (e) {
+                e.preventDefault();
+                self.addTagPair();
+            });
+
+            $(document).on('click.s3tags', PANE + ' .s3-tag-remove', function (e) {
+                e.preventDefault();
+                $(this).closest('.s3-tag-pair').remove();
+                self.updateTagCount();
+            });
+
+            $(document).off('submit.s3tags').on('submit.s3tags', PANE + ' .s3-tags-form', function (e) {
+                e.preventDefault();
+                self.saveTags($(this));
+            });
+        },
+
+        /**
+         * Read a file's tags into the details dialog
+         *
+         * @param {Object} file bucket, key and filename.
+         */
+        loadTags: function (file) {
+            var self = this;
+            var $pane = $(PANE);
+
+            this.objectTagsState = {file: file, tags: null};
+
+            $pane.attr('data-tags-key', file.key)
+                .empty()
+                .append($('<p class="s3-tags-loading">').text(i18n.loading));
+
+            this.restPromise('objectTags', {bucket: file.bucket, key: file.key}).then(function (data) {
+                if ($pane.attr('data-tags-key') !== String(file.key)) return;
+
+                self.objectTagsState.tags = data.tags;
+                self.objectTags[file.bucket + '/' + file.key] = data.tags;
+                self.drawTags(false);
+            }).catch(function (error) {
+                if ($pane.attr('data-tags-key') !== String(file.key)) return;
+
+                $pane.empty().append($('<p class="s3-tags-error">').text(error.message || i18n.loadFailed));
+            });
+        },
+
+        /**
+         * Show the tags, or the form to edit them
+         */
+        drawTags: function (editing) {
+            var state = this.objectTagsState;
+
+            if (!state || !state.tags) return;
+
+            $(PANE).html(wp.template('s3-object-tags')({
+                tags: state.tags,
+                editing: editing
+            }));
+
+            this.updateTagCount();
+        },
+
+        /**
+         * Add an empty key and value to the form
+         */
+        addTagPair: function () {
+            var $pair = $('<div class="s3-tag-pair">').append(
+                $('<input type="text" class="s3-tag-key" maxlength="128">').attr('aria-label', i18n.key),
+                ' ',
+                $('<input type="text" class="s3-tag-value" maxlength="256">').attr('aria-label', i18n.value),
+                ' ',
+                $('<button type="button" class="button-link s3-tag-remove">').text(i18n.remove)
+            );
+
+            $(PANE).find('.s3-tag-pairs').append($pair);
+            $pair.find('.s3-tag-key').trigger('focus');
+
+            this.updateTagCount();
+        },
+
+        /**
+         * Stop offering another tag once the object has all it may
+         */
+        updateTagCount: function () {
+            $(PANE).find('.s3-tags-add').prop('disabled', $(PANE).find('.s3-tag-pair').length >= MAX_TAGS);
+        },
+
+        /**
+         * Store the form's tags on the file
+         *
+         * The set replaces the file's whole set. A row left without a key is
+         * dropped, as in the metadata form.
+         */
+        saveTags: function ($form) {
+            var self = this;
+            var state = this.objectTagsState;
+            var $submit = $form.find('[type="submit"]');
+            var $error = $form.find('.s3-tags-error');
+            var tags = [];
+
+            if (!state || !state.tags) return;
+
+            $form.find('.s3-tag-pair').each(function () {
+                var key = $.trim($(this).find('.s3-tag-key').val());
+
+                if (key) {
+                    tags.push({key: key, value: $.trim($(this).find('.s3-tag-value').val())});
+                }
+            });
+
+            $error.prop('hidden', true);
+            $form.find(':input').prop('disabled', true);
+            $submit.text(i18n.saving);
+
+            this.restPromise('updateObjectTags', {
+                bucket: state.file.bucket,
+                key: state.file.key,
+                tags: tags
+            }).then(function (data) {
+                self.objectTags[state.file.bucket + '/' + state.file.key] = data.tags;
+
+                // The file may have just come into or gone out of the filter.
+                if (self.parseTagFilter($('#s3-js-search').val()).tags.length) {
+                    self.filterTable($('#s3-js-search').val());
+                }
+
+                if (self.objectTagsState !== state) return;
+
+                state.tags = data.tags;
+                self.drawTags(false);
+                self.showNotification(data.message, 'success');
+            }).catch(function (error) {
+                if (self.objectTagsState !== state) return;
+
+                $form.find(':input').prop('disabled', false);
+                $submit.text(i18n.save);
+                $error.prop('hidden', false).find('p').text(error.message);
+            });
+        },
+
+        /**
+         * Split a search term into its tag filters and the rest
+         *
+         * @param {string} term The search box's text.
+         * @returns {{text: string, tags: Array<{key: string, value: (string|null)}>}}
+         *          Keys and values lowercased; a null value matches any.
+         */
+        parseTagFilter: function (term) {
+            var tags = [];
+
+            var text = String(term || '').replace(TAG_TOKEN, function (match, space, quotedKey, key, quotedValue, value) {
+                var tagValue = quotedValue !== undefined ? quotedValue : value;
+
+                tags.push({
+                    key: String(quotedKey !== undefined ? quotedKey : key).toLowerCase(),
+                    value: tagValue === undefined ? null : tagValue.toLowerCase()
+                });
+
+                return space;
+            });
+
+            return {text: $.trim(text), tags: tags};
+        },
+
+        /**
+         * Whether a row's file carries every tag asked for
+         *
+         * A folder never does, and neither does a file whose tags are still
+         * being read: it appears once they are in.
+         */
+        rowMatchesTags: function ($row, filters) {
+            if (!filters.length) return true;
+
+            var key = $row.attr('data-row-key') || '';
+            var bucket = this.currentLocation ? this.currentLocation.bucket : '';
+            var tags = this.objectTags[bucket + '/' + key];
+
+            if (!key || key.slice(-1) === '/' || !tags) return false;
+
+            return filters.every(function (filter) {
+                return tags.some(function (tag) {
+                    return tag.key.toLowerCase() === filter.key &&
+                        (filter.value === null || tag.value.toLowerCase() === filter.value);
+                });
+            });
+        },
+
+        /**
+         * Read the tags of the folder's files that have not been read yet
+         *
+         * One batch after another, filtering again after each so matches show
+         * as they are found. A batch that fails is not retried for the same
+         * term -- a provider without tagging would fail every time -- but
+         * changing the term tries again.
+         *
+         * @param {string} term The search box's text, to know when it changed.
+         * @returns {boolean} Whether tags are still being read.
+         */
+        loadRowTags: function (term) {
+            var self = this;
+            var bucket = this.currentLocation ? this.currentLocation.bucket : '';
+            var failure = this.tagFilterFailure;
+            var keys = [];
+            var pending = false;
+
+            if (!bucket || !this.originalTableData) return false;
+
+            if (failure && failure.bucket === bucket && failure.term === term) return false;
+
+            this.originalTableData.each(function () {
+                var key = $(this).attr('data-row-key') || '';
+                var cached = self.objectTags[bucket + '/' + key];
+
+                if (!key || key.slice(-1) === '/') return;
+
+                if (cached === undefined) {
+                    keys.push(key);
+                    self.objectTags[bucket + '/' + key] = null;
+                }
+
+                pending = pending || !cached;
+            });
+
+            if (!keys.length) return pending;
+
+            this.tagFilterFailure = null;
+
+            var batches = [];
+            for (var i = 0; i < keys.length; i += BATCH) {
+                batches.push(keys.slice(i, i + BATCH));
+            }
+
+            var refilter = function () {
+                var current = $('#s3-js-search').val();
+
+                if (!self.isDeepSearching() && self.parseTagFilter(current).tags.length) {
+                    self.filterTable(current);
+                }
+            };
+
+            batches.reduce(function (previous, batch) {
+                return previous.then(function () {
+                    return self.restPromise('batchObjectTags', {bucket: bucket, keys: batch}).then(function (data) {
+                        data.objects.forEach(function (object) {
+                            self.objectTags[bucket + '/' + object.key] = object.tags;
+                        });
+
+                        refilter();
+                    });
+                });
+            }, Promise.resolve()).catch(function (error) {
+                keys.forEach(function (key) {
+                    if (self.objectTags[bucket + '/' + key] === null) {
+                        delete self.objectTags[bucket + '/' + key];
+                    }
+                });
+
+                self.tagFilterFailure = {bucket: bucket, term: term};
+                self.showNotification(error.message, 'error');
+                refilter();
+            });
+
+            return true;
+        }
+    });
+
+})(jQuery);
@@ -5,12 +5,19 @@
 (function ($) {
     'use strict';
 
+    // Where each dropped file sat within its folder. A File's own
+    // webkitRelativePath is read-only, and only set by a directory input.
+    var relativePaths = new WeakMap();
+
     // Extend the main S3Browser object with upload methods
     $.extend(window.S3Browser, {
 
         // Upload-specific state
         activeUploads: {},
         activeUploadCount: 0,
+        uploadQueue: [],
+        uploadedRowKeys: {},
+        uploadedRowTimer: null,
 
         /**
          * Bind upload event handlers
@@ -37,12 +44,14 @@
                     e.stopPropagation();
                     $(this).removeClass('s3-dragover');
 
-                    var files = e.originalEvent.dataTransfer.files;
-                    if (files.length) {
-                        var bucket = $(this).data('bucket');
-                        var prefix = $(this).data('prefix') || '';
-                        self.uploadFiles(files, bucket, prefix);
-                    }
+                    var bucket = $(this).data('bucket');
+                    var prefix = $(this).data('prefix') || '';
+
+                    self.collectDroppedFiles(e.originalEvent.dataTransfer).then(function (files) {
+                        if (files.length) {
+                            self.uploadFiles(files, bucket, prefix);
+                        }
+                    });
                 }
             });
 
@@ -56,14 +65,155 @@
                 }
             });
 
-            // Cancel uploads
-            $('.s3-upload-list').on('click', '.s3-cancel-upload', function (e) {
-                e.preventDefault();
-                var uploadId = $(this).data('upload-id');
-                self.cancelUpload(uploadId);
+            // Interrupted uploads from an earlier visit
+            if ($dropzone.length) {
+                self.checkResumableUploads();
+            }
+
+            // Per-upload controls
+            $('.s3-upload-list')
+                .on('click', '.s3-cancel-upload', function (e) {
+                    e.preventDefault();
+                    self.cancelUpload($(this).data('upload-id'));
+                })
+                .on('click', '.s3-pause-upload', function (e) {
+                    e.preventDefault();
+                    self.pauseUpload($(this).data('upload-id'));
+                })
+                .on('click', '.s3-resume-upload', function (e) {
+                    e.preventDefault();
+                    self.resumeUpload($(this).data('upload-id'));
+                })
+                .on('click', '.s3-retry-upload', function (e) {
+                    e.preventDefault();
+                    self.retryUpload($(this).data('upload-id'));
+                });
+
+            // Closing the panel after a partial batch gives up the failed
+            // uploads. The ones that made it are in the table already.
+            $('.s3-close-upload').on('click', function () {
+                if (self.hasActiveUploads || !self.uploadQueue.length) {
+                    return;
+                }
+
+                self.uploadQueue = [];
+                self.updateQueueBar();
+            });
+
+            // Whole-queue controls
+            $('.s3-upload-queue-bar')
+                .on('click', '.s3-pause-all-uploads', function (e) {
+                    e.preventDefault();
+                    self.pauseAllUploads();
+                })
+                .on('click', '.s3-resume-all-uploads', function (e) {
+                    e.preventDefault();
+                    self.resumeAllUploads();
+                })
+                .on('click', '.s3-retry-failed-uploads', function (e) {
+                    e.preventDefault();
+                    self.retryFailedUploads();
+                });
+        },
+
+        /**
+         * Gather the files in a drop, walking into any folders
+         *
+         * dataTransfer.files lists a dropped folder as a single empty file.
+         * The entries API sees inside it, but its items are only readable
+         * during the drop event, so they are taken up front and walked after.
+         */
+        collectDroppedFiles: function (dataTransfer) {
+            var self = this;
+            var items = dataTransfer.items;
+
+            if (!items || !items.length || typeof items[0].webkitGetAsEntry !== 'function') {
+                return Promise.resolve(Array.from(dataTransfer.files));
+            }
+
+            var entries = Array.from(items).map(function (item) {
+                return item.kind === 'file' ? item.webkitGetAsEntry() : null;
+            }).filter(Boolean);
+
+            return Promise.all(entries.map(function (entry) {
+                return self.readEntry(entry, '');
+            })).then(function (lists) {
+                return [].concat.apply([], lists);
+            });
+        },
+
+        /**
+         * Resolve the files under an entry, each tagged with its path in the drop
+         */
+        readEntry: function (entry, path) {
+            var self = this;
+
+            if (entry.isFile) {
+                return new Promise(function (resolve) {
+                    entry.file(function (file) {
+                        if (path) {
+                            relativePaths.set(file, path + file.name);
+                        }
+                        resolve([file]);
+                    }, function () {
+                        resolve([]);
+                    });
+                });
+            }
+
+            if (!entry.isDirectory) {
+                return Promise.resolve([]);
+            }
+
+            return this.readDirectory(entry).then(function (children) {
+                // .DS_Store, .git and the like come along with a folder but
+                // were never meant as part of it.
+                return Promise.all(children.filter(function (child) {
+                    return child.name.charAt(0) !== '.';
+                }).map(function (child) {
+                    return self.readEntry(child, path + entry.name + '/');
+                }));
+            }).then(function (lists) {
+                return [].concat.apply([], lists);
             });
         },
 
+        /**
+         * List a directory's entries
+         *
+         * readEntries() hands them over in batches of a hundred or so, and
+         * signals the end with an empty one.
+         */
+        readDirectory: function (directory) {
+            var reader = directory.createReader();
+            var entries = [];
+
+            return new Promise(function (resolve) {
+                var readBatch = function () {
+                    reader.readEntries(function (batch) {
+                        if (!batch.length) {
+                            resolve(entries);
+                            return;
+                        }
+
+                        entries = entries.concat(batch);
+                        readBatch();
+                    }, function () {
+                        resolve(entries);
+                    });
+                };
+
+                readBatch();
+            });
+        },
+
+        /**
+         * A file's path within what was dropped or chosen, its name if loose
+         */
+        relativePath: function (file) {
+            return relativePaths.get(file) || file.webkitRelativePath || file.name;
+        },
+
         /**
          * Validate files before upload
          */
@@ -80,7 +230,7 @@
                     validFiles.push(file);
                 } else {
                     errors.push({
-                        fileName: file.name,
+                        fileName: self.relativePath(file),
                         error: validation.error
                     });
                 }
@@ -160,6 +310,9 @@
 
         /**
          * Upload multiple files (updated with validation)
+         *
+         * Files are queued rather than started: dropping two hundred at once
+         * used to open two hundred requests, most of which then timed out.
          */
         uploadFiles: function (files, bucket, prefix) {
             var self = this;
@@ -183,59 +336,477 @@
                 );
             }
 
-            var $uploadList = $('.s3-upload-list');
-            var uploadPromises = [];
+            var normalizedPrefix = prefix ? (prefix.endsWith('/') ? prefix : prefix + '/') : '';
 
-            $uploadList.show();
-            $(document).trigger('s3UploadStarted');
+            // A folder's files keep their place in it under the current prefix.
+            var keys = validFiles.map(function (file) {
+                return normalizedPrefix + self.relativePath(file);
+            });
+
+            // Nothing is signed until every file's key is settled, so no
+            // upload can replace a live file before the admin has said so.
+            this.resolveUploadConflicts(bucket, validFiles, keys)
+                .then(function (uploads) {
+                    if (!uploads.length) {
+                        return;
+                    }
+
+                    $('.s3-upload-list').show();
+                    $(document).trigger('s3UploadStarted');
+
+                    uploads.forEach(function (upload) {
+                        self.enqueueUpload(upload.file, bucket, upload.key, normalizedPrefix);
+                    });
+
+                    self.processUploadQueue();
+                })
+                .catch(function (error) {
+                    self.showUploadError(s3BrowserConfig.i18n.upload.uploadFailed + ' ' + self.escapeHtml(error.message));
+                });
+        },
+
+        /**
+         * Add a file to the queue and give it a row in the upload list
+         */
+        enqueueUpload: function (file, bucket, objectKey, prefix) {
+            var path = this.relativePath(file);
+            var folder = path.substring(0, path.lastIndexOf('/') + 1);
+            var uploadId = 'upload_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+            var $progress = $([
+                '<div class="s3-upload-item" id="' + uploadId + '">',
+                '  <div class="s3-upload-item-info">',
+                '    <span class="s3-filename">' + window.S3Browser.escapeHtml(file.name) + '</span>',
+                '    <span class="s3-filesize">' + this.formatFileSize(file.size) + '</span>',
+                '  </div>',
+                '  <div class="s3-progress-container">',
+                '    <div class="s3-progress-bar">',
+                '      <div class="s3-progress" style="width: 0"></div>',
+                '    </div>',
+                '    <span class="s3-progress-text">0%</span>',
+                '    <span class="s3-transfer-data"></span>',
+                '  </div>',
+                '  <div class="s3-upload-status"></div>',
+                '</div>'
+            ].join(''));
 
-            Array.from(validFiles).forEach(function (file) {
-                var normalizedPrefix = prefix ? (prefix.endsWith('/') ? prefix : prefix + '/') : '';
-                var objectKey = normalizedPrefix + file.name;
-                var uploadId = 'upload_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-                var $progress = $([
-                    '<div class="s3-upload-item" id="' + uploadId + '">',
-                    '  <div class="s3-upload-item-info">',
-                    '    <span class="s3-filename">' + window.S3Browser.escapeHtml(file.name) + '</span>',
-                    '    <span class="s3-filesize">' + self.formatFileSize(file.size) + '</span>',
-                    '  </div>',
-                    '  <div class="s3-progress-container">',
-                    '    <div class="s3-progress-bar">',
-                    '      <div class="s3-progress" style="width: 0"></div>',
-                    '    </div>',
-                    '    <span class="s3-progress-text">0%</span>',
-                    '    <span class="s3-transfer-data"></span>',
-                    '  </div>',
-                    '  <div class="s3-upload-status">',
-                    '    <button class="s3-cancel-upload" title="Cancel upload" data-upload-id="' + uploadId + '">',
-                    '      <span class="dashicons dashicons-no"></span>',
-                    '    </button>',
-                    '  </div>',
+            var item = {
+                id: uploadId,
+                file: file,
+                bucket: bucket,
+                key: objectKey,
+                prefix: prefix,
+                folder: folder,
+                $row: $progress,
+                status: 'queued',
+                attempts: 0,
+                run: 0,
+                finished: false,
+                resume: false,
+                timer: null
+            };
+
+            (folder ? this.uploadGroup(folder) : $('.s3-upload-list')).append($progress);
+            this.uploadQueue.push(item);
+            this.activeUploadCount++;
+            this.renderUploadRow(item);
+
+            return item;
+        },
+
+        /**
+         * The list section for a folder's files, created on first use
+         */
+        uploadGroup: function (folder) {
+            var $group = $('.s3-upload-group').filter(function () {
+                return $(this).data('folder') === folder;
+            });
+
+            if (!$group.length) {
+                $group = $('<div class="s3-upload-group"></div>').data('folder', folder).append(
+                    '<div class="s3-upload-group-header">' +
+                    '<span class="dashicons dashicons-category"></span>' +
+                    '<span class="s3-upload-group-name">' + window.S3Browser.escapeHtml(folder) + '</span>' +
+                    '<span class="s3-upload-group-count"></span>' +
                     '</div>'
-                ].join(''));
-
-                $uploadList.append($progress);
-                self.activeUploadCount++;
-
-                var uploadPromise = self.getPresignedUrl(bucket, objectKey)
-                    .then(function (url) {
-                        return self.uploadToS3(file, url, $progress, uploadId);
-                    })
-                    .then(function () {
-                        $progress.addClass('s3-upload-success');
-                        $progress.find('.s3-upload-status').html('<span class="dashicons dashicons-yes"></span>');
-                        self.handleUploadComplete(uploadId, true);
-                    })
-                    .catch(function (error) {
+                );
+                $('.s3-upload-list').append($group);
+            }
+
+            return $group;
+        },
+
+        /**
+         * Show how far through its files a folder has got
+         */
+        updateUploadGroup: function (folder) {
+            var files = this.uploadQueue.filter(function (item) {
+                return item.folder === folder && item.status !== 'cancelled';
+            });
+            var done = files.filter(function (item) {
+                return item.status === 'done';
+            }).length;
+
+            this.uploadGroup(folder).find('.s3-upload-group-count').text(
+                s3BrowserConfig.i18n.upload.folderProgress
+                    .replace('{done}', done)
+                    .replace('{total}', files.length)
+            );
+        },
+
+        /**
+         * Start queued uploads until the concurrency limit is reached
+         */
+        processUploadQueue: function () {
+            var limit = (S3BrowserGlobalConfig.uploadQueue || {}).concurrency || 3;
+            var running = this.queuedUploads('uploading').length;
+            var waiting = this.queuedUploads('queued');
+
+            while (running < limit && waiting.length) {
+                this.startQueuedUpload(waiting.shift());
+                running++;
+            }
+
+            this.updateQueueBar();
+        },
+
+        /**
+         * The queued uploads in a given state
+         */
+        queuedUploads: function (status) {
+            return this.uploadQueue.filter(function (item) {
+                return item.status === status;
+            });
+        },
+
+        /**
+         * Find a queued upload by its row ID
+         */
+        findQueuedUpload: function (uploadId) {
+            return this.uploadQueue.filter(function (item) {
+                return item.id === uploadId;
+            })[0] || null;
+        },
+
+        /**
+         * Run one upload and decide what its outcome means for the queue
+         */
+        startQueuedUpload: function (item) {
+            var self = this;
+            var settings = S3BrowserGlobalConfig.uploadQueue || {};
+            var maxRetries = settings.retries === undefined ? 3 : settings.retries;
+            var run = ++item.run;
+
+            item.status = 'uploading';
+            item.attempts++;
+            this.renderUploadRow(item);
+
+            this.uploadFile(item.file, item.bucket, item.key, item.$row, item.id, item.resume)
+                .then(function () {
+                    // A run paused and resumed before it noticed was replaced.
+                    if (item.run !== run) {
+                        return;
+                    }
+
+                    // Cancelled after the last byte went, and already reported.
+                    // Otherwise the object is there, whatever was clicked late.
+                    if (!self.markUploadFinished(item.id)) {
+                        return;
+                    }
+
+                    item.status = 'done';
+                    self.renderUploadRow(item);
+                    self.showUploadedRow(item);
+                    self.handleUploadComplete(item.id, true);
+                })
+                .catch(function (error) {
+                    if (item.run !== run) {
+                        return;
+                    }
+
+                    delete self.activeUploads[item.id];
+
+                    // A paused multipart upload keeps its parts, so picking it
+                    // up again continues rather than restarts.
+                    if (item.status === 'paused') {
+                        item.resume = true;
+                        self.renderUploadRow(item);
+                        return;
+                    }
+
+                    if (item.status !== 'cancelled' && self.isRetryableUploadError(error) && item.attempts <= maxRetries) {
+                        self.scheduleUploadRetry(item);
+                        return;
+                    }
+
+                    if (item.status !== 'cancelled') {
                         console.error('Upload error:', error);
-                        self.handleUploadError(error, $progress, uploadId);
-                    });
+                        item.status = 'failed';
+                        item.resume = !!error.resumable;
+                        item.error = error.message;
+                    }
+
+                    self.handleUploadError(error, item.$row, item.id);
+                    self.renderUploadRow(item);
+                })
+                .then(function () {
+                    self.processUploadQueue();
+                });
+        },
+
+        /**
+         * Whether an upload failed in a way worth trying again
+         *
+         * A network drop or a provider's 5xx is usually gone a few seconds
+         * later. A 4xx is a refusal, and repeating the request will only be
+         * refused again -- except a checksum failure, where the provider
+         * refused bytes damaged in transit and a fresh copy will do.
+         */
+        isRetryableUploadError: function (error) {
+            var status = error && error.status;
+
+            if (error && error.code === 'ChecksumMismatch') {
+                return true;
+            }
+
+            if (typeof status !== 'number') {
+                return false;
+            }
+
+            return status === 0 || status === 408 || status === 429 || status >= 500;
+        },
+
+        /**
+         * Requeue an upload after an exponential backoff
+         */
+        scheduleUploadRetry: function (item) {
+            var self = this;
+            var delay = Math.min(30000, 1000 * Math.pow(2, item.attempts - 1)) + Math.floor(Math.random() * 500);
+
+            item.status = 'waiting';
+            item.resume = true;
+            this.renderUploadRow(item);
+            item.$row.find('.s3-transfer-data').text(
+                s3BrowserConfig.i18n.upload.retryingIn.replace('{seconds}', Math.ceil(delay / 1000))
+            );
+
+            item.timer = setTimeout(function () {
+                item.timer = null;
 
-                uploadPromises.push(uploadPromise);
+                if (item.status === 'waiting') {
+                    item.status = 'queued';
+                    self.processUploadQueue();
+                }
+            }, delay);
+        },
+
+        /**
+         * Pause an upload, stopping it if it is running
+         */
+        pauseUpload: function (uploadId) {
+            var item = this.findQueuedUpload(uploadId);
+
+            if (!item || ['queued', 'waiting', 'uploading'].indexOf(item.status) === -1) {
+                return;
+            }
+
+            var running = item.status === 'uploading';
+
+            clearTimeout(item.timer);
+            item.status = 'paused';
+            this.renderUploadRow(item);
+
+            // A multipart upload can stop its parts and keep the upload; a
+            // single PUT has nothing to keep and starts again on resume.
+            if (running && this.activeUploads[uploadId]) {
+                var upload = this.activeUploads[uploadId];
+                upload.pause ? upload.pause() : upload.abort();
+            }
+
+            this.updateQueueBar();
+        },
+
+        /**
+         * Put a paused upload back in the queue
+         */
+        resumeUpload: function (uploadId) {
+            var item = this.findQueuedUpload(uploadId);
+
+            if (item && item.status === 'paused') {
+                item.status = 'queued';
+                this.renderUploadRow(item);
+                this.processUploadQueue();
+            }
+        },
+
+        /**
+         * Queue a failed upload again
+         */
+        retryUpload: function (uploadId) {
+            var item = this.findQueuedUpload(uploadId);
+
+            if (!item || item.status !== 'failed') {
+                return;
+            }
+
+            item.status = 'queued';
+            item.attempts = 0;
+            item.finished = false;
+            item.$row.removeClass('s3-upload-error');
+            this.activeUploadCount++;
+            $(document).trigger('s3UploadStarted');
+            this.renderUploadRow(item);
+            this.processUploadQueue();
+        },
+
+        /**
+         * Pause everything not yet finished
+         */
+        pauseAllUploads: function () {
+            var self = this;
+
+            this.uploadQueue.forEach(function (item) {
+                self.pauseUpload(item.id);
             });
+        },
 
-            this.handleAllUploadsComplete(uploadPromises);
+        /**
+         * Resume everything paused
+         */
+        resumeAllUploads: function () {
+            this.queuedUploads('paused').forEach(function (item) {
+                item.status = 'queued';
+                this.renderUploadRow(item);
+            }, this);
+
+            this.processUploadQueue();
+        },
+
+        /**
+         * Queue every failed upload again
+         */
+        retryFailedUploads: function () {
+            var self = this;
+
+            this.queuedUploads('failed').forEach(function (item) {
+                self.retryUpload(item.id);
+            });
+        },
+
+        /**
+         * Draw a row's controls and status text for its queue state
+         */
+        renderUploadRow: function (item) {
+            var i18n = s3BrowserConfig.i18n.upload;
+            var $status = item.$row.find('.s3-upload-status');
+            var button = function (action, icon, title) {
+                return '<button type="button" class="s3-' + action + '-upload" title="' + window.S3Browser.escapeAttr(title) + '" data-upload-id="' + item.id + '">' +
+                    '<span class="dashicons dashicons-' + icon + '"></span></button>';
+            };
+
+            item.$row.toggleClass('s3-upload-paused', item.status === 'paused');
+
+            if (item.folder) {
+                this.updateUploadGroup(item.folder);
+            }
+
+            switch (item.status) {
+                case 'queued':
+                    item.$row.find('.s3-transfer-data').text(i18n.queued);
+                    $status.html(button('pause', 'controls-pause', i18n.pauseUpload) + button('cancel', 'no', i18n.cancelUpload));
+                    break;
+                case 'uploading':
+                case 'waiting':
+                    $status.html(button('pause', 'controls-pause', i18n.pauseUpload) + button('cancel', 'no', i18n.cancelUpload));
+                    break;
+                case 'paused':
+                    item.$row.find('.s3-transfer-data').text(i18n.paused);
+                    $status.html(button('resume', 'controls-play', i18n.resumeUpload) + button('cancel', 'no', i18n.cancelUpload));
+                    break;
+                case 'failed':
+                    $status.html('<span class="dashicons dashicons-warning" title="' + window.S3Browser.escapeAttr(item.error || '') + '"></span>' +
+                        button('retry', 'update', i18n.retryUpload));
+                    break;
+                case 'done':
+                    item.$row.addClass('s3-upload-success');
+                    $status.html(item.$row.data('checksum') === 'verified'
+                        ? '<span class="dashicons dashicons-yes" title="' + window.S3Browser.escapeAttr(i18n.checksumVerified) + '"></span>'
+                        : '<span class="dashicons dashicons-yes"></span>');
+                    break;
+            }
+        },
+
+        /**
+         * Show the queue's counts and the controls that apply to them
+         */
+        updateQueueBar: function () {
+            var i18n = s3BrowserConfig.i18n.upload;
+            var $bar = $('.s3-upload-queue-bar');
+            var done = this.queuedUploads('done').length;
+            var failed = this.queuedUploads('failed').length;
+            var paused = this.queuedUploads('paused').length;
+            var pending = this.uploadQueue.length - done - failed - paused - this.queuedUploads('cancelled').length;
+
+            if (!this.uploadQueue.length) {
+                $bar.hide();
+                return;
+            }
+
+            $bar.find('.s3-upload-queue-summary').text(
+                i18n.queueSummary
+                    .replace('{done}', done)
+                    .replace('{total}', this.uploadQueue.length)
+                    .replace('{failed}', failed)
+            );
+            $bar.find('.s3-pause-all-uploads').toggle(pending > 0);
+            $bar.find('.s3-resume-all-uploads').toggle(paused > 0);
+            $bar.find('.s3-retry-failed-uploads').toggle(failed > 0);
+            $bar.show();
+        },
+
+        /**
+         * A check that stops an upload between steps once it is paused or cancelled
+         *
+         * Hashing, signing and looking for a resumable upload send nothing
+         * that pausing or cancelling could abort, so the upload checks after
+         * each of them whether it should go on. The check belongs to one run:
+         * after a quick pause and resume, the run left behind stops rather
+         * than racing the one that replaced it.
+         *
+         * @returns {Function} Throws once the run should stop.
+         */
+        uploadRunCheck: function (uploadId) {
+            var item = this.findQueuedUpload(uploadId);
+            var run = item ? item.run : null;
+
+            return function () {
+                if (item && (item.status !== 'uploading' || item.run !== run)) {
+                    throw new Error(s3BrowserConfig.i18n.upload.uploadCancelled);
+                }
+            };
+        },
+
+        /**
+         * Mark a queued upload finished, once
+         *
+         * A cancel reports itself when nothing was running to report it, and
+         * the upload it stopped can settle after that; counting it twice would
+         * end the batch early.
+         *
+         * @returns {boolean} False if it had already finished.
+         */
+        markUploadFinished: function (uploadId) {
+            var item = this.findQueuedUpload(uploadId);
+
+            if (item && item.finished) {
+                return false;
+            }
+
+            if (item) {
+                item.finished = true;
+            }
+
+            return true;
         },
 
         /**
@@ -247,6 +818,7 @@
 
             if (this.activeUploadCount === 0) {
                 $(document).trigger('s3AllUploadsComplete');
+                this.handleQueueSettled();
             }
             $(document).trigger('s3UploadComplete', [success]);
         },
@@ -257,6 +829,10 @@
         handleUploadError: function (error, $progress, uploadId) {
             var upload = s3BrowserConfig.i18n.upload;
 
+            if (!this.markUploadFinished(uploadId)) {
+                return;
+            }
+
             if (error.message === upload.uploadCancelled) {
                 $progress.addClass('s3-upload-cancelled');
                 $progress.find('.s3-upload-status').html('<span class="dashicons dashicons-no"></span>');
@@ -270,12 +846,13 @@
                 $progress.find('.s3-upload-status').html('<span class="dashicons dashicons-warning"></span>');
 
                 var errorMsg = error.message || upload.uploadFailed;
+                var resumeNote = error.resumable ? ' ' + upload.resumeLater : '';
                 if (errorMsg.includes('CORS') || errorMsg.includes('403') || errorMsg.includes('401')) {
-                    this.showUploadError(upload.corsError);
+                    this.showUploadError(upload.corsError + resumeNote);
                 } else if (errorMsg.includes('network')) {
-                    this.showUploadError(upload.networkError);
+                    this.showUploadError(upload.networkError + resumeNote);
                 } else {
-                    this.showUploadError(upload.uploadFailed + ' ' + errorMsg);
+                    this.showUploadError(upload.uploadFailed + ' ' + errorMsg + resumeNote);
                 }
             }
 
@@ -283,25 +860,549 @@
         },
 
         /**
-         * Handle all uploads completion
+         * Report on the batch once nothing is left to finish
+         */
+        handleQueueSettled: function () {
+            var failed = this.queuedUploads('failed').length;
+            var done = this.queuedUploads('done').length;
+
+            if (failed) {
+                this.showNotification(
+                    s3BrowserConfig.i18n.upload.someUploadsFailed
+                        .replace('{failed}', failed)
+                        .replace('{done}', done),
+                    'error'
+                );
+                return;
+            }
+
+            if (done) {
+                this.showNotification(s3BrowserConfig.i18n.upload.uploadComplete, 'success');
+            }
+        },
+
+        /**
+         * Put a finished upload's row in the table
+         *
+         * A file that went into a subfolder shows as that folder's row, since
+         * that is what the listing here holds. Uploads finishing close
+         * together are fetched in one request rather than one each.
          */
-        handleAllUploadsComplete: function (uploadPromises) {
+        showUploadedRow: function (item) {
             var self = this;
-            Promise.allSettled(uploadPromises).then(function () {
-                setTimeout(function () {
-                    var hasSuccessfulUploads = $('.s3-upload-success').length > 0;
-                    if (hasSuccessfulUploads) {
-                        self.showNotification(s3BrowserConfig.i18n.upload.uploadComplete, 'success');
-                        window.location.reload();
+            var rest = item.key.substring(item.prefix.length);
+            var slash = rest.indexOf('/');
+            var rowKey = slash === -1 ? item.key : item.prefix + rest.substring(0, slash + 1);
+
+            // A folder row already there has nothing new to show.
+            if (slash !== -1 && this.originalTableData && this.findRowIndex(this.originalTableData.get(), rowKey) !== -1) {
+                return;
+            }
+
+            this.uploadedRowKeys[rowKey] = true;
+
+            clearTimeout(this.uploadedRowTimer);
+            this.uploadedRowTimer = setTimeout(function () {
+                var keys = Object.keys(self.uploadedRowKeys);
+
+                self.uploadedRowKeys = {};
+                self.refreshRows(item.bucket, item.prefix, keys).catch(function () {
+                    // The files are uploaded either way, and the next visit
+                    // to the folder lists them.
+                });
+            }, 500);
+        },
+
+        /**
+         * Upload one file, choosing a single PUT or a multipart upload by size
+         *
+         * A multipart upload interrupted on an earlier visit is offered for
+         * resuming when the same file is dropped on the same key again.
+         *
+         * @param {boolean} autoResume Continue an interrupted upload unasked.
+         */
+        uploadFile: function (file, bucket, objectKey, $progress, uploadId, autoResume) {
+            var self = this;
+            var settings = S3BrowserGlobalConfig.multipart || {};
+            var stillRunning = this.uploadRunCheck(uploadId);
+
+            if (settings.threshold && file.size >= settings.threshold) {
+                return this.findResumableUpload(file, bucket, objectKey).then(function (record) {
+                    stillRunning();
+
+                    // A retry or an unpause continues without asking; the
+                    // question is only for a file dropped again later.
+                    if (record && !autoResume && !self.confirmResume(record)) {
+                        self.discardResumableUpload(record);
+                        record = null;
                     }
-                }, 3000);
+
+                    return self.uploadMultipart(file, bucket, objectKey, $progress, uploadId, record);
+                });
+            }
+
+            // Hashed before signing, since a SHA-256 is signed into the URL.
+            $progress.find('.s3-transfer-data').text(s3BrowserConfig.i18n.upload.hashing);
+
+            return this.hashBlob(file, true).then(function (checksum) {
+                stillRunning();
+
+                return self.getPresignedUrl(bucket, objectKey, checksum).then(function (signed) {
+                    stillRunning();
+
+                    return self.uploadToS3(file, signed.url, $progress, uploadId, checksum, !!checksum && signed.checksumHeaders);
+                });
+            });
+        },
+
+        /**
+         * Upload a large file as parts, several at a time
+         *
+         * Each part is PUT straight to the provider on its own presigned URL,
+         * so a dropped connection costs one part rather than the whole file.
+         * The row's progress is the sum of every part in flight.
+         *
+         * Progress is written to the resume store after every part. A failed
+         * upload is left on the provider so it can be resumed; only a cancel,
+         * or a browser with nowhere to record it, aborts it.
+         */
+        uploadMultipart: function (file, bucket, objectKey, $progress, uploadId, record) {
+            var self = this;
+            var settings = S3BrowserGlobalConfig.multipart || {};
+            var partSize = record ? record.partSize : this.multipartPartSize(file.size, settings.partSize);
+            var state = {
+                file: file,
+                bucket: bucket,
+                key: objectKey,
+                fingerprint: this.uploadFingerprint(file, bucket, objectKey),
+                partSize: partSize,
+                partCount: Math.ceil(file.size / partSize),
+                nextPart: 1,
+                multipartId: record ? record.uploadId : null,
+                startedAt: record ? record.startedAt : Date.now(),
+                resumed: !!record,
+                persisted: false,
+                cancelled: false,
+                userCancelled: false,
+                requests: {},
+                urls: {},
+                loaded: {},
+                etags: record ? $.extend({}, record.etags) : {},
+                digests: {},
+                opaqueEtags: false,
+                // Set from each signed batch: whether the bucket's CORS rule
+                // lets the parts carry their Content-MD5.
+                checksumHeaders: false,
+                meter: {lastLoaded: 0, lastTime: Date.now()}
+            };
+
+            // Parts finished on the earlier visit count towards the bar, but
+            // not towards the speed.
+            Object.keys(state.etags).forEach(function (partNumber) {
+                var start = (partNumber - 1) * partSize;
+                state.loaded[partNumber] = Math.min(partSize, file.size - start);
+            });
+            state.meter.lastLoaded = this.sumLoaded(state.loaded);
+
+            // Cancelling has to stop every part in flight, not one request.
+            this.activeUploads[uploadId] = {
+                abort: function () {
+                    state.userCancelled = true;
+                    self.stopMultipartParts(state);
+                },
+                pause: function () {
+                    self.stopMultipartParts(state);
+                }
+            };
+
+            var started = record
+                ? Promise.resolve({upload_id: record.uploadId})
+                : this.restPromise('createMultipartUpload', {
+                    bucket: bucket,
+                    key: objectKey,
+                    content_type: file.type || 'application/octet-stream'
+                });
+
+            if (record) {
+                $(document).trigger('s3UploadResumed', [record]);
+            }
+
+            return started
+                .then(function (data) {
+                    state.multipartId = data.upload_id;
+
+                    return self.saveResumableUpload(state);
+                })
+                .then(function (persisted) {
+                    state.persisted = persisted;
+
+                    var workers = [];
+                    var concurrency = Math.min(settings.concurrency || 4, state.partCount);
+
+                    for (var i = 0; i < concurrency; i++) {
+                        workers.push(self.nextMultipartPart(state, $progress));
+                    }
+
+                    return Promise.all(workers);
+                })
+                .then(function () {
+                    $progress.find('.s3-transfer-data').text(s3BrowserConfig.i18n.upload.finishingUpload);
+
+                    return self.restPromise('completeMultipartUpload', {
+                        bucket: bucket,
+                        key: objectKey,
+                        upload_id: state.multipartId,
+                        parts: Object.keys(state.etags).map(function (partNumber) {
+                            return {part_number: parseInt(partNumber, 10), etag: state.etags[partNumber]};
+                        })
+                    });
+                })
+                .then(function (data) {
+                    self.forgetResumableUpload(state.fingerprint);
+
+                    return self.verifyMultipartUpload(state, data.etag, $progress).then(function () {
+                        return data;
+                    });
+                })
+                .catch(function (error) {
+                    // The object exists by now; there is nothing to resume
+                    // or abort, only to send again.
+                    if (error.completed) {
+                        throw error;
+                    }
+
+                    // One part failing fails the file; stop the others.
+                    self.stopMultipartParts(state);
+
+                    // The provider no longer knows the upload -- a lifecycle
+                    // rule cleared it while the tab was closed. Start over
+                    // rather than fail a file that can still go up.
+                    if (state.resumed && error.status === 404) {
+                        self.forgetResumableUpload(state.fingerprint);
+
+                        return self.uploadMultipart(file, bucket, objectKey, $progress, uploadId, null);
+                    }
+
+                    // Parts already stored are billed until the upload is
+                    // aborted, and never show up in a listing.
+                    if (state.multipartId && (state.userCancelled || !state.persisted)) {
+                        self.discardResumableUpload({
+                            id: state.fingerprint,
+                            bucket: bucket,
+                            key: objectKey,
+                            uploadId: state.multipartId
+                        });
+                    } else if (state.persisted) {
+                        error.resumable = true;
+                    }
+
+                    throw error;
+                });
+        },
+
+        /**
+         * Check a finished multipart upload's ETag against its parts' MD5s
+         *
+         * Parts sent on an earlier visit were checked then; their ETags stand
+         * in for the MD5s this visit never computed. An encrypted object's
+         * ETag is not built from MD5s at all, so it is not checked.
+         */
+        verifyMultipartUpload: function (state, etag, $progress) {
+            var self = this;
+            var digests = [];
+
+            for (var n = 1; n <= state.partCount; n++) {
+                digests.push(state.digests[n] || String(state.etags[n]).replace(/"/g, '').toLowerCase());
+            }
+
+            if (!Object.keys(state.digests).length || state.opaqueEtags) {
+                return Promise.resolve();
+            }
+
+            return this.compositeEtag(digests).then(function (expected) {
+                var matches = expected ? self.etagMatches(etag, expected) : null;
+
+                if (matches === false) {
+                    var error = self.checksumError();
+
+                    error.completed = true;
+                    throw error;
+                }
+
+                $progress.data('checksum', 'verified');
+            });
+        },
+
+        /**
+         * Abort every part of a multipart upload still in flight
+         */
+        stopMultipartParts: function (state) {
+            state.cancelled = true;
+
+            Object.keys(state.requests).forEach(function (partNumber) {
+                state.requests[partNumber].abort();
+            });
+        },
+
+        /**
+         * Take the next unclaimed part and upload it, until none are left
+         */
+        nextMultipartPart: function (state, $progress) {
+            var self = this;
+
+            if (state.cancelled) {
+                return Promise.reject(new Error(s3BrowserConfig.i18n.upload.uploadCancelled));
+            }
+
+            // Skip what an earlier visit already sent.
+            while (state.etags[state.nextPart]) {
+                state.nextPart++;
+            }
+
+            if (state.nextPart > state.partCount) {
+                return Promise.resolve();
+            }
+
+            var partNumber = state.nextPart++;
+
+            return this.getPartUrl(state, partNumber)
+                .then(function (url) {
+                    return self.uploadPart(state, partNumber, url, $progress);
+                })
+                .then(function () {
+                    return self.nextMultipartPart(state, $progress);
+                });
+        },
+
+        /**
+         * Get the presigned URL for a part, signing a batch ahead when needed
+         *
+         * Each batch is remembered as one promise per part, so workers asking
+         * for parts of a batch already being signed wait on that request
+         * rather than sending their own.
+         */
+        getPartUrl: function (state, partNumber) {
+            if (!state.urls[partNumber]) {
+                var batch = [];
+
+                for (var n = partNumber; n <= state.partCount && batch.length < 20; n++) {
+                    if (!state.urls[n]) {
+                        batch.push(n);
+                    }
+                }
+
+                var request = this.restPromise('signMultipartParts', {
+                    bucket: state.bucket,
+                    key: state.key,
+                    upload_id: state.multipartId,
+                    part_numbers: batch
+                });
+
+                batch.forEach(function (n) {
+                    state.urls[n] = request.then(function (data) {
+                        if (!data.urls || !data.urls[n]) {
+                            throw new Error(s3BrowserConfig.i18n.upload.failedPresignedUrl);
+                        }
+
+                        state.checksumHeaders = !!data.checksum_headers;
+
+                        return data.urls[n];
+                    });
+                });
+            }
+
+            return state.urls[partNumber];
+        },
+
+        /**
+         * PUT one part and record the ETag it comes back with
+         */
+        uploadPart: function (state, partNumber, url, $progress) {
+            var self = this;
+            var start = (partNumber - 1) * state.partSize;
+            var blob = state.file.slice(start, Math.min(start + state.partSize, state.file.size));
+
+            // Each part is hashed just before it goes, while the parts ahead
+            // of it are still uploading.
+            return this.hashBlob(blob, false).then(function (checksum) {
+                if (state.cancelled) {
+                    throw new Error(s3BrowserConfig.i18n.upload.uploadCancelled);
+                }
+
+                return self.sendPart(state, partNumber, url, blob, checksum, $progress);
+            });
+        },
+
+        /**
+         * PUT one part's bytes, with its MD5 for the provider to check
+         *
+         * The header is left off where the bucket's CORS rule would refuse
+         * it, and the part is checked by its ETag alone.
+         */
+        sendPart: function (state, partNumber, url, blob, checksum, $progress) {
+            var self = this;
+            var withHeaders = !!checksum && state.checksumHeaders;
+
+            return new Promise(function (resolve, reject) {
+                var xhr = new XMLHttpRequest();
+
+                state.requests[partNumber] = xhr;
+
+                xhr.upload.addEventListener('progress', function (e) {
+                    state.loaded[partNumber] = e.loaded;
+                    self.updateUploadProgress($progress, self.sumLoaded(state.loaded), state.file.size, state.meter);
+                });
+
+                xhr.addEventListener('load', function () {
+                    delete state.requests[partNumber];
+
+                    if (xhr.status < 200 || xhr.status >= 300) {
+                        reject(self.putError(xhr));
+                        return;
+                    }
+
+                    var etag = xhr.getResponseHeader('ETag');
+
+                    // Readable only if the bucket's CORS rule exposes it.
+                    if (!etag) {
+                        reject(new Error(s3BrowserConfig.i18n.upload.etagNotExposed));
+                        return;
+                    }
+
+                    if (checksum) {
+                        if (self.etagMatches(etag, checksum.md5, xhr) === false) {
+                            reject(self.checksumError());
+                            return;
+                        }
+
+                        state.digests[partNumber] = checksum.md5;
+                        state.opaqueEtags = state.opaqueEtags || self.etagIsOpaque(xhr);
+                    }
+
+                    state.etags[partNumber] = etag;
+                    state.loaded[partNumber] = blob.size;
+
+                    if (state.persisted) {
+                        self.saveResumableUpload(state);
+                    }
+
+                    self.updateUploadProgress($progress, self.sumLoaded(state.loaded), state.file.size, state.meter);
+                    resolve();
+                });
+
+                xhr.addEventListener('error', function (e) {
+                    delete state.requests[partNumber];
+                    reject(self.transferError(e.target.status));
+                });
+
+                xhr.addEventListener('abort', function () {
+                    delete state.requests[partNumber];
+                    reject(new Error(s3BrowserConfig.i18n.upload.uploadCancelled));
+                });
+
+                xhr.open('PUT', url, true);
+
+                if (withHeaders) {
+                    xhr.setRequestHeader('Content-MD5', checksum.md5Base64);
+                }
+
+                xhr.send(blob);
             });
         },
 
+        /**
+         * Build the error for a PUT the provider answered with a failure
+         *
+         * BadDigest means the bytes that arrived did not match the MD5 sent
+         * with them -- damaged on the way, and worth sending again.
+         */
+        putError: function (xhr) {
+            var error;
+
+            if (xhr.status === 400 && /BadDigest|InvalidDigest/.test(xhr.responseText || '')) {
+                error = this.checksumError();
+            } else {
+                error = new Error(s3BrowserConfig.i18n.upload.uploadFailedStatus + ' ' + xhr.status);
+            }
+
+            error.status = xhr.status;
+
+            return error;
+        },
+
+        /**
+         * Build the error for a request that never got a response
+         *
+         * The browser reports a CORS refusal and a dropped connection alike,
+         * as status 0. It is kept on the error so the queue can retry it: a
+         * CORS fault fails again quickly, and a dropped connection may not.
+         */
+        transferError: function (status) {
+            var error = new Error(status === 0
+                ? s3BrowserConfig.i18n.upload.corsError
+                : s3BrowserConfig.i18n.upload.networkError);
+
+            error.status = status || 0;
+
+            return error;
+        },
+
+        /**
+         * Choose a part size that keeps the file within S3's 10,000 parts
+         *
+         * S3 also refuses parts under 5 MiB other than the last, so neither
+         * the configured size nor the computed one may go below that.
+         */
+        multipartPartSize: function (fileSize, preferred) {
+            var mebibyte = 1024 * 1024;
+            var size = Math.max(preferred || 16 * mebibyte, 5 * mebibyte, Math.ceil(fileSize / 10000));
+
+            return Math.ceil(size / mebibyte) * mebibyte;
+        },
+
+        /**
+         * Total bytes sent across every part
+         */
+        sumLoaded: function (loaded) {
+            return Object.keys(loaded).reduce(function (total, partNumber) {
+                return total + loaded[partNumber];
+            }, 0);
+        },
+
+        /**
+         * Draw a row's progress bar, percentage and transfer speed
+         *
+         * The meter carries the last sample between calls, so the speed is
+         * averaged over at least half a second rather than jumping per event.
+         */
+        updateUploadProgress: function ($progress, loaded, total, meter) {
+            var percentComplete = Math.round((loaded / total) * 100);
+            $progress.find('.s3-progress').css('width', percentComplete + '%');
+            $progress.find('.s3-progress-text').text(percentComplete + '%');
+
+            var currentTime = Date.now();
+            var timeDiff = (currentTime - meter.lastTime) / 1000;
+
+            if (timeDiff > 0.5) {
+                var loadedDiff = loaded - meter.lastLoaded;
+                var uploadSpeed = Math.max(0, loadedDiff / timeDiff);
+
+                var transferred = this.formatFileSize(loaded) + ' / ' + this.formatFileSize(total);
+                var speed = this.formatFileSize(uploadSpeed) + '/s';
+                $progress.find('.s3-transfer-data').text(transferred + ' • ' + speed);
+
+                meter.lastLoaded = loaded;
+                meter.lastTime = currentTime;
+            }
+        },
+
         /**
          * Get presigned URL for upload
+         *
+         * Resolves with the URL and whether the bucket's CORS rule lets the
+         * PUT carry its checksum headers.
          */
-        getPresignedUrl: function (bucket, objectKey) {
+        getPresignedUrl: function (bucket, objectKey, checksum) {
             var self = this;
             return new Promise(function (resolve, reject) {
                 $.ajax({
@@ -310,20 +1411,24 @@
                     method: 'POST',
                     contentType: 'application/json; charset=utf-8',
                     headers: {'X-WP-Nonce': S3BrowserGlobalConfig.restNonce},
-                    data: JSON.stringify({key: objectKey}),
+                    data: JSON.stringify({
+                        key: objectKey,
+                        checksum_sha256: checksum && checksum.sha256 ? checksum.sha256 : undefined
+                    }),
                     success: function (payload) {
                         if (payload && payload.url) {
-                            resolve(payload.url);
+                            resolve({url: payload.url, checksumHeaders: !!payload.checksum_headers});
                         } else {
                             reject(new Error((payload && payload.message) || s3BrowserConfig.i18n.upload.failedPresignedUrl));
                         }
                     },
                     error: function (xhr, status, error) {
-                        if (xhr.status === 403 || xhr.status === 401) {
-                            reject(new Error('Authentication failed - check S3 credentials'));
-                        } else {
-                            reject(new Error(error || s3BrowserConfig.i18n.upload.networkError));
-                        }
+                        var failure = xhr.status === 403 || xhr.status === 401
+                            ? new Error('Authentication failed - check S3 credentials')
+                            : new Error(error || s3BrowserConfig.i18n.upload.networkError);
+
+                        failure.status = xhr.status;
+                        reject(failure);
                     }
                 });
             });
@@ -331,53 +1436,46 @@
 
         /**
          * Upload file to S3 using presigned URL
+         *
+         * @param {boolean} withHeaders Send the checksum headers with the file.
          */
-        uploadToS3: function (file, presignedUrl, $progress, uploadId) {
+        uploadToS3: function (file, presignedUrl, $progress, uploadId, checksum, withHeaders) {
             var self = this;
             return new Promise(function (resolve, reject) {
                 var xhr = new XMLHttpRequest();
-                var lastLoaded = 0;
-                var lastTime = Date.now();
+                var meter = {lastLoaded: 0, lastTime: Date.now()};
 
                 self.activeUploads[uploadId] = xhr;
 
                 xhr.upload.addEventListener('progress', function (e) {
                     if (e.lengthComputable) {
-                        var percentComplete = Math.round((e.loaded / e.total) * 100);
-                        $progress.find('.s3-progress').css('width', percentComplete + '%');
-                        $progress.find('.s3-progress-text').text(percentComplete + '%');
-
-                        var currentTime = Date.now();
-                        var timeDiff = (currentTime - lastTime) / 1000;
-
-                        if (timeDiff > 0.5) {
-                            var loadedDiff = e.loaded - lastLoaded;
-                            var uploadSpeed = loadedDiff / timeDiff;
-
-                            var transferred = self.formatFileSize(e.loaded) + ' / ' + self.formatFileSize(e.total);
-                            var speed = self.formatFileSize(uploadSpeed) + '/s';
-                            $progress.find('.s3-transfer-data').text(transferred + ' • ' + speed);
-
-                            lastLoaded = e.loaded;
-                            lastTime = currentTime;
-                        }
+                        self.updateUploadProgress($progress, e.loaded, e.total, meter);
                     }
                 });
 
                 xhr.addEventListener('load', function () {
-                    if (xhr.status >= 200 && xhr.status < 300) {
-                        resolve(xhr.response);
-                    } else {
-                        reject(new Error(s3BrowserConfig.i18n.upload.uploadFailedStatus + ' ' + xhr.status));
+                    if (xhr.status < 200 || xhr.status >= 300) {
+                        reject(self.putError(xhr));
+                        return;
                     }
+
+                    // The provider checked any Content-MD5 sent before
+                    // accepting the file; the ETag is a second check, and the
+                    // only one where the header had to be left off.
+                    if (checksum) {
+                        if (self.etagMatches(xhr.getResponseHeader('ETag'), checksum.md5, xhr) === false) {
+                            reject(self.checksumError());
+                            return;
+                        }
+
+                        $progress.data('checksum', 'verified');
+                    }
+
+                    resolve(xhr.response);
                 });
 
                 xhr.addEventListener('error', function (e) {
-                    if (e.target.status === 0) {
-                        reject(new Error(s3BrowserConfig.i18n.upload.corsError));
-                    } else {
-                        reject(new Error(s3BrowserConfig.i18n.upload.networkError));
-                    }
+                    reject(self.transferError(e.target.status));
                 });
 
                 xhr.addEventListener('abort', function () {
@@ -386,6 +1484,15 @@
 
                 xhr.open('PUT', presignedUrl, true);
                 xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+
+                if (withHeaders) {
+                    xhr.setRequestHeader('Content-MD5', checksum.md5Base64);
+
+                    if (checksum.sha256) {
+                        xhr.setRequestHeader('x-amz-checksum-sha256', checksum.sha256);
+                    }
+                }
+
                 xhr.send(file);
             });
         },
@@ -394,19 +1501,37 @@
          * Cancel an upload
          */
         cancelUpload: function (uploadId) {
+            var self = this;
+            var item = this.findQueuedUpload(uploadId);
             var $uploadItem = $('#' + uploadId);
             var filename = $uploadItem.find('.s3-filename').text();
             var confirmMessage = s3BrowserConfig.i18n.upload.cancelUploadConfirm.replace('{filename}', filename);
 
-            if (confirm(confirmMessage) && this.activeUploads[uploadId]) {
+            if (!item || !confirm(confirmMessage)) {
+                return;
+            }
+
+            var wasRunning = item.status === 'uploading';
+            var wasPaused = item.status === 'paused';
+
+            clearTimeout(item.timer);
+            item.status = 'cancelled';
+
+            if (wasRunning && this.activeUploads[uploadId]) {
                 this.activeUploads[uploadId].abort();
-                $uploadItem.addClass('s3-upload-cancelled');
-                setTimeout(function () {
-                    $uploadItem.fadeOut(800, function () {
-                        $(this).remove();
-                    });
-                }, 3000);
+                return;
             }
+
+            // Nothing is running to report the cancel, so report it here. A
+            // paused multipart upload still holds parts on the provider.
+            if (wasPaused) {
+                this.findResumableUpload(item.file, item.bucket, item.key).then(function (record) {
+                    record && self.discardResumableUpload(record);
+                });
+            }
+
+            this.handleUploadError(new Error(s3BrowserConfig.i18n.upload.uploadCancelled), $uploadItem, uploadId);
+            this.updateQueueBar();
         },
 
         /**
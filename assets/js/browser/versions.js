@@ -0,0 +1,267 @@
+/**
+ * S3 Browser Versions
+ * The Versions tab of the details dialog: an object's earlier versions and
+ * delete markers in a versioned bucket, each of which can be downloaded,
+ * restored over the current file, or deleted for good. The history is read
+ * when the tab is first opened, not with the dialog.
+ */
+(function ($) {
+    'use strict';
+
+    var MODAL = '#s3DetailsModal';
+    var PANE = MODAL + ' .s3-versions-pane';
+
+    // A version link only has to last until the download starts.
+    var LINK_MINUTES = 5;
+
+    var i18n = s3BrowserConfig.i18n.versions;
+
+    $.extend(window.S3Browser, {
+
+        objectVersions: null,
+
+        /**
+         * Wire the dialog's tabs and the version actions
+         */
+        bindVersionEvents: function () {
+            var self = this;
+
+            $(document).off('click.s3versions').on('click.s3versions', MODAL + ' .s3-details-tab', function (e) {
+                e.preventDefault();
+                self.showDetailsTab($(this).data('tab'));
+            });
+
+            // Arrow keys move between tabs, as for any tablist.
+            $(document).off('keydown.s3versions').on('keydown.s3versions', MODAL + ' .s3-details-tab', function (e) {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+
+                var $tabs = $(MODAL + ' .s3-details-tab');
+                var index = $tabs.index(this) + (e.key === 'ArrowRight' ? 1 : -1);
+                var $next = $tabs.eq((index + $tabs.length) % $tabs.length);
+
+                e.preventDefault();
+                self.showDetailsTab($next.data('tab'));
+                $next.trigger('focus');
+            });
+
+            $(document).on('click.s3versions', PANE + ' .s3-version-download', function (e) {
+                e.preventDefault();
+                self.downloadVersion($(this));
+            });
+
+            $(document).on('click.s3versions', PANE + ' .s3-version-restore', function (e) {
+                e.preventDefault();
+                self.restoreVersion($(this));
+            });
+
+            $(document).on('click.s3versions', PANE + ' .s3-version-delete', function (e) {
+                e.preventDefault();
+                self.deleteVersion($(this));
+            });
+        },
+
+        /**
+         * Get the Versions tab ready for a file, to be read when opened
+         *
+         * @param {Object} file bucket, key and filename.
+         */
+        prepareVersions: function (file) {
+            this.objectVersions = {file: file, data: null, loading: false};
+        },
+
+        /**
+         * Switch the details dialog to a tab
+         *
+         * @param {string} tab details or versions.
+         */
+        showDetailsTab: function (tab) {
+            var state = this.objectVersions;
+
+            $(MODAL + ' .s3-details-tab').each(function () {
+                var selected = $(this).data('tab') === tab;
+
+                $(this).attr({'aria-selected': selected ? 'true' : 'false', tabindex: selected ? null : '-1'});
+            });
+
+            $(MODAL + ' .s3-details-panel').each(function () {
+                $(this).prop('hidden', $(this).data('tab') !== tab);
+            });
+
+            if (tab === 'versions' && state && !state.data && !state.loading) {
+                this.loadVersions();
+            }
+        },
+
+        /**
+         * Read the file's versions into the tab
+         */
+        loadVersions: function () {
+            var self = this;
+            var state = this.objectVersions;
+
+            if (!state) return;
+
+            state.loading = true;
+
+            $(PANE).empty().append($('<p class="s3-versions-loading">').text(i18n.loading));
+
+            this.restPromise('objectVersions', {bucket: state.file.bucket, key: state.file.key}).then(function (data) {
+                // The dialog was closed or opened on another file meanwhile.
+                if (self.objectVersions !== state) return;
+
+                state.data = data;
+                state.loading = false;
+                self.drawVersions();
+            }).catch(function (error) {
+                if (self.objectVersions !== state) return;
+
+                state.loading = false;
+                $(PANE).empty().append($('<p class="s3-versions-error">').text(error.message || i18n.loadFailed));
+            });
+        },
+
+        /**
+         * Show the versions read
+         */
+        drawVersions: function () {
+            var state = this.objectVersions;
+
+            if (!state || !state.data) return;
+
+            $(PANE).html(wp.template('s3-object-versions')(state.data));
+        },
+
+        /**
+         * The version a button in the list belongs to
+         *
+         * @returns {Object|null}
+         */
+        versionFor: function ($button) {
+            var state = this.objectVersions;
+            var versionId = String($button.closest('.s3-version').attr('data-version-id'));
+
+            if (!state || !state.data) return null;
+
+            return state.data.versions.filter(function (version) {
+                return version.version_id === versionId;
+            })[0] || null;
+        },
+
+        /**
+         * Download one version through a short-lived link
+         */
+        downloadVersion: function ($button) {
+            var self = this;
+            var state = this.objectVersions;
+            var version = this.versionFor($button);
+
+            if (!version) return;
+
+            // Opened before the request so the click is still trusted, as
+            // for downloadFile().
+            var target = window.open('', '_blank');
+
+            this.restPromise('downloadUrl', {
+                bucket: state.file.bucket,
+                object_key: state.file.key,
+                version_id: version.version_id,
+                expires_minutes: LINK_MINUTES
+            }).then(function (data) {
+                if (target) {
+                    target.location = data.url;
+                } else {
+                    window.location = data.url;
+                }
+            }).catch(function (error) {
+                if (target) {
+                    target.close();
+                }
+
+                self.showNotification(error.message, 'error');
+            });
+        },
+
+        /**
+         * Copy a version over the current file
+         *
+         * Nothing is lost: the file's current version stays in the history,
+         * below the restored copy.
+         */
+        restoreVersion: function ($button) {
+            var self = this;
+            var state = this.objectVersions;
+            var version = this.versionFor($button);
+
+            if (!version || !confirm(i18n.confirmRestore.replace('{date}', version.modified_formatted))) return;
+
+            if (!this.setButtonBusy($button, i18n.restoring)) return;
+
+            this.restPromise('restoreObjectVersion', {
+                bucket: state.file.bucket,
+                key: state.file.key,
+                version_id: version.version_id
+            }).then(function (data) {
+                self.versionChanged(state, data);
+            }).catch(function (error) {
+                self.clearButtonBusy($button);
+                self.showNotification(error.message, 'error');
+            });
+        },
+
+        /**
+         * Delete a version or delete marker for good
+         *
+         * Deleting a delete marker is how a deleted file is brought back, so
+         * the question says which of the two it is.
+         */
+        deleteVersion: function ($button) {
+            var self = this;
+            var state = this.objectVersions;
+            var version = this.versionFor($button);
+
+            if (!version) return;
+
+            var question = version.delete_marker ?
+                i18n.confirmDeleteMarker :
+                i18n.confirmDelete.replace('{date}', version.modified_formatted);
+
+            if (!confirm(question)) return;
+
+            if (!this.setButtonBusy($button, i18n.deleting)) return;
+
+            this.restPromise('deleteObjectVersion', {
+                bucket: state.file.bucket,
+                key: state.file.key,
+                version_id: version.version_id
+            }).then(function (data) {
+                self.versionChanged(state, data);
+            }).catch(function (error) {
+                self.clearButtonBusy($button);
+                self.showNotification(error.message, 'error');
+            });
+        },
+
+        /**
+         * Bring the listing and the tab up to date after a restore or delete
+         *
+         * The file's row is rendered afresh, or comes back empty when the
+         * file no longer lists -- its newest version is now a delete marker,
+         * or it has no versions left.
+         */
+        versionChanged: function (state, data) {
+            if (data.row) {
+                this.upsertRows(data.row);
+            } else {
+                this.removeRows([String(state.file.key)]);
+            }
+
+            this.showNotification(data.message, 'success');
+
+            if (this.objectVersions !== state) return;
+
+            state.data = null;
+            this.loadVersions();
+        }
+    });
+
+})(jQuery);
@@ -56,11 +56,26 @@ class Assets {
 		return [
 			's3-browser-core'         => [ 'js/browser/core.js', [ 'jquery', 'wp-util', $config_handle ] ],
 			's3-browser-modals'       => [ 'js/browser/modal.js', [ 'jquery', 'wp-util', 's3-browser-core' ] ],
-			's3-browser-files'        => [ 'js/browser/files.js', [ 'jquery', 'wp-util', 's3-browser-core', 's3-browser-modals' ] ],
-			's3-browser-folders'      => [ 'js/browser/folders.js', [ 'jquery', 'wp-util', 's3-browser-core', 's3-browser-modals' ] ],
+			's3-browser-qrcode'       => [ 'js/browser/qrcode.js', [ 'jquery', 's3-browser-core' ] ],
+			's3-browser-files'        => [ 'js/browser/files.js', [ 'jquery', 'wp-util', 's3-browser-core', 's3-browser-modals', 's3-browser-qrcode' ] ],
+			's3-browser-folders'      => [ 'js/browser/folders.js', [ 'jquery', 'wp-util', 's3-browser-core', 's3-browser-modals', 's3-browser-files' ] ],
+			's3-browser-bulk'         => [ 'js/browser/bulk.js', [ 'jquery', 's3-browser-core', 's3-browser-modals', 's3-browser-files', 's3-upload-conflicts' ] ],
+			's3-browser-search'       => [ 'js/browser/search.js', [ 'jquery', 's3-browser-core' ] ],
+			's3-browser-sort'         => [ 'js/browser/sort.js', [ 'jquery', 's3-browser-core' ] ],
+			's3-browser-preview'      => [ 'js/browser/preview.js', [ 'jquery', 's3-browser-core', 's3-upload-script' ] ],
+			's3-browser-grid'         => [ 'js/browser/grid.js', [ 'jquery', 's3-browser-core', 's3-browser-preview' ] ],
+			's3-browser-metadata'     => [ 'js/browser/metadata.js', [ 'jquery', 'wp-util', 's3-browser-core' ] ],
+			's3-browser-tags'         => [ 'js/browser/tags.js', [ 'jquery', 'wp-util', 's3-browser-core' ] ],
+			's3-browser-versions'     => [ 'js/browser/versions.js', [ 'jquery', 'wp-util', 's3-browser-core' ] ],
+			's3-browser-storage'      => [ 'js/browser/storage.js', [ 'jquery', 'wp-util', 's3-browser-core' ] ],
+			's3-browser-links'        => [ 'js/browser/links.js', [ 'jquery', 'wp-util', 's3-browser-core', 's3-browser-modals', 's3-browser-files' ] ],
+			's3-browser-keyboard'     => [ 'js/browser/keyboard.js', [ 'jquery', 's3-browser-core', 's3-browser-modals' ] ],
 			's3-browser-integrations' => [ 'js/browser/integrations.js', [ 'jquery', 'wp-util', 's3-browser-core' ] ],
 			's3-browser-cors'         => [ 'js/browser/buckets.js', [ 'jquery', 'wp-util', 's3-browser-core', 's3-browser-modals' ] ],
-			's3-upload-script'        => [ 'js/browser/upload.js', [ 'jquery', 'wp-util', $config_handle, 's3-browser-core' ] ],
+			's3-upload-resume'        => [ 'js/browser/resume.js', [ 'jquery', 's3-browser-core' ] ],
+			's3-upload-conflicts'     => [ 'js/browser/conflicts.js', [ 'jquery', 's3-browser-core', 's3-browser-modals' ] ],
+			's3-upload-checksums'     => [ 'js/browser/checksums.js', [ 'jquery', 's3-browser-core' ] ],
+			's3-upload-script'        => [ 'js/browser/upload.js', [ 'jquery', 'wp-util', $config_handle, 's3-browser-core', 's3-upload-resume', 's3-upload-conflicts', 's3-upload-checksums' ] ],
 		];
 	}
 
@@ -78,12 +93,14 @@ class Assets {
 	 * @param Screen     $screen      Screen tests.
 	 * @param Controller $rest        REST controller, for the route the JavaScript calls.
 	 * @param callable   $admin_hooks Resolver for the admin pages this browser loads on.
+	 * @param Favorites  $favorites   The current user's starred buckets.
 	 */
 	public function __construct(
 		private Config $config,
 		private Screen $screen,
 		private Controller $rest,
-		private $admin_hooks
+		private $admin_hooks,
+		private Favorites $favorites
 	) {
 	}
 
@@ -190,8 +207,32 @@ class Assets {
 				'restUrl'           => esc_url_raw( rest_url( $this->rest->route_path() ) ),
 				'restNonce'         => wp_create_nonce( 'wp_rest' ),
 				'defaultBucket'     => $this->config->default_bucket,
+				// Opened on in preference to the default, as the media tab
+				// does when no bucket is asked for.
+				'favoriteBucket'    => $this->favorites->first(),
+				'favoriteBuckets'   => $this->favorites->get(),
 				'allowedExtensions' => Mime::get_allowed_extensions( $this->config->context ),
 				'allowedMimeTypes'  => Mime::get_allowed_types( $this->config->context ),
+				// Files at or above the threshold go up in parts. Bytes, so a
+				// filter can raise the part size for a slow, distant provider.
+				'multipart'         => [
+					'threshold'   => 100 * MB_IN_BYTES,
+					'partSize'    => 16 * MB_IN_BYTES,
+					'concurrency' => 4,
+				],
+				// How many files go up at once, and how often one that failed
+				// on a network error or a 5xx is tried again before giving up.
+				'uploadQueue'       => [
+					'concurrency' => 3,
+					'retries'     => 3,
+				],
+				// Every upload is sent with its MD5 for the provider to check.
+				// SHA-256 is off by default: it is signed into the URL, and
+				// not every S3-compatible provider accepts it there.
+				'checksums'         => [
+					'md5'    => true,
+					'sha256' => false,
+				],
 			],
 			$this->config->provider_id
 		) );
@@ -285,9 +326,20 @@ class Assets {
 		wp_localize_script( 's3-browser-core', 's3BrowserConfig', $this->config->filter(
 			's3_browser_config',
 			[
-				'postId'   => $this->screen->current_post_id(),
-				'autoLoad' => apply_filters( 's3_browser_auto_load', false, $this->config->provider_id ),
-				'i18n'     => $this->config->filter( 's3_browser_translations', Translations::all(), $this->config->provider_id ),
+				'postId'         => $this->screen->current_post_id(),
+				'autoLoad'       => apply_filters( 's3_browser_auto_load', false, $this->config->provider_id ),
+				// Whether Download goes through a link to this site, which logs
+				// it, rather than straight to the provider.
+				'proxyDownloads' => (bool) apply_filters( 's3_browser_proxy_downloads', false, $this->config->provider_id ),
+				// Bytes of a text file shown in the details dialog and on
+				// hovering its name, and how long the pointer must rest on a
+				// name before the hover preview opens.
+				'preview'        => [
+					'textBytes'  => 64 * KB_IN_BYTES,
+					'hoverBytes' => 4 * KB_IN_BYTES,
+					'hoverDelay' => 500,
+				],
+				'i18n'           => $this->config->filter( 's3_browser_translations', Translations::all(), $this->config->provider_id ),
 			],
 			$this->config->provider_id
 		) );
@@ -0,0 +1,145 @@
+<?php
+/**
+ * Favorite Buckets
+ *
+ * The buckets a user has starred, kept in their user meta. Starred buckets
+ * list first, and the first of them is where the media tab opens when the
+ * admin has not asked for anywhere else.
+ *
+ * @package     ArrayPress\S3\Admin
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Admin;
+
+use Closure;
+
+/**
+ * Class Favorites
+ */
+class Favorites {
+
+	/**
+	 * Build the favorites for one browser instance.
+	 *
+	 * @param string  $suffix          Suffix distinguishing this instance from another.
+	 * @param Closure $allowed_buckets Resolver for the bucket allow-list.
+	 */
+	public function __construct(
+		private string $suffix,
+		// A bucket starred before the allow-list was narrowed stays in the
+		// meta, but is not offered: opening on it would only fail.
+		private Closure $allowed_buckets
+	) {
+	}
+
+	/**
+	 * The user meta key
+	 *
+	 * Per instance: an EDD browser and a WooCommerce browser can hold
+	 * different credentials, and a bucket name means nothing across them.
+	 *
+	 * @return string
+	 */
+	public function meta_key(): string {
+		return 's3_browser_favorite_buckets_' . sanitize_key( $this->suffix );
+	}
+
+	/**
+	 * The current user's favorite buckets, in the order they were starred
+	 *
+	 * @return string[]
+	 */
+	public function get(): array {
+		$user_id = get_current_user_id();
+
+		if ( ! $user_id ) {
+			return [];
+		}
+
+		$allowed = ( $this->allowed_buckets )();
+
+		return array_values( array_filter(
+			$this->stored( $user_id ),
+			static fn( string $bucket ): bool => empty( $allowed ) || in_array( $bucket, $allowed, true )
+		) );
+	}
+
+	/**
+	 * Whether a bucket is one of the current user's favorites
+	 *
+	 * @param string $bucket Bucket name.
+	 *
+	 * @return bool
+	 */
+	public function has( string $bucket ): bool {
+		return in_array( $bucket, $this->get(), true );
+	}
+
+	/**
+	 * The bucket to open on when none was asked for
+	 *
+	 * @return string Bucket name, or empty when the user has no favorites.
+	 */
+	public function first(): string {
+		return $this->get()[0] ?? '';
+	}
+
+	/**
+	 * Star or unstar a bucket for the current user
+	 *
+	 * @param string $bucket   Bucket name.
+	 * @param bool   $favorite Whether it should be a favorite.
+	 *
+	 * @return string[] The user's favorites afterwards.
+	 */
+	public function set( string $bucket, bool $favorite ): array {
+		$user_id = get_current_user_id();
+
+		if ( ! $user_id || '' === $bucket ) {
+			return $this->get();
+		}
+
+		$buckets = array_values( array_diff( $this->stored( $user_id ), [ $bucket ] ) );
+
+		if ( $favorite ) {
+			$buckets[] = $bucket;
+		}
+
+		update_user_meta( $user_id, $this->meta_key(), $buckets );
+
+		return $this->get();
+	}
+
+	/**
+	 * Order bucket names with the favorites first
+	 *
+	 * Favorites keep the order they were starred in; the rest keep theirs.
+	 *
+	 * @param string[] $buckets Bucket names.
+	 *
+	 * @return string[]
+	 */
+	public function sort( array $buckets ): array {
+		$favorites = array_values( array_intersect( $this->get(), $buckets ) );
+
+		return array_merge( $favorites, array_values( array_diff( $buckets, $favorites ) ) );
+	}
+
+	/**
+	 * Everything stored for a user, allowed or not
+	 *
+	 * @param int $user_id User ID.
+	 *
+	 * @return string[]
+	 */
+	private function stored( int $user_id ): array {
+		$buckets = get_user_meta( $user_id, $this->meta_key(), true );
+
+		return is_array( $buckets ) ? array_values( array_filter( $buckets, 'is_string' ) ) : [];
+	}
+}
@@ -41,16 +41,20 @@ class MediaLibrary {
 	/**
 	 * Build the media tab for one browser instance.
 	 *
-	 * @param Config $config Browser configuration.
-	 * @param Screen $screen Screen tests.
-	 * @param Assets $assets Asset loader.
-	 * @param Client $client Client the listings read through.
+	 * @param Config    $config    Browser configuration.
+	 * @param Screen    $screen    Screen tests.
+	 * @param Assets    $assets    Asset loader.
+	 * @param Client    $client    Client the listings read through.
+	 * @param Favorites $favorites The current user's starred buckets.
+	 * @param ViewMode  $view_mode The current user's list or grid view.
 	 */
 	public function __construct(
 		private Config $config,
 		private Screen $screen,
 		private Assets $assets,
-		private Client $client
+		private Client $client,
+		private Favorites $favorites,
+		private ViewMode $view_mode
 	) {
 	}
 
@@ -145,12 +149,13 @@ class MediaLibrary {
 		$bucket = isset( $_GET['bucket'] ) ? sanitize_text_field( wp_unslash( $_GET['bucket'] ) ) : '';
 		$prefix = isset( $_GET['prefix'] ) ? sanitize_text_field( wp_unslash( $_GET['prefix'] ) ) : '';
 
-		// If no bucket is specified, use the default bucket if configured
+		// If no bucket is specified, open on the user's favorite, or the
+		// default bucket if one is configured
 		if ( empty( $bucket ) && empty( $view ) ) {
-			// Use the default bucket configuration
-			if ( ! empty( $this->config->default_bucket ) ) {
-				$bucket = $this->config->default_bucket;
-				$view   = 'objects';
+			$bucket = $this->favorites->first() ?: $this->config->default_bucket;
+
+			if ( ! empty( $bucket ) ) {
+				$view = 'objects';
 			}
 		}
 
@@ -200,6 +205,9 @@ class MediaLibrary {
 		 */
 		$label = $this->config->filter( 's3_browser_insert_label', __( 'Insert Selected', 'arraypress' ) );
 
+		// Only worth offering where there is somewhere else to move files to.
+		$storage_classes = $this->client->get_provider()->get_storage_classes();
+
 		?>
 		<div class="s3-selection-bar" hidden>
 			<div class="s3-selection-info">
@@ -209,6 +217,23 @@ class MediaLibrary {
 				</button>
 			</div>
 			<div class="s3-selection-actions">
+				<button type="button" class="button s3-bulk-action" data-bulk-action="links">
+					<?php esc_html_e( 'Get Links', 'arraypress' ); ?>
+				</button>
+				<button type="button" class="button s3-bulk-action" data-bulk-action="copy">
+					<?php esc_html_e( 'Copy', 'arraypress' ); ?>
+				</button>
+				<button type="button" class="button s3-bulk-action" data-bulk-action="move">
+					<?php esc_html_e( 'Move', 'arraypress' ); ?>
+				</button>
+				<?php if ( count( $storage_classes ) > 1 ) : ?>
+					<button type="button" class="button s3-bulk-action" data-bulk-action="storage" data-storage-classes="<?php echo esc_attr( wp_json_encode( $storage_classes ) ); ?>">
+						<?php esc_html_e( 'Storage Class', 'arraypress' ); ?>
+					</button>
+				<?php endif; ?>
+				<button type="button" class="button s3-bulk-action s3-bulk-delete" data-bulk-action="delete">
+					<?php esc_html_e( 'Delete', 'arraypress' ); ?>
+				</button>
 				<button type="button" class="button button-primary s3-insert-selected">
 					<?php echo esc_html( $label ); ?>
 				</button>
@@ -275,6 +300,10 @@ class MediaLibrary {
 						data-provider="<?php echo esc_attr( $this->config->provider_id ); ?>">
 					<?php esc_html_e( 'Bucket Settings', 'arraypress' ); ?>
 				</button>
+
+				<button type="button" class="button button-secondary s3-shared-links">
+					<?php esc_html_e( 'Shared Links', 'arraypress' ); ?>
+				</button>
 			</div>
 
 			<div id="s3-upload-container" class="s3-upload-container" style="display: none;">
@@ -289,15 +318,31 @@ class MediaLibrary {
 					data-prefix="<?php echo esc_attr( $prefix ); ?>">
 					<div class="s3-upload-message">
 						<span class="dashicons dashicons-upload"></span>
-						<p><?php esc_html_e( 'Drop files to upload', 'arraypress' ); ?></p>
+						<p><?php esc_html_e( 'Drop files or folders to upload', 'arraypress' ); ?></p>
 						<p class="s3-upload-or"><?php esc_html_e( 'or', 'arraypress' ); ?></p>
 						<input type="file" multiple class="s3-file-input" id="s3FileUpload">
 						<!-- WordPress native button styling -->
 						<label for="s3FileUpload" class="button button-secondary">
 							<?php esc_html_e( 'Select Files', 'arraypress' ); ?>
 						</label>
+						<input type="file" multiple webkitdirectory class="s3-file-input" id="s3FolderUpload">
+						<label for="s3FolderUpload" class="button button-secondary">
+							<?php esc_html_e( 'Select Folder', 'arraypress' ); ?>
+						</label>
 					</div>
 				</div>
+				<div class="s3-upload-queue-bar" style="display: none;">
+					<span class="s3-upload-queue-summary"></span>
+					<button type="button" class="button button-small s3-pause-all-uploads">
+						<?php esc_html_e( 'Pause All', 'arraypress' ); ?>
+					</button>
+					<button type="button" class="button button-small s3-resume-all-uploads">
+						<?php esc_html_e( 'Resume All', 'arraypress' ); ?>
+					</button>
+					<button type="button" class="button button-small s3-retry-failed-uploads">
+						<?php esc_html_e( 'Retry Failed', 'arraypress' ); ?>
+					</button>
+				</div>
 				<div class="s3-upload-list"></div>
 			</div>
 		</div>
@@ -390,6 +435,7 @@ class MediaLibrary {
 		$list_table = new Buckets( [
 			'client'      => $this->client,
 			'provider_id' => $this->config->provider_id,
+			'favorites'   => $this->favorites,
 		] );
 
 		// Prepare items
@@ -422,6 +468,7 @@ class MediaLibrary {
 			'bucket'      => $bucket,
 			'prefix'      => $prefix,
 			'provider_id' => $this->config->provider_id,
+			'view'        => $this->view_mode->get(),
 		] );
 
 		// Prepare items
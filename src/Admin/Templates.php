@@ -65,6 +65,12 @@ class Templates {
 
 		$this->template_bucket_details();
 		$this->template_file_details();
+		$this->template_object_storage();
+		$this->template_object_metadata();
+		$this->template_object_tags();
+		$this->template_object_versions();
+		$this->template_shared_links();
+		$this->template_object_downloads();
 	}
 
 	/**
@@ -224,7 +230,20 @@ class Templates {
 	private function template_file_details(): void {
 		$this->open_template( 's3-file-details' );
 		?>
-		<div class="s3-details-content">
+		<div class="s3-details-tabs" role="tablist">
+			<button type="button" class="s3-details-tab" role="tab" id="s3-details-tab-details" data-tab="details" aria-controls="s3-details-panel-details" aria-selected="true">
+				<?php esc_html_e( 'Details', 'arraypress' ); ?>
+			</button>
+			<button type="button" class="s3-details-tab" role="tab" id="s3-details-tab-versions" data-tab="versions" aria-controls="s3-details-panel-versions" aria-selected="false" tabindex="-1">
+				<?php esc_html_e( 'Versions', 'arraypress' ); ?>
+			</button>
+		</div>
+
+		<div class="s3-details-content s3-details-panel" role="tabpanel" id="s3-details-panel-details" data-tab="details" aria-labelledby="s3-details-tab-details">
+
+			<# if ( data.previewKind ) { #>
+				<div class="s3-details-section s3-preview-pane s3-preview-pane-{{ data.previewKind }}"></div>
+			<# } #>
 
 			<div class="s3-details-section">
 				<h4><?php esc_html_e( 'Basic Information', 'arraypress' ); ?></h4>
@@ -261,11 +280,11 @@ class Templates {
 				<table class="s3-details-table">
 					<tr>
 						<td><strong><?php esc_html_e( 'Storage Class', 'arraypress' ); ?></strong></td>
-						<td>{{ data.storageClass }}</td>
+						<td class="s3-details-storage-class">{{ data.storageClass }}</td>
 					</tr>
 					<tr>
 						<td><strong><?php esc_html_e( 'ETag', 'arraypress' ); ?></strong></td>
-						<td><code>{{ data.etag }}</code></td>
+						<td><code class="s3-details-etag">{{ data.etag }}</code></td>
 					</tr>
 					<tr>
 						<td><strong><?php esc_html_e( 'Upload Type', 'arraypress' ); ?></strong></td>
@@ -281,7 +300,434 @@ class Templates {
 				</table>
 			</div>
 
+			<div class="s3-details-section s3-storage-pane"></div>
+
+			<div class="s3-details-section s3-metadata-pane"></div>
+
+			<div class="s3-details-section s3-tags-pane"></div>
+
+			<div class="s3-details-section s3-downloads-pane"></div>
+
 		</div>
+
+		<div class="s3-details-panel s3-versions-pane" role="tabpanel" id="s3-details-panel-versions" data-tab="versions" aria-labelledby="s3-details-tab-versions" hidden></div>
+		<?php
+		$this->close_template();
+	}
+
+	/**
+	 * Storage class and archive restore in the file details modal.
+	 *
+	 * @return void
+	 */
+	private function template_object_storage(): void {
+		$this->open_template( 's3-object-storage' );
+		?>
+		<h4><?php esc_html_e( 'Storage Class', 'arraypress' ); ?></h4>
+
+		<# if ( data.classes.length > 1 ) { #>
+			<form class="s3-storage-form">
+				<p>
+					<label for="s3-storage-class" class="screen-reader-text"><?php esc_html_e( 'Storage class', 'arraypress' ); ?></label>
+					<select id="s3-storage-class" name="storage_class">
+						<# if ( -1 === _.indexOf( data.classes, data.storage_class ) ) { #>
+							<option value="{{ data.storage_class }}" selected disabled>{{ data.storage_class }}</option>
+						<# } #>
+						<# _.each( data.classes, function( storageClass ) { #>
+							<option value="{{ storageClass }}" <# if ( storageClass === data.storage_class ) { #>selected<# } #>>{{ storageClass }}</option>
+						<# } ); #>
+					</select>
+					<button type="submit" class="button"><?php esc_html_e( 'Change', 'arraypress' ); ?></button>
+				</p>
+				<p class="description"><?php esc_html_e( 'The file is copied onto itself in the new class, which gives it a new modified date.', 'arraypress' ); ?></p>
+			</form>
+		<# } else { #>
+			<p><code>{{ data.storage_class }}</code></p>
+		<# } #>
+
+		<# if ( data.archived ) { #>
+			<div class="s3-storage-restore">
+				<h4><?php esc_html_e( 'Archive', 'arraypress' ); ?></h4>
+
+				<# if ( data.restore.restored ) { #>
+					<p class="s3-restore-status is-restored">
+						<?php esc_html_e( 'Restored. The file can be downloaded until:', 'arraypress' ); ?>
+						<strong>{{ data.restore.expiry_formatted }}</strong>
+					</p>
+				<# } else if ( data.restore.ongoing ) { #>
+					<p class="s3-restore-status is-ongoing"><?php esc_html_e( 'Being restored. Depending on the speed chosen this takes from minutes to hours; the file can be downloaded once it is done.', 'arraypress' ); ?></p>
+				<# } else { #>
+					<p class="s3-restore-status"><?php esc_html_e( 'Archived. The file cannot be downloaded or copied until a copy of it is restored.', 'arraypress' ); ?></p>
+				<# } #>
+
+				<# if ( ! data.restore.ongoing ) { #>
+					<form class="s3-restore-form">
+						<p>
+							<label for="s3-restore-days"><?php esc_html_e( 'Restore for', 'arraypress' ); ?></label>
+							<input type="number" id="s3-restore-days" name="days" min="1" max="365" value="7" class="small-text">
+							<?php esc_html_e( 'days', 'arraypress' ); ?>
+							<label for="s3-restore-tier" class="screen-reader-text"><?php esc_html_e( 'Speed', 'arraypress' ); ?></label>
+							<select id="s3-restore-tier" name="tier">
+								<# if ( 'DEEP_ARCHIVE' !== data.storage_class ) { #>
+									<option value="Expedited"><?php esc_html_e( 'Expedited (minutes)', 'arraypress' ); ?></option>
+								<# } #>
+								<option value="Standard" selected><?php esc_html_e( 'Standard (hours)', 'arraypress' ); ?></option>
+								<option value="Bulk"><?php esc_html_e( 'Bulk (slowest, cheapest)', 'arraypress' ); ?></option>
+							</select>
+							<button type="submit" class="button">
+								<# if ( data.restore.restored ) { #>
+									<?php esc_html_e( 'Extend', 'arraypress' ); ?>
+								<# } else { #>
+									<?php esc_html_e( 'Restore', 'arraypress' ); ?>
+								<# } #>
+							</button>
+						</p>
+					</form>
+				<# } #>
+			</div>
+		<# } #>
+
+		<div class="s3-storage-error notice notice-error inline" hidden><p></p></div>
+		<?php
+		$this->close_template();
+	}
+
+	/**
+	 * Headers and custom metadata in the file details modal, shown or being edited.
+	 *
+	 * @return void
+	 */
+	private function template_object_metadata(): void {
+		$this->open_template( 's3-object-metadata' );
+		?>
+		<h4>
+			<?php esc_html_e( 'Headers and Metadata', 'arraypress' ); ?>
+			<# if ( ! data.editing ) { #>
+				<button type="button" class="button-link s3-metadata-edit"><?php esc_html_e( 'Edit', 'arraypress' ); ?></button>
+			<# } #>
+		</h4>
+
+		<# if ( data.editing ) { #>
+			<form class="s3-metadata-form">
+				<table class="s3-details-table">
+					<tr>
+						<td><label for="s3-metadata-content-type"><strong><?php esc_html_e( 'Content-Type', 'arraypress' ); ?></strong></label></td>
+						<td><input type="text" id="s3-metadata-content-type" name="content_type" class="regular-text" value="{{ data.content_type }}" required></td>
+					</tr>
+					<tr>
+						<td><label for="s3-metadata-disposition"><strong><?php esc_html_e( 'Content-Disposition', 'arraypress' ); ?></strong></label></td>
+						<td>
+							<select id="s3-metadata-disposition" name="disposition">
+								<option value="" <# if ( ! data.disposition ) { #>selected<# } #>><?php esc_html_e( 'Not set', 'arraypress' ); ?></option>
+								<option value="inline" <# if ( 'inline' === data.disposition ) { #>selected<# } #>><?php esc_html_e( 'Show in the browser', 'arraypress' ); ?></option>
+								<option value="attachment" <# if ( 'attachment' === data.disposition ) { #>selected<# } #>><?php esc_html_e( 'Download', 'arraypress' ); ?></option>
+							</select>
+						</td>
+					</tr>
+					<tr>
+						<td><label for="s3-metadata-download-name"><strong><?php esc_html_e( 'Download As', 'arraypress' ); ?></strong></label></td>
+						<td>
+							<input type="text" id="s3-metadata-download-name" name="download_name" class="regular-text" value="{{ data.download_name }}" placeholder="{{ data.filename }}">
+							<p class="description"><?php esc_html_e( 'The filename browsers save the file as. Leave empty to use its own.', 'arraypress' ); ?></p>
+						</td>
+					</tr>
+					<tr>
+						<td><label for="s3-metadata-cache-control"><strong><?php esc_html_e( 'Cache-Control', 'arraypress' ); ?></strong></label></td>
+						<td><input type="text" id="s3-metadata-cache-control" name="cache_control" class="regular-text" value="{{ data.cache_control }}" placeholder="max-age=86400"></td>
+					</tr>
+				</table>
+
+				<h4><?php esc_html_e( 'Custom Metadata', 'arraypress' ); ?></h4>
+				<div class="s3-metadata-pairs">
+					<# _.each( data.metadata, function( pair ) { #>
+						<div class="s3-metadata-pair">
+							<input type="text" class="s3-metadata-name" value="{{ pair.name }}" aria-label="<?php esc_attr_e( 'Name', 'arraypress' ); ?>">
+							<input type="text" class="s3-metadata-value" value="{{ pair.value }}" aria-label="<?php esc_attr_e( 'Value', 'arraypress' ); ?>">
+							<button type="button" class="button-link s3-metadata-remove"><?php esc_html_e( 'Remove', 'arraypress' ); ?></button>
+						</div>
+					<# } ); #>
+				</div>
+				<p><button type="button" class="button s3-metadata-add"><?php esc_html_e( 'Add Metadata', 'arraypress' ); ?></button></p>
+
+				<div class="s3-metadata-error notice notice-error inline" hidden><p></p></div>
+
+				<p class="s3-metadata-actions">
+					<button type="submit" class="button button-primary"><?php esc_html_e( 'Save', 'arraypress' ); ?></button>
+					<button type="button" class="button s3-metadata-cancel"><?php esc_html_e( 'Cancel', 'arraypress' ); ?></button>
+				</p>
+			</form>
+		<# } else { #>
+			<table class="s3-details-table">
+				<tr>
+					<td><strong><?php esc_html_e( 'Content-Type', 'arraypress' ); ?></strong></td>
+					<td><code>{{ data.content_type }}</code></td>
+				</tr>
+				<tr>
+					<td><strong><?php esc_html_e( 'Content-Disposition', 'arraypress' ); ?></strong></td>
+					<td>
+						<# if ( data.content_disposition ) { #>
+							<code>{{ data.content_disposition }}</code>
+						<# } else { #>
+							<?php esc_html_e( 'Not set', 'arraypress' ); ?>
+						<# } #>
+					</td>
+				</tr>
+				<tr>
+					<td><strong><?php esc_html_e( 'Cache-Control', 'arraypress' ); ?></strong></td>
+					<td>
+						<# if ( data.cache_control ) { #>
+							<code>{{ data.cache_control }}</code>
+						<# } else { #>
+							<?php esc_html_e( 'Not set', 'arraypress' ); ?>
+						<# } #>
+					</td>
+				</tr>
+				<# _.each( data.metadata, function( pair ) { #>
+					<tr>
+						<td><strong>x-amz-meta-{{ pair.name }}</strong></td>
+						<td>{{ pair.value }}</td>
+					</tr>
+				<# } ); #>
+			</table>
+		<# } #>
+		<?php
+		$this->close_template();
+	}
+
+	/**
+	 * Tags in the file details modal, shown or being edited.
+	 *
+	 * @return void
+	 */
+	private function template_object_tags(): void {
+		$this->open_template( 's3-object-tags' );
+		?>
+		<h4>
+			<?php esc_html_e( 'Tags', 'arraypress' ); ?>
+			<# if ( ! data.editing ) { #>
+				<button type="button" class="button-link s3-tags-edit"><?php esc_html_e( 'Edit', 'arraypress' ); ?></button>
+			<# } #>
+		</h4>
+
+		<# if ( data.editing ) { #>
+			<form class="s3-tags-form">
+				<div class="s3-tag-pairs">
+					<# _.each( data.tags, function( tag ) { #>
+						<div class="s3-tag-pair">
+							<input type="text" class="s3-tag-key" maxlength="128" value="{{ tag.key }}" aria-label="<?php esc_attr_e( 'Key', 'arraypress' ); ?>">
+							<input type="text" class="s3-tag-value" maxlength="256" value="{{ tag.value }}" aria-label="<?php esc_attr_e( 'Value', 'arraypress' ); ?>">
+							<button type="button" class="button-link s3-tag-remove"><?php esc_html_e( 'Remove', 'arraypress' ); ?></button>
+						</div>
+					<# } ); #>
+				</div>
+				<p>
+					<button type="button" class="button s3-tags-add"><?php esc_html_e( 'Add Tag', 'arraypress' ); ?></button>
+					<span class="description"><?php esc_html_e( 'A file can have up to 10 tags.', 'arraypress' ); ?></span>
+				</p>
+
+				<div class="s3-tags-error notice notice-error inline" hidden><p></p></div>
+
+				<p class="s3-tags-actions">
+					<button type="submit" class="button button-primary"><?php esc_html_e( 'Save', 'arraypress' ); ?></button>
+					<button type="button" class="button s3-tags-cancel"><?php esc_html_e( 'Cancel', 'arraypress' ); ?></button>
+				</p>
+			</form>
+		<# } else if ( data.tags.length ) { #>
+			<ul class="s3-tag-list">
+				<# _.each( data.tags, function( tag ) { #>
+					<li class="s3-tag">
+						<span class="s3-tag-name">{{ tag.key }}</span><# if ( tag.value ) { #> <span class="s3-tag-value">{{ tag.value }}</span><# } #>
+					</li>
+				<# } ); #>
+			</ul>
+		<# } else { #>
+			<p class="description"><?php esc_html_e( 'No tags.', 'arraypress' ); ?></p>
+		<# } #>
+		<?php
+		$this->close_template();
+	}
+
+	/**
+	 * An object's versions and delete markers in the file details modal.
+	 *
+	 * @return void
+	 */
+	private function template_object_versions(): void {
+		$this->open_template( 's3-object-versions' );
+		?>
+		<h4><?php esc_html_e( 'Versions', 'arraypress' ); ?></h4>
+
+		<# if ( ! data.versioned ) { #>
+			<p class="description"><?php esc_html_e( 'Versioning is not turned on for this bucket, so only the current version of the file is kept.', 'arraypress' ); ?></p>
+		<# } #>
+
+		<# if ( data.versions.length ) { #>
+			<table class="s3-versions-table widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'Modified', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Size', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'ETag', 'arraypress' ); ?></th>
+						<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'arraypress' ); ?></span></th>
+					</tr>
+				</thead>
+				<tbody>
+					<# _.each( data.versions, function( version ) { #>
+						<tr class="s3-version<# if ( version.delete_marker ) { #> s3-version-deleted<# } #>" data-version-id="{{ version.version_id }}">
+							<td>
+								{{ version.modified_formatted }}
+								<# if ( version.is_latest ) { #>
+									<span class="s3-version-badge"><?php esc_html_e( 'Current', 'arraypress' ); ?></span>
+								<# } #>
+							</td>
+							<# if ( version.delete_marker ) { #>
+								<td colspan="2"><em><?php esc_html_e( 'Deleted', 'arraypress' ); ?></em></td>
+							<# } else { #>
+								<td>{{ version.size_formatted }}</td>
+								<td><code>{{ version.etag }}</code></td>
+							<# } #>
+							<td class="s3-version-actions">
+								<# if ( ! version.delete_marker ) { #>
+									<button type="button" class="button-link s3-version-download"><?php esc_html_e( 'Download', 'arraypress' ); ?></button>
+								<# } #>
+								<# if ( ! version.delete_marker && ! version.is_latest ) { #>
+									<button type="button" class="button-link s3-version-restore"><?php esc_html_e( 'Restore', 'arraypress' ); ?></button>
+								<# } #>
+								<# if ( data.versioned ) { #>
+									<button type="button" class="button-link button-link-delete s3-version-delete"><?php esc_html_e( 'Delete', 'arraypress' ); ?></button>
+								<# } #>
+							</td>
+						</tr>
+					<# } ); #>
+				</tbody>
+			</table>
+		<# } else { #>
+			<p class="description"><?php esc_html_e( 'No versions of this file were found.', 'arraypress' ); ?></p>
+		<# } #>
+
+		<# if ( data.truncated ) { #>
+			<p class="description"><?php esc_html_e( 'This file has more versions than are shown here.', 'arraypress' ); ?></p>
+		<# } #>
+		<?php
+		$this->close_template();
+	}
+
+	/**
+	 * The shared links panel's list.
+	 *
+	 * @return void
+	 */
+	private function template_shared_links(): void {
+		$this->open_template( 's3-shared-links' );
+		?>
+		<# if ( data.links.length ) { #>
+			<table class="s3-shared-links-table widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'File', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Shared By', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Expires', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Status', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Downloads', 'arraypress' ); ?></th>
+						<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'arraypress' ); ?></span></th>
+					</tr>
+				</thead>
+				<tbody>
+					<# _.each( data.links, function( link ) { #>
+						<tr class="s3-shared-link is-{{ link.status }}" data-link="{{ link.id }}">
+							<td>
+								<strong title="{{ link.bucket }}/{{ link.key }}">{{ link.filename }}</strong>
+								<# if ( link.note ) { #>
+									<br><span class="description">{{ link.note }}</span>
+								<# } #>
+							</td>
+							<td>
+								{{ link.user }}
+								<br><span class="description">{{ link.created_formatted }}</span>
+							</td>
+							<td>{{ link.expires_formatted }}</td>
+							<td>
+								<# if ( 'active' === link.status ) { #>
+									<?php esc_html_e( 'Active', 'arraypress' ); ?>
+								<# } else if ( 'revoked' === link.status ) { #>
+									<?php esc_html_e( 'Revoked', 'arraypress' ); ?>
+									<br><span class="description">{{ link.revoked_by }}, {{ link.revoked_formatted }}</span>
+								<# } else { #>
+									<?php esc_html_e( 'Expired', 'arraypress' ); ?>
+								<# } #>
+								<# if ( ! link.revocable ) { #>
+									<br><span class="description"><?php esc_html_e( 'Direct link', 'arraypress' ); ?></span>
+								<# } #>
+							</td>
+							<td>
+								<# if ( link.revocable ) { #>{{ link.downloads }}<# } else { #>&mdash;<# } #>
+							</td>
+							<td class="s3-shared-link-actions">
+								<# if ( link.url ) { #>
+									<button type="button" class="button-link s3-shared-link-copy"><?php esc_html_e( 'Copy', 'arraypress' ); ?></button>
+									<button type="button" class="button-link button-link-delete s3-shared-link-revoke"><?php esc_html_e( 'Revoke', 'arraypress' ); ?></button>
+								<# } #>
+							</td>
+						</tr>
+					<# } ); #>
+				</tbody>
+			</table>
+			<p class="description"><?php esc_html_e( 'A direct link goes straight to the provider and stays valid until it expires. Only links through this site are counted, and can be revoked.', 'arraypress' ); ?></p>
+		<# } else { #>
+			<p class="description"><?php esc_html_e( 'No links match.', 'arraypress' ); ?></p>
+		<# } #>
+		<?php
+		$this->close_template();
+	}
+
+	/**
+	 * Downloads through links to this site in the file details modal.
+	 *
+	 * @return void
+	 */
+	private function template_object_downloads(): void {
+		$this->open_template( 's3-object-downloads' );
+		?>
+		<h4><?php esc_html_e( 'Downloads', 'arraypress' ); ?></h4>
+
+		<# if ( data.count ) { #>
+			<p>
+				<# if ( 1 === data.count ) { #>
+					<?php esc_html_e( 'Downloaded once through links to this site.', 'arraypress' ); ?>
+				<# } else { #>
+					<?php
+					/* translators: %s: number of downloads */
+					printf( esc_html__( 'Downloaded %s times through links to this site.', 'arraypress' ), '{{ data.count }}' );
+					?>
+				<# } #>
+			</p>
+			<table class="s3-downloads-table widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'When', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Who', 'arraypress' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'IP Address', 'arraypress' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<# _.each( data.downloads, function( download ) { #>
+						<tr>
+							<td>{{ download.time_formatted }}</td>
+							<td>
+								<# if ( download.user ) { #>
+									{{ download.user }}
+								<# } else { #>
+									<?php esc_html_e( 'A visitor', 'arraypress' ); ?>
+								<# } #>
+							</td>
+							<td><code>{{ download.ip }}</code></td>
+						</tr>
+					<# } ); #>
+				</tbody>
+			</table>
+		<# } else { #>
+			<p class="description"><?php esc_html_e( 'Not downloaded through a link to this site yet. Downloads straight from the provider are not counted.', 'arraypress' ); ?></p>
+		<# } #>
 		<?php
 		$this->close_template();
 	}
@@ -63,6 +63,10 @@ class Translations {
 				'moveSuccess'      => __( 'File moved successfully', 'arraypress' ),
 				'loadingFolders'   => __( 'Loading folders...', 'arraypress' ),
 				'noSubfolders'     => __( 'No folders here', 'arraypress' ),
+				'bucket'           => __( 'Bucket', 'arraypress' ),
+				'ifExists'         => __( 'If a file of that name is already there:', 'arraypress' ),
+				'copyFile'         => __( 'Copy File', 'arraypress' ),
+				'copyTo'           => __( 'Choose a bucket and a folder to copy this file into. Choosing its own folder makes a duplicate beside it.', 'arraypress' ),
 				'filenameLabel'    => __( 'Enter the new filename:', 'arraypress' ),
 				'filenameHelp'     => __( 'Enter a new filename. The file extension will be preserved.', 'arraypress' ),
 				'renameSuccess'    => __( 'File renamed successfully', 'arraypress' ),
@@ -75,6 +79,73 @@ class Translations {
 				/* translators: %d: number of products linking to the file */
 				'referencedByMany' => __( '%d products link to this file', 'arraypress' ),
 				'referencesUpdated' => __( 'Their links will be updated to the new name automatically.', 'arraypress' ),
+				'deleteFile'        => __( 'Delete File', 'arraypress' ),
+				'keepLink'          => __( 'Keep the link', 'arraypress' ),
+				'removeLink'        => __( 'Remove the file from the product', 'arraypress' ),
+				'replaceLink'       => __( 'Link another file instead', 'arraypress' ),
+				'cannotRepair'      => __( 'Edit the product to change its link', 'arraypress' ),
+				'chooseFile'        => __( 'Choose file...', 'arraypress' ),
+				'chooseReplacement' => __( 'Choose Replacement', 'arraypress' ),
+				/* translators: {filename}: name of the file being deleted */
+				'chooseReplacementIntro' => __( 'Choose the file the product should deliver instead of "{filename}":', 'arraypress' ),
+				'useFile'           => __( 'Use this file', 'arraypress' ),
+				'replacementSame'   => __( 'That is the file being deleted. Choose another.', 'arraypress' ),
+				'replacementMissing' => __( 'Choose a replacement file for each product being relinked.', 'arraypress' ),
+				'noFiles'           => __( 'No files or folders here', 'arraypress' ),
+				'repairingProducts' => __( 'Updating products...', 'arraypress' ),
+				'deleteReport'      => __( 'Delete Report', 'arraypress' ),
+				'deleteHeldBack'    => __( 'Not every product could be updated, so the file was not deleted.', 'arraypress' ),
+				'linkRemoved'       => __( 'File removed from the product', 'arraypress' ),
+				/* translators: {key}: object key the product now links to */
+				'linkReplaced'      => __( 'Now delivers {key}', 'arraypress' ),
+				'linkKept'          => __( 'Still links to the deleted file', 'arraypress' ),
+				'linkUnchanged'     => __( 'Not changed', 'arraypress' ),
+			],
+			'bulk' => [
+				'confirmDelete'        => implode( "\n\n", [
+					/* translators: %d: number of files selected */
+					__( 'Are you sure you want to delete these %d files?', 'arraypress' ),
+					__( 'This action cannot be undone.', 'arraypress' ),
+				] ),
+				/* translators: %d: number of selected files that products sell */
+				'deleteBreaks'         => __( 'Products sell %d of these files. Deleting them will break those downloads for everyone who has already bought them:', 'arraypress' ),
+				'deleteTitle'          => __( 'Deleting Files', 'arraypress' ),
+				'notConfirmed'         => __( 'The storage provider did not confirm this file was deleted', 'arraypress' ),
+				/* translators: %d: number of files selected */
+				'moveTitle'            => __( 'Move %d Files', 'arraypress' ),
+				'moveTo'               => __( 'Choose a folder to move these files into:', 'arraypress' ),
+				'movingTitle'          => __( 'Moving Files', 'arraypress' ),
+				/* translators: %d: number of files selected */
+				'copyTitle'            => __( 'Copy %d Files', 'arraypress' ),
+				'copyTo'               => __( 'Choose a bucket and a folder to copy these files into. Choosing their own folder makes duplicates beside them.', 'arraypress' ),
+				'copyHere'             => __( 'Copy here', 'arraypress' ),
+				'copyingTitle'         => __( 'Copying Files', 'arraypress' ),
+				/* translators: %d: number of files selected */
+				'linksTitle'           => __( 'Links for %d Files', 'arraypress' ),
+				'generateLinks'        => __( 'Generate Links', 'arraypress' ),
+				'linkingTitle'         => __( 'Generating Links', 'arraypress' ),
+				'alreadyThere'         => __( 'Already in that folder', 'arraypress' ),
+				/* translators: %d: number of files selected */
+				'storageTitle'         => __( 'Storage Class for %d Files', 'arraypress' ),
+				'storageTo'            => __( 'Move these files to:', 'arraypress' ),
+				'storageHelp'          => __( 'Each file is copied onto itself in the new class. Archived files are skipped until they are restored.', 'arraypress' ),
+				'changeClass'          => __( 'Change Class', 'arraypress' ),
+				'changingTitle'        => __( 'Changing Storage Class', 'arraypress' ),
+				'copyingParts'         => __( 'Copying part {part} of {parts}...', 'arraypress' ),
+				'overwriteReferenced'  => implode( "\n\n", [
+					__( 'Copying will replace these files, which products deliver. Customers will download the copy from now on:', 'arraypress' ),
+					'{files}',
+					__( 'Replace them?', 'arraypress' ),
+				] ),
+				'pending'              => __( 'Waiting', 'arraypress' ),
+				'working'              => __( 'Working...', 'arraypress' ),
+				'done'                 => __( 'Done', 'arraypress' ),
+				'failed'               => __( 'Failed', 'arraypress' ),
+				'skipped'              => __( 'Skipped', 'arraypress' ),
+				'progress'             => __( '{done} of {total} files', 'arraypress' ),
+				'failedCount'          => __( '({failed} failed)', 'arraypress' ),
+				'finished'             => __( '{done} of {total} files done', 'arraypress' ),
+				'finishedWithFailures' => __( '{failed} of {total} files failed. The reasons are listed with them.', 'arraypress' ),
 			],
 			'folders' => [
 				'newFolder'                 => __( 'New Folder', 'arraypress' ),
@@ -98,6 +169,23 @@ class Translations {
 				'folderDeletedSuccess'      => __( 'Folder deleted successfully!', 'arraypress' ),
 				'opening'                   => __( 'Opening...', 'arraypress' ),
 				'folderOpenError'           => __( 'Failed to open folder', 'arraypress' ),
+				'renameFolder'              => __( 'Rename Folder', 'arraypress' ),
+				'newFolderName'             => __( 'New folder name', 'arraypress' ),
+				'folderNameSame'            => __( 'The new name is the same as the current name', 'arraypress' ),
+				'moveFolder'                => __( 'Move Folder', 'arraypress' ),
+				'moveFolderTo'              => __( 'Choose a folder to move this folder into:', 'arraypress' ),
+				'moveIntoItself'            => __( 'A folder cannot be moved into itself', 'arraypress' ),
+				'countingFiles'             => __( 'Counting files...', 'arraypress' ),
+				'countingProgress'          => __( '{count} files counted...', 'arraypress' ),
+				'confirmMoveFolder'         => implode( "\n\n", [
+					__( '{count} files will be moved from "{from}" to "{to}".', 'arraypress' ),
+					__( 'Each one is copied and then deleted, so a large folder takes a while. It carries on if you close this page.', 'arraypress' ),
+				] ),
+				'referencesFollow'          => __( 'Products link to {count} of these files. Their links will follow the files to the new folder:', 'arraypress' ),
+				'movingFolder'              => __( 'Moving "{name}"', 'arraypress' ),
+				'folderJobProgress'         => __( '{moved} of {total} files moved', 'arraypress' ),
+				'folderJobFailures'         => __( '({failed} could not be moved)', 'arraypress' ),
+				'stopMove'                  => __( 'Stop', 'arraypress' ),
 			],
 			'buckets' => [
 				// Modal titles and actions
@@ -107,7 +195,7 @@ class Translations {
 				'loadingDetails'         => __( 'Loading bucket details...', 'arraypress' ),
 				'loadDetailsError'       => __( 'Failed to load bucket details: {message}', 'arraypress' ),
 				'manualCorsSetup'        => __( 'Manual CORS Setup Instructions', 'arraypress' ),
-				'refreshPage'            => __( 'Refresh Page', 'arraypress' ),
+				'checkAgain'             => __( 'Check Again', 'arraypress' ),
 
 				// Basic information
 				'region'                 => __( 'Region:', 'arraypress' ),
@@ -168,16 +256,55 @@ class Translations {
 				'revokingCors'           => __( 'Revoking CORS rules...', 'arraypress' ),
 				'revokeSuccess'          => __( 'CORS rules successfully revoked for bucket "{bucket}"', 'arraypress' ),
 				'revokeError'            => __( 'Failed to revoke CORS rules: {message}', 'arraypress' ),
+
+				// Favorites
+				'addFavorite'            => __( 'Add to Favorites', 'arraypress' ),
+				'removeFavorite'         => __( 'Remove from Favorites', 'arraypress' ),
+				'favoriteAdded'          => __( '"{bucket}" added to your favorites', 'arraypress' ),
+				'favoriteRemoved'        => __( '"{bucket}" removed from your favorites', 'arraypress' ),
+				'favoriteError'          => __( 'Failed to update favorites: {message}', 'arraypress' ),
 			],
 			'upload' => [
 				'cancelUploadConfirm' => __( 'Are you sure you want to cancel "{filename}"?', 'arraypress' ),
 				'uploadFailed'        => __( 'Upload failed:', 'arraypress' ),
-				'uploadComplete'      => __( 'Uploads completed. Refreshing file listing...', 'arraypress' ),
+				'uploadComplete'      => __( 'Uploads completed', 'arraypress' ),
 				'corsError'           => __( 'CORS configuration error - Your bucket needs proper CORS settings to allow uploads from this domain.', 'arraypress' ),
 				'networkError'        => __( 'Network error detected. Please check your internet connection and try again.', 'arraypress' ),
 				'failedPresignedUrl'  => __( 'Failed to get upload URL', 'arraypress' ),
 				'uploadFailedStatus'  => __( 'Upload failed with status', 'arraypress' ),
 				'uploadCancelled'     => __( 'Upload cancelled', 'arraypress' ),
+				'finishingUpload'     => __( 'Finishing upload...', 'arraypress' ),
+				'resumeConfirm'       => __( '"{filename}" was interrupted at {percent}% on an earlier visit. Resume where it left off? Cancel starts it again from the beginning.', 'arraypress' ),
+				'resumableUploads'    => __( 'These uploads were interrupted. Drop or choose the same files again to resume them:', 'arraypress' ),
+				'resumeLater'         => __( 'The parts already sent are kept; choose the same file again to resume.', 'arraypress' ),
+				'etagNotExposed'      => __( 'A part was uploaded but its ETag header could not be read. Add ETag to the exposed headers in the bucket\'s CORS rule.', 'arraypress' ),
+				'queued'              => __( 'Waiting...', 'arraypress' ),
+				'paused'              => __( 'Paused', 'arraypress' ),
+				'retryingIn'          => __( 'Retrying in {seconds}s...', 'arraypress' ),
+				'queueSummary'        => __( '{done} of {total} uploaded, {failed} failed', 'arraypress' ),
+				'someUploadsFailed'   => __( '{failed} uploads failed and {done} completed. Retry the failed ones, or close the panel to give up on them.', 'arraypress' ),
+				'pauseUpload'         => __( 'Pause', 'arraypress' ),
+				'resumeUpload'        => __( 'Resume', 'arraypress' ),
+				'retryUpload'         => __( 'Retry', 'arraypress' ),
+				'cancelUpload'        => __( 'Cancel upload', 'arraypress' ),
+				'folderProgress'      => __( '{done} of {total} files', 'arraypress' ),
+				'conflictTitle'       => __( 'Files Already Exist', 'arraypress' ),
+				'conflictIntro'       => __( '{count} of these files already exist here. Choose what to do with each.', 'arraypress' ),
+				'conflictApplyAll'    => __( 'Apply to all:', 'arraypress' ),
+				'conflictRename'      => __( 'Keep both', 'arraypress' ),
+				'conflictOverwrite'   => __( 'Replace', 'arraypress' ),
+				'conflictSkip'        => __( 'Skip', 'arraypress' ),
+				'conflictUpload'      => __( 'Upload', 'arraypress' ),
+				'conflictReferenced'  => __( 'Delivered by {labels}. Replacing it changes what customers download.', 'arraypress' ),
+				'conflictOverwriteReferenced' => implode( "\n\n", [
+					__( 'These files are delivered by products, and customers will get the new version straight away:', 'arraypress' ),
+					'{files}',
+					__( 'Replace them anyway?', 'arraypress' ),
+				] ),
+				'conflictCheckFailed' => __( 'Could not check for existing files. Any with the same name will be replaced.', 'arraypress' ),
+				'hashing'             => __( 'Calculating checksum...', 'arraypress' ),
+				'checksumVerified'    => __( 'Checksum verified', 'arraypress' ),
+				'checksumMismatch'    => __( 'The file did not arrive intact: its checksum does not match what was sent.', 'arraypress' ),
 			],
 			'validation' => [
 				'validationFailed'    => __( 'File Validation Failed', 'arraypress' ),
@@ -195,32 +322,103 @@ class Translations {
 				'testConnection' => __( 'Test Connection', 'arraypress' ),
 			],
 			'search' => [
-				'noMatchesFound' => __( 'No matches found', 'arraypress' ),
-				'noFilesFound'   => __( 'No files or folders found matching "{term}"', 'arraypress' ),
-				'itemsMatch'     => __( '{visible} of {total} items match', 'arraypress' ),
+				'noMatchesFound'   => __( 'No matches found', 'arraypress' ),
+				'noFilesFound'     => __( 'No files or folders found matching "{term}"', 'arraypress' ),
+				'itemsMatch'       => __( '{visible} of {total} items match', 'arraypress' ),
+				'searchAllFolders' => __( 'Search All Folders', 'arraypress' ),
+				'stop'             => __( 'Stop', 'arraypress' ),
+				'searching'        => __( 'Searching... {found} found in {scanned} files so far', 'arraypress' ),
+				'searchComplete'   => __( '{found} found in {scanned} files in this folder and the folders below it', 'arraypress' ),
+				'searchLimited'    => __( 'Showing the first {found} matches. Narrow the search to see the rest.', 'arraypress' ),
 			],
 			'display' => [
 				'singleItem'    => __( 'item', 'arraypress' ),
 				'multipleItems' => __( 'items', 'arraypress' ),
 				'moreAvailable' => __( ' (more available)', 'arraypress' ),
+				'noItems'       => __( 'No files or folders found.', 'arraypress' ),
 			],
 			'cache' => [
 				'cacheRefreshed' => __( 'Cache refreshed successfully', 'arraypress' ),
 			],
 			'copyLink' => [
-				'copyLink'             => __( 'Copy Link', 'arraypress' ),
-				'linkDuration'         => __( 'Link Duration (minutes)', 'arraypress' ),
-				'linkDurationHelp'     => __( 'Enter how long the link should remain valid (1 minute to 7 days).', 'arraypress' ),
-				'generatedLink'        => __( 'Generated Link', 'arraypress' ),
-				'generateLinkFirst'    => __( 'Click Generate Link to create a shareable URL and copy it', 'arraypress' ),
-				'generateLink'         => __( 'Generate Link', 'arraypress' ),
-				'generatingLink'       => __( 'Generating link...', 'arraypress' ),
-				'linkGenerated'        => __( 'Link generated successfully!', 'arraypress' ),
-				'linkGeneratedSuccess' => __( 'Link generated successfully', 'arraypress' ),
-				'linkExpiresAt'        => __( 'Link expires at: {time}', 'arraypress' ),
-				'linkCopied'           => __( 'Link copied to clipboard.', 'arraypress' ),
-				'copyFailed'           => __( 'Link ready. Press Ctrl/Cmd+C to copy it.', 'arraypress' ),
-				'invalidDuration'      => __( 'Duration must be between 1 minute and 7 days (10080 minutes)', 'arraypress' ),
+				'copyLink'               => __( 'Copy Link', 'arraypress' ),
+				'linkDuration'           => __( 'Link Duration (minutes)', 'arraypress' ),
+				'linkDurationHelp'       => __( 'Enter how long the link should remain valid (1 minute to 7 days).', 'arraypress' ),
+				'generatedLink'          => __( 'Generated Link', 'arraypress' ),
+				'generateLinkFirst'      => __( 'Click Generate Link to create a shareable URL and copy it', 'arraypress' ),
+				'generateLink'           => __( 'Generate Link', 'arraypress' ),
+				'generatingLink'         => __( 'Generating link...', 'arraypress' ),
+				'linkGenerated'          => __( 'Link generated successfully!', 'arraypress' ),
+				'linkGeneratedSuccess'   => __( 'Link generated successfully', 'arraypress' ),
+				'linkExpiresAt'          => __( 'Link expires at: {time}', 'arraypress' ),
+				'linkCopied'             => __( 'Link copied to clipboard.', 'arraypress' ),
+				'copyFailed'             => __( 'Link ready. Press Ctrl/Cmd+C to copy it.', 'arraypress' ),
+				'invalidDuration'        => __( 'Duration must be between 1 minute and 7 days (10080 minutes)', 'arraypress' ),
+				'presetHour'             => __( '1 hour', 'arraypress' ),
+				'presetDay'              => __( '1 day', 'arraypress' ),
+				'presetWeek'             => __( '7 days', 'arraypress' ),
+				'disposition'            => __( 'When Opened', 'arraypress' ),
+				'dispositionStored'      => __( 'As the file is set to', 'arraypress' ),
+				'dispositionInline'      => __( 'Show in the browser', 'arraypress' ),
+				'dispositionAttachment'  => __( 'Download', 'arraypress' ),
+				'downloadName'           => __( 'Save As', 'arraypress' ),
+				'downloadNameHelp'       => __( 'Filename the file is saved under. Leave empty to keep its own.', 'arraypress' ),
+				'contentType'            => __( 'Content-Type', 'arraypress' ),
+				'contentTypePlaceholder' => __( 'The file\'s own', 'arraypress' ),
+				'contentTypeHelp'        => __( 'Serve the file as another type, such as text/plain. Only this link is affected.', 'arraypress' ),
+				'qrCode'                 => __( 'QR code for the link', 'arraypress' ),
+				'qrCodeHelp'             => __( 'Scan to open the link on another device.', 'arraypress' ),
+				'qrCodeTooLong'          => __( 'This link is too long to show as a QR code.', 'arraypress' ),
+				'note'                   => __( 'Note', 'arraypress' ),
+				'noteHelp'               => __( 'Who the link is for, or why. Kept with the link in Shared Links.', 'arraypress' ),
+				'proxy'                  => __( 'Link through this site', 'arraypress' ),
+				'proxyHelp'              => __( 'The link goes to this site, which logs each download and checks the link has not been revoked before sending the visitor on to the file.', 'arraypress' ),
+			],
+			'sharedLinks' => [
+				'title'               => __( 'Shared Links', 'arraypress' ),
+				'status'              => __( 'Status', 'arraypress' ),
+				'statusActive'        => __( 'Active', 'arraypress' ),
+				'statusExpired'       => __( 'Expired', 'arraypress' ),
+				'statusRevoked'       => __( 'Revoked', 'arraypress' ),
+				'statusAll'           => __( 'All links', 'arraypress' ),
+				'search'              => __( 'Search files and notes', 'arraypress' ),
+				'mine'                => __( 'Only mine', 'arraypress' ),
+				'loading'             => __( 'Loading links...', 'arraypress' ),
+				'loadFailed'          => __( 'The links could not be loaded.', 'arraypress' ),
+				'exportCsv'           => __( 'Export CSV', 'arraypress' ),
+				'nothingToExport'     => __( 'No links to export.', 'arraypress' ),
+				'confirmRevoke'       => __( 'Revoke the link to "{file}"? Anyone who has it will be turned away.', 'arraypress' ),
+				'revoking'            => __( 'Revoking...', 'arraypress' ),
+				'columnBucket'        => __( 'Bucket', 'arraypress' ),
+				'columnKey'           => __( 'Key', 'arraypress' ),
+				'columnStatus'        => __( 'Status', 'arraypress' ),
+				'columnSharedBy'      => __( 'Shared By', 'arraypress' ),
+				'columnCreated'       => __( 'Created', 'arraypress' ),
+				'columnExpires'       => __( 'Expires', 'arraypress' ),
+				'columnNote'          => __( 'Note', 'arraypress' ),
+				'columnRevocable'     => __( 'Revocable', 'arraypress' ),
+				'columnDownloads'     => __( 'Downloads', 'arraypress' ),
+				'columnRevoked'       => __( 'Revoked', 'arraypress' ),
+				'columnRevokedBy'     => __( 'Revoked By', 'arraypress' ),
+				'yes'                 => __( 'Yes', 'arraypress' ),
+				'no'                  => __( 'No', 'arraypress' ),
+				'downloadsLoading'    => __( 'Loading downloads...', 'arraypress' ),
+				'downloadsLoadFailed' => __( 'The downloads could not be loaded.', 'arraypress' ),
+			],
+			'shortcuts' => [
+				'title'       => __( 'Keyboard Shortcuts', 'arraypress' ),
+				'intro'       => __( 'Keys typed into a field are left to the field. Tab reaches the actions of the row the arrows stop on.', 'arraypress' ),
+				'move'        => __( 'Move to the next or previous row', 'arraypress' ),
+				'firstLast'   => __( 'Move to the first or last row', 'arraypress' ),
+				'open'        => __( 'Open the folder, or insert the file', 'arraypress' ),
+				'keySpace'    => __( 'Space', 'arraypress' ),
+				'select'      => __( 'Tick or untick the file', 'arraypress' ),
+				'remove'      => __( 'Delete the ticked files, or else the row\'s file or folder', 'arraypress' ),
+				'rename'      => __( 'Rename the file or folder', 'arraypress' ),
+				'search'      => __( 'Search this folder', 'arraypress' ),
+				'leaveSearch' => __( 'Leave the search for the list', 'arraypress' ),
+				'up'          => __( 'Go up a folder', 'arraypress' ),
+				'help'        => __( 'Show these shortcuts', 'arraypress' ),
 			],
 			'fileDetails' => [
 				'title'         => __( 'File Details', 'arraypress' ),
@@ -236,6 +434,50 @@ class Translations {
 				'parts'         => __( 'parts', 'arraypress' ),
 				'checksumInfo'  => __( 'Checksum Information', 'arraypress' ),
 			],
+			'preview' => [
+				'loading'      => __( 'Loading preview...', 'arraypress' ),
+				'failed'       => __( 'The preview could not be loaded', 'arraypress' ),
+				'showingFirst' => __( 'Showing the first {shown} of {total}', 'arraypress' ),
+			],
+			'metadata' => [
+				'loading'    => __( 'Loading headers...', 'arraypress' ),
+				'loadFailed' => __( 'The headers could not be read', 'arraypress' ),
+				'saving'     => __( 'Saving...', 'arraypress' ),
+				'save'       => __( 'Save', 'arraypress' ),
+				'name'       => __( 'Name', 'arraypress' ),
+				'value'      => __( 'Value', 'arraypress' ),
+				'remove'     => __( 'Remove', 'arraypress' ),
+			],
+			'tags' => [
+				'loading'    => __( 'Loading tags...', 'arraypress' ),
+				'loadFailed' => __( 'The tags could not be read', 'arraypress' ),
+				'saving'     => __( 'Saving...', 'arraypress' ),
+				'save'       => __( 'Save', 'arraypress' ),
+				'key'        => __( 'Key', 'arraypress' ),
+				'value'      => __( 'Value', 'arraypress' ),
+				'remove'     => __( 'Remove', 'arraypress' ),
+				'reading'    => __( 'Reading tags... {visible} matching so far', 'arraypress' ),
+			],
+			'versions' => [
+				'loading'             => __( 'Loading versions...', 'arraypress' ),
+				'loadFailed'          => __( 'The versions could not be read', 'arraypress' ),
+				'restoring'           => __( 'Restoring...', 'arraypress' ),
+				'deleting'            => __( 'Deleting...', 'arraypress' ),
+				/* translators: {date}: when the version was saved */
+				'confirmRestore'      => __( 'Restore the version from {date}? It becomes the current file, and the current file is kept as an earlier version.', 'arraypress' ),
+				/* translators: {date}: when the version was saved */
+				'confirmDelete'       => __( 'Permanently delete the version from {date}? This cannot be undone.', 'arraypress' ),
+				'confirmDeleteMarker' => __( 'Remove this delete marker? The version before it becomes the current file again.', 'arraypress' ),
+			],
+			'storage' => [
+				'loading'        => __( 'Loading storage class...', 'arraypress' ),
+				'loadFailed'     => __( 'The storage class could not be read', 'arraypress' ),
+				'changing'       => __( 'Changing...', 'arraypress' ),
+				'restoring'      => __( 'Restoring...', 'arraypress' ),
+				/* translators: {class}: storage class, such as GLACIER */
+				'confirmArchive' => __( 'Move this file to {class}? It cannot be downloaded from there until it is restored, which takes hours.', 'arraypress' ),
+				'invalidDays'    => __( 'Please enter a number of days between 1 and 365', 'arraypress' ),
+			],
 			'checksum' => [
 				'noChecksumAvailable' => __( 'No checksum available', 'arraypress' ),
 				'none'                => __( 'None', 'arraypress' ),
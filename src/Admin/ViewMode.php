@@ -0,0 +1,79 @@
+<?php
+/**
+ * View Mode
+ *
+ * Whether the current user looks at files as a list or as a grid of
+ * thumbnails, kept in their user meta so the choice follows them to
+ * another computer.
+ *
+ * @package     ArrayPress\S3\Admin
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Admin;
+
+/**
+ * Class ViewMode
+ */
+class ViewMode {
+
+	/**
+	 * The views there are, the default first.
+	 */
+	public const VIEWS = [ 'list', 'grid' ];
+
+	/**
+	 * The user meta key
+	 *
+	 * One for every browser on the site, unlike favorites: a bucket name
+	 * means nothing across credentials, but how someone likes to see files
+	 * does not change with them.
+	 *
+	 * @return string
+	 */
+	public function meta_key(): string {
+		return 's3_browser_view';
+	}
+
+	/**
+	 * The current user's view
+	 *
+	 * @return string One of VIEWS.
+	 */
+	public function get(): string {
+		$user_id = get_current_user_id();
+		$view    = $user_id ? get_user_meta( $user_id, $this->meta_key(), true ) : '';
+
+		return in_array( $view, self::VIEWS, true ) ? $view : self::VIEWS[0];
+	}
+
+	/**
+	 * Whether the current user has chosen the grid
+	 *
+	 * @return bool
+	 */
+	public function is_grid(): bool {
+		return 'grid' === $this->get();
+	}
+
+	/**
+	 * Choose a view for the current user
+	 *
+	 * @param string $view One of VIEWS; anything else is ignored.
+	 *
+	 * @return string The user's view afterwards.
+	 */
+	public function set( string $view ): string {
+		$user_id = get_current_user_id();
+
+		if ( $user_id && in_array( $view, self::VIEWS, true ) ) {
+			update_user_meta( $user_id, $this->meta_key(), $view );
+		}
+
+		return $this->get();
+	}
+}
@@ -24,8 +24,12 @@ use ArrayPress\S3\Traits\Api\Files;
 use ArrayPress\S3\Traits\Api\File;
 use ArrayPress\S3\Traits\Api\PresignedUrls;
 use ArrayPress\S3\Traits\Api\Batch;
+use ArrayPress\S3\Traits\Api\Multipart;
 use ArrayPress\S3\Traits\Api\Headers;
 use ArrayPress\S3\Traits\Api\Cors;
+use ArrayPress\S3\Traits\Api\Tagging;
+use ArrayPress\S3\Traits\Api\Storage;
+use ArrayPress\S3\Traits\Api\Versions;
 use ArrayPress\S3\Traits\Shared\Debug;
 use ArrayPress\S3\Traits\Shared\Timeouts;
 
@@ -40,10 +44,14 @@ class Api implements ApiInterface {
 	use File;
 	use PresignedUrls;
 	use Batch;
+	use Multipart;
 	use Headers;
 	use Debug;
 	use Timeouts;
 	use Cors;
+	use Tagging;
+	use Versions;
+	use Storage;
 
 	/**
 	 * Provider instance
@@ -15,9 +15,12 @@ namespace ArrayPress\S3;
 
 use ArrayPress\S3\Admin\Assets;
 use ArrayPress\S3\Admin\Config;
+use ArrayPress\S3\Admin\Favorites;
 use ArrayPress\S3\Admin\MediaLibrary;
 use ArrayPress\S3\Admin\Screen;
 use ArrayPress\S3\Admin\Templates;
+use ArrayPress\S3\Admin\ViewMode;
+use ArrayPress\S3\Cli\Files;
 use ArrayPress\S3\Rest\Controller as RestController;
 use ArrayPress\S3\Traits\Shared\Debug;
 
@@ -98,6 +101,34 @@ class Browser {
 	 */
 	protected RestController $rest;
 
+	/**
+	 * The current user's starred buckets.
+	 *
+	 * @var Favorites
+	 */
+	protected Favorites $favorites;
+
+	/**
+	 * Folder renames and moves under way.
+	 *
+	 * @var FolderJobs
+	 */
+	protected FolderJobs $folder_jobs;
+
+	/**
+	 * The current user's list or grid view.
+	 *
+	 * @var ViewMode
+	 */
+	protected ViewMode $view_mode;
+
+	/**
+	 * Record of the download links handed out.
+	 *
+	 * @var SharedLinks
+	 */
+	protected SharedLinks $shared_links;
+
 	/**
 	 * Build a browser.
 	 *
@@ -149,6 +180,11 @@ class Browser {
 
 		$this->set_debug( $debug );
 
+		$this->favorites    = new Favorites( $this->config->hook_suffix(), fn(): array => $this->get_allowed_buckets() );
+		$this->folder_jobs  = new FolderJobs( $this->client, $this->config->hook_suffix() );
+		$this->view_mode    = new ViewMode();
+		$this->shared_links = new SharedLinks( $this->config->hook_suffix(), fn(): array => $this->get_allowed_buckets() );
+
 		$this->rest = new RestController(
 			$this->client,
 			$this->config->provider_id,
@@ -157,13 +193,17 @@ class Browser {
 			// A closure rather than the resolved array: get_allowed_buckets()
 			// runs through a filter, and set_allowed_buckets() may be called
 			// after construction, so the controller has to ask each time.
-			fn(): array => $this->get_allowed_buckets()
+			fn(): array => $this->get_allowed_buckets(),
+			$this->favorites,
+			$this->folder_jobs,
+			$this->view_mode,
+			$this->shared_links
 		);
 
 		$this->screen    = new Screen( $this->config );
-		$this->assets    = new Assets( $this->config, $this->screen, $this->rest, fn(): array => $this->admin_hook );
+		$this->assets    = new Assets( $this->config, $this->screen, $this->rest, fn(): array => $this->admin_hook, $this->favorites );
 		$this->templates = new Templates( $capability );
-		$this->media     = new MediaLibrary( $this->config, $this->screen, $this->assets, $this->client );
+		$this->media     = new MediaLibrary( $this->config, $this->screen, $this->assets, $this->client, $this->favorites, $this->view_mode );
 
 		$this->register_hooks();
 	}
@@ -187,6 +227,11 @@ class Browser {
 		add_action( 'admin_footer', [ $this->templates, 'print_templates' ] );
 		add_action( 'admin_print_footer_scripts', [ $this->templates, 'print_templates' ] );
 
+		// Cron runs without the browser's tab, so a folder move carries on
+		// after the admin has closed it.
+		add_action( $this->folder_jobs->hook(), [ $this->folder_jobs, 'run_scheduled' ] );
+		add_action( $this->shared_links->hook(), [ $this->shared_links, 'clean_up' ] );
+
 		// If rest_api_init has already fired, adding a callback to it now would
 		// never run. That happens whenever a consumer builds the Browser late --
 		// inside rest_api_init itself, or on a hook that fires after it -- so
@@ -249,6 +294,25 @@ class Browser {
 		);
 	}
 
+	/**
+	 * Give the browser the host plugin's file table
+	 *
+	 * The same Files implementation the CLI commands take. With it, deleting
+	 * a file a product delivers offers to remove it from the product or link
+	 * the product to another file first, rather than only warning, and
+	 * renaming or moving a file or folder takes the products along.
+	 *
+	 * @param Files $store The host plugin's file table.
+	 *
+	 * @return self
+	 */
+	public function set_file_store( Files $store ): self {
+		$this->rest->set_file_store( $store );
+		$this->folder_jobs->set_file_store( $store );
+
+		return $this;
+	}
+
 	/**
 	 * Get a suffix distinguishing this browser instance from another
 	 *
@@ -0,0 +1,198 @@
+<?php
+/**
+ * Product References
+ *
+ * The products in the host plugin's file table that deliver a given object,
+ * and the two repairs that can be made to one before the object is deleted:
+ * dropping the file row, or pointing it at another object. When the object
+ * itself is renamed or moved, every product delivering it is pointed at the
+ * new key.
+ *
+ * Both go through Files::assign() in SYNC mode. Rows are matched by name
+ * there, so the rows left alone keep their identity -- on WooCommerce, the
+ * download id each customer's permission is recorded against -- and a
+ * repointed row keeps its own.
+ *
+ * @package     ArrayPress\S3
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Cli;
+
+/**
+ * Class References
+ */
+class References {
+
+	/**
+	 * Post IDs by the normalized path of each file they hold.
+	 *
+	 * Built on first use and kept for the request: a bulk delete asks about
+	 * every selected file, and reading the whole table once per file would
+	 * make that quadratic.
+	 *
+	 * @var array<string, int[]>|null
+	 */
+	private ?array $index = null;
+
+	/**
+	 * Build the lookup.
+	 *
+	 * @param Files $store The host plugin's file table.
+	 */
+	public function __construct(
+		private Files $store
+	) {
+	}
+
+	/**
+	 * Every post holding an object.
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param string $key    Object key.
+	 *
+	 * @return array<int, array{id: int, label: string, edit_url: string}>
+	 */
+	public function find( string $bucket, string $key ): array {
+		$found = [];
+
+		foreach ( $this->index()[ Path::normalize( $bucket . '/' . $key ) ] ?? [] as $id ) {
+			$found[] = [
+				'id'       => $id,
+				'label'    => $this->store->label( $id ),
+				'edit_url' => (string) get_edit_post_link( $id, 'raw' ),
+			];
+		}
+
+		return $found;
+	}
+
+	/**
+	 * Whether a post holds an object.
+	 *
+	 * @param int    $id     Post ID.
+	 * @param string $bucket Bucket name.
+	 * @param string $key    Object key.
+	 *
+	 * @return bool
+	 */
+	public function holds( int $id, string $bucket, string $key ): bool {
+		return in_array( $id, $this->index()[ Path::normalize( $bucket . '/' . $key ) ] ?? [], true );
+	}
+
+	/**
+	 * Drop a post's rows for an object.
+	 *
+	 * @param int    $id     Post ID.
+	 * @param string $bucket Bucket name.
+	 * @param string $key    Object key.
+	 *
+	 * @return int Rows removed.
+	 */
+	public function detach( int $id, string $bucket, string $key ): int {
+		$path    = Path::normalize( $bucket . '/' . $key );
+		$files   = $this->store->files( $id );
+		$keep    = array_values( array_filter(
+			$files,
+			static fn( array $file ): bool => Path::normalize( $file['path'] ) !== $path
+		) );
+		$removed = count( $files ) - count( $keep );
+
+		if ( $removed ) {
+			$this->store->assign( $id, $keep, Files::SYNC );
+			$this->index = null;
+		}
+
+		return $removed;
+	}
+
+	/**
+	 * Point a post's rows for an object at another object.
+	 *
+	 * The row keeps its name, and its path keeps the s3:// prefix if it had
+	 * one, so nothing changes for the customer but the bytes.
+	 *
+	 * @param int    $id      Post ID.
+	 * @param string $bucket  Bucket name.
+	 * @param string $key     Object key the rows hold now.
+	 * @param string $new_key Object key they are to hold.
+	 *
+	 * @return int Rows repointed.
+	 */
+	public function repoint( int $id, string $bucket, string $key, string $new_key ): int {
+		$path      = Path::normalize( $bucket . '/' . $key );
+		$files     = $this->store->files( $id );
+		$repointed = 0;
+
+		foreach ( $files as $index => $file ) {
+			if ( Path::normalize( $file['path'] ) !== $path ) {
+				continue;
+			}
+
+			$scheme = str_starts_with( trim( $file['path'] ), 's3://' ) ? 's3://' : '';
+
+			$files[ $index ]['path'] = $scheme . $bucket . '/' . $new_key;
+			++$repointed;
+		}
+
+		if ( $repointed ) {
+			$this->store->assign( $id, $files, Files::SYNC );
+			$this->index = null;
+		}
+
+		return $repointed;
+	}
+
+	/**
+	 * Point every post holding an object at the key it was renamed to.
+	 *
+	 * Not a choice to offer, unlike the repairs before a delete: the old key
+	 * no longer exists, and a row left on it would fail every download.
+	 *
+	 * @param string $bucket  Bucket name.
+	 * @param string $key     Object key the object had.
+	 * @param string $new_key Object key it has now.
+	 *
+	 * @return int Rows repointed.
+	 */
+	public function follow( string $bucket, string $key, string $new_key ): int {
+		$repointed = 0;
+
+		foreach ( $this->index()[ Path::normalize( $bucket . '/' . $key ) ] ?? [] as $id ) {
+			$repointed += $this->repoint( $id, $bucket, $key, $new_key );
+		}
+
+		return $repointed;
+	}
+
+	/**
+	 * Read the whole table into a path lookup.
+	 *
+	 * @return array<string, int[]>
+	 */
+	private function index(): array {
+		if ( null !== $this->index ) {
+			return $this->index;
+		}
+
+		$this->index = [];
+
+		foreach ( $this->store->all() as $id ) {
+			foreach ( $this->store->files( $id ) as $file ) {
+				$path = Path::normalize( $file['path'] );
+
+				if ( '' === $path || in_array( $id, $this->index[ $path ] ?? [], true ) ) {
+					continue;
+				}
+
+				$this->index[ $path ][] = $id;
+			}
+		}
+
+		return $this->index;
+	}
+}
@@ -24,7 +24,11 @@ use ArrayPress\S3\Traits\Client\Files;
 use ArrayPress\S3\Traits\Client\File;
 use ArrayPress\S3\Traits\Client\PresignedUrls;
 use ArrayPress\S3\Traits\Client\Batch;
+use ArrayPress\S3\Traits\Client\Multipart;
 use ArrayPress\S3\Traits\Client\Cors;
+use ArrayPress\S3\Traits\Client\Tagging;
+use ArrayPress\S3\Traits\Client\Storage;
+use ArrayPress\S3\Traits\Client\Versions;
 use ArrayPress\S3\Traits\Client\Options;
 use ArrayPress\S3\Traits\Shared\Debug;
 use ArrayPress\S3\Traits\Shared\Context;
@@ -41,12 +45,16 @@ class Client {
 	use File;
 	use PresignedUrls;
 	use Batch;
+	use Multipart;
 	// Aliased so the override below can set the flag before propagating.
 	use Debug {
 		set_debug as private set_debug_flag;
 	}
 	use Context;
 	use Cors;
+	use Tagging;
+	use Versions;
+	use Storage;
 	use Options;
 
 	/**
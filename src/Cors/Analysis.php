@@ -25,6 +25,17 @@ class Analysis {
 	 */
 	private const UPLOAD_METHODS = [ 'PUT', 'POST' ];
 
+	/**
+	 * Headers every browser upload sends, which the preflight asks about.
+	 */
+	private const UPLOAD_HEADERS = [ 'Content-Type' ];
+
+	/**
+	 * Headers an upload adds when the rule allows them, for the provider to
+	 * check the content against. Without them it goes ahead unchecked.
+	 */
+	private const CHECKSUM_HEADERS = [ 'Content-MD5', 'x-amz-checksum-sha256' ];
+
 	/**
 	 * Methods that change the bucket, and so are worth warning about when
 	 * any origin may call them.
@@ -101,14 +112,20 @@ class Analysis {
 	/**
 	 * Check whether a rule set permits uploads from an origin.
 	 *
+	 * The method alone is not enough: a browser's preflight names the
+	 * headers the PUT will carry, and a rule that does not allow each of
+	 * them refuses the upload as surely as one without PUT.
+	 *
 	 * @param array  $rules  CORS rules.
 	 * @param string $origin Origin to test.
 	 *
-	 * @return array Whether uploads are allowed, and the rules that say so.
+	 * @return array Whether uploads are allowed, whether with checksums, and
+	 *               the rules that say so.
 	 */
 	public static function allows_upload( array $rules, string $origin = '*' ): array {
-		$methods  = [];
-		$matching = [];
+		$methods   = [];
+		$matching  = [];
+		$checksums = false;
 
 		foreach ( $rules as $rule ) {
 			$origins = $rule['AllowedOrigins'] ?? [];
@@ -121,23 +138,59 @@ class Analysis {
 
 			$allowed = array_intersect( self::UPLOAD_METHODS, $rule['AllowedMethods'] ?? [] );
 
-			if ( ! $allowed ) {
+			if ( ! $allowed || ! self::allows_headers( $rule, self::UPLOAD_HEADERS ) ) {
 				continue;
 			}
 
 			$methods    = array_merge( $methods, $allowed );
 			$matching[] = $rule;
+			$checksums  = $checksums || self::allows_headers( $rule, self::CHECKSUM_HEADERS );
 		}
 
 		return [
-			'origin'          => $origin,
-			'allows_upload'   => (bool) $matching,
-			'allowed_methods' => array_values( array_unique( $methods ) ),
-			'matching_rules'  => $matching,
-			'rules_checked'   => count( $rules ),
+			'origin'           => $origin,
+			'allows_upload'    => (bool) $matching,
+			'allows_checksums' => $checksums,
+			'allowed_methods'  => array_values( array_unique( $methods ) ),
+			'matching_rules'   => $matching,
+			'rules_checked'    => count( $rules ),
 		];
 	}
 
+	/**
+	 * Check whether a rule allows every one of some request headers.
+	 *
+	 * As S3 matches them: without regard to case, and with a * in an allowed
+	 * header standing for any run of characters.
+	 *
+	 * @param array $rule    CORS rule.
+	 * @param array $headers Header names.
+	 *
+	 * @return bool
+	 */
+	private static function allows_headers( array $rule, array $headers ): bool {
+		$patterns = array_map( static function ( string $allowed ): string {
+			return '/^' . str_replace( '\\*', '.*', preg_quote( $allowed, '/' ) ) . '$/i';
+		}, $rule['AllowedHeaders'] ?? [] );
+
+		foreach ( $headers as $header ) {
+			$found = false;
+
+			foreach ( $patterns as $pattern ) {
+				if ( preg_match( $pattern, $header ) ) {
+					$found = true;
+					break;
+				}
+			}
+
+			if ( ! $found ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
 	/**
 	 * List every origin any rule allows.
 	 *
@@ -25,6 +25,18 @@ class Rules {
 	 */
 	private const READ_HEADERS = [ 'Content-Length', 'Content-Type', 'ETag', 'Last-Modified' ];
 
+	/**
+	 * Headers the uploader reads back from a PUT.
+	 *
+	 * The ETag is checked against the content's MD5 unless the encryption
+	 * headers say the object is under SSE-KMS or SSE-C, where it is not one.
+	 */
+	private const UPLOAD_RESPONSE_HEADERS = [
+		'ETag',
+		'x-amz-server-side-encryption',
+		'x-amz-server-side-encryption-customer-algorithm',
+	];
+
 	/**
 	 * Rule templates, keyed by scenario.
 	 *
@@ -43,19 +55,23 @@ class Rules {
 			'ID'             => 'UploadOnly',
 			'AllowedMethods' => [ 'PUT', 'POST' ],
 			'AllowedHeaders' => [ 'Content-Type', 'Content-Length', 'Content-MD5', 'x-amz-*' ],
+			// A multipart upload is completed by listing the ETag each part
+			// returned, and the browser cannot read it unless it is exposed.
+			'ExposeHeaders'  => self::UPLOAD_RESPONSE_HEADERS,
 			'MaxAgeSeconds'  => 3600,
 		],
 		'presigned_upload' => [
 			'ID'             => 'PresignedUpload',
 			'AllowedMethods' => [ 'PUT' ],
-			'AllowedHeaders' => [ 'Content-Type', 'Content-Length' ],
+			'AllowedHeaders' => [ 'Content-Type', 'Content-Length', 'Content-MD5', 'x-amz-checksum-sha256' ],
+			'ExposeHeaders'  => self::UPLOAD_RESPONSE_HEADERS,
 			'MaxAgeSeconds'  => 600,
 		],
 		'full_access'      => [
 			'ID'             => 'FullAccess',
 			'AllowedMethods' => [ 'GET', 'PUT', 'POST', 'DELETE', 'HEAD' ],
 			'AllowedHeaders' => [ '*' ],
-			'ExposeHeaders'  => self::READ_HEADERS,
+			'ExposeHeaders'  => [ ...self::READ_HEADERS, 'x-amz-server-side-encryption', 'x-amz-server-side-encryption-customer-algorithm' ],
 			'MaxAgeSeconds'  => 3600,
 		],
 	];
@@ -0,0 +1,380 @@
+<?php
+/**
+ * Folder Jobs
+ *
+ * Renames and moves of whole folders. S3 has no folders to rename: a folder
+ * is the keys that share a prefix, and renaming it means copying and
+ * deleting every one of them. A folder of release builds can hold thousands,
+ * far more than one request can get through, so the work is kept as a job
+ * and done a batch at a time.
+ *
+ * The browser polls a job, and each poll moves the next batch. WP-Cron takes
+ * a batch as well, so a job whose tab was closed still finishes rather than
+ * leaving the folder half in one place and half in the other.
+ *
+ * @package     ArrayPress\S3
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3;
+
+use ArrayPress\S3\Cli\Files;
+use ArrayPress\S3\Cli\References;
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\ObjectsResponse;
+
+/**
+ * Class FolderJobs
+ */
+class FolderJobs {
+
+	/**
+	 * Objects moved per batch.
+	 *
+	 * Each is a copy and a delete, so a batch is fifty requests -- short
+	 * enough to finish inside PHP's time limit on a slow provider.
+	 */
+	private const BATCH = 25;
+
+	/**
+	 * How long a job is kept, finished or not.
+	 */
+	private const TTL = WEEK_IN_SECONDS;
+
+	/**
+	 * How long one batch may hold the job before another may take it.
+	 */
+	private const LOCK = 120;
+
+	/**
+	 * Failures kept in full. Past this only the count goes up.
+	 */
+	private const MAX_FAILURES = 100;
+
+	/**
+	 * The host plugin's file table, when it has handed one over.
+	 *
+	 * @var References|null
+	 */
+	private ?References $references = null;
+
+	/**
+	 * Build the jobs for one browser instance.
+	 *
+	 * @param Client $client Client the jobs act through.
+	 * @param string $suffix Suffix distinguishing this instance from another.
+	 */
+	public function __construct(
+		private Client $client,
+		private string $suffix
+	) {
+	}
+
+	/**
+	 * Hand over the host plugin's file table
+	 *
+	 * With it, the products delivering each object moved are pointed at its
+	 * new key, as they are for a single rename.
+	 *
+	 * @param Files $store The host plugin's file table.
+	 *
+	 * @return self
+	 */
+	public function set_file_store( Files $store ): self {
+		$this->references = new References( $store );
+
+		return $this;
+	}
+
+	/**
+	 * The cron hook a job's next batch is scheduled on
+	 *
+	 * @return string
+	 */
+	public function hook(): string {
+		return 's3_browser_folder_job_' . sanitize_key( $this->suffix );
+	}
+
+	/**
+	 * Start moving every object under one prefix to another
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param string $source Folder to move, ending in a slash.
+	 * @param string $target Folder to move it to, ending in a slash.
+	 *
+	 * @return array The job.
+	 */
+	public function start( string $bucket, string $source, string $target ): array {
+		$job = [
+			'id'       => str_replace( '-', '', wp_generate_uuid4() ),
+			'user_id'  => get_current_user_id(),
+			'bucket'   => $bucket,
+			'source'   => $source,
+			'target'   => $target,
+			'status'   => 'running',
+			'moved'    => 0,
+			'failed'   => 0,
+			'failures' => [],
+			'token'    => '',
+			'started'  => time(),
+			'updated'  => time(),
+		];
+
+		$this->save( $job );
+		$this->schedule( $job['id'] );
+
+		return $job;
+	}
+
+	/**
+	 * A job, as it stands
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return array|null The job, or null when there is no such job.
+	 */
+	public function get( string $id ): ?array {
+		$job = get_transient( $this->key( $id ) );
+
+		return is_array( $job ) ? $job : null;
+	}
+
+	/**
+	 * Move the next batch of a running job
+	 *
+	 * A batch already under way in another request is left to finish; the
+	 * job is returned as that request last saved it. A cancel that came in
+	 * while the batch ran is kept, not saved over.
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return array|null The job afterwards, or null when there is no such job.
+	 */
+	public function advance( string $id ): ?array {
+		$job = $this->get( $id );
+
+		if ( null === $job || 'running' !== $job['status'] || ! $this->lock( $id ) ) {
+			return $job;
+		}
+
+		$job     = $this->run_batch( $job );
+		$current = $this->get( $id );
+
+		if ( null !== $current && 'cancelled' === $current['status'] ) {
+			$job['status'] = 'cancelled';
+		}
+
+		$this->save( $job );
+		$this->unlock( $id );
+
+		if ( 'running' === $job['status'] ) {
+			$this->schedule( $id );
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Stop a job after the batch in hand
+	 *
+	 * What has been moved stays moved: the job records where it got to, and
+	 * moving the rest is another rename of the same folder.
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return array|null The job afterwards, or null when there is no such job.
+	 */
+	public function cancel( string $id ): ?array {
+		$job = $this->get( $id );
+
+		if ( null === $job || 'running' !== $job['status'] ) {
+			return $job;
+		}
+
+		$job['status'] = 'cancelled';
+
+		$this->save( $job );
+		$this->client->cache()->flush_bucket( $job['bucket'] );
+		wp_clear_scheduled_hook( $this->hook(), [ $id ] );
+
+		return $job;
+	}
+
+	/**
+	 * Cron callback: move a batch of a job nobody is watching
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return void
+	 */
+	public function run_scheduled( string $id ): void {
+		$this->advance( $id );
+	}
+
+	/**
+	 * List the next batch under the source and move each object
+	 *
+	 * The listing carries on from a continuation token rather than starting
+	 * over, so an object that will not move is passed over and not retried
+	 * on every batch.
+	 *
+	 * @param array $job The job.
+	 *
+	 * @return array The job afterwards.
+	 */
+	private function run_batch( array $job ): array {
+		$result = $this->client->get_objects( $job['bucket'], self::BATCH, $job['source'], '', $job['token'], false );
+
+		if ( ! $result->is_successful() || ! $result instanceof ObjectsResponse ) {
+			$job['status']  = 'failed';
+			$job['error']   = $this->failure_message( $result );
+			$job['updated'] = time();
+
+			$this->client->cache()->flush_bucket( $job['bucket'] );
+
+			return $job;
+		}
+
+		foreach ( $result->get_objects() as $object ) {
+			$key = (string) ( $object['Key'] ?? '' );
+
+			if ( ! str_starts_with( $key, $job['source'] ) ) {
+				continue;
+			}
+
+			$new_key = $job['target'] . substr( $key, strlen( $job['source'] ) );
+			$moved   = $this->client->rename_object( $job['bucket'], $key, $new_key );
+
+			if ( ! $moved->is_successful() ) {
+				if ( count( $job['failures'] ) < self::MAX_FAILURES ) {
+					$job['failures'][] = [
+						'key'     => $key,
+						'message' => $this->failure_message( $moved ),
+					];
+				}
+
+				$job['failed']++;
+				continue;
+			}
+
+			$job['moved']++;
+
+			if ( null !== $this->references ) {
+				$this->references->follow( $job['bucket'], $key, $new_key );
+			}
+
+			/** This action is documented in Rest\Controller::rest_rename_object(). */
+			do_action( 'arraypress_s3_object_renamed', $job['bucket'], $key, $new_key );
+		}
+
+		$job['token']   = $result->is_truncated() ? $result->get_continuation_token() : '';
+		$job['updated'] = time();
+
+		if ( '' === $job['token'] ) {
+			$job['status'] = 'done';
+
+			$this->client->cache()->flush_bucket( $job['bucket'] );
+		}
+
+		return $job;
+	}
+
+	/**
+	 * What went wrong, in the provider's words where there are any
+	 *
+	 * A rename that fails to copy wraps the copy's own error, which is the
+	 * one that says why.
+	 *
+	 * @param ResponseInterface $response The failed response.
+	 *
+	 * @return string
+	 */
+	private function failure_message( ResponseInterface $response ): string {
+		if ( ! $response instanceof ErrorResponse ) {
+			return __( 'The folder could not be listed', 'arraypress' );
+		}
+
+		$cause = $response->get_error_data()['copy_error'] ?? null;
+
+		return $cause instanceof ErrorResponse ? $cause->get_error_message() : $response->get_error_message();
+	}
+
+	/**
+	 * Claim a job for one batch
+	 *
+	 * add_option() is the claim: the options table's unique name lets only
+	 * one request insert the row, where reading a transient and then setting
+	 * it lets two through together. A lock left by a request that died is
+	 * taken over once it is older than LOCK.
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return bool Whether this request holds the job.
+	 */
+	private function lock( string $id ): bool {
+		$key = $this->key( $id ) . '_lock';
+
+		if ( add_option( $key, time(), '', false ) ) {
+			return true;
+		}
+
+		if ( (int) get_option( $key, 0 ) > time() - self::LOCK ) {
+			return false;
+		}
+
+		delete_option( $key );
+
+		return add_option( $key, time(), '', false );
+	}
+
+	/**
+	 * Release a job after its batch
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return void
+	 */
+	private function unlock( string $id ): void {
+		delete_option( $this->key( $id ) . '_lock' );
+	}
+
+	/**
+	 * Have cron take the next batch if no poll does first
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return void
+	 */
+	private function schedule( string $id ): void {
+		if ( ! wp_next_scheduled( $this->hook(), [ $id ] ) ) {
+			wp_schedule_single_event( time() + MINUTE_IN_SECONDS, $this->hook(), [ $id ] );
+		}
+	}
+
+	/**
+	 * Store a job
+	 *
+	 * @param array $job The job.
+	 *
+	 * @return void
+	 */
+	private function save( array $job ): void {
+		set_transient( $this->key( $job['id'] ), $job, self::TTL );
+	}
+
+	/**
+	 * The transient a job is kept in, and the stem of its lock's option
+	 *
+	 * @param string $id Job ID.
+	 *
+	 * @return string
+	 */
+	private function key( string $id ): string {
+		return 's3_folder_job_' . substr( sanitize_key( $this->suffix ), 0, 40 ) . '_' . sanitize_key( $id );
+	}
+}
@@ -142,6 +142,31 @@ final class Provider {
 		return $this->type->label();
 	}
 
+	/**
+	 * Storage classes an object can be put in, quickest to read first.
+	 *
+	 * Only the classes a copy can move an object into. Every provider takes
+	 * STANDARD; anything else sent to one that does not know it is refused,
+	 * so a provider not listed here gets nothing else to choose from.
+	 *
+	 * @return string[]
+	 */
+	public function get_storage_classes(): array {
+		return match ( $this->type ) {
+			ProviderType::Aws => [
+				'STANDARD',
+				'INTELLIGENT_TIERING',
+				'STANDARD_IA',
+				'ONEZONE_IA',
+				'GLACIER_IR',
+				'GLACIER',
+				'DEEP_ARCHIVE',
+			],
+			ProviderType::R2 => [ 'STANDARD', 'STANDARD_IA' ],
+			default => [ 'STANDARD' ],
+		};
+	}
+
 	/**
 	 * Region this provider signs with.
 	 *
@@ -21,14 +21,25 @@ declare( strict_types=1 );
 
 namespace ArrayPress\S3\Rest;
 
+use ArrayPress\S3\Admin\Favorites;
+use ArrayPress\S3\Admin\ViewMode;
 use ArrayPress\S3\Utils\Transport;
+use ArrayPress\S3\Cli\Files;
+use ArrayPress\S3\Cli\References;
 use ArrayPress\S3\Client;
+use ArrayPress\S3\FolderJobs;
 use ArrayPress\S3\Interfaces\Response as ResponseInterface;
 use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\ObjectResponse;
+use ArrayPress\S3\Responses\ObjectsResponse;
+use ArrayPress\S3\SharedLinks;
 use ArrayPress\S3\Cors\Origin;
+use ArrayPress\S3\Tables\Buckets;
 use ArrayPress\S3\Tables\Objects;
 use ArrayPress\S3\Utils\Directory;
+use ArrayPress\S3\Utils\File as FileUtil;
 use ArrayPress\S3\Utils\Sanitize;
+use ArrayPress\S3\Utils\Search;
 use ArrayPress\S3\Utils\Timestamp;
 use ArrayPress\S3\Utils\Validate;
 use Closure;
@@ -42,14 +53,47 @@ use WP_REST_Response;
  */
 class Controller {
 
+	/**
+	 * Size above which a copy goes part by part, and the size of each part.
+	 *
+	 * Each part is one UploadPartCopy request. The provider does the copying,
+	 * but a 5 GB CopyObject can still outlast PHP's time limit; at 256 MB a
+	 * part returns in seconds and the browser has something to show progress
+	 * against.
+	 *
+	 * @var int
+	 */
+	private const COPY_PART_SIZE = 268435456;
+
+	/**
+	 * Minutes the URL a shared link redirects to is signed for.
+	 *
+	 * Only long enough for the download to start: the shared link is what
+	 * gets followed again, and the registry is checked each time.
+	 *
+	 * @var int
+	 */
+	private const SHARED_LINK_REDIRECT_MINUTES = 5;
+
+	/**
+	 * Downloads of a file listed in the details dialog, newest first.
+	 *
+	 * @var int
+	 */
+	private const RECENT_DOWNLOADS = 20;
+
 	/**
 	 * Build a controller for one browser instance.
 	 *
-	 * @param Client  $client          Client the handlers act through.
-	 * @param string  $provider_id     Provider identifier, used in filter names.
-	 * @param string  $capability      Capability required to call any route.
-	 * @param string  $route_base      Segment identifying this instance's routes.
-	 * @param Closure $allowed_buckets Resolver for the bucket allow-list.
+	 * @param Client      $client          Client the handlers act through.
+	 * @param string      $provider_id     Provider identifier, used in filter names.
+	 * @param string      $capability      Capability required to call any route.
+	 * @param string      $route_base      Segment identifying this instance's routes.
+	 * @param Closure     $allowed_buckets Resolver for the bucket allow-list.
+	 * @param Favorites   $favorites       The current user's starred buckets.
+	 * @param FolderJobs  $folder_jobs     Folder renames and moves under way.
+	 * @param ViewMode    $view_mode       The current user's list or grid view.
+	 * @param SharedLinks $shared_links    Record of the download links handed out.
 	 */
 	public function __construct(
 		private Client $client,
@@ -59,7 +103,11 @@ class Controller {
 		// Resolved per request rather than captured once: the allow-list runs
 		// through a filter, so an integration can scope it by user or context
 		// and that has to be honoured at call time, not at registration time.
-		private Closure $allowed_buckets
+		private Closure $allowed_buckets,
+		private Favorites $favorites,
+		private FolderJobs $folder_jobs,
+		private ViewMode $view_mode,
+		private SharedLinks $shared_links
 	) {
 	}
 
@@ -81,6 +129,13 @@ class Controller {
 	 */
 	private static array $claimed_routes = [];
 
+	/**
+	 * The host plugin's file table, when it has handed one over.
+	 *
+	 * @var References|null
+	 */
+	private ?References $references = null;
+
 	/**
 	 * Set an explicit REST namespace for this browser
 	 *
@@ -97,6 +152,24 @@ class Controller {
 		return $this;
 	}
 
+	/**
+	 * Hand over the host plugin's file table
+	 *
+	 * With it, the products that deliver an object are found without a
+	 * consumer of arraypress_s3_object_references, a delete can detach them
+	 * or point them at another object first, and a rename or move takes
+	 * them along to the new key.
+	 *
+	 * @param Files $store The host plugin's file table.
+	 *
+	 * @return self
+	 */
+	public function set_file_store( Files $store ): self {
+		$this->references = new References( $store );
+
+		return $this;
+	}
+
 	/**
 	 * Get the REST namespace for this browser
 	 *
@@ -219,6 +292,23 @@ class Controller {
 			],
 		] );
 
+		// --- List or grid ----------------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/view', [
+			[
+				'methods'             => 'PUT',
+				'callback'            => [ $this, 'rest_set_view_mode' ],
+				'permission_callback' => [ $this, 'rest_permission_check' ],
+				'args'                => [
+					'view' => [
+						'description' => __( 'How to show files.', 'arraypress' ),
+						'type'        => 'string',
+						'required'    => true,
+						'enum'        => ViewMode::VIEWS,
+					],
+				],
+			],
+		] );
+
 		// --- Cache -----------------------------------------------------------
 		register_rest_route( $namespace, '/' . $base . '/cache', [
 			[
@@ -284,7 +374,53 @@ class Controller {
 			],
 		] );
 
-		// --- Presigned download URL ------------------------------------------
+		// --- Buckets the browser can reach -----------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_list_buckets' ],
+				'permission_callback' => [ $this, 'rest_permission_check' ],
+			],
+		] );
+
+		// --- The buckets list's rows, drawn again after a refresh ------------
+		register_rest_route( $namespace, '/' . $base . '/bucket-rows', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_list_bucket_rows' ],
+				'permission_callback' => [ $this, 'rest_permission_check' ],
+				'args'                => [
+					'marker' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			],
+		] );
+
+		// --- Delete a selection ----------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/batch-delete', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_batch_delete_objects' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + [
+					'keys' => [
+						'description' => __( 'Object keys to delete.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 1000,
+						'items'       => [
+							'type'      => 'string',
+							'minLength' => 1,
+						],
+					],
+				],
+			],
+		] );
+
 		// --- Move ------------------------------------------------------------
 		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/move', [
 			[
@@ -302,6 +438,85 @@ class Controller {
 			],
 		] );
 
+		// --- Copy ------------------------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/copy', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_copy_object' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'target_bucket' => [
+						'description'       => __( 'Bucket to copy the object into.', 'arraypress' ),
+						'type'              => 'string',
+						'required'          => true,
+						'validate_callback' => [ $this, 'rest_validate_bucket' ],
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'target_prefix' => [
+						'description'       => __( 'Folder to copy the object into. Empty copies it to the bucket root.', 'arraypress' ),
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+					],
+					'on_conflict'   => [
+						'description' => __( 'What to do when the destination already holds a file of that name.', 'arraypress' ),
+						'type'        => 'string',
+						'enum'        => [ 'fail', 'skip', 'overwrite', 'rename' ],
+						'default'     => 'fail',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/copy/part', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_copy_object_part' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'target_bucket' => [
+						'description'       => __( 'Bucket the multipart copy is being assembled in.', 'arraypress' ),
+						'type'              => 'string',
+						'required'          => true,
+						'validate_callback' => [ $this, 'rest_validate_bucket' ],
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'target_key'    => [
+						'description'       => __( 'Key the multipart copy is being assembled at.', 'arraypress' ),
+						'type'              => 'string',
+						'required'          => true,
+						'minLength'         => 1,
+						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+					],
+					'upload_id'     => [
+						'description'       => __( 'Multipart upload ID.', 'arraypress' ),
+						'type'              => 'string',
+						'required'          => true,
+						'minLength'         => 1,
+						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+					],
+					'part_number'   => [
+						'type'     => 'integer',
+						'required' => true,
+						'minimum'  => 1,
+						'maximum'  => 10000,
+					],
+					'part_size'     => [
+						'description' => __( 'Bytes per part, as given when the copy was started.', 'arraypress' ),
+						'type'        => 'integer',
+						'required'    => true,
+						'minimum'     => 1,
+					],
+					'size'          => [
+						'description' => __( 'Size of the source object in bytes.', 'arraypress' ),
+						'type'        => 'integer',
+						'required'    => true,
+						'minimum'     => 1,
+					],
+				],
+			],
+		] );
+
 		// --- What else points at an object -----------------------------------
 		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/references', [
 			[
@@ -310,529 +525,3052 @@ class Controller {
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
 				'args'                => $bucket_arg + $object_key_arg,
 			],
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_batch_object_references' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + [
+					'keys' => [
+						'description' => __( 'Object keys to ask about.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 1000,
+						'items'       => [
+							'type'      => 'string',
+							'minLength' => 1,
+						],
+					],
+				],
+			],
 		] );
 
-		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/download-url', [
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/references/repair', [
 			[
 				'methods'             => 'POST',
-				'callback'            => [ $this, 'rest_get_download_url' ],
+				'callback'            => [ $this, 'rest_repair_object_references' ],
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
 				'args'                => $bucket_arg + $object_key_arg + [
-					'expires_minutes' => [
-						'type'    => 'integer',
-						'default' => 60,
-						'minimum' => 1,
-						'maximum' => 10080,
+					'repairs' => [
+						'description' => __( 'What to do to each product delivering the object.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 100,
+						'items'       => [
+							'type'       => 'object',
+							'properties' => [
+								'id'          => [
+									'type'     => 'integer',
+									'required' => true,
+									'minimum'  => 1,
+								],
+								'action'      => [
+									'type'     => 'string',
+									'required' => true,
+									'enum'     => [ 'remove', 'replace' ],
+								],
+								'replacement' => [
+									'type'    => 'string',
+									'default' => '',
+								],
+							],
+						],
 					],
 				],
 			],
 		] );
 
-		// --- Presigned upload URL --------------------------------------------
-		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/upload-url', [
+		// --- Which of a batch of keys are taken ------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/exists', [
 			[
 				'methods'             => 'POST',
-				'callback'            => [ $this, 'rest_get_upload_url' ],
+				'callback'            => [ $this, 'rest_objects_exist' ],
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
-				'args'                => $bucket_arg + $object_key_arg,
+				'args'                => $bucket_arg + [
+					'keys' => [
+						'description' => __( 'Object keys to look for.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						// Each is a HEAD, one after another: few enough to
+						// finish inside PHP's time limit on a slow provider.
+						'maxItems'    => 25,
+						'items'       => [
+							'type'      => 'string',
+							'minLength' => 1,
+						],
+					],
+				],
 			],
 		] );
 
-		// --- Folders ----------------------------------------------------------
-		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/folders', [
+		// --- Rendered rows for keys that changed ------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/rows', [
 			[
-				'methods'             => 'GET',
-				'callback'            => [ $this, 'rest_list_folders' ],
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_object_rows' ],
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
 				'args'                => $bucket_arg + [
 					'prefix' => [
+						'description'       => __( 'Prefix the rows are shown under.', 'arraypress' ),
 						'type'              => 'string',
 						'default'           => '',
 						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
 					],
+					'keys'   => [
+						'description' => __( 'Object keys, or folder prefixes ending in a slash.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 100,
+						'items'       => [
+							'type'      => 'string',
+							'minLength' => 1,
+						],
+					],
 				],
 			],
+		] );
+
+		// --- Favorite ----------------------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/favorite', [
 			[
-				'methods'             => 'POST',
-				'callback'            => [ $this, 'rest_create_folder' ],
+				'methods'             => 'PUT',
+				'callback'            => [ $this, 'rest_add_favorite_bucket' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg,
+			],
+			[
+				'methods'             => 'DELETE',
+				'callback'            => [ $this, 'rest_remove_favorite_bucket' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg,
+			],
+		] );
+
+		// --- Search below a prefix -------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/search', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_search_objects' ],
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
 				'args'                => $bucket_arg + [
-					'folder_name' => [
+					'q'                  => [
+						'description'       => __( 'Text to find in a filename, or a glob such as *.pdf.', 'arraypress' ),
 						'type'              => 'string',
 						'required'          => true,
 						'minLength'         => 1,
 						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
 					],
-					'prefix'      => [
+					'prefix'             => [
+						'description'       => __( 'Folder to search below. Empty searches the whole bucket.', 'arraypress' ),
 						'type'              => 'string',
 						'default'           => '',
 						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
 					],
+					'continuation_token' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
 				],
 			],
+		] );
+
+		// --- Presigned download URL ------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/download-url', [
 			[
-				'methods'             => 'DELETE',
-				'callback'            => [ $this, 'rest_delete_folder' ],
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_get_download_url' ],
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
-				'args'                => $bucket_arg + [
-					'folder_path' => [
+				'args'                => $bucket_arg + $object_key_arg + [
+					'expires_minutes' => [
+						'type'    => 'integer',
+						'default' => 60,
+						'minimum' => 1,
+						'maximum' => 10080,
+					],
+					'version_id'      => [
+						'description'       => __( 'Version to link to; empty for the current one.', 'arraypress' ),
 						'type'              => 'string',
-						'required'          => true,
-						'minLength'         => 1,
-						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+					'disposition'     => [
+						'description' => __( 'Whether the link shows the file or saves it; empty for what the file is stored with.', 'arraypress' ),
+						'type'        => 'string',
+						'default'     => '',
+						'enum'        => [ '', 'inline', 'attachment' ],
+					],
+					'download_name'   => [
+						'description'       => __( 'Filename the link saves the file as.', 'arraypress' ),
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
+					],
+					'content_type'    => [
+						'description'       => __( 'Content-Type the link serves the file with; empty for its own.', 'arraypress' ),
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
+					],
+					'share'           => [
+						'description' => __( 'Whether to keep the link on record as shared.', 'arraypress' ),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+					'proxy'           => [
+						'description' => __( 'Whether to hand out a link to this site, which logs each download and can be revoked, rather than one to the provider.', 'arraypress' ),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+					'note'            => [
+						'description'       => __( 'Why, or for whom, the link was made.', 'arraypress' ),
+						'type'              => 'string',
+						'default'           => '',
+						'maxLength'         => 500,
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
 					],
 				],
 			],
 		] );
 
-		// --- CORS -------------------------------------------------------------
-		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/cors', [
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/downloads', [
 			[
-				'methods'             => 'PUT',
-				'callback'            => [ $this, 'rest_setup_cors' ],
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_get_object_downloads' ],
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
-				'args'                => $bucket_arg + [
-					'origin' => [
+				'args'                => $bucket_arg + $object_key_arg,
+			],
+		] );
+
+		// --- Shared links ----------------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/links', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_list_shared_links' ],
+				'permission_callback' => [ $this, 'rest_permission_check' ],
+				'args'                => [
+					'status' => [
+						'type'    => 'string',
+						'default' => 'active',
+						'enum'    => SharedLinks::STATUSES,
+					],
+					'search' => [
 						'type'              => 'string',
 						'default'           => '',
-						'format'            => 'uri',
-						'sanitize_callback' => 'esc_url_raw',
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
+					],
+					'mine'   => [
+						'description' => __( 'Only the links the current user made.', 'arraypress' ),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			],
+		] );
+
+		// Following a link is the one route open to visitors: the token in it
+		// is what lets them in, so that is what the permission check reads.
+		register_rest_route( $namespace, '/' . $base . '/links/(?P<link>[a-f0-9]{32})', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_follow_shared_link' ],
+				'permission_callback' => [ $this, 'rest_shared_link_permission_check' ],
+				'args'                => [
+					'token' => [
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => 'sanitize_text_field',
 					],
 				],
 			],
 			[
 				'methods'             => 'DELETE',
-				'callback'            => [ $this, 'rest_delete_cors' ],
+				'callback'            => [ $this, 'rest_revoke_shared_link' ],
+				'permission_callback' => [ $this, 'rest_permission_check' ],
+			],
+		] );
+
+		// --- Presigned download URLs for a batch, for thumbnails -------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/download-urls', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_get_download_urls' ],
 				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
-				'args'                => $bucket_arg,
+				'args'                => $bucket_arg + [
+					'keys'            => [
+						'description' => __( 'Object keys to sign.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 100,
+						'items'       => [
+							'type'      => 'string',
+							'minLength' => 1,
+						],
+					],
+					'expires_minutes' => [
+						'type'    => 'integer',
+						'default' => 60,
+						'minimum' => 1,
+						'maximum' => 10080,
+					],
+				],
 			],
 		] );
-	}
 
-	/**
-	 * Base permission check: capability only
-	 *
-	 * Nonce verification is deliberately absent. For cookie-authenticated REST
-	 * requests WordPress validates the X-WP-Nonce header itself, in
-	 * rest_cookie_check_errors(), before any permission_callback runs — so
-	 * re-checking here would be redundant, and checking a *different* nonce
-	 * would break legitimate clients using application passwords.
-	 *
-	 * @return bool|WP_Error
-	 */
-	public function rest_permission_check() {
-		if ( ! current_user_can( $this->capability ) ) {
-			return new WP_Error(
+		// --- The start of a text file, for a preview --------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/preview', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_object_preview' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'bytes' => [
+						'description' => __( 'How much of the start of the file to read.', 'arraypress' ),
+						'type'        => 'integer',
+						'default'     => 65536,
+						'minimum'     => 1024,
+						'maximum'     => 1048576,
+					],
+				],
+			],
+		] );
+
+		// --- Headers and custom metadata --------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/metadata', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_get_object_metadata' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg,
+			],
+			[
+				'methods'             => 'PUT',
+				'callback'            => [ $this, 'rest_update_object_metadata' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'content_type'  => [
+						'type'              => 'string',
+						'required'          => true,
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
+					],
+					'disposition'   => [
+						'description' => __( 'Whether browsers show the file or save it.', 'arraypress' ),
+						'type'        => 'string',
+						'default'     => '',
+						'enum'        => [ '', 'inline', 'attachment' ],
+					],
+					'download_name' => [
+						'description'       => __( 'Filename to save the file as.', 'arraypress' ),
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
+					],
+					'cache_control' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
+					],
+					'metadata'      => [
+						'description' => __( 'Custom metadata, stored as x-amz-meta-* headers.', 'arraypress' ),
+						'type'        => 'array',
+						'default'     => [],
+						'maxItems'    => 50,
+						'items'       => [
+							'type'       => 'object',
+							'properties' => [
+								'name'  => [
+									'type'     => 'string',
+									'required' => true,
+								],
+								'value' => [
+									'type'    => 'string',
+									'default' => '',
+								],
+							],
+						],
+					],
+				],
+			],
+		] );
+
+		// --- Tags ------------------------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/tags', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_get_object_tags' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg,
+			],
+			[
+				'methods'             => 'PUT',
+				'callback'            => [ $this, 'rest_update_object_tags' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'tags' => [
+						'description' => __( 'The whole tag set; an empty list removes every tag.', 'arraypress' ),
+						'type'        => 'array',
+						'default'     => [],
+						'maxItems'    => 10,
+						'items'       => [
+							'type'       => 'object',
+							'properties' => [
+								'key'   => [
+									'type'     => 'string',
+									'required' => true,
+								],
+								'value' => [
+									'type'    => 'string',
+									'default' => '',
+								],
+							],
+						],
+					],
+				],
+			],
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_batch_object_tags' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + [
+					'keys' => [
+						'description' => __( 'Object keys to read the tags of.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 25,
+						'items'       => [
+							'type'      => 'string',
+							'minLength' => 1,
+						],
+					],
+				],
+			],
+		] );
+
+		// --- Versions --------------------------------------------------------
+		$version_id_arg = [
+			'version_id' => [
+				'description'       => __( 'Version ID, as the version list gives it.', 'arraypress' ),
+				'type'              => 'string',
+				'required'          => true,
+				'minLength'         => 1,
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+		];
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/versions', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_list_object_versions' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg,
+			],
+			[
+				'methods'             => 'DELETE',
+				'callback'            => [ $this, 'rest_delete_object_version' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + $version_id_arg,
+			],
+		] );
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/versions/restore', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_restore_object_version' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + $version_id_arg,
+			],
+		] );
+
+		// --- Storage class and archive restore --------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/storage', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_get_object_storage' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg,
+			],
+			[
+				'methods'             => 'PUT',
+				'callback'            => [ $this, 'rest_change_storage_class' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'storage_class' => [
+						'description'       => __( 'Storage class to move the file to.', 'arraypress' ),
+						'type'              => 'string',
+						'required'          => true,
+						'minLength'         => 1,
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/storage/restore', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_restore_object' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'days' => [
+						'description' => __( 'How many days to keep the restored copy for.', 'arraypress' ),
+						'type'        => 'integer',
+						'default'     => 7,
+						'minimum'     => 1,
+						'maximum'     => 365,
+					],
+					'tier' => [
+						'description' => __( 'How fast, and at what cost, the copy is made.', 'arraypress' ),
+						'type'        => 'string',
+						'default'     => 'Standard',
+						'enum'        => [ 'Expedited', 'Standard', 'Bulk' ],
+					],
+				],
+			],
+		] );
+
+		// --- Presigned upload URL --------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/upload-url', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_get_upload_url' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'checksum_sha256' => [
+						'description' => __( 'Base64 SHA-256 of the file, for the provider to check it against.', 'arraypress' ),
+						'type'        => 'string',
+						'default'     => '',
+						'pattern'     => '^([A-Za-z0-9+/]{43}=)?$',
+					],
+				],
+			],
+		] );
+
+		// --- Multipart upload -------------------------------------------------
+		$upload_id_arg = [
+			'upload_id' => [
+				'description'       => __( 'Multipart upload ID.', 'arraypress' ),
+				'type'              => 'string',
+				'required'          => true,
+				'minLength'         => 1,
+				'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+			],
+		];
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/multipart', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_create_multipart_upload' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + [
+					'content_type' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_mime_type',
+					],
+				],
+			],
+			[
+				'methods'             => 'DELETE',
+				'callback'            => [ $this, 'rest_abort_multipart_upload' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + $upload_id_arg,
+			],
+		] );
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/multipart/parts', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_sign_multipart_parts' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + $upload_id_arg + [
+					'part_numbers' => [
+						'description' => __( 'Part numbers to sign URLs for.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 100,
+						'items'       => [
+							'type'    => 'integer',
+							'minimum' => 1,
+							'maximum' => 10000,
+						],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/objects/multipart/complete', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_complete_multipart_upload' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $object_key_arg + $upload_id_arg + [
+					'parts' => [
+						'description' => __( 'Uploaded parts and the ETag each one returned.', 'arraypress' ),
+						'type'        => 'array',
+						'required'    => true,
+						'minItems'    => 1,
+						'maxItems'    => 10000,
+						'items'       => [
+							'type'       => 'object',
+							'properties' => [
+								'part_number' => [
+									'type'     => 'integer',
+									'minimum'  => 1,
+									'maximum'  => 10000,
+									'required' => true,
+								],
+								'etag'        => [
+									'type'     => 'string',
+									'required' => true,
+								],
+							],
+						],
+					],
+				],
+			],
+		] );
+
+		// --- Folders ----------------------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/folders', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_list_folders' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + [
+					'prefix' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+					],
+					'files'  => [
+						'description' => __( 'Whether to list the files in the folder as well.', 'arraypress' ),
+						'type'        => 'boolean',
+						'default'     => false,
+					],
+				],
+			],
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_create_folder' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + [
+					'folder_name' => [
+						'type'              => 'string',
+						'required'          => true,
+						'minLength'         => 1,
+						'sanitize_callback' => [ $this, 'rest_sanitize_text' ],
+					],
+					'prefix'      => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+					],
+				],
+			],
+			[
+				'methods'             => 'DELETE',
+				'callback'            => [ $this, 'rest_delete_folder' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + [
+					'folder_path' => [
+						'type'              => 'string',
+						'required'          => true,
+						'minLength'         => 1,
+						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+					],
+				],
+			],
+		] );
+
+		// --- Folder rename and move -----------------------------------------
+		$folder_path_arg = [
+			'folder_path' => [
+				'type'              => 'string',
+				'required'          => true,
+				'minLength'         => 1,
+				'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+			],
+		];
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/folders/contents', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_folder_contents' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $folder_path_arg + [
+					'continuation_token' => [
+						'type'              => 'string',
+						'default'           => '',
+						'sanitize_callback' => 'sanitize_text_field',
+					],
+				],
+			],
+		] );
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/folders/move', [
+			[
+				'methods'             => 'POST',
+				'callback'            => [ $this, 'rest_move_folder' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + $folder_path_arg + [
+					'target_path' => [
+						'description'       => __( 'Path the folder is to have: its new name, in its new parent.', 'arraypress' ),
+						'type'              => 'string',
+						'required'          => true,
+						'minLength'         => 1,
+						'sanitize_callback' => [ $this, 'rest_sanitize_object_key' ],
+					],
+				],
+			],
+		] );
+
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/folders/jobs/(?P<job>[a-f0-9]{32})', [
+			[
+				'methods'             => 'GET',
+				'callback'            => [ $this, 'rest_folder_job' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg,
+			],
+			[
+				'methods'             => 'DELETE',
+				'callback'            => [ $this, 'rest_cancel_folder_job' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg,
+			],
+		] );
+
+		// --- CORS -------------------------------------------------------------
+		register_rest_route( $namespace, '/' . $base . '/buckets/(?P<bucket>[^/]+)/cors', [
+			[
+				'methods'             => 'PUT',
+				'callback'            => [ $this, 'rest_setup_cors' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg + [
+					'origin' => [
+						'type'              => 'string',
+						'default'           => '',
+						'format'            => 'uri',
+						'sanitize_callback' => 'esc_url_raw',
+					],
+				],
+			],
+			[
+				'methods'             => 'DELETE',
+				'callback'            => [ $this, 'rest_delete_cors' ],
+				'permission_callback' => [ $this, 'rest_bucket_permission_check' ],
+				'args'                => $bucket_arg,
+			],
+		] );
+	}
+
+	/**
+	 * Base permission check: capability only
+	 *
+	 * Nonce verification is deliberately absent. For cookie-authenticated REST
+	 * requests WordPress validates the X-WP-Nonce header itself, in
+	 * rest_cookie_check_errors(), before any permission_callback runs — so
+	 * re-checking here would be redundant, and checking a *different* nonce
+	 * would break legitimate clients using application passwords.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function rest_permission_check() {
+		if ( ! current_user_can( $this->capability ) ) {
+			return new WP_Error(
 				'rest_forbidden',
 				__( 'You do not have permission to perform this action.', 'arraypress' ),
 				[ 'status' => rest_authorization_required_code() ]
 			);
 		}
 
-		return true;
+		return true;
+	}
+
+	/**
+	 * Permission check for bucket-scoped routes
+	 *
+	 * Authorization lives here rather than in the handler so that every
+	 * bucket-scoped route is gated by construction: a route cannot be added
+	 * without a permission_callback, and this one cannot pass without the
+	 * bucket being allowed.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function rest_bucket_permission_check( WP_REST_Request $request ) {
+		$allowed = $this->rest_permission_check();
+
+		if ( is_wp_error( $allowed ) ) {
+			return $allowed;
+		}
+
+		$bucket = (string) $request['bucket'];
+
+		if ( ! $this->is_bucket_allowed( $bucket ) ) {
+			return new WP_Error(
+				'rest_bucket_forbidden',
+				__( 'You do not have permission to access this bucket.', 'arraypress' ),
+				[ 'status' => rest_authorization_required_code() ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Permission check for following a shared link
+	 *
+	 * No capability is asked for: the link is for whoever it was given to.
+	 * The token it carries is checked instead, and a wrong one is told no
+	 * more than that the link is not there.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function rest_shared_link_permission_check( WP_REST_Request $request ) {
+		if ( ! $this->shared_links->verify( (string) $request['link'], (string) $request['token'] ) ) {
+			return $this->shared_link_not_found();
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check whether a bucket may be addressed through this browser
+	 *
+	 * Every AJAX endpoint takes the bucket straight from $_POST, so without a
+	 * check here the capability gate ('upload_files' by default — Author and
+	 * up) grants read, write, rename and delete over *every* bucket the
+	 * configured credentials can reach, not just the one the browser is
+	 * pointed at. S3 credentials are usually account-wide, so that is a real
+	 * privilege boundary and not a theoretical one.
+	 *
+	 * An empty allow-list preserves the historical behaviour of permitting any
+	 * bucket. Sites that only ever use one bucket should set it — see
+	 * Browser::set_allowed_buckets() and the 's3_browser_allowed_buckets'
+	 * filter.
+	 *
+	 * @param string $bucket Bucket name from the request
+	 *
+	 * @return bool True if the bucket may be used
+	 */
+	protected function is_bucket_allowed( string $bucket ): bool {
+		if ( '' === $bucket ) {
+			return false;
+		}
+
+		// Reject anything that is not a syntactically valid bucket name before
+		// it reaches URL building — the value ends up in a Host header or a
+		// request path.
+		if ( ! preg_match( '/^[a-z0-9][a-z0-9.\-]{1,61}[a-z0-9]$/i', $bucket ) ) {
+			return false;
+		}
+
+		$allowed = ( $this->allowed_buckets )();
+
+		if ( empty( $allowed ) ) {
+			return true;
+		}
+
+		return in_array( $bucket, $allowed, true );
+	}
+
+	/**
+	 * Validate a bucket name argument
+	 *
+	 * @param mixed $value Raw value.
+	 *
+	 * @return bool|WP_Error
+	 */
+	public function rest_validate_bucket( $value ) {
+		if ( ! is_string( $value ) || ! $this->is_bucket_allowed( $value ) ) {
+			return new WP_Error(
+				'rest_invalid_bucket',
+				__( 'Invalid bucket name.', 'arraypress' ),
+				[ 'status' => 400 ]
+			);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Sanitize an object key or prefix
+	 *
+	 * Object keys legitimately contain spaces, quotes, brackets and unicode, so
+	 * they get slash-stripping and control-character removal rather than
+	 * sanitize_text_field(), which would mangle them. Traversal is rejected
+	 * downstream by Encode::object_key().
+	 *
+	 * @param mixed $value Raw value.
+	 *
+	 * @return string
+	 */
+	public function rest_sanitize_object_key( $value ): string {
+		if ( ! is_scalar( $value ) ) {
+			return '';
+		}
+
+		$value = wp_unslash( (string) $value );
+
+		// Strip control characters (including NUL) but keep everything else.
+		return (string) preg_replace( '/[\x00-\x1F\x7F]/u', '', $value );
+	}
+
+	/**
+	 * Sanitize a plain text argument
+	 *
+	 * @param mixed $value Raw value.
+	 *
+	 * @return string
+	 */
+	public function rest_sanitize_text( $value ): string {
+		if ( ! is_scalar( $value ) ) {
+			return '';
+		}
+
+		return sanitize_text_field( wp_unslash( (string) $value ) );
+	}
+
+	/**
+	 * Build a success response
+	 *
+	 * @param array $data   Payload.
+	 * @param int   $status HTTP status.
+	 *
+	 * @return WP_REST_Response
+	 */
+	private function rest_ok( array $data = [], int $status = 200 ): WP_REST_Response {
+		return new WP_REST_Response( $data, $status );
+	}
+
+	/**
+	 * Relay a failed client response to the caller.
+	 *
+	 * Keeps the provider's own code and status rather than inventing one. The
+	 * code is what distinguishes a bucket-scoped token from wrong credentials,
+	 * and replacing it leaves the admin re-entering keys that were never the
+	 * problem.
+	 *
+	 * @param ResponseInterface $response Failed response.
+	 *
+	 * @return WP_Error
+	 */
+	private function rest_relay( ResponseInterface $response ): WP_Error {
+		if ( $response instanceof ErrorResponse ) {
+			return $response->to_wp_error();
+		}
+
+		// is_successful() is a flag rather than a type, so a failure that is
+		// not an ErrorResponse is possible even if nothing produces one today.
+		return new WP_Error(
+			'rest_upstream_failed',
+			__( 'The storage provider rejected the request.', 'arraypress' ),
+			[ 'status' => 502 ]
+		);
+	}
+
+	/**
+	 * Build an error response from a failed S3 operation
+	 *
+	 * @param string $code    Error code.
+	 * @param string $message Message.
+	 * @param int    $status  HTTP status.
+	 *
+	 * @return WP_Error
+	 */
+	private function rest_fail( string $code, string $message, int $status = 400 ): WP_Error {
+		return new WP_Error( $code, $message, [ 'status' => $status ] );
+	}
+
+	/**
+	 * Test the storage connection
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_connection_test() {
+		// Account-level ListBuckets works for admin / master tokens.
+		$result = $this->client->get_bucket_count();
+
+		if ( $result->is_successful() ) {
+			$data = $result->get_data();
+
+			return $this->rest_ok( [
+				'status'  => 'ok',
+				'message' => __( 'Connection successful.', 'arraypress' ),
+				'summary' => sprintf(
+					/* translators: %1$d: count */
+					_n( 'Found %d accessible bucket', 'Found %d accessible buckets', $data['count'], 'arraypress' ),
+					$data['count']
+				),
+				'buckets' => $data['buckets'] ?? [],
+				'count'   => $data['count'],
+			] );
+		}
+
+		// A token scoped to specific buckets cannot list them. That is not a
+		// failure — Cloudflare recommends scoping R2 tokens — so it must not be
+		// reported as one. The only thing missing is the bucket name, which the
+		// consumer supplies through this filter.
+		// Nothing answered, so nothing has been learned about the credentials.
+		// Falling through would try the bucket next, fail the same way, and
+		// report a reachability problem as a problem with the bucket.
+		if ( Transport::is_transport_error( (string) $result->get_error_code() ) ) {
+			return $this->rest_ok( [
+				'status'  => 'failed',
+				'message' => __( 'Could not reach the storage provider.', 'arraypress' ),
+				'summary' => $result->get_error_message(),
+			] );
+		}
+
+		$scoped          = 'bucket_listing_forbidden' === $result->get_error_code();
+		$fallback_bucket = (string) apply_filters( 'arraypress_s3_connection_test_fallback_bucket', '' );
+
+		if ( '' !== $fallback_bucket ) {
+			$exists = $this->client->bucket_exists( $fallback_bucket, false );
+
+			if ( $exists->is_successful() ) {
+				return $this->rest_ok( [
+					'status'  => 'ok',
+					'message' => __( 'Connection successful.', 'arraypress' ),
+					'summary' => sprintf(
+						/* translators: %s: bucket name */
+						__( 'Verified access to "%s". This token is scoped to specific buckets, so it cannot list the others.', 'arraypress' ),
+						$fallback_bucket
+					),
+					'buckets' => [ $fallback_bucket ],
+					'count'   => 1,
+					'scoped'  => true,
+				] );
+			}
+
+			// The name is wrong, or the token cannot reach it. Say which
+			// bucket was tried — otherwise the admin has no way to tell a typo
+			// from a permissions problem.
+			return $this->rest_ok( [
+				'status'  => 'failed',
+				'message' => __( 'Could not reach that bucket.', 'arraypress' ),
+				'summary' => sprintf(
+					/* translators: 1: bucket name, 2: error from the provider */
+					__( 'The credentials work, but "%1$s" could not be reached: %2$s', 'arraypress' ),
+					$fallback_bucket,
+					$exists->get_error_message()
+				),
+				'scoped'  => $scoped,
+			] );
+		}
+
+		if ( $scoped ) {
+			// Credentials are fine; the configuration is simply incomplete.
+			return $this->rest_ok( [
+				'status'  => 'needs_bucket',
+				'message' => __( 'Credentials accepted.', 'arraypress' ),
+				'summary' => __( 'This token is scoped to specific buckets, so it cannot list them — which is the recommended setup. Enter the bucket name to finish configuring and verify access.', 'arraypress' ),
+				'scoped'  => true,
+			] );
+		}
+
+		// Anything else really is a credential or endpoint problem, and the
+		// provider's own message is more useful than a generic one.
+		return $this->rest_ok( [
+			'status'  => 'failed',
+			'message' => __( 'Connection failed.', 'arraypress' ),
+			'summary' => $result->get_error_message(),
+		] );
+	}
+
+	/**
+	 * Clear all cached S3 data
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_clear_cache() {
+		if ( ! $this->client->cache()->flush() ) {
+			return $this->rest_fail( 'rest_cache_clear_failed', __( 'Failed to clear cache', 'arraypress' ), 500 );
+		}
+
+		return $this->rest_ok( [ 'message' => __( 'Cache cleared successfully', 'arraypress' ) ] );
+	}
+
+	/**
+	 * List the buckets this browser may use
+	 *
+	 * For choosing where a copy goes. The allow-list answers on its own when
+	 * there is one; otherwise it is whatever the credentials can list.
+	 * Favorites come first, as they do on the buckets screen.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_list_buckets() {
+		$buckets = ( $this->allowed_buckets )();
+
+		if ( empty( $buckets ) ) {
+			$result = $this->client->get_bucket_models( 1000 );
+
+			if ( ! $result->is_successful() ) {
+				return $this->rest_relay( $result );
+			}
+
+			$buckets = array_map(
+				static fn( $bucket ): string => $bucket->get_name(),
+				$result->get_data()['buckets'] ?? []
+			);
+		}
+
+		$buckets = array_values( array_filter( array_map( 'strval', $buckets ), [ $this, 'is_bucket_allowed' ] ) );
+
+		return $this->rest_ok( [ 'buckets' => $this->favorites->sort( $buckets ) ] );
+	}
+
+	/**
+	 * Render a page of the buckets list
+	 *
+	 * Under its own path rather than /buckets/rows, which a bucket named
+	 * "rows" would answer to.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_list_bucket_rows( WP_REST_Request $request ) {
+		$page = Buckets::get_page_data( $this->client, $this->provider_id, $this->favorites, (string) $request['marker'] );
+
+		if ( is_wp_error( $page ) ) {
+			return $page;
+		}
+
+		return $this->rest_ok( $page );
+	}
+
+	/**
+	 * Get details for a single bucket
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_get_bucket_details( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$result = $this->client->get_bucket_details( $bucket, Origin::current(), false );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		$data = $result->get_data();
+
+		// The debug payload carries raw provider error strings; it is a
+		// development aid, not something to ship to every browser.
+		if ( ! ( defined( 'WP_DEBUG' ) && WP_DEBUG ) ) {
+			unset( $data['debug'] );
+		}
+
+		return $this->rest_ok( $data );
+	}
+
+	/**
+	 * Star a bucket for the current user
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function rest_add_favorite_bucket( WP_REST_Request $request ): WP_REST_Response {
+		return $this->favorite_response( (string) $request['bucket'], true );
+	}
+
+	/**
+	 * Unstar a bucket for the current user
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function rest_remove_favorite_bucket( WP_REST_Request $request ): WP_REST_Response {
+		return $this->favorite_response( (string) $request['bucket'], false );
+	}
+
+	/**
+	 * Store a bucket's star and answer with the user's favorites
+	 *
+	 * @param string $bucket   Bucket name.
+	 * @param bool   $favorite Whether it should be a favorite.
+	 *
+	 * @return WP_REST_Response
+	 */
+	private function favorite_response( string $bucket, bool $favorite ): WP_REST_Response {
+		$favorites = $this->favorites->set( $bucket, $favorite );
+
+		return $this->rest_ok( [
+			'bucket'    => $bucket,
+			'favorite'  => in_array( $bucket, $favorites, true ),
+			'favorites' => $favorites,
+		] );
+	}
+
+	/**
+	 * Keep the current user's choice of list or grid
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function rest_set_view_mode( WP_REST_Request $request ): WP_REST_Response {
+		return $this->rest_ok( [ 'view' => $this->view_mode->set( (string) $request['view'] ) ] );
+	}
+
+	/**
+	 * List a page of objects
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_list_objects( WP_REST_Request $request ) {
+		$page = Objects::get_page_data(
+			$this->client,
+			$this->provider_id,
+			(string) $request['bucket'],
+			(string) $request['prefix'],
+			(string) $request['continuation_token']
+		);
+
+		if ( is_wp_error( $page ) ) {
+			return $page;
+		}
+
+		return $this->rest_ok( $page );
+	}
+
+	/**
+	 * Delete a single object
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_delete_object( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
+
+		$result = $this->client->delete_object( $bucket, $key );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		$this->client->cache()->flush_bucket( $bucket );
+
+		return $this->rest_ok( [
+			'message' => __( 'File deleted successfully', 'arraypress' ),
+			'bucket'  => $bucket,
+			'key'     => $key,
+		] );
+	}
+
+	/**
+	 * Delete a selection of objects
+	 *
+	 * S3 deletes in batches and answers for each key, so one key failing does
+	 * not fail the rest. Both lists come back either way -- the browser takes
+	 * the deleted rows away and tells the admin which files are still there.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_batch_delete_objects( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$keys   = array_unique( array_map( [ $this, 'rest_sanitize_object_key' ], (array) $request['keys'] ) );
+
+		$result = $this->client->batch_delete_objects( $bucket, array_values( array_filter( $keys, 'strlen' ) ), 100 );
+
+		// A partial failure is an error response carrying the same lists as a
+		// success; anything without them failed before a key was tried.
+		$data = $result instanceof ErrorResponse ? $result->get_error_data() : $result->get_data();
+
+		if ( ! isset( $data['deleted_objects'], $data['failed_objects'] ) ) {
+			return $this->rest_relay( $result );
+		}
+
+		$deleted = array_values( array_map( 'strval', array_column( $data['deleted_objects'], 'key' ) ) );
+
+		$failed = array_map( static fn( array $failure ): array => [
+			'key'     => (string) ( $failure['key'] ?? '' ),
+			'message' => (string) ( $failure['message'] ?? '' ),
+		], $data['failed_objects'] );
+
+		if ( $deleted ) {
+			$this->client->cache()->flush_bucket( $bucket );
+		}
+
+		return $this->rest_ok( [
+			'message' => sprintf(
+				/* translators: %1$d: number of files deleted, %2$d: number that could not be */
+				__( '%1$d deleted, %2$d failed', 'arraypress' ),
+				count( $deleted ),
+				count( $failed )
+			),
+			'bucket'  => $bucket,
+			'deleted' => $deleted,
+			'failed'  => array_values( $failed ),
+		] );
+	}
+
+	/**
+	 * Rename an object
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_rename_object( WP_REST_Request $request ) {
+		$bucket       = (string) $request['bucket'];
+		$current_key  = (string) $request['current_key'];
+		$new_filename = (string) $request['new_filename'];
+
+		$validation = Validate::filename( $new_filename );
+		if ( ! $validation['valid'] ) {
+			return $this->rest_fail( 'rest_invalid_filename', $validation['message'] );
+		}
+
+		if ( Directory::is_rename_same_key( $current_key, $new_filename ) ) {
+			return $this->rest_fail(
+				'rest_rename_noop',
+				__( 'The new filename is the same as the current filename', 'arraypress' )
+			);
+		}
+
+		$new_key = Directory::build_rename_key( $current_key, $new_filename );
+
+		$exists = $this->client->object_exists( $bucket, $new_key );
+		if ( $exists->is_successful() && ( $exists->get_data()['exists'] ?? false ) ) {
+			return $this->rest_fail(
+				'rest_rename_conflict',
+				/* translators: %s: new filename */
+				sprintf( __( 'A file named "%s" already exists in this location', 'arraypress' ), $new_filename ),
+				409
+			);
+		}
+
+		$result = $this->client->rename_object( $bucket, $current_key, $new_key );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		$this->client->cache()->flush_bucket( $bucket );
+
+		if ( null !== $this->references ) {
+			$this->references->follow( $bucket, $current_key, $new_key );
+		}
+
+		/**
+		 * Fires after an object has been renamed.
+		 *
+		 * A key stored elsewhere does not follow the object, so anything
+		 * holding one has to be told. Runs only after the rename succeeded.
+		 *
+		 * @param string $bucket  Bucket name.
+		 * @param string $old_key Key the object had.
+		 * @param string $new_key Key the object now has.
+		 */
+		do_action( 'arraypress_s3_object_renamed', $bucket, $current_key, $new_key );
+
+		return $this->rest_ok( [
+			/* translators: %s: new filename */
+			'message'      => sprintf( __( 'File renamed to "%s" successfully', 'arraypress' ), $new_filename ),
+			'bucket'       => $bucket,
+			'old_key'      => $current_key,
+			'new_key'      => $new_key,
+			'new_filename' => $new_filename,
+			'row'          => $this->render_row( $bucket, $new_key ),
+		] );
+	}
+
+	/**
+	 * Move an object into another folder
+	 *
+	 * A move is a rename that keeps the filename and changes the folder, so it
+	 * goes through the same copy-then-delete, the same collision check, and
+	 * fires the same renamed action -- anything holding the old key has to
+	 * follow it here exactly as it does for a rename.
+	 *
+	 * One object at a time, deliberately. A batch of these is a batch of
+	 * non-atomic copy-and-delete pairs, and a failure halfway leaves the admin
+	 * working out which of them moved.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_move_object( WP_REST_Request $request ) {
+		$bucket        = (string) $request['bucket'];
+		$current_key   = (string) $request['key'];
+		$target_prefix = (string) $request['target_prefix'];
+
+		$new_key = Directory::build_move_key( $current_key, $target_prefix );
+
+		if ( $new_key === $current_key ) {
+			return $this->rest_fail(
+				'rest_move_noop',
+				__( 'The file is already in that folder', 'arraypress' )
+			);
+		}
+
+		$exists = $this->client->object_exists( $bucket, $new_key );
+
+		if ( $exists->is_successful() && ( $exists->get_data()['exists'] ?? false ) ) {
+			return $this->rest_fail(
+				'rest_move_conflict',
+				sprintf(
+					/* translators: %s: name of the destination folder */
+					__( 'A file with this name already exists in "%s"', 'arraypress' ),
+					$target_prefix ?: __( 'the bucket root', 'arraypress' )
+				),
+				409
+			);
+		}
+
+		$result = $this->client->rename_object( $bucket, $current_key, $new_key );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		$this->client->cache()->flush_bucket( $bucket );
+
+		if ( null !== $this->references ) {
+			$this->references->follow( $bucket, $current_key, $new_key );
+		}
+
+		/** This action is documented in rest_rename_object(). */
+		do_action( 'arraypress_s3_object_renamed', $bucket, $current_key, $new_key );
+
+		return $this->rest_ok( [
+			'message' => sprintf(
+				/* translators: %s: name of the destination folder */
+				__( 'File moved to "%s"', 'arraypress' ),
+				$target_prefix ?: __( 'the bucket root', 'arraypress' )
+			),
+			'bucket'  => $bucket,
+			'old_key' => $current_key,
+			'new_key' => $new_key,
+		] );
+	}
+
+	/**
+	 * Copy an object into another folder, or another bucket
+	 *
+	 * The copy keeps the filename. Nothing refers to it yet, so unlike a move
+	 * there is nobody to tell; but a file already at the destination may well
+	 * be referred to, so replacing it is never the default. The caller picks
+	 * what happens instead: fail, skip it, replace it, or keep both under a
+	 * numbered name -- which is also how a file is duplicated in place.
+	 *
+	 * Past COPY_PART_SIZE the copy is only started here. The response carries
+	 * a multipart upload at the destination and the part layout; the browser
+	 * copies the parts one request at a time, which both keeps each request
+	 * inside PHP's time limit and gets past the 5 GB ceiling of a single
+	 * CopyObject, then completes the upload through the multipart routes.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_copy_object( WP_REST_Request $request ) {
+		$bucket        = (string) $request['bucket'];
+		$key           = (string) $request['key'];
+		$target_bucket = (string) $request['target_bucket'];
+		$target_prefix = (string) $request['target_prefix'];
+		$on_conflict   = (string) $request['on_conflict'];
+		$destination   = $target_prefix ?: $target_bucket;
+
+		$new_key = Directory::build_move_key( $key, $target_prefix );
+
+		if ( $target_bucket === $bucket && $new_key === $key && 'rename' !== $on_conflict ) {
+			return $this->rest_fail(
+				'rest_copy_noop',
+				__( 'The file is already in that folder', 'arraypress' )
+			);
+		}
+
+		if ( $this->key_is_taken( $target_bucket, $new_key ) ) {
+			switch ( $on_conflict ) {
+				case 'skip':
+					return $this->rest_ok( [
+						'message'       => sprintf(
+							/* translators: %s: name of the destination folder */
+							__( 'Skipped: a file with this name already exists in "%s"', 'arraypress' ),
+							$destination
+						),
+						'bucket'        => $bucket,
+						'key'           => $key,
+						'target_bucket' => $target_bucket,
+						'new_key'       => $new_key,
+						'skipped'       => true,
+					] );
+
+				case 'rename':
+					$new_key = $this->free_numbered_key( $target_bucket, $new_key );
+
+					if ( '' === $new_key ) {
+						return $this->rest_fail(
+							'rest_copy_conflict',
+							sprintf(
+								/* translators: %s: name of the destination folder */
+								__( 'Too many copies of this file already exist in "%s"', 'arraypress' ),
+								$destination
+							),
+							409
+						);
+					}
+					break;
+
+				case 'overwrite':
+					break;
+
+				default:
+					return $this->rest_fail(
+						'rest_copy_conflict',
+						sprintf(
+							/* translators: %s: name of the destination folder */
+							__( 'A file with this name already exists in "%s"', 'arraypress' ),
+							$destination
+						),
+						409
+					);
+			}
+		}
+
+		$head = $this->client->head_object( $bucket, $key );
+
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return $this->rest_relay( $head );
+		}
+
+		$size = $head->get_content_length();
+
+		if ( $size > self::COPY_PART_SIZE ) {
+			$upload = $this->client->create_multipart_upload( $target_bucket, $new_key, $head->get_content_type() );
+
+			if ( ! $upload->is_successful() ) {
+				return $this->rest_relay( $upload );
+			}
+
+			// S3 allows at most 10,000 parts, so an object past 2.5 TB needs
+			// them larger than the default.
+			$part_size = max( self::COPY_PART_SIZE, (int) ceil( $size / 10000 ) );
+
+			return $this->rest_ok( [
+				'multipart'     => true,
+				'bucket'        => $bucket,
+				'key'           => $key,
+				'target_bucket' => $target_bucket,
+				'new_key'       => $new_key,
+				'upload_id'     => $upload->get_data()['upload_id'],
+				'size'          => $size,
+				'part_size'     => $part_size,
+				'part_count'    => (int) ceil( $size / $part_size ),
+			], 202 );
+		}
+
+		$result = $this->client->copy_object( $bucket, $key, $target_bucket, $new_key );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		$this->client->cache()->flush_bucket( $target_bucket );
+
+		return $this->rest_ok( [
+			'message'       => sprintf(
+				/* translators: %s: name of the destination folder */
+				__( 'File copied to "%s"', 'arraypress' ),
+				$destination
+			),
+			'bucket'        => $bucket,
+			'key'           => $key,
+			'target_bucket' => $target_bucket,
+			'new_key'       => $new_key,
+		] );
+	}
+
+	/**
+	 * Copy one part of a large object into a multipart upload
+	 *
+	 * The byte range is worked out here from the part number and the layout
+	 * rest_copy_object() handed out, rather than taken from the browser, so
+	 * parts cannot overlap or leave gaps.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_copy_object_part( WP_REST_Request $request ) {
+		$part_number = (int) $request['part_number'];
+		$part_size   = (int) $request['part_size'];
+		$size        = (int) $request['size'];
+		$first_byte  = ( $part_number - 1 ) * $part_size;
+
+		if ( $first_byte >= $size ) {
+			return $this->rest_fail(
+				'rest_copy_part_out_of_range',
+				__( 'That part lies past the end of the file', 'arraypress' )
+			);
+		}
+
+		$result = $this->client->upload_part_copy(
+			(string) $request['bucket'],
+			(string) $request['key'],
+			(string) $request['target_bucket'],
+			(string) $request['target_key'],
+			(string) $request['upload_id'],
+			$part_number,
+			$first_byte,
+			min( $size, $first_byte + $part_size ) - 1
+		);
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		return $this->rest_ok( [
+			'part_number' => $part_number,
+			'etag'        => $result->get_data()['etag'],
+		] );
+	}
+
+	/**
+	 * Whether a key is taken, asked of the bucket rather than the cache
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param string $key    Object key.
+	 *
+	 * @return bool
+	 */
+	private function key_is_taken( string $bucket, string $key ): bool {
+		$exists = $this->client->object_exists( $bucket, $key, false );
+
+		return $exists->is_successful() && ( $exists->get_data()['exists'] ?? false );
+	}
+
+	/**
+	 * First free "name (n).ext" beside a key that is taken
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param string $key    The key that is taken.
+	 *
+	 * @return string Free key, or empty when a hundred copies are already there.
+	 */
+	private function free_numbered_key( string $bucket, string $key ): string {
+		for ( $n = 2; $n <= 101; $n++ ) {
+			$candidate = Directory::numbered_key( $key, $n );
+
+			if ( ! $this->key_is_taken( $bucket, $candidate ) ) {
+				return $candidate;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Report what else points at an object
+	 *
+	 * A key stored elsewhere -- a product's download file, a post meta value --
+	 * does not follow the object when it is renamed or moved. Nothing in this
+	 * library knows what those places are, so it asks: a consumer answers the
+	 * filter with whatever it holds, and the browser warns before renaming.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_object_references( WP_REST_Request $request ) {
+		$bucket     = (string) $request['bucket'];
+		$key        = (string) $request['key'];
+		$references = $this->object_references( $bucket, $key );
+
+		return $this->rest_ok( [
+			'bucket'     => $bucket,
+			'key'        => $key,
+			'references' => $references,
+			'count'      => count( $references ),
+		] );
+	}
+
+	/**
+	 * Report what points at any of a selection of objects
+	 *
+	 * One answer for the lot, so a bulk delete can warn once, naming every
+	 * file something depends on, rather than asking about each in turn.
+	 * Only the keys something refers to come back.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_batch_object_references( WP_REST_Request $request ) {
+		$bucket  = (string) $request['bucket'];
+		$keys    = array_unique( array_map( [ $this, 'rest_sanitize_object_key' ], (array) $request['keys'] ) );
+		$objects = [];
+		$count   = 0;
+
+		foreach ( array_filter( $keys, 'strlen' ) as $key ) {
+			$references = $this->object_references( $bucket, $key );
+
+			if ( ! $references ) {
+				continue;
+			}
+
+			$objects[] = [
+				'key'        => $key,
+				'references' => $references,
+			];
+
+			$count += count( $references );
+		}
+
+		return $this->rest_ok( [
+			'bucket'  => $bucket,
+			'objects' => $objects,
+			'count'   => $count,
+		] );
+	}
+
+	/**
+	 * Detach products from an object, or point them at another, before it goes
+	 *
+	 * Each repair names a product and what to do to it. A product is only
+	 * touched if it really does deliver the object and the current user may
+	 * edit it: the route's capability is the browser's, which an Author can
+	 * hold, and a product is not theirs to change because a file is.
+	 *
+	 * A replacement must exist. Pointing a product from one missing file at
+	 * another would look like a repair and be none.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_repair_object_references( WP_REST_Request $request ) {
+		if ( null === $this->references ) {
+			return $this->rest_fail(
+				'rest_no_file_store',
+				__( 'This browser has no product file table to repair', 'arraypress' ),
+				501
+			);
+		}
+
+		$bucket  = (string) $request['bucket'];
+		$key     = (string) $request['key'];
+		$results = [];
+		$failed  = 0;
+
+		foreach ( (array) $request['repairs'] as $repair ) {
+			$id          = (int) ( $repair['id'] ?? 0 );
+			$action      = (string) ( $repair['action'] ?? '' );
+			$replacement = $this->rest_sanitize_object_key( (string) ( $repair['replacement'] ?? '' ) );
+			$error       = $this->repair_refusal( $id, $bucket, $key, $action, $replacement );
+
+			if ( null === $error ) {
+				$changed = 'replace' === $action
+					? $this->references->repoint( $id, $bucket, $key, $replacement )
+					: $this->references->detach( $id, $bucket, $key );
+
+				if ( ! $changed ) {
+					$error = __( 'The product no longer links to this file', 'arraypress' );
+				}
+			}
+
+			$results[] = [
+				'id'          => $id,
+				'action'      => $action,
+				'replacement' => 'replace' === $action ? $replacement : '',
+				'status'      => null === $error ? 'done' : 'failed',
+				'message'     => $error ?? '',
+			];
+
+			if ( null !== $error ) {
+				++$failed;
+			}
+		}
+
+		return $this->rest_ok( [
+			'bucket'  => $bucket,
+			'key'     => $key,
+			'results' => $results,
+			'failed'  => $failed,
+		] );
+	}
+
+	/**
+	 * Why one repair may not be made, if it may not
+	 *
+	 * @param int    $id          Post ID.
+	 * @param string $bucket      Bucket name.
+	 * @param string $key         Object key being deleted.
+	 * @param string $action      'remove' or 'replace'.
+	 * @param string $replacement Object key to point at, for a replace.
+	 *
+	 * @return string|null The reason, or null when the repair may go ahead.
+	 */
+	private function repair_refusal( int $id, string $bucket, string $key, string $action, string $replacement ): ?string {
+		if ( ! current_user_can( 'edit_post', $id ) ) {
+			return __( 'You are not allowed to edit this product', 'arraypress' );
+		}
+
+		if ( ! $this->references->holds( $id, $bucket, $key ) ) {
+			return __( 'The product no longer links to this file', 'arraypress' );
+		}
+
+		if ( 'replace' !== $action ) {
+			return null;
+		}
+
+		if ( '' === $replacement || $replacement === $key ) {
+			return __( 'Choose another file to link the product to', 'arraypress' );
+		}
+
+		$exists = $this->client->object_exists( $bucket, $replacement, false );
+
+		if ( ! $exists->is_successful() ) {
+			return $exists->get_message();
+		}
+
+		if ( true !== ( $exists->get_data()['exists'] ?? false ) ) {
+			return __( 'The replacement file is not in the bucket', 'arraypress' );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Ask consumers what refers to an object
+	 *
+	 * Products found in the host plugin's file table come first and carry
+	 * their post ID, which is what makes them repairable. Whatever the filter
+	 * adds for the same edit screen is the same product, and is dropped.
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param string $key    Object key.
+	 *
+	 * @return array List of [ 'id' => int, 'label' => string, 'edit_url' => string ], the ID 0 where unknown.
+	 */
+	private function object_references( string $bucket, string $key ): array {
+		/**
+		 * Filter the things referring to an object.
+		 *
+		 * @param array  $references List of [ 'label' => string, 'edit_url' => string ].
+		 * @param string $bucket     Bucket name.
+		 * @param string $key        Object key.
+		 */
+		$references = (array) apply_filters( 'arraypress_s3_object_references', [], $bucket, $key );
+
+		$clean = [];
+		$seen  = [];
+
+		foreach ( $this->references ? $this->references->find( $bucket, $key ) : [] as $reference ) {
+			$clean[] = [
+				'id'       => $reference['id'],
+				'label'    => $reference['label'],
+				'edit_url' => esc_url_raw( $reference['edit_url'] ),
+			];
+
+			$seen[] = $reference['edit_url'];
+		}
+
+		foreach ( $references as $reference ) {
+			$label    = trim( (string) ( $reference['label'] ?? '' ) );
+			$edit_url = esc_url_raw( (string) ( $reference['edit_url'] ?? '' ) );
+
+			if ( '' === $label || ( '' !== $edit_url && in_array( $edit_url, $seen, true ) ) ) {
+				continue;
+			}
+
+			$clean[] = [
+				'id'       => 0,
+				'label'    => $label,
+				'edit_url' => $edit_url,
+			];
+		}
+
+		return $clean;
+	}
+
+	/**
+	 * Report which of a batch of keys already hold an object
+	 *
+	 * Called before an upload, which would otherwise replace a live file
+	 * without a word. Each key is checked fresh rather than from the cache: a
+	 * stale "not there" is exactly the answer that lets an overwrite through.
+	 * Keys that are taken come back with their references, so the browser can
+	 * warn loudest where a product would start serving the new file.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_objects_exist( WP_REST_Request $request ) {
+		$bucket  = (string) $request['bucket'];
+		$objects = [];
+
+		$keys = array_unique( array_map( [ $this, 'rest_sanitize_object_key' ], (array) $request['keys'] ) );
+
+		foreach ( array_filter( $keys, 'strlen' ) as $key ) {
+			$result = $this->client->object_exists( $bucket, $key, false );
+
+			if ( ! $result->is_successful() ) {
+				return $this->rest_relay( $result );
+			}
+
+			$exists = ! empty( $result->get_data()['exists'] );
+
+			// A list rather than a map: keys like "2024" would turn a JSON
+			// object into an array on the way out.
+			$objects[] = [
+				'key'        => $key,
+				'exists'     => $exists,
+				'references' => $exists ? $this->object_references( $bucket, $key ) : [],
+			];
+		}
+
+		return $this->rest_ok( [
+			'bucket'  => $bucket,
+			'objects' => $objects,
+		] );
+	}
+
+	/**
+	 * Render the table rows for keys that have just changed
+	 *
+	 * The browser asks for these after an upload, so the new files appear
+	 * in place rather than through a reload that would lose the search, the
+	 * pages already loaded and the selection.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_object_rows( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$keys   = array_unique( array_map( [ $this, 'rest_sanitize_object_key' ], (array) $request['keys'] ) );
+
+		return $this->rest_ok( [
+			'bucket' => $bucket,
+			'prefix' => (string) $request['prefix'],
+			'rows'   => Objects::get_rows(
+				$this->client,
+				$this->provider_id,
+				$bucket,
+				(string) $request['prefix'],
+				array_values( array_filter( $keys, 'strlen' ) )
+			),
+		] );
+	}
+
+	/**
+	 * Search every key below a prefix, a few pages of the listing at a time
+	 *
+	 * S3 has no search, so this walks the listing without a delimiter and
+	 * keeps the keys that match. A large bucket takes many requests; the
+	 * browser calls again with the token returned until there is none, and
+	 * shows the hits from each call as they come.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_search_objects( WP_REST_Request $request ) {
+		$bucket  = (string) $request['bucket'];
+		$query   = (string) $request['q'];
+		$prefix  = (string) $request['prefix'];
+		$token   = (string) $request['continuation_token'];
+		$matches = [];
+		$scanned = 0;
+
+		if ( '' !== $prefix && ! str_ends_with( $prefix, '/' ) ) {
+			$prefix .= '/';
+		}
+
+		// Three pages keeps one call well inside a PHP time limit while
+		// sparing a large bucket most of the round trips.
+		for ( $page = 0; $page < 3; $page ++ ) {
+			// Uncached: a search pages through far more of the bucket than
+			// anyone will browse, and would fill the cache with it.
+			$result = $this->client->get_object_models( $bucket, 1000, $prefix, '', $token, false );
+
+			if ( ! $result->is_successful() ) {
+				return $this->rest_relay( $result );
+			}
+
+			$data = $result->get_data();
+
+			foreach ( $data['objects'] as $object ) {
+				if ( Search::matches( $query, substr( $object->get_key(), strlen( $prefix ) ) ) ) {
+					$matches[] = $object;
+				}
+			}
+
+			$scanned += count( $data['objects'] );
+			$token    = $data['truncated'] ? (string) $data['continuation_token'] : '';
+
+			if ( '' === $token ) {
+				break;
+			}
+		}
+
+		return $this->rest_ok( [
+			'bucket'             => $bucket,
+			'prefix'             => $prefix,
+			'matches'            => Objects::get_search_rows( $this->client, $this->provider_id, $bucket, $matches ),
+			'scanned'            => $scanned,
+			'continuation_token' => $token,
+		] );
+	}
+
+	/**
+	 * Render the table row for one key, in the folder that holds it
+	 *
+	 * @param string $bucket Bucket name.
+	 * @param string $key    Object key, or folder prefix ending in a slash.
+	 *
+	 * @return string Row HTML, or empty when the key would not be listed.
+	 */
+	private function render_row( string $bucket, string $key ): string {
+		$rows = Objects::get_rows( $this->client, $this->provider_id, $bucket, Directory::parent( $key ), [ $key ] );
+
+		return $rows[0]['html'];
+	}
+
+	/**
+	 * Mint a presigned download URL
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_get_download_url( WP_REST_Request $request ) {
+		$bucket     = (string) $request['bucket'];
+		$key        = (string) $request['key'];
+		$minutes    = Sanitize::minutes( (int) $request['expires_minutes'] );
+		$version_id = (string) $request['version_id'];
+
+		$overrides = $this->link_overrides( $request );
+		if ( is_wp_error( $overrides ) ) {
+			return $overrides;
+		}
+
+		// A version comes from the version list, and may belong to a file
+		// whose current version is a delete marker -- which reads as gone.
+		if ( '' === $version_id ) {
+			$exists = $this->client->object_exists( $bucket, $key );
+			if ( ! $exists->is_successful() ) {
+				return $this->rest_fail( 'rest_object_check_failed', __( 'Error checking if file exists', 'arraypress' ), 502 );
+			}
+
+			if ( ! ( $exists->get_data()['exists'] ?? false ) ) {
+				return $this->rest_fail( 'rest_object_not_found', __( 'File does not exist', 'arraypress' ), 404 );
+			}
+
+			$refusal = $this->archive_refusal( $bucket, $key, (string) ( $exists->get_data()['metadata']['storage_class'] ?? '' ) );
+			if ( null !== $refusal ) {
+				return $refusal;
+			}
+		}
+
+		$proxy      = (bool) $request['proxy'];
+		$expires_at = Timestamp::in_minutes( $minutes );
+
+		// A link to this site is signed when it is followed, not now.
+		if ( $proxy ) {
+			$url = '';
+		} else {
+			$result = $this->client->get_presigned_url( $bucket, $key, $minutes, $version_id, $overrides );
+
+			if ( ! $result->is_successful() ) {
+				return $this->rest_relay( $result );
+			}
+
+			$url = $result->get_url();
+		}
+
+		$link = null;
+
+		// A link to this site has to be on record to be followed, even one
+		// the user only made to download the file themselves.
+		if ( $proxy || $request['share'] ) {
+			$link = $this->shared_links->record( [
+				'bucket'     => $bucket,
+				'key'        => $key,
+				'version_id' => $version_id,
+				'overrides'  => $overrides,
+				'note'       => (string) $request['note'],
+				'proxy'      => $proxy,
+				'shared'     => (bool) $request['share'],
+				'expires_at' => $expires_at,
+			] );
+
+			if ( $proxy ) {
+				$url = $this->shared_link_url( $link['id'] );
+			}
+		}
+
+		return $this->rest_ok( [
+			'url'        => $url,
+			'link'       => $link['id'] ?? '',
+			'proxy'      => $proxy,
+			'overrides'  => $overrides,
+			'expires_at' => $expires_at,
+			'expires_in' => $minutes,
+			'bucket'     => $bucket,
+			'key'        => $key,
+			'message'    => sprintf(
+				/* translators: %1$d: count */
+				__( 'Link generated successfully (expires in %d minutes)', 'arraypress' ),
+				$minutes
+			),
+		] );
+	}
+
+	/**
+	 * List the shared links on record
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function rest_list_shared_links( WP_REST_Request $request ): WP_REST_Response {
+		$links = $this->shared_links->query( [
+			'status'  => (string) $request['status'],
+			'search'  => (string) $request['search'],
+			'user_id' => $request['mine'] ? get_current_user_id() : 0,
+		] );
+
+		$counts = $this->shared_links->download_counts();
+
+		return $this->rest_ok( [
+			'links' => array_map( function ( array $link ) use ( $counts ): array {
+				return $this->shared_link_payload( $link, $counts[ $link['id'] ] ?? 0 );
+			}, $links ),
+			'count' => count( $links ),
+		] );
+	}
+
+	/**
+	 * Send a visitor on to the file a shared link is for
+	 *
+	 * The URL they are sent to is signed now, for long enough to start the
+	 * download and no longer than the link has left, so revoking the link
+	 * stops the next visit and a copied redirect soon lapses. The visit is
+	 * logged once it is sent on: a refused one downloaded nothing.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_follow_shared_link( WP_REST_Request $request ) {
+		$link = $this->shared_links->get( (string) $request['link'] );
+
+		if ( null === $link || ! $link['proxy'] ) {
+			return $this->shared_link_not_found();
+		}
+
+		$status = SharedLinks::status( $link );
+
+		if ( 'active' !== $status ) {
+			return $this->rest_fail(
+				'rest_link_' . $status,
+				'revoked' === $status
+					? __( 'This link has been revoked.', 'arraypress' )
+					: __( 'This link has expired.', 'arraypress' ),
+				410
+			);
+		}
+
+		$minutes = (int) ceil( ( $link['expires_at'] - time() ) / MINUTE_IN_SECONDS );
+		$result  = $this->client->get_presigned_url(
+			$link['bucket'],
+			$link['key'],
+			max( 1, min( self::SHARED_LINK_REDIRECT_MINUTES, $minutes ) ),
+			$link['version_id'],
+			$link['overrides']
+		);
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		$this->shared_links->log_download( $link, $this->visitor_ip() );
+
+		$response = new WP_REST_Response( null, 302 );
+		$response->header( 'Location', $result->get_url() );
+		$response->header( 'Cache-Control', 'no-store' );
+
+		return $response;
+	}
+
+	/**
+	 * Revoke a shared link, so the next visit to it is refused
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_revoke_shared_link( WP_REST_Request $request ) {
+		$link = $this->shared_links->get( (string) $request['link'] );
+
+		if ( null === $link ) {
+			return $this->shared_link_not_found();
+		}
+
+		if ( ! $link['proxy'] ) {
+			return $this->rest_fail(
+				'rest_link_not_revocable',
+				__( 'This link goes straight to the provider, and stays valid until it expires. Only links through this site can be revoked.', 'arraypress' ),
+				409
+			);
+		}
+
+		$link = $this->shared_links->revoke( $link['id'] ) ?? $link;
+
+		return $this->rest_ok( [
+			'link'    => $this->shared_link_payload( $link, $this->shared_links->download_count( [ 'link' => $link['id'] ] ) ),
+			'message' => __( 'Link revoked', 'arraypress' ),
+		] );
+	}
+
+	/**
+	 * The downloads of a file through links to this site
+	 *
+	 * Only those are counted: a download straight from the provider never
+	 * passes through the site.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function rest_get_object_downloads( WP_REST_Request $request ): WP_REST_Response {
+		$file = [
+			'bucket' => (string) $request['bucket'],
+			'key'    => (string) $request['key'],
+		];
+
+		$downloads = $this->shared_links->downloads( $file );
+
+		return $this->rest_ok( [
+			'count'     => $this->shared_links->download_count( $file ),
+			'downloads' => array_map( function ( array $download ): array {
+				return [
+					'user'           => $download['user_id'] ? $this->user_label( (int) $download['user_id'] ) : '',
+					'ip'             => $download['ip'],
+					'time'           => (int) $download['time'],
+					'time_formatted' => (string) wp_date( 'Y-m-d H:i:s', (int) $download['time'] ),
+				];
+			}, array_slice( $downloads, 0, self::RECENT_DOWNLOADS ) ),
+		] );
+	}
+
+	/**
+	 * The address a visit came from
+	 *
+	 * REMOTE_ADDR only: a forwarding header is whatever the visitor sends.
+	 * A site behind a proxy it trusts can read the header it sets through
+	 * the filter.
+	 *
+	 * @return string The address, or empty when it is not one.
+	 */
+	private function visitor_ip(): string {
+		$ip = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+
+		/**
+		 * Filter the address a shared link download is logged from.
+		 *
+		 * @param string $ip          REMOTE_ADDR.
+		 * @param string $provider_id Provider identifier.
+		 */
+		$ip = (string) apply_filters( 's3_browser_shared_link_ip', $ip, $this->provider_id );
+
+		return rest_is_ip_address( $ip ) ? $ip : '';
+	}
+
+	/**
+	 * The error for a shared link that is not there, or not to be told about
+	 *
+	 * @return WP_Error
+	 */
+	private function shared_link_not_found(): WP_Error {
+		return $this->rest_fail( 'rest_link_not_found', __( 'This link does not exist.', 'arraypress' ), 404 );
+	}
+
+	/**
+	 * The address a revocable link is handed out as
+	 *
+	 * @param string $id Link ID.
+	 *
+	 * @return string
+	 */
+	private function shared_link_url( string $id ): string {
+		return add_query_arg(
+			'token',
+			$this->shared_links->token( $id ),
+			rest_url( $this->route_path() . '/links/' . $id )
+		);
+	}
+
+	/**
+	 * Shape a shared link for the shared links panel
+	 *
+	 * @param array $link      The link, as recorded.
+	 * @param int   $downloads Times it has been downloaded through.
+	 *
+	 * @return array
+	 */
+	private function shared_link_payload( array $link, int $downloads = 0 ): array {
+		$status = SharedLinks::status( $link );
+
+		return [
+			'id'                => $link['id'],
+			'bucket'            => $link['bucket'],
+			'key'               => $link['key'],
+			'filename'          => basename( $link['key'] ),
+			'version_id'        => $link['version_id'],
+			'note'              => $link['note'],
+			'revocable'         => $link['proxy'],
+			'downloads'         => $downloads,
+			'status'            => $status,
+			'user'              => $this->user_label( (int) $link['user_id'] ),
+			'created'           => (int) $link['created'],
+			'created_formatted' => (string) wp_date( 'Y-m-d H:i:s', (int) $link['created'] ),
+			'expires_at'        => (int) $link['expires_at'],
+			'expires_formatted' => (string) wp_date( 'Y-m-d H:i:s', (int) $link['expires_at'] ),
+			'revoked_formatted' => $link['revoked_at'] ? (string) wp_date( 'Y-m-d H:i:s', (int) $link['revoked_at'] ) : '',
+			'revoked_by'        => $link['revoked_at'] ? $this->user_label( (int) $link['revoked_by'] ) : '',
+			// Only a link that still works is worth copying again.
+			'url'               => $link['proxy'] && 'active' === $status ? $this->shared_link_url( $link['id'] ) : '',
+		];
+	}
+
+	/**
+	 * The name to show for a user, who may since have been deleted
+	 *
+	 * @param int $user_id User ID.
+	 *
+	 * @return string
+	 */
+	private function user_label( int $user_id ): string {
+		$user = $user_id ? get_userdata( $user_id ) : false;
+
+		if ( ! $user ) {
+			/* translators: %d: user ID */
+			return sprintf( __( 'User #%d', 'arraypress' ), $user_id );
+		}
+
+		return $user->display_name;
 	}
 
 	/**
-	 * Permission check for bucket-scoped routes
+	 * Read the headers a download link should override from the request
 	 *
-	 * Authorization lives here rather than in the handler so that every
-	 * bucket-scoped route is gated by construction: a route cannot be added
-	 * without a permission_callback, and this one cannot pass without the
-	 * bucket being allowed.
+	 * Signed into the link as response-content-* parameters, so the file is
+	 * served with them without its stored metadata changing. A download
+	 * name means nothing without a disposition to carry it, as for the
+	 * metadata form.
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
-	 * @return bool|WP_Error
+	 * @return array|WP_Error content_type and content_disposition, only those set.
 	 */
-	public function rest_bucket_permission_check( WP_REST_Request $request ) {
-		$allowed = $this->rest_permission_check();
+	private function link_overrides( WP_REST_Request $request ) {
+		$disposition   = (string) $request['disposition'];
+		$download_name = (string) $request['download_name'];
+		$content_type  = (string) $request['content_type'];
+
+		// Only the type and the name are checked; an empty type stands for
+		// the file's own.
+		$validation = Validate::object_metadata( [
+			'content_type'  => '' === $content_type ? 'application/octet-stream' : $content_type,
+			'download_name' => $download_name,
+		] );
 
-		if ( is_wp_error( $allowed ) ) {
-			return $allowed;
+		if ( ! $validation['valid'] ) {
+			return $this->rest_fail( 'rest_invalid_link_headers', $validation['message'] );
 		}
 
-		$bucket = (string) $request['bucket'];
+		if ( '' !== $download_name && '' === $disposition ) {
+			$disposition = 'attachment';
+		}
 
-		if ( ! $this->is_bucket_allowed( $bucket ) ) {
-			return new WP_Error(
-				'rest_bucket_forbidden',
-				__( 'You do not have permission to access this bucket.', 'arraypress' ),
-				[ 'status' => rest_authorization_required_code() ]
+		return array_filter( [
+			'content_type'        => $content_type,
+			'content_disposition' => FileUtil::content_disposition( $disposition, $download_name ),
+		], 'strlen' );
+	}
+
+	/**
+	 * Refuse a link to an archived object that cannot be read yet
+	 *
+	 * A link to one signs fine and then fails with InvalidObjectState when
+	 * opened, which tells the admin nothing. The restore state is read
+	 * fresh: the existence check may be cached from before it finished.
+	 *
+	 * @param string $bucket        Bucket name.
+	 * @param string $key           Object key.
+	 * @param string $storage_class Storage class the object was found in.
+	 *
+	 * @return WP_Error|null Null when the object can be read.
+	 */
+	private function archive_refusal( string $bucket, string $key, string $storage_class ): ?WP_Error {
+		if ( ! FileUtil::is_archived( $storage_class ) ) {
+			return null;
+		}
+
+		$head = $this->client->head_object( $bucket, $key );
+
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return null;
+		}
+
+		$restore = (array) $head->get_metadata_value( 'restore', [] );
+
+		if ( '' !== ( $restore['expiry_date'] ?? '' ) ) {
+			return null;
+		}
+
+		if ( ! empty( $restore['ongoing'] ) ) {
+			return $this->rest_fail(
+				'rest_object_restoring',
+				__( 'This file is archived and is still being restored. It can be downloaded once the restore finishes.', 'arraypress' ),
+				409
 			);
 		}
 
-		return true;
+		return $this->rest_fail(
+			'rest_object_archived',
+			sprintf(
+				/* translators: %s: storage class */
+				__( 'This file is archived in %s and cannot be downloaded until it is restored. Restore it from its details.', 'arraypress' ),
+				$storage_class
+			),
+			409
+		);
 	}
 
 	/**
-	 * Check whether a bucket may be addressed through this browser
+	 * Mint presigned download URLs for a batch of keys
 	 *
-	 * Every AJAX endpoint takes the bucket straight from $_POST, so without a
-	 * check here the capability gate ('upload_files' by default — Author and
-	 * up) grants read, write, rename and delete over *every* bucket the
-	 * configured credentials can reach, not just the one the browser is
-	 * pointed at. S3 credentials are usually account-wide, so that is a real
-	 * privilege boundary and not a theoretical one.
+	 * For the grid's thumbnails. Unlike a single link there is no check that
+	 * each object exists: the keys come from the listing on screen, signing
+	 * is done here without a request to the provider, and a thumbnail whose
+	 * object has gone simply fails to load.
 	 *
-	 * An empty allow-list preserves the historical behaviour of permitting any
-	 * bucket. Sites that only ever use one bucket should set it — see
-	 * Browser::set_allowed_buckets() and the 's3_browser_allowed_buckets'
-	 * filter.
+	 * @param WP_REST_Request $request Request.
 	 *
-	 * @param string $bucket Bucket name from the request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_get_download_urls( WP_REST_Request $request ) {
+		$bucket  = (string) $request['bucket'];
+		$minutes = Sanitize::minutes( (int) $request['expires_minutes'] );
+		$urls    = [];
+
+		$keys = array_unique( array_map( [ $this, 'rest_sanitize_object_key' ], (array) $request['keys'] ) );
+
+		foreach ( array_filter( $keys, 'strlen' ) as $key ) {
+			$result = $this->client->get_presigned_url( $bucket, $key, $minutes );
+
+			if ( ! $result->is_successful() ) {
+				return $this->rest_relay( $result );
+			}
+
+			// A list rather than a map, as for rest_objects_exist().
+			$urls[] = [
+				'key' => $key,
+				'url' => $result->get_url(),
+			];
+		}
+
+		return $this->rest_ok( [
+			'bucket'     => $bucket,
+			'urls'       => $urls,
+			'expires_at' => Timestamp::in_minutes( $minutes ),
+		] );
+	}
+
+	/**
+	 * Read the start of a text file for the preview pane
 	 *
-	 * @return bool True if the bucket may be used
+	 * Images, media and PDFs are previewed from a presigned URL, which the
+	 * browser loads like any other. Text has to be read by script, and a
+	 * script reading the bucket needs a CORS rule allowing GET that the
+	 * upload scenarios do not grant -- so the ranged GET is made from here.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
 	 */
-	protected function is_bucket_allowed( string $bucket ): bool {
-		if ( '' === $bucket ) {
-			return false;
+	public function rest_object_preview( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
+		$bytes  = (int) $request['bytes'];
+
+		$result = $this->client->get_object( $bucket, $key, $bytes );
+
+		if ( ! $result->is_successful() || ! $result instanceof ObjectResponse ) {
+			return $this->rest_relay( $result );
 		}
 
-		// Reject anything that is not a syntactically valid bucket name before
-		// it reaches URL building — the value ends up in a Host header or a
-		// request path.
-		if ( ! preg_match( '/^[a-z0-9][a-z0-9.\-]{1,61}[a-z0-9]$/i', $bucket ) ) {
-			return false;
+		$content = $result->get_content();
+		$range   = (string) $result->get_metadata_value( 'content_range', '' );
+		$size    = preg_match( '#/(\d+)$#', $range, $match ) ? (int) $match[1] : strlen( $content );
+
+		// A provider that ignores Range sends the lot.
+		if ( strlen( $content ) > $bytes ) {
+			$content = substr( $content, 0, $bytes );
 		}
 
-		$allowed = ( $this->allowed_buckets )();
+		$truncated = $size > strlen( $content );
 
-		if ( empty( $allowed ) ) {
-			return true;
+		// The range ends wherever the byte count does, which can be partway
+		// through a character. Drop the stray bytes rather than call the
+		// whole file binary for them.
+		if ( $truncated ) {
+			$content = mb_strcut( $content, 0, strlen( $content ), 'UTF-8' );
 		}
 
-		return in_array( $bucket, $allowed, true );
+		if ( ! mb_check_encoding( $content, 'UTF-8' ) || str_contains( $content, "\0" ) ) {
+			return $this->rest_fail(
+				'rest_preview_not_text',
+				__( 'This file is not text, so there is nothing to preview', 'arraypress' ),
+				415
+			);
+		}
+
+		return $this->rest_ok( [
+			'bucket'    => $bucket,
+			'key'       => $key,
+			'content'   => $content,
+			'size'      => $size,
+			'truncated' => $truncated,
+		] );
 	}
 
 	/**
-	 * Validate a bucket name argument
+	 * Read an object's headers and custom metadata
 	 *
-	 * @param mixed $value Raw value.
+	 * @param WP_REST_Request $request Request.
 	 *
-	 * @return bool|WP_Error
+	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_validate_bucket( $value ) {
-		if ( ! is_string( $value ) || ! $this->is_bucket_allowed( $value ) ) {
-			return new WP_Error(
-				'rest_invalid_bucket',
-				__( 'Invalid bucket name.', 'arraypress' ),
-				[ 'status' => 400 ]
-			);
+	public function rest_get_object_metadata( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
+
+		$result = $this->client->head_object( $bucket, $key );
+
+		if ( ! $result->is_successful() || ! $result instanceof ObjectResponse ) {
+			return $this->rest_relay( $result );
 		}
 
-		return true;
+		return $this->rest_ok( $this->metadata_payload( $bucket, $key, $result ) );
 	}
 
 	/**
-	 * Sanitize an object key or prefix
+	 * Replace an object's headers and custom metadata
 	 *
-	 * Object keys legitimately contain spaces, quotes, brackets and unicode, so
-	 * they get slash-stripping and control-character removal rather than
-	 * sanitize_text_field(), which would mangle them. Traversal is rejected
-	 * downstream by Encode::object_key().
+	 * The object is copied onto itself, which gives it a new ETag and Last
+	 * Modified; the response reads it back so the dialog shows what the
+	 * provider kept rather than what was sent.
 	 *
-	 * @param mixed $value Raw value.
+	 * @param WP_REST_Request $request Request.
 	 *
-	 * @return string
+	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_sanitize_object_key( $value ): string {
-		if ( ! is_scalar( $value ) ) {
-			return '';
+	public function rest_update_object_metadata( WP_REST_Request $request ) {
+		$bucket        = (string) $request['bucket'];
+		$key           = (string) $request['key'];
+		$disposition   = (string) $request['disposition'];
+		$download_name = (string) $request['download_name'];
+
+		$fields = [
+			'content_type'  => (string) $request['content_type'],
+			'cache_control' => (string) $request['cache_control'],
+			'download_name' => $download_name,
+			'user_metadata' => array_values( (array) $request['metadata'] ),
+		];
+
+		$validation = Validate::object_metadata( $fields );
+		if ( ! $validation['valid'] ) {
+			return $this->rest_fail( 'rest_invalid_metadata', $validation['message'] );
 		}
 
-		$value = wp_unslash( (string) $value );
+		// A download name means nothing without a disposition to carry it.
+		if ( '' !== $download_name && '' === $disposition ) {
+			$disposition = 'attachment';
+		}
 
-		// Strip control characters (including NUL) but keep everything else.
-		return (string) preg_replace( '/[\x00-\x1F\x7F]/u', '', $value );
+		$user_metadata = [];
+		foreach ( $fields['user_metadata'] as $pair ) {
+			$user_metadata[ strtolower( (string) $pair['name'] ) ] = (string) ( $pair['value'] ?? '' );
+		}
+
+		$result = $this->client->update_object_metadata( $bucket, $key, [
+			'content_type'        => $fields['content_type'],
+			'content_disposition' => FileUtil::content_disposition( $disposition, $download_name ),
+			'cache_control'       => $fields['cache_control'],
+			'user_metadata'       => $user_metadata,
+		] );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		$this->client->cache()->flush_bucket( $bucket );
+
+		$head = $this->client->head_object( $bucket, $key );
+
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return $this->rest_relay( $head );
+		}
+
+		return $this->rest_ok( $this->metadata_payload( $bucket, $key, $head ) + [
+			'message' => __( 'File details saved', 'arraypress' ),
+			'row'     => $this->render_row( $bucket, $key ),
+		] );
 	}
 
 	/**
-	 * Sanitize a plain text argument
+	 * Shape a HEAD response for the metadata pane
 	 *
-	 * @param mixed $value Raw value.
+	 * Custom metadata goes out as a list of pairs: a name made of digits
+	 * would turn a map into a JSON array, as for rest_objects_exist().
 	 *
-	 * @return string
+	 * @param string         $bucket Bucket name.
+	 * @param string         $key    Object key.
+	 * @param ObjectResponse $head   HEAD response.
+	 *
+	 * @return array
 	 */
-	public function rest_sanitize_text( $value ): string {
-		if ( ! is_scalar( $value ) ) {
-			return '';
+	private function metadata_payload( string $bucket, string $key, ObjectResponse $head ): array {
+		$metadata    = $head->get_metadata();
+		$disposition = FileUtil::parse_content_disposition( (string) ( $metadata['content_disposition'] ?? '' ) );
+		$pairs       = [];
+
+		foreach ( $metadata['user_metadata'] ?? [] as $name => $value ) {
+			$pairs[] = [
+				'name'  => (string) $name,
+				'value' => (string) $value,
+			];
 		}
 
-		return sanitize_text_field( wp_unslash( (string) $value ) );
+		return [
+			'bucket'              => $bucket,
+			'key'                 => $key,
+			'content_type'        => (string) ( $metadata['content_type'] ?? '' ),
+			'cache_control'       => (string) ( $metadata['cache_control'] ?? '' ),
+			'content_disposition' => (string) ( $metadata['content_disposition'] ?? '' ),
+			'disposition'         => $disposition['type'],
+			'download_name'       => $disposition['filename'],
+			'metadata'            => $pairs,
+			'etag'                => (string) ( $metadata['etag'] ?? '' ),
+			'last_modified'       => (string) ( $metadata['last_modified'] ?? '' ),
+			'storage_class'       => (string) ( $metadata['storage_class'] ?? 'STANDARD' ),
+		];
 	}
 
 	/**
-	 * Build a success response
+	 * Read the tags on an object
 	 *
-	 * @param array $data   Payload.
-	 * @param int   $status HTTP status.
+	 * @param WP_REST_Request $request Request.
 	 *
-	 * @return WP_REST_Response
+	 * @return WP_REST_Response|WP_Error
 	 */
-	private function rest_ok( array $data = [], int $status = 200 ): WP_REST_Response {
-		return new WP_REST_Response( $data, $status );
+	public function rest_get_object_tags( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
+
+		$result = $this->client->get_object_tagging( $bucket, $key );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		return $this->rest_ok( [
+			'bucket' => $bucket,
+			'key'    => $key,
+			'tags'   => $this->tag_list( $result->get_data()['tags'] ?? [] ),
+		] );
+	}
+
+	/**
+	 * Replace the tags on an object
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_update_object_tags( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
+		$tags   = [];
+
+		foreach ( (array) $request['tags'] as $tag ) {
+			$tag_key = trim( (string) $tag['key'] );
+
+			// S3 would keep the last of two and say nothing about the first.
+			if ( array_key_exists( $tag_key, $tags ) ) {
+				return $this->rest_fail(
+					'rest_duplicate_tag',
+					/* translators: %s: tag key */
+					sprintf( __( 'Tag key "%s" is used more than once', 'arraypress' ), $tag_key )
+				);
+			}
+
+			$tags[ $tag_key ] = trim( (string) ( $tag['value'] ?? '' ) );
+		}
+
+		$validation = Validate::object_tags( $tags );
+		if ( ! $validation['valid'] ) {
+			return $this->rest_fail( 'rest_invalid_tags', $validation['message'] );
+		}
+
+		$result = $this->client->put_object_tagging( $bucket, $key, $tags );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
+		}
+
+		return $this->rest_ok( [
+			'message' => __( 'Tags saved', 'arraypress' ),
+			'bucket'  => $bucket,
+			'key'     => $key,
+			'tags'    => $this->tag_list( $tags ),
+		] );
 	}
 
 	/**
-	 * Relay a failed client response to the caller.
+	 * Read the tags on a batch of objects, for the listing's tag filter
 	 *
-	 * Keeps the provider's own code and status rather than inventing one. The
-	 * code is what distinguishes a bucket-scoped token from wrong credentials,
-	 * and replacing it leaves the admin re-entering keys that were never the
-	 * problem.
+	 * S3 has no call for more than one object's tags, so this is one request
+	 * to the provider per key -- hence the small batch. An object gone since
+	 * the listing was drawn has no tags rather than failing the batch.
 	 *
-	 * @param ResponseInterface $response Failed response.
+	 * @param WP_REST_Request $request Request.
 	 *
-	 * @return WP_Error
+	 * @return WP_REST_Response|WP_Error
 	 */
-	private function rest_relay( ResponseInterface $response ): WP_Error {
-		if ( $response instanceof ErrorResponse ) {
-			return $response->to_wp_error();
+	public function rest_batch_object_tags( WP_REST_Request $request ) {
+		$bucket  = (string) $request['bucket'];
+		$keys    = array_unique( array_map( [ $this, 'rest_sanitize_object_key' ], (array) $request['keys'] ) );
+		$objects = [];
+
+		foreach ( array_filter( $keys, 'strlen' ) as $key ) {
+			$result = $this->client->get_object_tagging( $bucket, $key );
+
+			if ( ! $result->is_successful() && 404 !== $result->get_status_code() ) {
+				return $this->rest_relay( $result );
+			}
+
+			$objects[] = [
+				'key'  => $key,
+				'tags' => $result->is_successful() ? $this->tag_list( $result->get_data()['tags'] ?? [] ) : [],
+			];
 		}
 
-		// is_successful() is a flag rather than a type, so a failure that is
-		// not an ErrorResponse is possible even if nothing produces one today.
-		return new WP_Error(
-			'rest_upstream_failed',
-			__( 'The storage provider rejected the request.', 'arraypress' ),
-			[ 'status' => 502 ]
-		);
+		return $this->rest_ok( [
+			'bucket'  => $bucket,
+			'objects' => $objects,
+		] );
 	}
 
 	/**
-	 * Build an error response from a failed S3 operation
+	 * Tags as a list of pairs, as metadata_payload() sends custom metadata
 	 *
-	 * @param string $code    Error code.
-	 * @param string $message Message.
-	 * @param int    $status  HTTP status.
+	 * @param array $tags Values by tag key.
 	 *
-	 * @return WP_Error
+	 * @return array
 	 */
-	private function rest_fail( string $code, string $message, int $status = 400 ): WP_Error {
-		return new WP_Error( $code, $message, [ 'status' => $status ] );
+	private function tag_list( array $tags ): array {
+		$list = [];
+
+		foreach ( $tags as $key => $value ) {
+			$list[] = [
+				'key'   => (string) $key,
+				'value' => (string) $value,
+			];
+		}
+
+		return $list;
 	}
 
 	/**
-	 * Test the storage connection
+	 * List an object's versions and delete markers, newest first
+	 *
+	 * A bucket without versioning lists the object once, as version "null";
+	 * 'versioned' tells the dialog so, rather than it offering a history of
+	 * one.
+	 *
+	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_connection_test() {
-		// Account-level ListBuckets works for admin / master tokens.
-		$result = $this->client->get_bucket_count();
-
-		if ( $result->is_successful() ) {
-			$data = $result->get_data();
-
-			return $this->rest_ok( [
-				'status'  => 'ok',
-				'message' => __( 'Connection successful.', 'arraypress' ),
-				'summary' => sprintf(
-					/* translators: %1$d: count */
-					_n( 'Found %d accessible bucket', 'Found %d accessible buckets', $data['count'], 'arraypress' ),
-					$data['count']
-				),
-				'buckets' => $data['buckets'] ?? [],
-				'count'   => $data['count'],
-			] );
-		}
-
-		// A token scoped to specific buckets cannot list them. That is not a
-		// failure — Cloudflare recommends scoping R2 tokens — so it must not be
-		// reported as one. The only thing missing is the bucket name, which the
-		// consumer supplies through this filter.
-		// Nothing answered, so nothing has been learned about the credentials.
-		// Falling through would try the bucket next, fail the same way, and
-		// report a reachability problem as a problem with the bucket.
-		if ( Transport::is_transport_error( (string) $result->get_error_code() ) ) {
-			return $this->rest_ok( [
-				'status'  => 'failed',
-				'message' => __( 'Could not reach the storage provider.', 'arraypress' ),
-				'summary' => $result->get_error_message(),
-			] );
-		}
-
-		$scoped          = 'bucket_listing_forbidden' === $result->get_error_code();
-		$fallback_bucket = (string) apply_filters( 'arraypress_s3_connection_test_fallback_bucket', '' );
-
-		if ( '' !== $fallback_bucket ) {
-			$exists = $this->client->bucket_exists( $fallback_bucket, false );
+	public function rest_list_object_versions( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
 
-			if ( $exists->is_successful() ) {
-				return $this->rest_ok( [
-					'status'  => 'ok',
-					'message' => __( 'Connection successful.', 'arraypress' ),
-					'summary' => sprintf(
-						/* translators: %s: bucket name */
-						__( 'Verified access to "%s". This token is scoped to specific buckets, so it cannot list the others.', 'arraypress' ),
-						$fallback_bucket
-					),
-					'buckets' => [ $fallback_bucket ],
-					'count'   => 1,
-					'scoped'  => true,
-				] );
-			}
+		$result = $this->client->get_object_versions( $bucket, $key );
 
-			// The name is wrong, or the token cannot reach it. Say which
-			// bucket was tried — otherwise the admin has no way to tell a typo
-			// from a permissions problem.
-			return $this->rest_ok( [
-				'status'  => 'failed',
-				'message' => __( 'Could not reach that bucket.', 'arraypress' ),
-				'summary' => sprintf(
-					/* translators: 1: bucket name, 2: error from the provider */
-					__( 'The credentials work, but "%1$s" could not be reached: %2$s', 'arraypress' ),
-					$fallback_bucket,
-					$exists->get_error_message()
-				),
-				'scoped'  => $scoped,
-			] );
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
 		}
 
-		if ( $scoped ) {
-			// Credentials are fine; the configuration is simply incomplete.
-			return $this->rest_ok( [
-				'status'  => 'needs_bucket',
-				'message' => __( 'Credentials accepted.', 'arraypress' ),
-				'summary' => __( 'This token is scoped to specific buckets, so it cannot list them — which is the recommended setup. Enter the bucket name to finish configuring and verify access.', 'arraypress' ),
-				'scoped'  => true,
-			] );
-		}
+		$data     = $result->get_data();
+		$versions = array_map( [ $this, 'version_payload' ], $data['versions'] ?? [] );
 
-		// Anything else really is a credential or endpoint problem, and the
-		// provider's own message is more useful than a generic one.
 		return $this->rest_ok( [
-			'status'  => 'failed',
-			'message' => __( 'Connection failed.', 'arraypress' ),
-			'summary' => $result->get_error_message(),
+			'bucket'    => $bucket,
+			'key'       => $key,
+			'versions'  => $versions,
+			'versioned' => (bool) array_filter( $versions, static fn( array $version ): bool => 'null' !== $version['version_id'] ),
+			'truncated' => (bool) ( $data['truncated'] ?? false ),
 		] );
 	}
 
 	/**
-	 * Clear all cached S3 data
+	 * Make an earlier version of an object the current one
+	 *
+	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_clear_cache() {
-		if ( ! $this->client->cache()->flush() ) {
-			return $this->rest_fail( 'rest_cache_clear_failed', __( 'Failed to clear cache', 'arraypress' ), 500 );
+	public function rest_restore_object_version( WP_REST_Request $request ) {
+		$bucket     = (string) $request['bucket'];
+		$key        = (string) $request['key'];
+		$version_id = (string) $request['version_id'];
+
+		$result = $this->client->restore_object_version( $bucket, $key, $version_id );
+
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
 		}
 
-		return $this->rest_ok( [ 'message' => __( 'Cache cleared successfully', 'arraypress' ) ] );
+		$this->client->cache()->flush_bucket( $bucket );
+
+		return $this->rest_ok( [
+			'message'    => __( 'Version restored', 'arraypress' ),
+			'bucket'     => $bucket,
+			'key'        => $key,
+			'version_id' => $version_id,
+			'row'        => $this->render_row( $bucket, $key ),
+		] );
 	}
 
 	/**
-	 * Get details for a single bucket
+	 * Permanently delete one version of an object
+	 *
+	 * Deleting the current version, or the delete marker hiding the file,
+	 * changes what the listing shows: the row comes back rendered afresh,
+	 * or empty when the file no longer lists at all.
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_get_bucket_details( WP_REST_Request $request ) {
-		$bucket = (string) $request['bucket'];
-		$result = $this->client->get_bucket_details( $bucket, Origin::current(), false );
+	public function rest_delete_object_version( WP_REST_Request $request ) {
+		$bucket     = (string) $request['bucket'];
+		$key        = (string) $request['key'];
+		$version_id = (string) $request['version_id'];
+
+		$result = $this->client->delete_object_version( $bucket, $key, $version_id );
 
 		if ( ! $result->is_successful() ) {
 			return $this->rest_relay( $result );
 		}
 
-		$data = $result->get_data();
+		$this->client->cache()->flush_bucket( $bucket );
 
-		// The debug payload carries raw provider error strings; it is a
-		// development aid, not something to ship to every browser.
-		if ( ! ( defined( 'WP_DEBUG' ) && WP_DEBUG ) ) {
-			unset( $data['debug'] );
-		}
+		return $this->rest_ok( [
+			'message'    => __( 'Version deleted permanently', 'arraypress' ),
+			'bucket'     => $bucket,
+			'key'        => $key,
+			'version_id' => $version_id,
+			'row'        => $this->render_row( $bucket, $key ),
+		] );
+	}
 
-		return $this->rest_ok( $data );
+	/**
+	 * Shape a version for the versions pane
+	 *
+	 * @param array $version Version, as Response::versions() reads it.
+	 *
+	 * @return array
+	 */
+	private function version_payload( array $version ): array {
+		$modified = (string) ( $version['last_modified'] ?? '' );
+		$size     = (int) ( $version['size'] ?? 0 );
+
+		return [
+			'version_id'         => (string) ( $version['version_id'] ?? '' ),
+			'is_latest'          => (bool) ( $version['is_latest'] ?? false ),
+			'delete_marker'      => (bool) ( $version['delete_marker'] ?? false ),
+			'size'               => $size,
+			'size_formatted'     => size_format( $size ),
+			'last_modified'      => $modified,
+			'modified_formatted' => '' === $modified ? '' : (string) wp_date( 'Y-m-d H:i:s', strtotime( $modified ) ),
+			'etag'               => (string) ( $version['etag'] ?? '' ),
+			'storage_class'      => (string) ( $version['storage_class'] ?? '' ),
+		];
 	}
 
 	/**
-	 * List a page of objects
+	 * Read an object's storage class, and how far a restore of it has got
+	 *
+	 * Read fresh from the object rather than from the listing: the class can
+	 * have changed since the page was drawn, and a restore finishes on the
+	 * provider's schedule, not the browser's.
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_list_objects( WP_REST_Request $request ) {
-		$page = Objects::get_page_data(
-			$this->client,
-			$this->provider_id,
-			(string) $request['bucket'],
-			(string) $request['prefix'],
-			(string) $request['continuation_token']
-		);
+	public function rest_get_object_storage( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
 
-		if ( is_wp_error( $page ) ) {
-			return $page;
+		$result = $this->client->head_object( $bucket, $key );
+
+		if ( ! $result->is_successful() || ! $result instanceof ObjectResponse ) {
+			return $this->rest_relay( $result );
 		}
 
-		return $this->rest_ok( $page );
+		return $this->rest_ok( $this->storage_payload( $bucket, $key, $result ) );
 	}
 
 	/**
-	 * Delete a single object
+	 * Move an object to another storage class
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_delete_object( WP_REST_Request $request ) {
+	public function rest_change_storage_class( WP_REST_Request $request ) {
 		$bucket = (string) $request['bucket'];
 		$key    = (string) $request['key'];
 
-		$result = $this->client->delete_object( $bucket, $key );
+		$result = $this->client->change_storage_class( $bucket, $key, (string) $request['storage_class'] );
 
 		if ( ! $result->is_successful() ) {
 			return $this->rest_relay( $result );
 		}
 
+		// Nothing was copied, so there is nothing to read back.
+		if ( false === ( $result->get_data()['changed'] ?? true ) ) {
+			return $this->rest_ok( [
+				'message' => $result->get_message(),
+				'bucket'  => $bucket,
+				'key'     => $key,
+				'changed' => false,
+			] );
+		}
+
 		$this->client->cache()->flush_bucket( $bucket );
 
-		return $this->rest_ok( [
-			'message' => __( 'File deleted successfully', 'arraypress' ),
-			'bucket'  => $bucket,
-			'key'     => $key,
+		$head = $this->client->head_object( $bucket, $key );
+
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return $this->rest_relay( $head );
+		}
+
+		return $this->rest_ok( $this->storage_payload( $bucket, $key, $head ) + [
+			'message' => __( 'Storage class changed', 'arraypress' ),
+			'changed' => true,
+			'row'     => $this->render_row( $bucket, $key ),
 		] );
 	}
 
 	/**
-	 * Rename an object
+	 * Ask for a temporary, readable copy of an archived object
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_rename_object( WP_REST_Request $request ) {
-		$bucket       = (string) $request['bucket'];
-		$current_key  = (string) $request['current_key'];
-		$new_filename = (string) $request['new_filename'];
+	public function rest_restore_object( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
 
-		$validation = Validate::filename( $new_filename );
-		if ( ! $validation['valid'] ) {
-			return $this->rest_fail( 'rest_invalid_filename', $validation['message'] );
-		}
+		$result = $this->client->restore_object( $bucket, $key, (int) $request['days'], (string) $request['tier'] );
 
-		if ( Directory::is_rename_same_key( $current_key, $new_filename ) ) {
-			return $this->rest_fail(
-				'rest_rename_noop',
-				__( 'The new filename is the same as the current filename', 'arraypress' )
-			);
+		if ( ! $result->is_successful() ) {
+			return $this->rest_relay( $result );
 		}
 
-		$new_key = Directory::build_rename_key( $current_key, $new_filename );
+		$head = $this->client->head_object( $bucket, $key );
 
-		$exists = $this->client->object_exists( $bucket, $new_key );
-		if ( $exists->is_successful() && ( $exists->get_data()['exists'] ?? false ) ) {
-			return $this->rest_fail(
-				'rest_rename_conflict',
-				/* translators: %s: new filename */
-				sprintf( __( 'A file named "%s" already exists in this location', 'arraypress' ), $new_filename ),
-				409
-			);
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return $this->rest_relay( $head );
 		}
 
-		$result = $this->client->rename_object( $bucket, $current_key, $new_key );
+		return $this->rest_ok( $this->storage_payload( $bucket, $key, $head ) + [
+			'message' => $result->get_message(),
+		] );
+	}
+
+	/**
+	 * Shape a HEAD response for the storage pane
+	 *
+	 * 'classes' is what the provider offers, so the pane never sends one it
+	 * would refuse.
+	 *
+	 * @param string         $bucket Bucket name.
+	 * @param string         $key    Object key.
+	 * @param ObjectResponse $head   HEAD response.
+	 *
+	 * @return array
+	 */
+	private function storage_payload( string $bucket, string $key, ObjectResponse $head ): array {
+		$storage_class = (string) $head->get_metadata_value( 'storage_class', 'STANDARD' );
+		$restore       = (array) $head->get_metadata_value( 'restore', [] );
+		$expiry        = (string) ( $restore['expiry_date'] ?? '' );
+		$expiry_time   = '' === $expiry ? false : strtotime( $expiry );
+
+		return [
+			'bucket'        => $bucket,
+			'key'           => $key,
+			'storage_class' => $storage_class,
+			'etag'          => (string) $head->get_metadata_value( 'etag', '' ),
+			'archived'      => FileUtil::is_archived( $storage_class ),
+			'restore'       => [
+				'requested'        => (bool) ( $restore['requested'] ?? false ),
+				'ongoing'          => (bool) ( $restore['ongoing'] ?? false ),
+				'restored'         => '' !== $expiry,
+				'expiry_date'      => $expiry,
+				'expiry_formatted' => false === $expiry_time ? '' : (string) wp_date( 'Y-m-d H:i:s', $expiry_time ),
+			],
+			'classes'       => $this->client->get_provider()->get_storage_classes(),
+		];
+	}
+
+	/**
+	 * Mint a presigned upload URL
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_get_upload_url( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
+
+		$result = $this->client->get_presigned_upload_url( $bucket, $key, 15, (string) $request['checksum_sha256'] );
 
 		if ( ! $result->is_successful() ) {
 			return $this->rest_relay( $result );
@@ -840,206 +3578,145 @@ class Controller {
 
 		$this->client->cache()->flush_bucket( $bucket );
 
-		/**
-		 * Fires after an object has been renamed.
-		 *
-		 * A key stored elsewhere does not follow the object, so anything
-		 * holding one has to be told. Runs only after the rename succeeded.
-		 *
-		 * @param string $bucket  Bucket name.
-		 * @param string $old_key Key the object had.
-		 * @param string $new_key Key the object now has.
-		 */
-		do_action( 'arraypress_s3_object_renamed', $bucket, $current_key, $new_key );
-
 		return $this->rest_ok( [
-			/* translators: %s: new filename */
-			'message'      => sprintf( __( 'File renamed to "%s" successfully', 'arraypress' ), $new_filename ),
-			'bucket'       => $bucket,
-			'old_key'      => $current_key,
-			'new_key'      => $new_key,
-			'new_filename' => $new_filename,
+			'url'              => $result->get_url(),
+			'expires'          => Timestamp::in_minutes( 15 ),
+			'checksum_headers' => $this->allows_checksum_headers( $bucket ),
 		] );
 	}
 
 	/**
-	 * Move an object into another folder
+	 * Whether the bucket's CORS rule lets the browser send checksum headers
 	 *
-	 * A move is a rename that keeps the filename and changes the folder, so it
-	 * goes through the same copy-then-delete, the same collision check, and
-	 * fires the same renamed action -- anything holding the old key has to
-	 * follow it here exactly as it does for a rename.
+	 * A rule that predates the headers fails the preflight of any PUT that
+	 * carries them, so they are only sent where the rule is known to allow
+	 * them. Where it cannot be read the upload goes without, checked by its
+	 * ETag alone.
 	 *
-	 * One object at a time, deliberately. A batch of these is a batch of
-	 * non-atomic copy-and-delete pairs, and a failure halfway leaves the admin
-	 * working out which of them moved.
+	 * @param string $bucket Bucket name.
+	 *
+	 * @return bool
+	 */
+	private function allows_checksum_headers( string $bucket ): bool {
+		$result = $this->client->cors_allows_upload( $bucket, Origin::current() );
+
+		return $result->is_successful() && ! empty( $result->get_data()['allows_checksums'] );
+	}
+
+	/**
+	 * Start a multipart upload
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_move_object( WP_REST_Request $request ) {
-		$bucket        = (string) $request['bucket'];
-		$current_key   = (string) $request['key'];
-		$target_prefix = (string) $request['target_prefix'];
-
-		$new_key = Directory::build_move_key( $current_key, $target_prefix );
-
-		if ( $new_key === $current_key ) {
-			return $this->rest_fail(
-				'rest_move_noop',
-				__( 'The file is already in that folder', 'arraypress' )
-			);
-		}
-
-		$exists = $this->client->object_exists( $bucket, $new_key );
-
-		if ( $exists->is_successful() && ( $exists->get_data()['exists'] ?? false ) ) {
-			return $this->rest_fail(
-				'rest_move_conflict',
-				sprintf(
-					/* translators: %s: name of the destination folder */
-					__( 'A file with this name already exists in "%s"', 'arraypress' ),
-					$target_prefix ?: __( 'the bucket root', 'arraypress' )
-				),
-				409
-			);
-		}
+	public function rest_create_multipart_upload( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
 
-		$result = $this->client->rename_object( $bucket, $current_key, $new_key );
+		$result = $this->client->create_multipart_upload( $bucket, $key, (string) $request['content_type'] );
 
 		if ( ! $result->is_successful() ) {
 			return $this->rest_relay( $result );
 		}
 
-		$this->client->cache()->flush_bucket( $bucket );
-
-		/** This action is documented in rest_rename_object(). */
-		do_action( 'arraypress_s3_object_renamed', $bucket, $current_key, $new_key );
-
 		return $this->rest_ok( [
-			'message' => sprintf(
-				/* translators: %s: name of the destination folder */
-				__( 'File moved to "%s"', 'arraypress' ),
-				$target_prefix ?: __( 'the bucket root', 'arraypress' )
-			),
-			'bucket'  => $bucket,
-			'old_key' => $current_key,
-			'new_key' => $new_key,
-		] );
+			'upload_id' => $result->get_data()['upload_id'],
+			'bucket'    => $bucket,
+			'key'       => $key,
+		], 201 );
 	}
 
 	/**
-	 * Report what else points at an object
+	 * Sign upload URLs for a batch of parts
 	 *
-	 * A key stored elsewhere -- a product's download file, a post meta value --
-	 * does not follow the object when it is renamed or moved. Nothing in this
-	 * library knows what those places are, so it asks: a consumer answers the
-	 * filter with whatever it holds, and the browser warns before renaming.
+	 * Signed a batch at a time rather than all up front: a part URL lives an
+	 * hour, and the last parts of a slow 4 GB upload would otherwise be
+	 * attempted with URLs that expired while the first ones were going up.
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_object_references( WP_REST_Request $request ) {
-		$bucket = (string) $request['bucket'];
-		$key    = (string) $request['key'];
-
-		/**
-		 * Filter the things referring to an object.
-		 *
-		 * @param array  $references List of [ 'label' => string, 'edit_url' => string ].
-		 * @param string $bucket     Bucket name.
-		 * @param string $key        Object key.
-		 */
-		$references = (array) apply_filters( 'arraypress_s3_object_references', [], $bucket, $key );
-
-		$clean = [];
+	public function rest_sign_multipart_parts( WP_REST_Request $request ) {
+		$bucket    = (string) $request['bucket'];
+		$key       = (string) $request['key'];
+		$upload_id = (string) $request['upload_id'];
+		$urls      = [];
 
-		foreach ( $references as $reference ) {
-			$label = trim( (string) ( $reference['label'] ?? '' ) );
+		foreach ( array_unique( array_map( 'intval', (array) $request['part_numbers'] ) ) as $part_number ) {
+			$result = $this->client->get_presigned_part_url( $bucket, $key, $upload_id, $part_number );
 
-			if ( '' === $label ) {
-				continue;
+			if ( ! $result->is_successful() ) {
+				return $this->rest_relay( $result );
 			}
 
-			$clean[] = [
-				'label'    => $label,
-				'edit_url' => esc_url_raw( (string) ( $reference['edit_url'] ?? '' ) ),
-			];
+			$urls[ $part_number ] = $result->get_url();
 		}
 
 		return $this->rest_ok( [
-			'bucket'     => $bucket,
-			'key'        => $key,
-			'references' => $clean,
-			'count'      => count( $clean ),
+			'urls'             => $urls,
+			'expires'          => Timestamp::in_minutes( 60 ),
+			'checksum_headers' => $this->allows_checksum_headers( $bucket ),
 		] );
 	}
 
 	/**
-	 * Mint a presigned download URL
+	 * Assemble the uploaded parts into the object
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_get_download_url( WP_REST_Request $request ) {
-		$bucket  = (string) $request['bucket'];
-		$key     = (string) $request['key'];
-		$minutes = Sanitize::minutes( (int) $request['expires_minutes'] );
-
-		$exists = $this->client->object_exists( $bucket, $key );
-		if ( ! $exists->is_successful() ) {
-			return $this->rest_fail( 'rest_object_check_failed', __( 'Error checking if file exists', 'arraypress' ), 502 );
-		}
+	public function rest_complete_multipart_upload( WP_REST_Request $request ) {
+		$bucket = (string) $request['bucket'];
+		$key    = (string) $request['key'];
+		$parts  = [];
 
-		if ( ! ( $exists->get_data()['exists'] ?? false ) ) {
-			return $this->rest_fail( 'rest_object_not_found', __( 'File does not exist', 'arraypress' ), 404 );
+		foreach ( (array) $request['parts'] as $part ) {
+			$parts[ (int) $part['part_number'] ] = sanitize_text_field( (string) $part['etag'] );
 		}
 
-		$result = $this->client->get_presigned_url( $bucket, $key, $minutes );
+		$result = $this->client->complete_multipart_upload( $bucket, $key, (string) $request['upload_id'], $parts );
 
 		if ( ! $result->is_successful() ) {
 			return $this->rest_relay( $result );
 		}
 
+		$this->client->cache()->flush_bucket( $bucket );
+
 		return $this->rest_ok( [
-			'url'        => $result->get_url(),
-			'expires_at' => Timestamp::in_minutes( $minutes ),
-			'expires_in' => $minutes,
-			'bucket'     => $bucket,
-			'key'        => $key,
-			'message'    => sprintf(
-				/* translators: %1$d: count */
-				__( 'Link generated successfully (expires in %d minutes)', 'arraypress' ),
-				$minutes
+			'bucket'  => $bucket,
+			'key'     => $key,
+			'etag'    => $result->get_data()['etag'] ?? '',
+			'message' => sprintf(
+				/* translators: %s: file name */
+				__( 'File "%s" uploaded successfully', 'arraypress' ),
+				basename( $key )
 			),
 		] );
 	}
 
 	/**
-	 * Mint a presigned upload URL
+	 * Abandon a multipart upload and free its parts
 	 *
 	 * @param WP_REST_Request $request Request.
 	 *
 	 * @return WP_REST_Response|WP_Error
 	 */
-	public function rest_get_upload_url( WP_REST_Request $request ) {
-		$bucket = (string) $request['bucket'];
-		$key    = (string) $request['key'];
-
-		$result = $this->client->get_presigned_upload_url( $bucket, $key );
+	public function rest_abort_multipart_upload( WP_REST_Request $request ) {
+		$result = $this->client->abort_multipart_upload(
+			(string) $request['bucket'],
+			(string) $request['key'],
+			(string) $request['upload_id']
+		);
 
 		if ( ! $result->is_successful() ) {
 			return $this->rest_relay( $result );
 		}
 
-		$this->client->cache()->flush_bucket( $bucket );
-
 		return $this->rest_ok( [
-			'url'     => $result->get_url(),
-			'expires' => Timestamp::in_minutes( 15 ),
+			'aborted' => true,
 		] );
 	}
 
@@ -1066,6 +3743,7 @@ class Controller {
 		}
 
 		$folders = [];
+		$files   = [];
 
 		foreach ( $result->get_data()['prefixes'] ?? [] as $folder ) {
 			$folders[] = [
@@ -1074,10 +3752,26 @@ class Controller {
 			];
 		}
 
+		// Asked for by a picker choosing a file rather than a folder. The
+		// folder's own placeholder object is not a file to choose.
+		if ( $request['files'] ) {
+			foreach ( $result->get_data()['objects'] ?? [] as $object ) {
+				if ( str_ends_with( $object->get_key(), '/' ) ) {
+					continue;
+				}
+
+				$files[] = [
+					'name' => $object->get_filename(),
+					'key'  => $object->get_key(),
+				];
+			}
+		}
+
 		return $this->rest_ok( [
 			'bucket'  => $bucket,
 			'prefix'  => $prefix,
 			'folders' => $folders,
+			'files'   => $files,
 		] );
 	}
 
@@ -1113,6 +3807,7 @@ class Controller {
 			'folder_key' => $folder_key,
 			'bucket'     => $bucket,
 			'prefix'     => $prefix,
+			'row'        => $this->render_row( $bucket, $folder_key ),
 		], 201 );
 	}
 
@@ -1155,6 +3850,229 @@ class Controller {
 		] );
 	}
 
+	/**
+	 * Count what a folder holds, and what refers to any of it
+	 *
+	 * Asked before a folder is renamed or moved, so the admin sees how much
+	 * is about to be copied and which products will have their links
+	 * changed. Three pages a call, like a search: the browser carries on
+	 * with the continuation token until it comes back empty.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_folder_contents( WP_REST_Request $request ) {
+		$bucket      = (string) $request['bucket'];
+		$folder_path = Directory::normalize( (string) $request['folder_path'] );
+		$token       = (string) $request['continuation_token'];
+		$count       = 0;
+		$referenced  = [];
+
+		for ( $page = 0; $page < 3; $page ++ ) {
+			$result = $this->client->get_objects( $bucket, 1000, $folder_path, '', $token, false );
+
+			if ( ! $result->is_successful() || ! $result instanceof ObjectsResponse ) {
+				return $this->rest_relay( $result );
+			}
+
+			foreach ( $result->get_objects() as $object ) {
+				$key        = (string) ( $object['Key'] ?? '' );
+				$references = $this->object_references( $bucket, $key );
+
+				$count++;
+
+				if ( $references ) {
+					$referenced[] = [
+						'key'        => $key,
+						'references' => $references,
+					];
+				}
+			}
+
+			$token = $result->is_truncated() ? $result->get_continuation_token() : '';
+
+			if ( '' === $token ) {
+				break;
+			}
+		}
+
+		return $this->rest_ok( [
+			'bucket'             => $bucket,
+			'folder_path'        => $folder_path,
+			'count'              => $count,
+			'referenced'         => $referenced,
+			'continuation_token' => $token,
+		] );
+	}
+
+	/**
+	 * Rename or move a folder, as a job run a batch at a time
+	 *
+	 * Renaming and moving are the same thing here: every key under the folder
+	 * gets a new prefix. The destination must not hold anything yet -- a
+	 * merge would replace files without anyone having been asked -- and must
+	 * not lie inside the folder, which would move the folder into itself
+	 * forever.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_move_folder( WP_REST_Request $request ) {
+		$bucket      = (string) $request['bucket'];
+		$folder_path = Directory::normalize( (string) $request['folder_path'] );
+		$target_path = Directory::normalize( (string) $request['target_path'] );
+
+		if ( Directory::depth( $folder_path ) < 1 || Directory::depth( $target_path ) < 1 ) {
+			return $this->rest_fail(
+				'rest_refuse_bucket_root',
+				__( 'The bucket root cannot be renamed or moved. Specify a folder.', 'arraypress' )
+			);
+		}
+
+		$validation = Validate::folder_name( Directory::name( $target_path ) );
+		if ( ! $validation['valid'] ) {
+			return $this->rest_fail( 'rest_invalid_folder_name', $validation['message'] );
+		}
+
+		if ( $target_path === $folder_path ) {
+			return $this->rest_fail(
+				'rest_move_folder_noop',
+				__( 'The folder is already there', 'arraypress' )
+			);
+		}
+
+		if ( Directory::contains( $folder_path, $target_path ) ) {
+			return $this->rest_fail(
+				'rest_move_folder_into_itself',
+				__( 'A folder cannot be moved into itself', 'arraypress' )
+			);
+		}
+
+		$existing = $this->client->get_objects( $bucket, 1, $target_path, '', '', false );
+
+		if ( ! $existing->is_successful() || ! $existing instanceof ObjectsResponse ) {
+			return $this->rest_relay( $existing );
+		}
+
+		if ( $existing->get_count() > 0 ) {
+			return $this->rest_fail(
+				'rest_move_folder_conflict',
+				sprintf(
+					/* translators: %s: destination folder path */
+					__( 'Something is already stored under "%s"', 'arraypress' ),
+					$target_path
+				),
+				409
+			);
+		}
+
+		$job = $this->folder_jobs->start( $bucket, $folder_path, $target_path );
+
+		return $this->rest_ok( $this->folder_job_data( $job ), 202 );
+	}
+
+	/**
+	 * Move the next batch of a folder job and report where it has got to
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_folder_job( WP_REST_Request $request ) {
+		$job = $this->own_folder_job( $request );
+
+		if ( null === $job ) {
+			return $this->folder_job_not_found();
+		}
+
+		return $this->rest_ok( $this->folder_job_data( $this->folder_jobs->advance( $job['id'] ) ?? $job ) );
+	}
+
+	/**
+	 * Stop a folder job, keeping what it has moved so far
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_cancel_folder_job( WP_REST_Request $request ) {
+		$job = $this->own_folder_job( $request );
+
+		if ( null === $job ) {
+			return $this->folder_job_not_found();
+		}
+
+		return $this->rest_ok( $this->folder_job_data( $this->folder_jobs->cancel( $job['id'] ) ?? $job ) );
+	}
+
+	/**
+	 * The job a request names, if it is the current user's, in this bucket
+	 *
+	 * Job IDs are not secrets to be guessed at, but one admin has no
+	 * business stopping another's move, nor a bucket route reporting on
+	 * another bucket.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 *
+	 * @return array|null
+	 */
+	private function own_folder_job( WP_REST_Request $request ): ?array {
+		$job = $this->folder_jobs->get( (string) $request['job'] );
+
+		if ( null === $job || $job['bucket'] !== (string) $request['bucket'] || (int) $job['user_id'] !== get_current_user_id() ) {
+			return null;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * The error for a folder job that is not there to report on
+	 *
+	 * @return WP_Error
+	 */
+	private function folder_job_not_found(): WP_Error {
+		return $this->rest_fail(
+			'rest_folder_job_not_found',
+			__( 'That folder move has finished and been cleared away, or never started', 'arraypress' ),
+			404
+		);
+	}
+
+	/**
+	 * What the browser is told about a folder job
+	 *
+	 * @param array $job The job.
+	 *
+	 * @return array
+	 */
+	private function folder_job_data( array $job ): array {
+		$messages = [
+			'running'   => __( 'Moving files...', 'arraypress' ),
+			'done'      => sprintf(
+				/* translators: %s: destination folder path */
+				__( 'Folder moved to "%s"', 'arraypress' ),
+				$job['target']
+			),
+			'cancelled' => __( 'Stopped. The files already moved stay in the new folder.', 'arraypress' ),
+			'failed'    => $job['error'] ?? __( 'The folder move failed', 'arraypress' ),
+		];
+
+		return [
+			'job'         => $job['id'],
+			'bucket'      => $job['bucket'],
+			'folder_path' => $job['source'],
+			'target_path' => $job['target'],
+			'status'      => $job['status'],
+			'message'     => $messages[ $job['status'] ] ?? '',
+			'moved'       => (int) $job['moved'],
+			'failed'      => (int) $job['failed'],
+			'failures'    => $job['failures'],
+		];
+	}
+
 	/**
 	 * Configure CORS for browser uploads
 	 *
@@ -0,0 +1,592 @@
+<?php
+/**
+ * Shared Links
+ *
+ * A record of the download links handed out from the browser: which file,
+ * until when, who made the link and why. A presigned URL is gone from the
+ * browser as soon as its modal closes, and once pasted somewhere nothing on
+ * the site knows it exists.
+ *
+ * A presigned URL cannot be taken back -- short of rotating the key that
+ * signed it, which breaks every other link -- so a link meant to be
+ * revocable is not one. It is a link to this site, which looks the record up
+ * on each visit and only then sends the visitor on to a URL signed there and
+ * then. Revoking marks the record, and the next visit is refused.
+ *
+ * Each visit to a link to this site is logged -- who, from where, and when --
+ * which is also what the download counts in the details dialog are read from.
+ *
+ * The links are kept in one option, capped at LIMIT as each is recorded, so
+ * listing them is one read of a row that cannot grow without end. A
+ * request changes it only while holding its lock, so recording one link and
+ * revoking another in the same moment cannot write over either. The
+ * download log is kept the same way: a count per link, and the latest
+ * LOG_LIMIT downloads, so a link followed without end rewrites one row of a
+ * fixed size rather than adding rows. Links and downloads past keeping are
+ * dropped by a daily cron run.
+ *
+ * @package     ArrayPress\S3
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3;
+
+use Closure;
+
+/**
+ * Class SharedLinks
+ */
+class SharedLinks {
+
+	/**
+	 * How long a link is kept on record after it expires or is revoked.
+	 */
+	private const RETENTION = 90 * DAY_IN_SECONDS;
+
+	/**
+	 * Links kept at most. Past this, those that can no longer be followed go
+	 * first, oldest first; a link to this site still open to visitors stays.
+	 */
+	private const LIMIT = 2000;
+
+	/**
+	 * How long, in seconds, a request may hold the links or the log before
+	 * another may take them over.
+	 */
+	private const LOCK = 10;
+
+	/**
+	 * Downloads kept in the log at most. Past this the oldest are dropped as
+	 * each is logged; the counts per link go on.
+	 */
+	private const LOG_LIMIT = 1000;
+
+	/**
+	 * What a link can be filtered to.
+	 */
+	public const STATUSES = [ 'active', 'expired', 'revoked', 'all' ];
+
+	/**
+	 * Build the registry for one browser instance.
+	 *
+	 * @param string  $suffix          Suffix distinguishing this instance from another.
+	 * @param Closure $allowed_buckets Resolver for the bucket allow-list.
+	 */
+	public function __construct(
+		private string $suffix,
+		// Links into a bucket this browser may no longer address are kept on
+		// record, but not listed, and not followed.
+		private Closure $allowed_buckets
+	) {
+	}
+
+	/**
+	 * The cron hook links and downloads past keeping are dropped on
+	 *
+	 * @return string
+	 */
+	public function hook(): string {
+		return 's3_browser_shared_links_clean_up_' . sanitize_key( $this->suffix );
+	}
+
+	/**
+	 * Record a link just made
+	 *
+	 * A link the user made to download the file themselves, rather than to
+	 * hand out, is recorded with shared false: its downloads are logged, but
+	 * it is not listed.
+	 *
+	 * @param array $link bucket, key and expires_at, with version_id, overrides,
+	 *                    note, proxy and shared where they apply.
+	 *
+	 * @return array The link as recorded, with its id.
+	 */
+	public function record( array $link ): array {
+		$link = [
+			'id'         => str_replace( '-', '', wp_generate_uuid4() ),
+			'bucket'     => (string) ( $link['bucket'] ?? '' ),
+			'key'        => (string) ( $link['key'] ?? '' ),
+			'version_id' => (string) ( $link['version_id'] ?? '' ),
+			'overrides'  => (array) ( $link['overrides'] ?? [] ),
+			'note'       => (string) ( $link['note'] ?? '' ),
+			'proxy'      => (bool) ( $link['proxy'] ?? false ),
+			'shared'     => (bool) ( $link['shared'] ?? true ),
+			'user_id'    => get_current_user_id(),
+			'created'    => time(),
+			'expires_at' => (int) ( $link['expires_at'] ?? 0 ),
+			'revoked_at' => 0,
+			'revoked_by' => 0,
+		];
+
+		$this->change( $this->option(), function ( array $links ) use ( $link ): array {
+			$links[ $link['id'] ] = $link;
+
+			return $this->trim( $links, time() );
+		} );
+
+		$this->schedule_clean_up();
+
+		return $link;
+	}
+
+	/**
+	 * A link, as recorded
+	 *
+	 * @param string $id Link ID.
+	 *
+	 * @return array|null The link, or null when there is no such link or it is
+	 *                    in a bucket this browser may not address.
+	 */
+	public function get( string $id ): ?array {
+		$link = self::is_id( $id ) ? ( $this->stored()[ $id ] ?? null ) : null;
+
+		return null !== $link && $this->allows( $link ) ? $link : null;
+	}
+
+	/**
+	 * The links recorded, newest first
+	 *
+	 * @param array $filters status (one of STATUSES), search (matched against
+	 *                       the bucket, key and note) and user_id.
+	 *
+	 * @return array[]
+	 */
+	public function query( array $filters = [] ): array {
+		$status  = (string) ( $filters['status'] ?? 'active' );
+		$search  = strtolower( trim( (string) ( $filters['search'] ?? '' ) ) );
+		$user_id = (int) ( $filters['user_id'] ?? 0 );
+		$now     = time();
+
+		$links = array_filter( $this->stored(), function ( array $link ) use ( $status, $search, $user_id, $now ): bool {
+			if ( ! $this->allows( $link ) || ! ( $link['shared'] ?? true ) ) {
+				return false;
+			}
+
+			if ( 'all' !== $status && self::status( $link, $now ) !== $status ) {
+				return false;
+			}
+
+			if ( $user_id && (int) $link['user_id'] !== $user_id ) {
+				return false;
+			}
+
+			return '' === $search || str_contains( strtolower( $link['bucket'] . '/' . $link['key'] . ' ' . $link['note'] ), $search );
+		} );
+
+		// Stored in the order they were made.
+		return array_values( array_reverse( $links ) );
+	}
+
+	/**
+	 * Revoke a link, so it is refused from now on
+	 *
+	 * Only a link to this site can be: one straight to the provider is out
+	 * of reach once made, and says so by coming back unchanged.
+	 *
+	 * @param string $id Link ID.
+	 *
+	 * @return array|null The link afterwards, or null when there is no such link.
+	 */
+	public function revoke( string $id ): ?array {
+		$link = $this->get( $id );
+
+		if ( null === $link || ! $link['proxy'] || $link['revoked_at'] ) {
+			return $link;
+		}
+
+		$link['revoked_at'] = time();
+		$link['revoked_by'] = get_current_user_id();
+
+		$this->change( $this->option(), static function ( array $links ) use ( $link ): array {
+			// Dropped by a clean-up since it was read: nothing left to revoke.
+			if ( isset( $links[ $link['id'] ] ) ) {
+				$links[ $link['id'] ] = $link;
+			}
+
+			return $links;
+		} );
+
+		return $link;
+	}
+
+	/**
+	 * Cron callback: drop the links and downloads past keeping
+	 *
+	 * Links that expired or were revoked longer ago than the retention go,
+	 * with their download counts, and so do downloads older than it. LIMIT
+	 * and LOG_LIMIT are kept to as each link is recorded and each download
+	 * logged.
+	 *
+	 * @return void
+	 */
+	public function clean_up(): void {
+		$cutoff = time() - $this->retention();
+		$links  = $this->change( $this->option(), static function ( array $links ) use ( $cutoff ): array {
+			return array_filter( $links, static function ( array $link ) use ( $cutoff ): bool {
+				return max( (int) $link['expires_at'], (int) $link['revoked_at'] ) >= $cutoff;
+			} );
+		} );
+
+		$log = $this->change( $this->log_option(), static function ( array $log ) use ( $cutoff, $links ): array {
+			$log = self::log_shape( $log );
+
+			$log['counts']  = array_intersect_key( $log['counts'], $links );
+			$log['entries'] = array_values( array_filter( $log['entries'], static function ( array $entry ) use ( $cutoff ): bool {
+				return (int) $entry['time'] >= $cutoff;
+			} ) );
+
+			return $log;
+		} );
+
+		if ( $links || $log['entries'] ) {
+			$this->schedule_clean_up();
+		}
+	}
+
+	/**
+	 * Log a download through a link to this site
+	 *
+	 * @param array  $link The link followed.
+	 * @param string $ip   Address the visit came from; empty when unknown.
+	 *
+	 * @return void
+	 */
+	public function log_download( array $link, string $ip ): void {
+		$entry = [
+			'link'    => $link['id'],
+			'bucket'  => $link['bucket'],
+			'key'     => $link['key'],
+			'user_id' => get_current_user_id(),
+			'ip'      => $ip,
+			'time'    => time(),
+		];
+
+		$this->change( $this->log_option(), static function ( array $log ) use ( $entry ): array {
+			$log = self::log_shape( $log );
+
+			$log['counts'][ $entry['link'] ] = ( $log['counts'][ $entry['link'] ] ?? 0 ) + 1;
+			$log['entries'][]                = $entry;
+			$log['entries']                  = array_slice( $log['entries'], -self::LOG_LIMIT );
+
+			return $log;
+		} );
+
+		$this->schedule_clean_up();
+	}
+
+	/**
+	 * The latest downloads logged, newest first
+	 *
+	 * @param array $filters link (a link ID), or bucket and key (a file).
+	 *
+	 * @return array[] Each with link, bucket, key, user_id, ip and time.
+	 */
+	public function downloads( array $filters = [] ): array {
+		$link   = (string) ( $filters['link'] ?? '' );
+		$bucket = (string) ( $filters['bucket'] ?? '' );
+		$key    = (string) ( $filters['key'] ?? '' );
+
+		$log = array_filter( $this->logged()['entries'], static function ( array $entry ) use ( $link, $bucket, $key ): bool {
+			if ( '' !== $link && $entry['link'] !== $link ) {
+				return false;
+			}
+
+			return '' === $bucket || ( $entry['bucket'] === $bucket && $entry['key'] === $key );
+		} );
+
+		return array_values( array_reverse( $log ) );
+	}
+
+	/**
+	 * How many times each link has been downloaded through
+	 *
+	 * @return array<string, int> Keyed by link ID; links never followed are absent.
+	 */
+	public function download_counts(): array {
+		return $this->logged()['counts'];
+	}
+
+	/**
+	 * How many times a link, or a file, has been downloaded through
+	 *
+	 * Counted per link rather than from the log, which keeps only the latest.
+	 *
+	 * @param array $filters link (a link ID), or bucket and key (a file).
+	 *
+	 * @return int
+	 */
+	public function download_count( array $filters ): int {
+		$counts = $this->download_counts();
+
+		if ( isset( $filters['link'] ) ) {
+			return $counts[ (string) $filters['link'] ] ?? 0;
+		}
+
+		$bucket = (string) ( $filters['bucket'] ?? '' );
+		$key    = (string) ( $filters['key'] ?? '' );
+		$total  = 0;
+
+		foreach ( $this->stored() as $id => $link ) {
+			if ( $link['bucket'] === $bucket && $link['key'] === $key ) {
+				$total += $counts[ $id ] ?? 0;
+			}
+		}
+
+		return $total;
+	}
+
+	/**
+	 * Where a link stands
+	 *
+	 * @param array    $link The link.
+	 * @param int|null $now  Time to judge it at; now when null.
+	 *
+	 * @return string active, expired or revoked.
+	 */
+	public static function status( array $link, ?int $now = null ): string {
+		if ( ! empty( $link['revoked_at'] ) ) {
+			return 'revoked';
+		}
+
+		return (int) $link['expires_at'] > ( $now ?? time() ) ? 'active' : 'expired';
+	}
+
+	/**
+	 * The token a link to this site carries
+	 *
+	 * Derived from the link's ID and the site's salt rather than stored, so
+	 * the record holds nothing that would let someone reading it follow the
+	 * link.
+	 *
+	 * @param string $id Link ID.
+	 *
+	 * @return string
+	 */
+	public function token( string $id ): string {
+		// Half the HMAC is ample against guessing, and keeps the link short.
+		return substr( hash_hmac( 'sha256', 'shared-link|' . $this->suffix . '|' . $id, wp_salt( 'auth' ) ), 0, 32 );
+	}
+
+	/**
+	 * Whether a token is the one a link carries
+	 *
+	 * @param string $id    Link ID.
+	 * @param string $token Token from the visit.
+	 *
+	 * @return bool
+	 */
+	public function verify( string $id, string $token ): bool {
+		return '' !== $token && hash_equals( $this->token( $id ), $token );
+	}
+
+	/**
+	 * Whether a link's bucket is one this browser may address
+	 *
+	 * @param array $link The link.
+	 *
+	 * @return bool
+	 */
+	private function allows( array $link ): bool {
+		$allowed = ( $this->allowed_buckets )();
+
+		return empty( $allowed ) || in_array( $link['bucket'], $allowed, true );
+	}
+
+	/**
+	 * Whether a string is in the form a link ID takes
+	 *
+	 * @param string $id Possible link ID.
+	 *
+	 * @return bool
+	 */
+	private static function is_id( string $id ): bool {
+		return 1 === preg_match( '/^[a-f0-9]{32}$/', $id );
+	}
+
+	/**
+	 * The option the links are kept in
+	 *
+	 * Kept out of autoload, as the download log is: it can hold thousands,
+	 * and only the browser reads it. Per instance, as for the favorites: two
+	 * browsers can hold different credentials, and a link means nothing to
+	 * the other.
+	 *
+	 * @return string
+	 */
+	private function option(): string {
+		return 's3_browser_shared_links_' . substr( sanitize_key( $this->suffix ), 0, 40 );
+	}
+
+	/**
+	 * The option the download log is kept in
+	 *
+	 * @return string
+	 */
+	private function log_option(): string {
+		return 's3_browser_shared_link_log_' . substr( sanitize_key( $this->suffix ), 0, 40 );
+	}
+
+	/**
+	 * The links as stored, keyed by ID, in the order they were made
+	 *
+	 * @return array<string, array>
+	 */
+	private function stored(): array {
+		return (array) get_option( $this->option(), [] );
+	}
+
+	/**
+	 * Drop links past LIMIT
+	 *
+	 * Links that can no longer be followed go first, then links straight to
+	 * the provider -- their record only -- oldest first in each case. A link
+	 * to this site still open to visitors is never dropped: a visit to it
+	 * would be turned away as unknown.
+	 *
+	 * @param array<string, array> $links The links, in the order they were made.
+	 * @param int                  $now   Time to judge them at.
+	 *
+	 * @return array<string, array>
+	 */
+	private function trim( array $links, int $now ): array {
+		$excess = count( $links ) - self::LIMIT;
+
+		if ( $excess <= 0 ) {
+			return $links;
+		}
+
+		$ended  = [];
+		$direct = [];
+
+		foreach ( $links as $id => $link ) {
+			if ( 'active' !== self::status( $link, $now ) ) {
+				$ended[] = $id;
+			} elseif ( ! $link['proxy'] ) {
+				$direct[] = $id;
+			}
+		}
+
+		return array_diff_key( $links, array_flip( array_slice( array_merge( $ended, $direct ), 0, $excess ) ) );
+	}
+
+	/**
+	 * Change an option while holding its lock
+	 *
+	 * The option is read afresh once the lock is held, so a change another
+	 * request saved in the meantime is built on rather than written over.
+	 *
+	 * @param string   $option Option name.
+	 * @param callable $edit   Given the value, returns it changed.
+	 *
+	 * @return array The value as saved.
+	 */
+	private function change( string $option, callable $edit ): array {
+		$this->lock( $option );
+
+		// What this request read before may be stale by now.
+		wp_cache_delete( $option, 'options' );
+
+		$value = $edit( (array) get_option( $option, [] ) );
+
+		update_option( $option, $value, false );
+		$this->unlock( $option );
+
+		return $value;
+	}
+
+	/**
+	 * Wait for an option's lock, and take it
+	 *
+	 * add_option() is the claim, as for a folder job: the options table's
+	 * unique name lets only one request insert the row. The change it guards
+	 * is one read and one write, so the wait is short; a lock left by a
+	 * request that died is taken over once it is older than LOCK.
+	 *
+	 * @param string $option Option name.
+	 *
+	 * @return void
+	 */
+	private function lock( string $option ): void {
+		$key = $option . '_lock';
+
+		while ( true ) {
+			// Another request's lock, once seen, is cached; each try reads afresh.
+			wp_cache_delete( $key, 'options' );
+
+			if ( add_option( $key, time(), '', false ) ) {
+				return;
+			}
+
+			if ( (int) get_option( $key, 0 ) < time() - self::LOCK ) {
+				delete_option( $key );
+			} else {
+				usleep( 50000 );
+			}
+		}
+	}
+
+	/**
+	 * Release an option's lock
+	 *
+	 * @param string $option Option name.
+	 *
+	 * @return void
+	 */
+	private function unlock( string $option ): void {
+		delete_option( $option . '_lock' );
+	}
+
+	/**
+	 * The download log as stored
+	 *
+	 * @return array counts, keyed by link ID, and entries, oldest first.
+	 */
+	private function logged(): array {
+		return self::log_shape( (array) get_option( $this->log_option(), [] ) );
+	}
+
+	/**
+	 * Fill in what a log not yet written lacks
+	 *
+	 * @param array $log The log as read.
+	 *
+	 * @return array
+	 */
+	private static function log_shape( array $log ): array {
+		return $log + [
+			'counts'  => [],
+			'entries' => [],
+		];
+	}
+
+	/**
+	 * How long a link, or a download, stays on record
+	 *
+	 * @return int Seconds.
+	 */
+	private function retention(): int {
+		/**
+		 * Filter how long a link stays on record after it expires or is
+		 * revoked, and a download after it is made.
+		 *
+		 * @param int    $retention Seconds.
+		 * @param string $suffix    Browser instance suffix.
+		 */
+		return max( 0, (int) apply_filters( 's3_browser_shared_link_retention', self::RETENTION, $this->suffix ) );
+	}
+
+	/**
+	 * Have cron drop the links past keeping, a day from now
+	 *
+	 * @return void
+	 */
+	private function schedule_clean_up(): void {
+		if ( ! wp_next_scheduled( $this->hook() ) ) {
+			wp_schedule_single_event( time() + DAY_IN_SECONDS, $this->hook() );
+		}
+	}
+}
@@ -13,6 +13,9 @@ declare( strict_types=1 );
 
 namespace ArrayPress\S3\Tables;
 
+use ArrayPress\S3\Admin\Favorites;
+use ArrayPress\S3\Client;
+use WP_Error;
 use WP_List_Table;
 
 /**
@@ -37,6 +40,20 @@ class Buckets extends WP_List_Table {
 	 */
 	private $provider_id;
 
+	/**
+	 * The current user's starred buckets, when the browser keeps them
+	 *
+	 * @var Favorites|null
+	 */
+	private ?Favorites $favorites;
+
+	/**
+	 * Why the buckets could not be listed, when they could not
+	 *
+	 * @var string
+	 */
+	private string $error = '';
+
 	/**
 	 * Constructor
 	 *
@@ -51,6 +68,7 @@ class Buckets extends WP_List_Table {
 
 		$this->client      = $args['client'];
 		$this->provider_id = $args['provider_id'];
+		$this->favorites   = $args['favorites'] ?? null;
 	}
 
 	/**
@@ -75,7 +93,8 @@ class Buckets extends WP_List_Table {
 		$result = $this->client->get_bucket_models( 1000, '', $marker, true );
 
 		if ( ! $result->is_successful() ) {
-			echo '<div class="notice notice-error"><p>' . esc_html( $result->get_error_message() ) . '</p></div>';
+			$this->error = $result->get_error_message();
+			echo '<div class="notice notice-error"><p>' . esc_html( $this->error ) . '</p></div>';
 			$this->items = [];
 
 			return;
@@ -85,14 +104,24 @@ class Buckets extends WP_List_Table {
 		$buckets = $data['buckets'];
 		$items   = [];
 
+		$favorites = $this->favorites ? $this->favorites->get() : [];
+
 		foreach ( $buckets as $bucket ) {
 			$items[] = [
-				'name'    => $bucket->get_name(),
-				'created' => $bucket->get_creation_date( true, 'M j, Y g:i A' ),
-				'raw'     => $bucket,
+				'name'     => $bucket->get_name(),
+				'created'  => $bucket->get_creation_date( true, 'M j, Y g:i A' ),
+				'favorite' => in_array( $bucket->get_name(), $favorites, true ),
+				'raw'      => $bucket,
 			];
 		}
 
+		// Favorites first, in the order they were starred; the rest as listed.
+		if ( $this->favorites ) {
+			$order = array_flip( $this->favorites->sort( array_column( $items, 'name' ) ) );
+
+			usort( $items, static fn( array $a, array $b ): int => $order[ $a['name'] ] <=> $order[ $b['name'] ] );
+		}
+
 		$this->items = $items;
 
 		// Store pagination info
@@ -128,9 +157,34 @@ class Buckets extends WP_List_Table {
 			esc_html( $bucket )
 		);
 
+		if ( $this->favorites ) {
+			$primary_content = $this->favorite_star( $item ) . ' ' . $primary_content;
+		}
+
 		return $primary_content . $this->row_actions( $actions );
 	}
 
+	/**
+	 * The star that toggles a bucket's place among the favorites
+	 *
+	 * @param array $item Item data
+	 *
+	 * @return string
+	 */
+	private function favorite_star( array $item ): string {
+		$favorite = ! empty( $item['favorite'] );
+
+		return sprintf(
+			'<button type="button" class="s3-favorite-star%s" data-bucket="%s" aria-pressed="%s" title="%s"><span class="dashicons %s" aria-hidden="true"></span><span class="screen-reader-text">%s</span></button>',
+			$favorite ? ' is-favorite' : '',
+			esc_attr( $item['name'] ),
+			$favorite ? 'true' : 'false',
+			esc_attr__( 'Favorite: listed first, and opened when the browser starts', 'arraypress' ),
+			$favorite ? 'dashicons-star-filled' : 'dashicons-star-empty',
+			esc_html__( 'Favorite', 'arraypress' )
+		);
+	}
+
 	/**
 	 * Column created - Display formatted creation date with relative time
 	 */
@@ -180,6 +234,16 @@ class Buckets extends WP_List_Table {
 			esc_html__( 'Details', 'arraypress' )
 		);
 
+		if ( $this->favorites ) {
+			$actions['favorite'] = sprintf(
+				'<a href="#" class="s3-favorite-bucket" data-bucket="%s">%s</a>',
+				esc_attr( $bucket ),
+				empty( $item['favorite'] )
+					? esc_html__( 'Add to Favorites', 'arraypress' )
+					: esc_html__( 'Remove from Favorites', 'arraypress' )
+			);
+		}
+
 		return $actions;
 	}
 
@@ -196,9 +260,13 @@ class Buckets extends WP_List_Table {
 					<div class="s3-actions-container">
 						<?php
 						// Use WordPress native button classes
+						// The page the rows are drawn again from once the cache is cleared.
+						$marker = isset( $_GET['marker'] ) ? sanitize_text_field( wp_unslash( $_GET['marker'] ) ) : '';
+
 						printf(
-							'<button type="button" class="button button-secondary s3-refresh-button" data-type="buckets" data-provider="%s">%s</button>',
+							'<button type="button" class="button button-secondary s3-refresh-button" data-type="buckets" data-provider="%s" data-marker="%s">%s</button>',
 							esc_attr( $this->provider_id ),
+							esc_attr( $marker ),
 							esc_html__( 'Refresh', 'arraypress' )
 						);
 						?>
@@ -207,16 +275,7 @@ class Buckets extends WP_List_Table {
 			<?php else : ?>
 				<!-- Bottom navigation with WordPress styling -->
 				<div class="tablenav-pages">
-				<span class="displaying-num">
-					<?php
-					$count = count( $this->items );
-					echo esc_html( sprintf(
-						/* translators: %s: number of buckets */
-						_n( '%s bucket', '%s buckets', $count, 'arraypress' ),
-						number_format_i18n( $count )
-					) );
-					?>
-				</span>
+				<span class="displaying-num"><?php echo esc_html( $this->count_label() ); ?></span>
 					<?php if ( isset( $this->_pagination_args['marker'] ) && ! empty( $this->_pagination_args['marker'] ) ) : ?>
 						<span class="pagination-links">
 						<?php
@@ -243,6 +302,61 @@ class Buckets extends WP_List_Table {
 		<?php
 	}
 
+	/**
+	 * How many buckets are listed, in words
+	 *
+	 * @return string
+	 */
+	private function count_label(): string {
+		$count = count( $this->items );
+
+		return sprintf(
+			/* translators: %s: number of buckets */
+			_n( '%s bucket', '%s buckets', $count, 'arraypress' ),
+			number_format_i18n( $count )
+		);
+	}
+
+	/**
+	 * Build the rows of one page of buckets
+	 *
+	 * For drawing the list again in place once the cache is cleared, as
+	 * Objects::get_page_data() does for a folder.
+	 *
+	 * @param Client         $client      S3 client.
+	 * @param string         $provider_id Provider identifier.
+	 * @param Favorites|null $favorites   The current user's favorites, when kept.
+	 * @param string         $marker      Bucket the page starts after.
+	 *
+	 * @return array|WP_Error Page payload, or WP_Error on failure.
+	 */
+	public static function get_page_data( Client $client, string $provider_id, ?Favorites $favorites, string $marker = '' ) {
+		$table = new self( [
+			'client'      => $client,
+			'provider_id' => $provider_id,
+			'favorites'   => $favorites,
+		] );
+
+		$_GET['marker'] = $marker;
+
+		ob_start();
+		$table->prepare_items();
+		ob_end_clean();
+
+		if ( '' !== $table->error ) {
+			return new WP_Error( 'rest_list_buckets_failed', $table->error, [ 'status' => 502 ] );
+		}
+
+		ob_start();
+		$table->display_rows_or_placeholder();
+
+		return [
+			'html'        => (string) ob_get_clean(),
+			'count'       => count( $table->items ),
+			'count_label' => $table->count_label(),
+		];
+	}
+
 	/**
 	 * No items found text
 	 */
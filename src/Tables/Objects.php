@@ -20,6 +20,10 @@ use Exception;
 use WP_Error;
 use WP_List_Table;
 use ArrayPress\S3\Client;
+use ArrayPress\S3\Models\S3Object;
+use ArrayPress\S3\Models\S3Prefix;
+use ArrayPress\S3\Responses\ObjectResponse;
+use ArrayPress\S3\Utils\Directory;
 
 /**
  * Class Objects
@@ -78,6 +82,13 @@ class Objects extends WP_List_Table {
 	 */
 	private int $per_page;
 
+	/**
+	 * The view the table opens in: list or grid
+	 *
+	 * @var string
+	 */
+	private string $view;
+
 	/**
 	 * Constructor
 	 *
@@ -89,6 +100,7 @@ class Objects extends WP_List_Table {
 	 * @type string $prefix      Optional. Object prefix/folder path. Default empty.
 	 * @type string $provider_id Provider identifier.
 	 * @type int    $per_page    Optional. Items per page. Default 1000.
+	 * @type string $view        Optional. 'list' or 'grid'. Default 'list'.
 	 *                           }
 	 */
 	public function __construct( array $args = [] ) {
@@ -104,6 +116,25 @@ class Objects extends WP_List_Table {
 		$this->prefix      = $args['prefix'] ?? '';
 		$this->provider_id = $args['provider_id'];
 		$this->per_page    = $args['per_page'] ?? 1000;
+		$this->view        = 'grid' === ( $args['view'] ?? '' ) ? 'grid' : 'list';
+	}
+
+	/**
+	 * Table classes, with the grid's when that is the view
+	 *
+	 * Drawn by the server as well as switched by the script, so a page
+	 * opened in the grid does not show the list first.
+	 *
+	 * @return array
+	 */
+	protected function get_table_classes(): array {
+		$classes = parent::get_table_classes();
+
+		if ( 'grid' === $this->view ) {
+			$classes[] = 's3-grid-view';
+		}
+
+		return $classes;
 	}
 
 	/**
@@ -130,6 +161,24 @@ class Objects extends WP_List_Table {
 		];
 	}
 
+	/**
+	 * Get sortable columns
+	 *
+	 * The headers link to an orderby the server does not act on: S3 lists
+	 * in key order only. The script sorts the rows loaded instead, and
+	 * takes these clicks over. Size and date sort largest and newest first.
+	 *
+	 * @return array Sortable column definitions
+	 */
+	protected function get_sortable_columns(): array {
+		return [
+			'name'     => [ 'name', false ],
+			'type'     => [ 'type', false ],
+			'size'     => [ 'size', true ],
+			'modified' => [ 'modified', true ],
+		];
+	}
+
 	/**
 	 * Get API results from S3 with caching
 	 *
@@ -171,7 +220,7 @@ class Objects extends WP_List_Table {
 
 		if ( is_wp_error( $result ) ) {
 			$this->items           = [];
-			$this->_column_headers = [ $this->get_columns(), [], [] ];
+			$this->_column_headers = [ $this->get_columns(), [], $this->get_sortable_columns() ];
 
 			return;
 		}
@@ -182,34 +231,18 @@ class Objects extends WP_List_Table {
 
 		// Add folders first
 		foreach ( $prefixes as $folder ) {
-			$items[] = [
-				'type'     => 'folder',
-				'name'     => $folder->get_folder_name(),
-				'prefix'   => $folder->get_prefix(),
-				'size'     => '-',
-				'modified' => '-',
-				'mime'     => 'folder',
-			];
+			$items[] = $this->folder_item( $folder );
 		}
 
-		// Add files with consolidated method calls
 		foreach ( $objects as $object ) {
-			$items[] = [
-				'type'     => 'file',
-				'name'     => $object->get_filename(),
-				'key'      => $object->get_key(),
-				'size'     => $object->get_size( true ), // Use consolidated method with formatting
-				'modified' => $object->get_last_modified( true, 'M j, Y g:i A' ), // Use consolidated method with custom format
-				'mime'     => $object->get_mime_type(),
-				'object'   => $object,
-			];
+			$items[] = $this->file_item( $object );
 		}
 
 		$this->items = $items;
 
 		// After the items, not before: get_columns() only offers a checkbox
 		// column when the listing holds something selectable.
-		$this->_column_headers = [ $this->get_columns(), [], [] ];
+		$this->_column_headers = [ $this->get_columns(), [], $this->get_sortable_columns() ];
 
 		$this->set_pagination_args( [
 			'total_items' => count( $items ),
@@ -223,6 +256,82 @@ class Objects extends WP_List_Table {
 		}
 	}
 
+	/**
+	 * Build the row data for a folder
+	 *
+	 * @param S3Prefix $folder Folder.
+	 *
+	 * @return array Item data
+	 */
+	private function folder_item( S3Prefix $folder ): array {
+		return [
+			'type'     => 'folder',
+			'name'     => $folder->get_folder_name(),
+			'prefix'   => $folder->get_prefix(),
+			'size'     => '-',
+			'modified' => '-',
+			'mime'     => 'folder',
+		];
+	}
+
+	/**
+	 * Build the row data for a file
+	 *
+	 * @param S3Object $object Object.
+	 *
+	 * @return array Item data
+	 */
+	private function file_item( S3Object $object ): array {
+		return [
+			'type'     => 'file',
+			'name'     => $object->get_filename(),
+			'key'      => $object->get_key(),
+			'size'     => $object->get_size( true ),
+			'modified' => $object->get_last_modified( true, 'M j, Y g:i A' ),
+			'mime'     => $object->get_mime_type(),
+			'object'   => $object,
+		];
+	}
+
+	/**
+	 * Build the row data for one key, read fresh from the provider
+	 *
+	 * A key ending in a slash is a folder and costs no request. A file is
+	 * read with a HEAD, so the row shows what the provider holds rather than
+	 * what the browser believes it sent.
+	 *
+	 * @param string $key Object key or folder prefix.
+	 *
+	 * @return array|null Item data, or null for a key that is gone or hidden.
+	 */
+	private function item_for_key( string $key ): ?array {
+		if ( '/' === substr( $key, - 1 ) ) {
+			return $this->folder_item( new S3Prefix( $key ) );
+		}
+
+		$head = $this->client->head_object( $this->bucket, $key );
+
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return null;
+		}
+
+		$metadata = $head->get_metadata();
+		$object   = new S3Object( [
+			'Key'          => $key,
+			'Size'         => $metadata['content_length'] ?? 0,
+			'LastModified' => $metadata['last_modified'] ?? '',
+			'ETag'         => $metadata['etag'] ?? '',
+		] );
+
+		// The listing would leave it out -- an empty file, a .DS_Store -- so
+		// the row must not appear just because it was uploaded.
+		if ( $object->should_be_excluded( $this->prefix ) ) {
+			return null;
+		}
+
+		return $this->file_item( $object );
+	}
+
 	/**
 	 * Render the type column with WordPress-style tooltip
 	 *
@@ -292,6 +401,22 @@ class Objects extends WP_List_Table {
 
 		if ( $item['type'] === 'folder' ) {
 			// Folder actions
+			$actions['rename'] = sprintf(
+				'<a href="#" class="s3-rename-folder" data-folder-name="%s" data-bucket="%s" data-prefix="%s">%s</a>',
+				esc_attr( $item['name'] ),
+				esc_attr( $this->bucket ),
+				esc_attr( $item['prefix'] ),
+				esc_html__( 'Rename', 'arraypress' )
+			);
+
+			$actions['move'] = sprintf(
+				'<a href="#" class="s3-move-folder" data-folder-name="%s" data-bucket="%s" data-prefix="%s">%s</a>',
+				esc_attr( $item['name'] ),
+				esc_attr( $this->bucket ),
+				esc_attr( $item['prefix'] ),
+				esc_html__( 'Move', 'arraypress' )
+			);
+
 			$actions['delete'] = sprintf(
 				'<a href="#" class="s3-delete-folder" data-folder-name="%s" data-bucket="%s" data-prefix="%s">%s</a>',
 				esc_attr( $item['name'] ),
@@ -321,10 +446,18 @@ class Objects extends WP_List_Table {
 				esc_attr( $item['name'] ),
 				esc_attr( $this->bucket ),
 				esc_attr( $item['key'] ),
-				esc_attr( $this->prefix ),
+				esc_attr( $item['folder'] ?? $this->prefix ),
 				esc_html__( 'Move', 'arraypress' )
 			);
 
+			$actions['copy'] = sprintf(
+				'<a href="#" class="s3-copy-file" data-filename="%s" data-bucket="%s" data-key="%s">%s</a>',
+				esc_attr( $item['name'] ),
+				esc_attr( $this->bucket ),
+				esc_attr( $item['key'] ),
+				esc_html__( 'Copy to...', 'arraypress' )
+			);
+
 			// Copy Link action
 			$actions['copy_link'] = sprintf(
 				'<a href="#" class="s3-copy-link" data-filename="%s" data-bucket="%s" data-key="%s">%s</a>',
@@ -456,8 +589,15 @@ class Objects extends WP_List_Table {
 	public function column_name( array $item ): string {
 		$actions = $this->get_row_actions( $item );
 
+		// The card face in the grid, hidden in the list. The script puts an
+		// image's thumbnail in it once the card scrolls into view.
+		$thumb = sprintf(
+			'<span class="s3-thumb" aria-hidden="true"><span class="dashicons %s"></span></span>',
+			esc_attr( 'folder' === $item['type'] ? 'dashicons-category' : $item['object']->get_dashicon_class() )
+		);
+
 		if ( $item['type'] === 'folder' ) {
-			$primary_content = sprintf(
+			$primary_content = $thumb . sprintf(
 				'<span class="dashicons dashicons-category s3-folder-icon"></span> <a href="#" class="s3-folder-link" data-prefix="%s" data-bucket="%s"><strong>%s</strong></a>',
 				esc_attr( $item['prefix'] ),
 				esc_attr( $this->bucket ),
@@ -466,7 +606,7 @@ class Objects extends WP_List_Table {
 		} else {
 			$icon_class = $item['object']->get_dashicon_class();
 
-			$primary_content = sprintf(
+			$primary_content = $thumb . sprintf(
 				'<span class="dashicons %s"></span> <span class="s3-filename" data-original-name="%s" %s><strong>%s</strong></span>',
 				esc_attr( $icon_class ),
 				esc_attr( $item['name'] ),
@@ -475,6 +615,17 @@ class Objects extends WP_List_Table {
 			);
 		}
 
+		// A search hit can come from any folder below this one.
+		if ( isset( $item['folder'] ) ) {
+			$primary_content .= sprintf(
+				'<span class="s3-search-folder">%s <a href="#" class="s3-folder-link" data-prefix="%s" data-bucket="%s">%s</a></span>',
+				esc_html_x( 'in', 'search result folder', 'arraypress' ),
+				esc_attr( $item['folder'] ),
+				esc_attr( $this->bucket ),
+				esc_html( '' === $item['folder'] ? $this->bucket : rtrim( $item['folder'], '/' ) )
+			);
+		}
+
 		return $primary_content . $this->row_actions( $actions );
 	}
 
@@ -494,13 +645,36 @@ class Objects extends WP_List_Table {
 						<!-- WordPress native search input styling -->
 						<input type="search" id="s3-js-search" class="wp-filter-search"
 								placeholder="<?php esc_attr_e( 'Search files and folders...', 'arraypress' ); ?>"
+								title="<?php esc_attr_e( 'Type tag:name or tag:name=value to show only files with that tag', 'arraypress' ); ?>"
 								autocomplete="off"/>
 						<button type="button" id="s3-js-search-clear" class="button button-secondary" style="display: none;">
 							<?php esc_html_e( 'Clear', 'arraypress' ); ?>
 						</button>
+						<button type="button" id="s3-deep-search" class="button button-secondary" style="display: none;">
+							<?php esc_html_e( 'Search All Folders', 'arraypress' ); ?>
+						</button>
 						<span class="s3-search-stats"></span>
 					</div>
 					<div class="s3-actions-container">
+						<div class="s3-view-switch" role="group" aria-label="<?php esc_attr_e( 'View', 'arraypress' ); ?>">
+							<?php
+							$views = [
+								'list' => [ 'dashicons-list-view', __( 'List view', 'arraypress' ) ],
+								'grid' => [ 'dashicons-grid-view', __( 'Grid view', 'arraypress' ) ],
+							];
+
+							foreach ( $views as $view => [ $icon, $label ] ) {
+								printf(
+									'<button type="button" class="button button-secondary s3-view-button" data-view="%s" aria-pressed="%s" title="%s"><span class="dashicons %s"></span><span class="screen-reader-text">%s</span></button>',
+									esc_attr( $view ),
+									$view === $this->view ? 'true' : 'false',
+									esc_attr( $label ),
+									esc_attr( $icon ),
+									esc_html( $label )
+								);
+							}
+							?>
+						</div>
 						<?php
 						// WordPress native button styling
 						printf(
@@ -615,15 +789,131 @@ class Objects extends WP_List_Table {
 		}
 	}
 
+	/**
+	 * Render the rows for a handful of keys under one prefix
+	 *
+	 * For putting a row in place after a change -- an upload, a rename, a new
+	 * folder -- without listing the whole prefix again.
+	 *
+	 * @param Client   $client      S3 client.
+	 * @param string   $provider_id Provider identifier.
+	 * @param string   $bucket      Bucket name.
+	 * @param string   $prefix      Prefix the rows are shown under.
+	 * @param string[] $keys        Object keys, or folder prefixes ending in a slash.
+	 *
+	 * @return array Rows as [ 'key' => string, 'html' => string ], in the
+	 *               order asked for. The HTML is empty for a key that is gone
+	 *               or would not be listed.
+	 */
+	public static function get_rows(
+		Client $client,
+		string $provider_id,
+		string $bucket,
+		string $prefix,
+		array $keys
+	): array {
+		$table = new self( [
+			'client'      => $client,
+			'bucket'      => $bucket,
+			'prefix'      => $prefix,
+			'provider_id' => $provider_id,
+		] );
+
+		$rows = [];
+
+		foreach ( $keys as $key ) {
+			$item = $table->item_for_key( (string) $key );
+
+			$rows[] = [
+				'key'  => (string) $key,
+				'html' => $item ? $table->render_row( $item ) : '',
+			];
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Render search hits as rows, each naming the folder it is in
+	 *
+	 * @param Client     $client      S3 client.
+	 * @param string     $provider_id Provider identifier.
+	 * @param string     $bucket      Bucket name.
+	 * @param S3Object[] $objects     Objects that matched.
+	 *
+	 * @return array Rows as [ 'key' => string, 'folder' => string, 'html' => string ].
+	 */
+	public static function get_search_rows(
+		Client $client,
+		string $provider_id,
+		string $bucket,
+		array $objects
+	): array {
+		$table = new self( [
+			'client'      => $client,
+			'bucket'      => $bucket,
+			'provider_id' => $provider_id,
+		] );
+
+		$rows = [];
+
+		foreach ( $objects as $object ) {
+			$item = $table->file_item( $object ) + [ 'folder' => Directory::parent( $object->get_key() ) ];
+
+			$rows[] = [
+				'key'    => $object->get_key(),
+				'folder' => $item['folder'],
+				'html'   => $table->render_row( $item ),
+			];
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Render one row the way WP_List_Table does, with the row's identity
+	 *
+	 * @param array $item Item data.
+	 *
+	 * @return void
+	 */
+	public function single_row( $item ): void {
+		echo '<tr ' . $this->row_attributes( $item ) . '>'; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped in row_attributes().
+		$this->single_row_columns( $item );
+		echo '</tr>';
+	}
+
+	/**
+	 * The attribute the browser finds a row by
+	 *
+	 * A file's key or a folder's prefix. The two cannot collide, since only
+	 * a prefix ends in a slash.
+	 *
+	 * @param array $item Item data.
+	 *
+	 * @return string
+	 */
+	private function row_attributes( array $item ): string {
+		return sprintf(
+			'data-row-key="%s"',
+			esc_attr( 'folder' === $item['type'] ? $item['prefix'] : $item['key'] )
+		);
+	}
+
 	/**
 	 * Render a single table row
 	 *
+	 * Always with the checkbox cell: rows rendered here are added to a table
+	 * that may have the checkbox column when this listing page alone would
+	 * not. The script drops the cell where the table has no such column.
+	 *
 	 * @param array $item Item data
 	 *
 	 * @return string HTML for table row
 	 */
 	public function render_row( array $item ): string {
-		$output = '<tr>';
+		$output = '<tr ' . $this->row_attributes( $item ) . '>';
+		$output .= '<th scope="row" class="check-column">' . $this->column_cb( $item ) . '</th>';
 		$output .= '<td class="column-name has-row-actions">' . $this->column_name( $item ) . '</td>';
 		$output .= '<td class="column-type">' . $this->column_type( $item ) . '</td>';
 		$output .= '<td class="column-size">' . esc_html( $item['size'] ) . '</td>';
@@ -21,6 +21,7 @@ use ArrayPress\S3\Responses\ObjectResponse;
 use ArrayPress\S3\Responses\ErrorResponse;
 use ArrayPress\S3\Responses\SuccessResponse;
 use ArrayPress\S3\Utils\Encode;
+use ArrayPress\S3\Utils\File as FileUtil;
 use ArrayPress\S3\Xml\Parser;
 use ArrayPress\S3\Xml\Response;
 
@@ -60,6 +61,7 @@ trait File {
 	 *
 	 * @param string $bucket     Bucket name containing the object
 	 * @param string $object_key Object key (path) to retrieve
+	 * @param string $range      Byte range to retrieve, e.g. 'bytes=0-65535'. Empty for the whole object.
 	 *
 	 * @return ResponseInterface ObjectResponse with content and metadata on success, or ErrorResponse on failure
 	 *
@@ -68,13 +70,14 @@ trait File {
 	 * @see   ObjectResponse For detailed response structure and methods
 	 * @see   head_object() For retrieving only metadata without content
 	 */
-	public function get_object( string $bucket, string $object_key ): ResponseInterface {
+	public function get_object( string $bucket, string $object_key, string $range = '' ): ResponseInterface {
 		if ( empty( $bucket ) || empty( $object_key ) ) {
 			return new ErrorResponse( 'Bucket and object key are required', 'invalid_parameters', 400 );
 		}
 
-		// Generate authorization headers using provider method
-		$headers = $this->generate_auth_headers( 'GET', $bucket, $object_key );
+		// Generate authorization headers using provider method. A range is
+		// signed along with the rest, so nothing on the way can widen it.
+		$headers = $this->generate_auth_headers( 'GET', $bucket, $object_key, [], '', $range ? [ 'Range' => $range ] : [] );
 
 		// Add base request headers (including user agent)
 		$headers = $this->get_base_request_headers( $headers );
@@ -114,6 +117,8 @@ trait File {
 			'content_length' => (int) wp_remote_retrieve_header( $response, 'content-length' ),
 			'etag'           => trim( wp_remote_retrieve_header( $response, 'etag' ), '"' ),
 			'last_modified'  => wp_remote_retrieve_header( $response, 'last-modified' ),
+			// "bytes 0-65535/1048576" on a ranged read: the total is after the slash.
+			'content_range'  => wp_remote_retrieve_header( $response, 'content-range' ),
 		];
 
 		// Extract custom metadata
@@ -205,12 +210,25 @@ trait File {
 
 		// Extract metadata
 		$metadata = [
-			'content_type'   => wp_remote_retrieve_header( $response, 'content-type' ),
-			'content_length' => (int) wp_remote_retrieve_header( $response, 'content-length' ),
-			'etag'           => trim( wp_remote_retrieve_header( $response, 'etag' ), '"' ),
-			'last_modified'  => wp_remote_retrieve_header( $response, 'last-modified' ),
+			'content_type'        => wp_remote_retrieve_header( $response, 'content-type' ),
+			'content_length'      => (int) wp_remote_retrieve_header( $response, 'content-length' ),
+			'etag'                => trim( wp_remote_retrieve_header( $response, 'etag' ), '"' ),
+			'last_modified'       => wp_remote_retrieve_header( $response, 'last-modified' ),
+			'content_disposition' => wp_remote_retrieve_header( $response, 'content-disposition' ),
+			'cache_control'       => wp_remote_retrieve_header( $response, 'cache-control' ),
+			// Only sent for objects outside STANDARD.
+			'storage_class'       => wp_remote_retrieve_header( $response, 'x-amz-storage-class' ) ?: 'STANDARD',
+			// Only sent for an archived object a restore was asked for.
+			'restore'             => FileUtil::parse_restore( (string) wp_remote_retrieve_header( $response, 'x-amz-restore' ) ),
+			'user_metadata'       => [],
 		];
 
+		foreach ( $response_headers as $key => $value ) {
+			if ( strpos( $key, 'x-amz-meta-' ) === 0 ) {
+				$metadata['user_metadata'][ substr( $key, 11 ) ] = $value;
+			}
+		}
+
 		// Empty content for HEAD request
 		return new ObjectResponse( '', $metadata, $status_code, [
 			'headers' => $response_headers,
@@ -358,10 +376,18 @@ trait File {
 	 * }
 	 * ```
 	 *
-	 * @param string $source_bucket Source bucket name
-	 * @param string $source_key    Source object key
-	 * @param string $target_bucket Target bucket name
-	 * @param string $target_key    Target object key
+	 * Passing metadata copies with the REPLACE directive, which is also how an
+	 * object's headers are changed: copied onto itself with new ones. Passing
+	 * a source version copies that version rather than the current one, which
+	 * is how an earlier version is restored: copied over the current object.
+	 *
+	 * @param string     $source_bucket     Source bucket name
+	 * @param string     $source_key        Source object key
+	 * @param string     $target_bucket     Target bucket name
+	 * @param string     $target_key        Target object key
+	 * @param array|null $metadata          Metadata to replace the source's with, as build_metadata_headers()
+	 *                                      takes it; null to copy the source's as it is
+	 * @param string     $source_version_id Version of the source to copy; empty for the current one
 	 *
 	 * @return ResponseInterface SuccessResponse with copy metadata on success, or ErrorResponse on failure
 	 *
@@ -374,7 +400,9 @@ trait File {
 		string $source_bucket,
 		string $source_key,
 		string $target_bucket,
-		string $target_key
+		string $target_key,
+		?array $metadata = null,
+		string $source_version_id = ''
 	): ResponseInterface {
 		if ( empty( $source_bucket ) || empty( $source_key ) || empty( $target_bucket ) || empty( $target_key ) ) {
 			return new ErrorResponse(
@@ -385,7 +413,14 @@ trait File {
 		}
 
 		// Use headers trait method for copy headers
-		$headers = $this->build_copy_headers( $source_bucket, $source_key, $target_bucket, $target_key );
+		$headers = $this->build_copy_headers(
+			$source_bucket,
+			$source_key,
+			$target_bucket,
+			$target_key,
+			$metadata,
+			$source_version_id
+		);
 
 		// Add base request headers (including user agent)
 		$headers = $this->get_base_request_headers( $headers );
@@ -431,12 +466,12 @@ trait File {
 
 			// A single CopyObject request tops out at 5 GB; past that S3 and R2
 			// both refuse it and the caller has to drive a multipart copy
-			// instead, which this library does not do. The provider says so in
+			// instead -- see upload_part_copy(). The provider says so in
 			// terms that read like a bug in the request rather than a size
 			// limit, so translate it.
 			if ( self::is_copy_too_large( $error ) ) {
 				return new ErrorResponse(
-					__( 'This file is larger than 5 GB, which is the most that can be copied in one operation. Copying it has to be done from the provider\'s own console.', 'arraypress' ),
+					__( 'This file is larger than 5 GB, which is the most that can be copied in one operation. It has to be copied in parts.', 'arraypress' ),
 					'copy_source_too_large',
 					$error->get_status_code(),
 					[ 'source_key' => $source_key ]
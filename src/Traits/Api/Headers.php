@@ -60,10 +60,12 @@ trait Headers {
 	 * Creates the necessary headers for S3 copy operations including the
 	 * special x-amz-copy-source header with properly encoded source path.
 	 *
-	 * @param string $source_bucket Source bucket name
-	 * @param string $source_key    Source object key
-	 * @param string $target_bucket Target bucket name
-	 * @param string $target_key    Target object key
+	 * @param string     $source_bucket     Source bucket name
+	 * @param string     $source_key        Source object key
+	 * @param string     $target_bucket     Target bucket name
+	 * @param string     $target_key        Target object key
+	 * @param array|null $metadata          Metadata to replace the source's with; null to copy it as it is
+	 * @param string     $source_version_id Version of the source to copy; empty for the current one
 	 *
 	 * @return array Complete headers array for copy operation
 	 */
@@ -71,8 +73,16 @@ trait Headers {
 		string $source_bucket,
 		string $source_key,
 		string $target_bucket,
-		string $target_key
+		string $target_key,
+		?array $metadata = null,
+		string $source_version_id = ''
 	): array {
+		$copy_source = $source_bucket . '/' . Encode::object_key( $source_key );
+
+		if ( '' !== $source_version_id ) {
+			$copy_source .= '?versionId=' . rawurlencode( $source_version_id );
+		}
+
 		// x-amz-copy-source must be part of the signature. S3 requires every
 		// x-amz-* header sent to appear in SignedHeaders, so adding it after
 		// signing — as this did — yields a request AWS rejects. R2 happens to
@@ -83,10 +93,52 @@ trait Headers {
 			$target_key,
 			[],
 			'',
-			[ 'x-amz-copy-source' => $source_bucket . '/' . Encode::object_key( $source_key ) ]
+			[ 'x-amz-copy-source' => $copy_source ]
+			+ ( null === $metadata ? [] : $this->build_metadata_headers( $metadata ) )
 		);
 	}
 
+	/**
+	 * Build the headers that replace an object's metadata on a copy
+	 *
+	 * A REPLACE copy keeps nothing it is not sent: an empty field here is a
+	 * header the object loses, and a storage class left out puts the object
+	 * back in STANDARD.
+	 *
+	 * @param array $metadata {
+	 *     Metadata to store.
+	 *
+	 *     @type string $content_type        Content-Type.
+	 *     @type string $content_disposition Content-Disposition.
+	 *     @type string $cache_control       Cache-Control.
+	 *     @type string $storage_class       Storage class to keep the object in.
+	 *     @type array  $user_metadata       x-amz-meta-* values, by name without the prefix.
+	 * }
+	 *
+	 * @return array Headers, all to be signed
+	 */
+	protected function build_metadata_headers( array $metadata ): array {
+		$headers = [ 'x-amz-metadata-directive' => 'REPLACE' ];
+		$fields  = [
+			'content_type'        => 'Content-Type',
+			'content_disposition' => 'Content-Disposition',
+			'cache_control'       => 'Cache-Control',
+			'storage_class'       => 'x-amz-storage-class',
+		];
+
+		foreach ( $fields as $field => $header ) {
+			if ( '' !== (string) ( $metadata[ $field ] ?? '' ) ) {
+				$headers[ $header ] = (string) $metadata[ $field ];
+			}
+		}
+
+		foreach ( $metadata['user_metadata'] ?? [] as $name => $value ) {
+			$headers[ 'x-amz-meta-' . strtolower( (string) $name ) ] = (string) $value;
+		}
+
+		return $headers;
+	}
+
 	/**
 	 * Build headers for delete operations
 	 *
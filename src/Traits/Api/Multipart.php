@@ -0,0 +1,410 @@
+<?php
+/**
+ * Multipart Upload Operations Trait
+ *
+ * Handles the multipart upload lifecycle for S3-compatible storage: starting
+ * an upload, signing its parts, and completing or aborting it.
+ *
+ * @package     ArrayPress\S3\Traits
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @version     1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Api;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\SuccessResponse;
+use ArrayPress\S3\Utils\Encode;
+use ArrayPress\S3Signer\Method;
+use ArrayPress\S3\Xml\Builder;
+use ArrayPress\S3\Xml\Parser;
+use ArrayPress\S3\Xml\Response;
+
+/**
+ * Trait Multipart
+ *
+ * The parts themselves never pass through PHP. The browser PUTs each one to a
+ * presigned URL, so the server only ever handles the three small requests
+ * that bracket an upload -- which is what lets a 4 GB file go up from a host
+ * with a 64 MB upload limit and a 30-second request timeout.
+ *
+ * A copy is the one exception that does go through here, and no bytes pass
+ * through PHP then either: each part is a range of an existing object that
+ * the provider copies on its own side.
+ */
+trait Multipart {
+
+	/**
+	 * S3 numbers parts from 1 to 10,000.
+	 */
+	private static int $max_part_number = 10000;
+
+	/**
+	 * Start a multipart upload
+	 *
+	 * @param string $bucket       Bucket name
+	 * @param string $object_key   Object key the finished upload will have
+	 * @param string $content_type Content type to store with the object
+	 *
+	 * @return ResponseInterface SuccessResponse carrying the upload ID, or ErrorResponse
+	 */
+	public function create_multipart_upload( string $bucket, string $object_key, string $content_type = '' ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		// The parts carry no content type of their own; the object gets the
+		// one given here, or the provider's octet-stream default.
+		$extra = '' === $content_type ? [] : [ 'Content-Type' => $content_type ];
+
+		$headers = $this->generate_auth_headers( 'POST', $bucket, $object_key, [ 'uploads' => '' ], '', $extra );
+		$headers = $this->get_base_request_headers( $headers );
+
+		$url = $this->provider->build_url_with_query( $bucket, $object_key, [ 'uploads' => '' ] );
+
+		$this->debug_request_details( 'create_multipart_upload', $url, $headers );
+
+		$response = wp_remote_request( $url, [
+			'method'  => 'POST',
+			'headers' => $headers,
+			'body'    => '',
+			'timeout' => $this->get_operation_timeout( 'multipart_init' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'create_multipart_upload', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to start multipart upload', 'arraypress' ) );
+		}
+
+		$xml = Parser::parse( $body );
+		if ( $xml instanceof ErrorResponse ) {
+			return $xml;
+		}
+
+		$upload = Response::multipart_upload( $xml );
+
+		if ( '' === $upload['upload_id'] ) {
+			return new ErrorResponse(
+				__( 'The provider did not return an upload ID', 'arraypress' ),
+				'multipart_no_upload_id',
+				502
+			);
+		}
+
+		return new SuccessResponse(
+			__( 'Multipart upload started', 'arraypress' ),
+			$status_code,
+			[
+				'bucket'    => $bucket,
+				'key'       => $object_key,
+				'upload_id' => $upload['upload_id'],
+			]
+		);
+	}
+
+	/**
+	 * Generate a pre-signed URL for uploading one part
+	 *
+	 * @param string $bucket      Bucket name
+	 * @param string $object_key  Object key
+	 * @param string $upload_id   Upload ID from create_multipart_upload()
+	 * @param int    $part_number Part number, 1 to 10,000
+	 * @param int    $expires     Expiration time in minutes
+	 *
+	 * @return ResponseInterface Presigned URL response
+	 */
+	public function get_presigned_part_url(
+		string $bucket,
+		string $object_key,
+		string $upload_id,
+		int $part_number,
+		int $expires = 60
+	): ResponseInterface {
+		if ( '' === $upload_id || $part_number < 1 || $part_number > self::$max_part_number ) {
+			return new ErrorResponse(
+				__( 'An upload ID and a part number between 1 and 10,000 are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		return $this->build_presigned_url( Method::PUT, $bucket, $object_key, $expires, [
+			'partNumber' => (string) $part_number,
+			'uploadId'   => $upload_id,
+		] );
+	}
+
+	/**
+	 * Copy a range of an existing object in as one part
+	 *
+	 * UploadPartCopy: the part is read from the source by the provider, so a
+	 * copy too large for one CopyObject request goes a part at a time, each
+	 * short enough to finish inside the request that asks for it.
+	 *
+	 * @param string $source_bucket Bucket the object is copied from
+	 * @param string $source_key    Key the object is copied from
+	 * @param string $bucket        Bucket of the multipart upload
+	 * @param string $object_key    Key of the multipart upload
+	 * @param string $upload_id     Upload ID from create_multipart_upload()
+	 * @param int    $part_number   Part number, 1 to 10,000
+	 * @param int    $first_byte    First byte of the source to copy
+	 * @param int    $last_byte     Last byte of the source to copy, inclusive
+	 *
+	 * @return ResponseInterface SuccessResponse with the part's ETag, or ErrorResponse
+	 */
+	public function upload_part_copy(
+		string $source_bucket,
+		string $source_key,
+		string $bucket,
+		string $object_key,
+		string $upload_id,
+		int $part_number,
+		int $first_byte,
+		int $last_byte
+	): ResponseInterface {
+		if ( '' === $upload_id || $part_number < 1 || $part_number > self::$max_part_number || $first_byte < 0 || $last_byte < $first_byte ) {
+			return new ErrorResponse(
+				__( 'An upload ID, a part number between 1 and 10,000 and a byte range are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$query = [
+			'partNumber' => (string) $part_number,
+			'uploadId'   => $upload_id,
+		];
+
+		// Both copy headers are signed, for the reason build_copy_headers()
+		// gives: an x-amz-* header outside SignedHeaders is rejected by S3.
+		$headers = $this->generate_auth_headers( 'PUT', $bucket, $object_key, $query, '', [
+			'x-amz-copy-source'       => $source_bucket . '/' . Encode::object_key( $source_key ),
+			'x-amz-copy-source-range' => 'bytes=' . $first_byte . '-' . $last_byte,
+		] );
+
+		$headers = $this->get_base_request_headers( $headers );
+
+		$url = $this->provider->build_url_with_query( $bucket, $object_key, $query );
+
+		$this->debug_request_details( 'upload_part_copy', $url, $headers );
+
+		$response = wp_remote_request( $url, [
+			'method'  => 'PUT',
+			'headers' => $headers,
+			'body'    => '',
+			'timeout' => $this->get_operation_timeout( 'multipart_copy' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'upload_part_copy', $status_code, $body );
+
+		// A copy can fail after the 200 has been sent, the same as completing
+		// an upload can, and says so in the body.
+		if ( $status_code < 200 || $status_code >= 300 || false !== stripos( $body, '<Error' ) ) {
+			return Response::error( $status_code < 300 ? 502 : $status_code, $body, __( 'Failed to copy part of the file', 'arraypress' ) );
+		}
+
+		$xml  = Parser::parse( $body );
+		$part = is_array( $xml ) ? Response::copy_part( $xml ) : [ 'etag' => '' ];
+
+		if ( '' === $part['etag'] ) {
+			return new ErrorResponse(
+				__( 'The provider did not return an ETag for the copied part', 'arraypress' ),
+				'multipart_no_etag',
+				502
+			);
+		}
+
+		return new SuccessResponse(
+			__( 'Part copied', 'arraypress' ),
+			$status_code,
+			[
+				'bucket'      => $bucket,
+				'key'         => $object_key,
+				'upload_id'   => $upload_id,
+				'part_number' => $part_number,
+				'etag'        => $part['etag'],
+			]
+		);
+	}
+
+	/**
+	 * Complete a multipart upload
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param string $upload_id  Upload ID from create_multipart_upload()
+	 * @param array  $parts      ETags keyed by part number
+	 *
+	 * @return ResponseInterface SuccessResponse with the object's ETag, or ErrorResponse
+	 */
+	public function complete_multipart_upload(
+		string $bucket,
+		string $object_key,
+		string $upload_id,
+		array $parts
+	): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) || '' === $upload_id || empty( $parts ) ) {
+			return new ErrorResponse(
+				__( 'Bucket, object key, upload ID and at least one part are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$complete_xml = Builder::complete_multipart_upload( $parts );
+		$query        = [ 'uploadId' => $upload_id ];
+
+		$headers = $this->generate_auth_headers( 'POST', $bucket, $object_key, $query, $complete_xml );
+
+		$headers['Content-Type']   = 'application/xml';
+		$headers['Content-Length'] = (string) strlen( $complete_xml );
+
+		$headers = $this->get_base_request_headers( $headers );
+
+		$url = $this->provider->build_url_with_query( $bucket, $object_key, $query );
+
+		$this->debug_request_details( 'complete_multipart_upload', $url, $headers );
+
+		$response = wp_remote_request( $url, [
+			'method'  => 'POST',
+			'headers' => $headers,
+			'body'    => $complete_xml,
+			'timeout' => $this->get_operation_timeout( 'multipart_complete' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'complete_multipart_upload', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to complete multipart upload', 'arraypress' ) );
+		}
+
+		// S3 answers 200 before it has finished assembling the parts, and
+		// reports a failure partway through as an <Error> document in that
+		// same 200 body. Trusting the status would report an upload that
+		// never became an object.
+		if ( false !== stripos( $body, '<Error' ) ) {
+			return Response::error( 502, $body, __( 'Failed to complete multipart upload', 'arraypress' ) );
+		}
+
+		$xml    = Parser::parse( $body );
+		$result = is_array( $xml ) ? Response::complete_multipart_upload( $xml ) : [ 'etag' => '', 'location' => '' ];
+
+		return new SuccessResponse(
+			sprintf(
+				/* translators: %s: file name */
+				__( 'File "%s" uploaded successfully', 'arraypress' ),
+				basename( $object_key )
+			),
+			$status_code,
+			[
+				'bucket'     => $bucket,
+				'key'        => $object_key,
+				'upload_id'  => $upload_id,
+				'etag'       => $result['etag'],
+				'location'   => $result['location'],
+				'part_count' => count( $parts ),
+			]
+		);
+	}
+
+	/**
+	 * Abort a multipart upload
+	 *
+	 * Parts already uploaded are billed as storage until the upload is either
+	 * completed or aborted, and they never appear in a listing -- so an
+	 * abandoned upload is cost nobody can see.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param string $upload_id  Upload ID from create_multipart_upload()
+	 *
+	 * @return ResponseInterface SuccessResponse or ErrorResponse
+	 */
+	public function abort_multipart_upload( string $bucket, string $object_key, string $upload_id ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) || '' === $upload_id ) {
+			return new ErrorResponse(
+				__( 'Bucket, object key and upload ID are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$query = [ 'uploadId' => $upload_id ];
+
+		$headers = $this->generate_auth_headers( 'DELETE', $bucket, $object_key, $query );
+
+		$headers['Content-Length'] = '0';
+
+		$headers = $this->get_base_request_headers( $headers );
+
+		$url = $this->provider->build_url_with_query( $bucket, $object_key, $query );
+
+		$this->debug_request_details( 'abort_multipart_upload', $url, $headers );
+
+		$response = wp_remote_request( $url, [
+			'method'  => 'DELETE',
+			'headers' => $headers,
+			'body'    => '',
+			'timeout' => $this->get_operation_timeout( 'delete_object' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'abort_multipart_upload', $status_code, $body );
+
+		// NoSuchUpload means it is already gone -- aborted by a lifecycle
+		// rule, or by an earlier attempt whose response was lost. Either way
+		// the caller got what it asked for.
+		if ( 404 === $status_code ) {
+			$status_code = 204;
+		} elseif ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to abort multipart upload', 'arraypress' ) );
+		}
+
+		return new SuccessResponse(
+			__( 'Multipart upload aborted', 'arraypress' ),
+			$status_code,
+			[
+				'bucket'    => $bucket,
+				'key'       => $object_key,
+				'upload_id' => $upload_id,
+			]
+		);
+	}
+}
@@ -30,30 +30,70 @@ trait PresignedUrls {
 	 */
 	private static int $max_presign_minutes = 10080;
 
+	/**
+	 * Response headers a download URL can override, by the query parameter
+	 * that carries each.
+	 */
+	private static array $response_overrides = [
+		'content_type'        => 'response-content-type',
+		'content_disposition' => 'response-content-disposition',
+		'cache_control'       => 'response-cache-control',
+	];
+
 	/**
 	 * Generate a pre-signed URL for downloading an object
 	 *
+	 * Headers given in $overrides are signed into the URL, and the provider
+	 * serves the file with them in place of those stored on it.
+	 *
 	 * @param string $bucket     Bucket name
 	 * @param string $object_key Object key
 	 * @param int    $expires    Expiration time in minutes
+	 * @param string $version_id Version to download; empty for the current one
+	 * @param array  $overrides  content_type, content_disposition or cache_control to serve the file with
 	 *
 	 * @return ResponseInterface Presigned URL response
 	 */
-	public function get_presigned_url( string $bucket, string $object_key, int $expires = 60 ): ResponseInterface {
-		return $this->build_presigned_url( Method::GET, $bucket, $object_key, $expires );
+	public function get_presigned_url(
+		string $bucket,
+		string $object_key,
+		int $expires = 60,
+		string $version_id = '',
+		array $overrides = []
+	): ResponseInterface {
+		$query = '' === $version_id ? [] : [ 'versionId' => $version_id ];
+
+		foreach ( self::$response_overrides as $field => $parameter ) {
+			if ( '' !== (string) ( $overrides[ $field ] ?? '' ) ) {
+				$query[ $parameter ] = (string) $overrides[ $field ];
+			}
+		}
+
+		return $this->build_presigned_url( Method::GET, $bucket, $object_key, $expires, $query );
 	}
 
 	/**
 	 * Generate a pre-signed URL for uploading (PUT) an object
 	 *
-	 * @param string $bucket     Bucket name
-	 * @param string $object_key Object key
-	 * @param int    $expires    Expiration time in minutes
+	 * A checksum is signed in as a query parameter, so the URL accepts only
+	 * the file it was minted for.
+	 *
+	 * @param string $bucket          Bucket name
+	 * @param string $object_key      Object key
+	 * @param int    $expires         Expiration time in minutes
+	 * @param string $checksum_sha256 Base64 SHA-256 the content must match, or empty
 	 *
 	 * @return ResponseInterface Presigned URL response
 	 */
-	public function get_presigned_upload_url( string $bucket, string $object_key, int $expires = 15 ): ResponseInterface {
-		return $this->build_presigned_url( Method::PUT, $bucket, $object_key, $expires );
+	public function get_presigned_upload_url(
+		string $bucket,
+		string $object_key,
+		int $expires = 15,
+		string $checksum_sha256 = ''
+	): ResponseInterface {
+		$query = '' === $checksum_sha256 ? [] : [ 'x-amz-checksum-sha256' => $checksum_sha256 ];
+
+		return $this->build_presigned_url( Method::PUT, $bucket, $object_key, $expires, $query );
 	}
 
 	/**
@@ -63,6 +103,7 @@ trait PresignedUrls {
 	 * @param string $bucket     Bucket name.
 	 * @param string $object_key Object key.
 	 * @param int    $expires    Expiration in minutes.
+	 * @param array  $query      Query parameters to sign into the URL.
 	 *
 	 * @return ResponseInterface
 	 */
@@ -70,7 +111,8 @@ trait PresignedUrls {
 		Method $method,
 		string $bucket,
 		string $object_key,
-		int $expires
+		int $expires,
+		array $query = []
 	): ResponseInterface {
 		if ( '' === $bucket || '' === $object_key ) {
 			return new ErrorResponse(
@@ -87,7 +129,7 @@ trait PresignedUrls {
 		$expires_at = Timestamp::in_minutes( $expires );
 
 		try {
-			$url = $this->sigv4()->presign( $method, $bucket, $object_key, [], $expires * 60 );
+			$url = $this->sigv4()->presign( $method, $bucket, $object_key, $query, $expires * 60 );
 		} catch ( InvalidArgumentException $e ) {
 			return new ErrorResponse( $e->getMessage(), 'invalid_parameters', 400 );
 		}
@@ -0,0 +1,128 @@
+<?php
+/**
+ * Archived Object Restore Trait - API Level
+ *
+ * Asks for a readable copy of an object archived in Glacier Flexible
+ * Retrieval or Deep Archive, through the raw S3 API's ?restore subresource.
+ *
+ * @package     ArrayPress\S3\Traits\Api
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Api;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\SuccessResponse;
+use ArrayPress\S3\Xml\Builder;
+use ArrayPress\S3\Xml\Response;
+
+/**
+ * Trait Storage
+ *
+ * Provides RestoreObject. Moving an object to another storage class is a copy
+ * of it onto itself -- see the client's change_storage_class().
+ */
+trait Storage {
+
+	/**
+	 * Ask for a temporary, readable copy of an archived object
+	 *
+	 * The restore runs in the background, for minutes to hours depending on
+	 * the tier; head_object()'s 'restore' says when it is done. Asking again
+	 * for an object already restored only sets a new expiry.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param int    $days       How long the restored copy is kept
+	 * @param string $tier       Retrieval tier: Expedited, Standard or Bulk
+	 *
+	 * @return ResponseInterface SuccessResponse with 'status' -- started, restored or ongoing -- or ErrorResponse on failure
+	 */
+	public function restore_object( string $bucket, string $object_key, int $days, string $tier = 'Standard' ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		if ( $days < 1 ) {
+			return new ErrorResponse(
+				__( 'A restore has to last at least one day', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$restore_xml = Builder::restore_request( $days, $tier );
+
+		$headers = $this->generate_auth_headers( 'POST', $bucket, $object_key, [ 'restore' => '' ], $restore_xml );
+
+		$headers['Content-Type']   = 'application/xml';
+		$headers['Content-MD5']    = base64_encode( md5( $restore_xml, true ) );
+		$headers['Content-Length'] = (string) strlen( $restore_xml );
+
+		$headers = $this->get_base_request_headers( $headers );
+		$url     = $this->provider->build_url_with_query( $bucket, $object_key, [ 'restore' => '' ] );
+
+		$this->debug_request_details( 'restore_object', $url, $headers );
+
+		$response = wp_remote_post( $url, [
+			'headers' => $headers,
+			'body'    => $restore_xml,
+			'timeout' => $this->get_operation_timeout( 'restore_object' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'restore_object', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			$error = Response::error( $status_code, $body, __( 'Failed to restore the object', 'arraypress' ) );
+
+			// Asking twice is not a failure: the first restore carries on.
+			if ( 'RestoreAlreadyInProgress' !== $error->get_error_code() ) {
+				return $error;
+			}
+
+			return new SuccessResponse(
+				__( 'A restore of this file is already in progress', 'arraypress' ),
+				$status_code,
+				[
+					'bucket' => $bucket,
+					'key'    => $object_key,
+					'status' => 'ongoing',
+				]
+			);
+		}
+
+		// 202 for a restore started; 200 for a copy already there, whose
+		// expiry has been moved.
+		$restored = 200 === $status_code;
+
+		return new SuccessResponse(
+			$restored
+				? __( 'The restored copy will now be kept longer', 'arraypress' )
+				: __( 'Restore started', 'arraypress' ),
+			$status_code,
+			[
+				'bucket' => $bucket,
+				'key'    => $object_key,
+				'days'   => $days,
+				'tier'   => $tier,
+				'status' => $restored ? 'restored' : 'started',
+			]
+		);
+	}
+}
@@ -0,0 +1,224 @@
+<?php
+/**
+ * Object Tagging Trait - API Level
+ *
+ * Reads and writes the tag set on an object through the raw S3 API's
+ * ?tagging subresource.
+ *
+ * @package     ArrayPress\S3\Traits\Api
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Api;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\SuccessResponse;
+use ArrayPress\S3\Utils\Validate;
+use ArrayPress\S3\Xml\Builder;
+use ArrayPress\S3\Xml\Parser;
+use ArrayPress\S3\Xml\Response;
+
+/**
+ * Trait Tagging
+ *
+ * Provides object tagging for S3-compatible buckets. Not every provider has
+ * it -- Cloudflare R2 answers NotImplemented -- and the provider's error is
+ * passed on as it is, so a caller can tell that from a refusal.
+ */
+trait Tagging {
+
+	/**
+	 * Get the tags on an object
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 *
+	 * @return ResponseInterface SuccessResponse with 'tags', values by tag key, or ErrorResponse on failure
+	 */
+	public function get_object_tagging( string $bucket, string $object_key ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$headers = $this->generate_auth_headers( 'GET', $bucket, $object_key, [ 'tagging' => '' ] );
+		$headers = $this->get_base_request_headers( $headers );
+		$url     = $this->provider->build_url_with_query( $bucket, $object_key, [ 'tagging' => '' ] );
+
+		$this->debug_request_details( 'get_object_tagging', $url, $headers );
+
+		$response = wp_remote_get( $url, [
+			'headers' => $headers,
+			'timeout' => $this->get_operation_timeout( 'object_tagging' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'get_object_tagging', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to get object tags', 'arraypress' ) );
+		}
+
+		$xml = Parser::parse( $body );
+		if ( $xml instanceof ErrorResponse ) {
+			return $xml;
+		}
+
+		$tags = Response::tagging( $xml );
+
+		return new SuccessResponse(
+			/* translators: %d: number of tags */
+			sprintf( _n( '%d tag found', '%d tags found', count( $tags ), 'arraypress' ), count( $tags ) ),
+			$status_code,
+			[
+				'bucket' => $bucket,
+				'key'    => $object_key,
+				'tags'   => $tags,
+			],
+			$xml
+		);
+	}
+
+	/**
+	 * Replace the tags on an object
+	 *
+	 * The set sent is the whole set: a tag left out is removed. An empty set
+	 * goes as a DELETE, which every provider with tagging accepts, where an
+	 * empty TagSet is refused by some.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param array  $tags       Values by tag key
+	 *
+	 * @return ResponseInterface SuccessResponse or ErrorResponse on failure
+	 */
+	public function put_object_tagging( string $bucket, string $object_key, array $tags ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		if ( empty( $tags ) ) {
+			return $this->delete_object_tagging( $bucket, $object_key );
+		}
+
+		$validation = Validate::object_tags( $tags );
+		if ( ! $validation['valid'] ) {
+			return new ErrorResponse( $validation['message'], 'validation_error', 400 );
+		}
+
+		$tagging_xml = Builder::tagging( $tags );
+
+		$headers = $this->generate_auth_headers( 'PUT', $bucket, $object_key, [ 'tagging' => '' ], $tagging_xml );
+
+		// PutObjectTagging is refused without a digest of the body.
+		$headers['Content-Type']   = 'application/xml';
+		$headers['Content-MD5']    = base64_encode( md5( $tagging_xml, true ) );
+		$headers['Content-Length'] = (string) strlen( $tagging_xml );
+
+		$headers = $this->get_base_request_headers( $headers );
+		$url     = $this->provider->build_url_with_query( $bucket, $object_key, [ 'tagging' => '' ] );
+
+		$this->debug_request_details( 'put_object_tagging', $url, $headers );
+
+		$response = wp_remote_request( $url, [
+			'method'  => 'PUT',
+			'headers' => $headers,
+			'body'    => $tagging_xml,
+			'timeout' => $this->get_operation_timeout( 'object_tagging' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'put_object_tagging', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to save object tags', 'arraypress' ) );
+		}
+
+		return new SuccessResponse(
+			__( 'Tags saved', 'arraypress' ),
+			$status_code,
+			[
+				'bucket' => $bucket,
+				'key'    => $object_key,
+				'tags'   => $tags,
+			]
+		);
+	}
+
+	/**
+	 * Remove every tag from an object
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 *
+	 * @return ResponseInterface SuccessResponse or ErrorResponse on failure
+	 */
+	public function delete_object_tagging( string $bucket, string $object_key ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$headers = $this->generate_auth_headers( 'DELETE', $bucket, $object_key, [ 'tagging' => '' ] );
+		$headers = $this->get_base_request_headers( $headers );
+		$url     = $this->provider->build_url_with_query( $bucket, $object_key, [ 'tagging' => '' ] );
+
+		$this->debug_request_details( 'delete_object_tagging', $url, $headers );
+
+		$response = wp_remote_request( $url, [
+			'method'  => 'DELETE',
+			'headers' => $headers,
+			'timeout' => $this->get_operation_timeout( 'object_tagging' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'delete_object_tagging', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to remove object tags', 'arraypress' ) );
+		}
+
+		return new SuccessResponse(
+			__( 'Tags removed', 'arraypress' ),
+			$status_code,
+			[
+				'bucket' => $bucket,
+				'key'    => $object_key,
+				'tags'   => [],
+			]
+		);
+	}
+}
@@ -0,0 +1,182 @@
+<?php
+/**
+ * Object Versions Trait - API Level
+ *
+ * Lists and removes the versions a versioned bucket keeps of its objects,
+ * through the raw S3 API's ?versions subresource and versionId parameter.
+ *
+ * @package     ArrayPress\S3\Traits\Api
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Api;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\SuccessResponse;
+use ArrayPress\S3\Xml\Parser;
+use ArrayPress\S3\Xml\Response;
+
+/**
+ * Trait Versions
+ *
+ * Provides ListObjectVersions and version deletion. Restoring a version is a
+ * copy of it over the current object -- see copy_object()'s source version.
+ */
+trait Versions {
+
+	/**
+	 * List the versions and delete markers under a prefix
+	 *
+	 * A bucket that has never had versioning lists each object once, with
+	 * the version ID "null".
+	 *
+	 * @param string $bucket            Bucket name
+	 * @param string $prefix            Key prefix to list under
+	 * @param int    $max_keys          Most entries to return, up to 1000
+	 * @param string $key_marker        Key to continue a truncated listing from
+	 * @param string $version_id_marker Version to continue a truncated listing from
+	 *
+	 * @return ResponseInterface SuccessResponse with 'versions', newest first per key, or ErrorResponse on failure
+	 */
+	public function list_object_versions(
+		string $bucket,
+		string $prefix = '',
+		int $max_keys = 1000,
+		string $key_marker = '',
+		string $version_id_marker = ''
+	): ResponseInterface {
+		if ( empty( $bucket ) ) {
+			return new ErrorResponse(
+				__( 'Bucket is required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$query = [
+			'versions' => '',
+			'max-keys' => max( 1, min( $max_keys, 1000 ) ),
+		];
+
+		if ( '' !== $prefix ) {
+			$query['prefix'] = $prefix;
+		}
+
+		// The version marker means nothing without the key it belongs to.
+		if ( '' !== $key_marker ) {
+			$query['key-marker'] = $key_marker;
+
+			if ( '' !== $version_id_marker ) {
+				$query['version-id-marker'] = $version_id_marker;
+			}
+		}
+
+		$headers = $this->generate_auth_headers( 'GET', $bucket, '', $query );
+		$headers = $this->get_base_request_headers( $headers );
+		$url     = $this->provider->build_url_with_query( $bucket, '', $query );
+
+		$this->debug_request_details( 'list_object_versions', $url, $headers );
+
+		$response = wp_remote_get( $url, [
+			'headers' => $headers,
+			'timeout' => $this->get_operation_timeout( 'list_versions' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'list_object_versions', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to list object versions', 'arraypress' ) );
+		}
+
+		$xml = Parser::parse( $body );
+		if ( $xml instanceof ErrorResponse ) {
+			return $xml;
+		}
+
+		$listing = Response::versions( $xml );
+
+		return new SuccessResponse(
+			/* translators: %d: number of versions */
+			sprintf( _n( '%d version found', '%d versions found', count( $listing['versions'] ), 'arraypress' ), count( $listing['versions'] ) ),
+			$status_code,
+			[
+				'bucket' => $bucket,
+				'prefix' => $prefix,
+			] + $listing,
+			$xml
+		);
+	}
+
+	/**
+	 * Permanently delete one version of an object
+	 *
+	 * Unlike a plain delete, which only stacks a delete marker on top, this
+	 * removes the version itself. Deleting a delete marker brings back the
+	 * version beneath it.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param string $version_id Version to delete
+	 *
+	 * @return ResponseInterface SuccessResponse or ErrorResponse on failure
+	 */
+	public function delete_object_version( string $bucket, string $object_key, string $version_id ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) || '' === $version_id ) {
+			return new ErrorResponse(
+				__( 'Bucket, object key and version ID are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$query = [ 'versionId' => $version_id ];
+
+		$headers = $this->generate_auth_headers( 'DELETE', $bucket, $object_key, $query );
+		$headers = $this->get_base_request_headers( $headers );
+		$url     = $this->provider->build_url_with_query( $bucket, $object_key, $query );
+
+		$this->debug_request_details( 'delete_object_version', $url, $headers );
+
+		$response = wp_remote_request( $url, [
+			'method'  => 'DELETE',
+			'headers' => $headers,
+			'timeout' => $this->get_operation_timeout( 'delete_object' ),
+		] );
+
+		if ( is_wp_error( $response ) ) {
+			return ErrorResponse::from_wp_error( $response, 400, $this->provider->get_endpoint() );
+		}
+
+		$status_code = wp_remote_retrieve_response_code( $response );
+		$body        = wp_remote_retrieve_body( $response );
+
+		$this->debug_response_details( 'delete_object_version', $status_code, $body );
+
+		if ( $status_code < 200 || $status_code >= 300 ) {
+			return Response::error( $status_code, $body, __( 'Failed to delete object version', 'arraypress' ) );
+		}
+
+		return new SuccessResponse(
+			__( 'Version deleted', 'arraypress' ),
+			$status_code,
+			[
+				'bucket'        => $bucket,
+				'key'           => $object_key,
+				'version_id'    => $version_id,
+				'delete_marker' => 'true' === wp_remote_retrieve_header( $response, 'x-amz-delete-marker' ),
+			]
+		);
+	}
+}
@@ -244,10 +244,11 @@ trait Bucket {
 				'created' => null,
 			],
 			'cors'        => [
-				'analysis'       => null,
-				'upload_ready'   => false,
-				'current_origin' => $current_origin,
-				'details'        => __( 'CORS not configured', 'arraypress' ),
+				'analysis'        => null,
+				'upload_ready'    => false,
+				'checksums_ready' => false,
+				'current_origin'  => $current_origin,
+				'details'         => __( 'CORS not configured', 'arraypress' ),
 			],
 			'permissions' => null,
 			'debug'       => [], // Add debug info
@@ -271,6 +272,7 @@ trait Bucket {
 				$details['debug']['upload_check_data'] = $upload_data;
 
 				$details['cors']['upload_ready']    = $upload_data['allows_upload'] ?? false;
+				$details['cors']['checksums_ready'] = $upload_data['allows_checksums'] ?? false;
 				$details['cors']['allowed_methods'] = $upload_data['allowed_methods'] ?? [];
 				$details['cors']['details']         = ( $upload_data['allows_upload'] ?? false )
 					? __( 'Upload allowed from current domain', 'arraypress' )
@@ -17,6 +17,7 @@ namespace ArrayPress\S3\Traits\Client;
 
 use ArrayPress\S3\Interfaces\Response as ResponseInterface;
 use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\ObjectResponse;
 use ArrayPress\S3\Responses\SuccessResponse;
 use ArrayPress\S3\Utils\Directory;
 use ArrayPress\S3\Utils\File as FileUtil;
@@ -253,14 +254,23 @@ trait File {
 	/**
 	 * Copy an object within or between buckets
 	 *
-	 * @param string $source_bucket Source bucket name
-	 * @param string $source_key    Source object key
-	 * @param string $target_bucket Target bucket name
-	 * @param string $target_key    Target object key
+	 * @param string     $source_bucket     Source bucket name
+	 * @param string     $source_key        Source object key
+	 * @param string     $target_bucket     Target bucket name
+	 * @param string     $target_key        Target object key
+	 * @param array|null $metadata          Metadata to replace the source's with; null to copy it as it is
+	 * @param string     $source_version_id Version of the source to copy; empty for the current one
 	 *
 	 * @return ResponseInterface Response
 	 */
-	public function copy_object( string $source_bucket, string $source_key, string $target_bucket, string $target_key ): ResponseInterface {
+	public function copy_object(
+		string $source_bucket,
+		string $source_key,
+		string $target_bucket,
+		string $target_key,
+		?array $metadata = null,
+		string $source_version_id = ''
+	): ResponseInterface {
 		// Apply contextual filter to modify parameters
 		$params = $this->apply_contextual_filters(
 			'arraypress_s3_copy_object_params',
@@ -279,7 +289,9 @@ trait File {
 			$params['source_bucket'],
 			$params['source_key'],
 			$params['target_bucket'],
-			$params['target_key']
+			$params['target_key'],
+			$metadata,
+			$source_version_id
 		);
 
 		// Debug logging if enabled
@@ -308,6 +320,34 @@ trait File {
 		);
 	}
 
+	/**
+	 * Replace an object's headers and custom metadata
+	 *
+	 * S3 has no call for this: the object is copied onto itself with the
+	 * REPLACE directive, and the new set stands in for the old one whole.
+	 * The object is read first to keep it in the storage class it is in,
+	 * which a REPLACE copy would otherwise drop it out of.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param array  $metadata   content_type, content_disposition, cache_control and user_metadata
+	 *
+	 * @return ResponseInterface Response from the copy
+	 */
+	public function update_object_metadata( string $bucket, string $object_key, array $metadata ): ResponseInterface {
+		$head = $this->head_object( $bucket, $object_key );
+
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return $head;
+		}
+
+		$storage_class = (string) $head->get_metadata_value( 'storage_class', 'STANDARD' );
+
+		$metadata['storage_class'] = 'STANDARD' === $storage_class ? '' : $storage_class;
+
+		return $this->copy_object( $bucket, $object_key, $bucket, $object_key, $metadata );
+	}
+
 	/**
 	 * Rename an object in a bucket
 	 *
@@ -588,4 +628,34 @@ trait File {
 			$object_key
 		);
 	}
+
+	/**
+	 * Read an object, or only the start of it
+	 *
+	 * Never cached. The content is the one thing here that changes without
+	 * the key changing, and a preview showing what a file held before it
+	 * was replaced is worse than none.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param int    $max_bytes  Bytes to read from the start; 0 for the whole object
+	 *
+	 * @return ResponseInterface ObjectResponse with the content, or error
+	 */
+	public function get_object( string $bucket, string $object_key, int $max_bytes = 0 ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$result = $this->api->get_object( $bucket, $object_key, $max_bytes > 0 ? 'bytes=0-' . ( $max_bytes - 1 ) : '' );
+
+		// Debug logging if enabled
+		$this->debug( 'Client: Raw result from signer for GET operation:', $result );
+
+		return $result;
+	}
 }
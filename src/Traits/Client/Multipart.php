@@ -0,0 +1,195 @@
+<?php
+/**
+ * Client Multipart Upload Operations Trait
+ *
+ * Handles multipart uploads for the S3 Client.
+ *
+ * @package     ArrayPress\S3\Traits
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @version     1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Client;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Utils\Directory;
+use ArrayPress\S3\Utils\File;
+use ArrayPress\S3\Utils\Mime;
+
+/**
+ * Trait Multipart
+ */
+trait Multipart {
+
+	/**
+	 * Start a multipart upload
+	 *
+	 * The file type is checked here rather than per part: once an upload ID
+	 * exists, every part URL signed for it writes to the same key.
+	 *
+	 * @param string $bucket       Bucket name
+	 * @param string $object_key   Object key
+	 * @param string $content_type Content type to store with the object
+	 *
+	 * @return ResponseInterface Response carrying the upload ID, or error
+	 */
+	public function create_multipart_upload( string $bucket, string $object_key, string $content_type = '' ): ResponseInterface {
+		$params = $this->apply_contextual_filters(
+			'arraypress_s3_create_multipart_upload_params',
+			[
+				'bucket'       => $bucket,
+				'object_key'   => $object_key,
+				'content_type' => $content_type,
+			],
+			$bucket,
+			$object_key
+		);
+
+		$filename = basename( $params['object_key'] );
+
+		// SECURITY: Validate file type using context-aware filtering
+		if ( ! Mime::is_allowed_extension( $filename, $this->get_context() ) ) {
+			return new ErrorResponse(
+				sprintf(
+					/* translators: %s: file extension */
+					__( 'File type ".%s" is not allowed for upload', 'arraypress' ),
+					File::extension( $filename )
+				),
+				'invalid_file_type',
+				400
+			);
+		}
+
+		$result = $this->api->create_multipart_upload(
+			$params['bucket'],
+			$params['object_key'],
+			$params['content_type']
+		);
+
+		$this->debug( 'Client: Raw result from signer for create multipart upload:', $result );
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_create_multipart_upload_response',
+			$result,
+			$params['bucket'],
+			$params['object_key']
+		);
+	}
+
+	/**
+	 * Generate a pre-signed URL for uploading one part
+	 *
+	 * @param string $bucket      Bucket name
+	 * @param string $object_key  Object key
+	 * @param string $upload_id   Upload ID
+	 * @param int    $part_number Part number
+	 * @param int    $expires     Expiration time in minutes
+	 *
+	 * @return ResponseInterface Pre-signed URL response or error
+	 */
+	public function get_presigned_part_url(
+		string $bucket,
+		string $object_key,
+		string $upload_id,
+		int $part_number,
+		int $expires = 60
+	): ResponseInterface {
+		return $this->api->get_presigned_part_url( $bucket, $object_key, $upload_id, $part_number, $expires );
+	}
+
+	/**
+	 * Copy a range of an existing object in as one part
+	 *
+	 * @param string $source_bucket Bucket the object is copied from
+	 * @param string $source_key    Key the object is copied from
+	 * @param string $bucket        Bucket of the multipart upload
+	 * @param string $object_key    Key of the multipart upload
+	 * @param string $upload_id     Upload ID
+	 * @param int    $part_number   Part number, 1 to 10,000
+	 * @param int    $first_byte    First byte of the source to copy
+	 * @param int    $last_byte     Last byte of the source to copy, inclusive
+	 *
+	 * @return ResponseInterface Response carrying the part's ETag, or error
+	 */
+	public function upload_part_copy(
+		string $source_bucket,
+		string $source_key,
+		string $bucket,
+		string $object_key,
+		string $upload_id,
+		int $part_number,
+		int $first_byte,
+		int $last_byte
+	): ResponseInterface {
+		$result = $this->api->upload_part_copy(
+			$source_bucket,
+			$source_key,
+			$bucket,
+			$object_key,
+			$upload_id,
+			$part_number,
+			$first_byte,
+			$last_byte
+		);
+
+		$this->debug( 'Client: Raw result from signer for upload part copy:', $result );
+
+		return $result;
+	}
+
+	/**
+	 * Complete a multipart upload
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param string $upload_id  Upload ID
+	 * @param array  $parts      ETags keyed by part number
+	 *
+	 * @return ResponseInterface Response
+	 */
+	public function complete_multipart_upload(
+		string $bucket,
+		string $object_key,
+		string $upload_id,
+		array $parts
+	): ResponseInterface {
+		$result = $this->api->complete_multipart_upload( $bucket, $object_key, $upload_id, $parts );
+
+		$this->debug( 'Client: Raw result from signer for complete multipart upload:', $result );
+
+		// The object did not exist until now, so the listing it lands in is stale
+		if ( $result->is_successful() && $this->cache->is_enabled() ) {
+			$cache_key = $this->cache->key( 'objects_' . $bucket, [
+				'max_keys'  => 1000,
+				'prefix'    => Directory::prefix( $object_key ),
+				'delimiter' => '/',
+			], $bucket );
+			$this->cache->forget( $cache_key );
+		}
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_complete_multipart_upload_response',
+			$result,
+			$bucket,
+			$object_key
+		);
+	}
+
+	/**
+	 * Abort a multipart upload
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param string $upload_id  Upload ID
+	 *
+	 * @return ResponseInterface Response
+	 */
+	public function abort_multipart_upload( string $bucket, string $object_key, string $upload_id ): ResponseInterface {
+		return $this->api->abort_multipart_upload( $bucket, $object_key, $upload_id );
+	}
+}
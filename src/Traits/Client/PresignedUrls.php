@@ -31,11 +31,19 @@ trait PresignedUrls {
 	 * @param string $bucket     Bucket name
 	 * @param string $object_key Object key
 	 * @param int    $expires    Expiration time in minutes
+	 * @param string $version_id Version to download; empty for the current one
+	 * @param array  $overrides  content_type, content_disposition or cache_control to serve the file with
 	 *
 	 * @return ResponseInterface Pre-signed URL response, URL string, or error
 	 */
-	public function get_presigned_url( string $bucket, string $object_key, int $expires = 60 ): ResponseInterface {
-		return $this->api->get_presigned_url( $bucket, $object_key, $expires );
+	public function get_presigned_url(
+		string $bucket,
+		string $object_key,
+		int $expires = 60,
+		string $version_id = '',
+		array $overrides = []
+	): ResponseInterface {
+		return $this->api->get_presigned_url( $bucket, $object_key, $expires, $version_id, $overrides );
 	}
 
 
@@ -100,13 +108,19 @@ trait PresignedUrls {
 	/**
 	 * Generate a pre-signed URL for uploading an object
 	 *
-	 * @param string $bucket     Bucket name
-	 * @param string $object_key Object key
-	 * @param int    $expires    Expiration time in minutes
+	 * @param string $bucket          Bucket name
+	 * @param string $object_key      Object key
+	 * @param int    $expires         Expiration time in minutes
+	 * @param string $checksum_sha256 Base64 SHA-256 the content must match, or empty
 	 *
 	 * @return ResponseInterface Pre-signed URL response or error
 	 */
-	public function get_presigned_upload_url( string $bucket, string $object_key, int $expires = 15 ): ResponseInterface {
+	public function get_presigned_upload_url(
+		string $bucket,
+		string $object_key,
+		int $expires = 15,
+		string $checksum_sha256 = ''
+	): ResponseInterface {
 		$filename = basename( $object_key );
 
 		// SECURITY: Validate file type using context-aware filtering
@@ -122,7 +136,7 @@ trait PresignedUrls {
 			);
 		}
 
-		return $this->api->get_presigned_upload_url( $bucket, $object_key, $expires );
+		return $this->api->get_presigned_upload_url( $bucket, $object_key, $expires, $checksum_sha256 );
 	}
 
 	/**
@@ -0,0 +1,152 @@
+<?php
+/**
+ * Client Storage Class Trait
+ *
+ * Handles moving objects between storage classes, and restoring archived
+ * ones, for the S3 Client with contextual filters.
+ *
+ * @package     ArrayPress\S3\Traits\Client
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Client;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\ObjectResponse;
+use ArrayPress\S3\Responses\SuccessResponse;
+use ArrayPress\S3\Utils\File as FileUtil;
+
+/**
+ * Trait Storage
+ *
+ * Provides storage class changes and archive restores
+ */
+trait Storage {
+
+	/**
+	 * Move an object to another storage class
+	 *
+	 * S3 has no call for this either: the object is copied onto itself in
+	 * the new class. The copy replaces the object's metadata, so the headers
+	 * read from it are sent back with it, as update_object_metadata() does.
+	 *
+	 * @param string $bucket        Bucket name
+	 * @param string $object_key    Object key
+	 * @param string $storage_class Storage class, one the provider offers
+	 *
+	 * @return ResponseInterface Response from the copy, or a SuccessResponse with
+	 *                           'changed' false when the object was already there
+	 */
+	public function change_storage_class( string $bucket, string $object_key, string $storage_class ): ResponseInterface {
+		$storage_class = strtoupper( $storage_class );
+
+		if ( ! in_array( $storage_class, $this->get_provider()->get_storage_classes(), true ) ) {
+			return new ErrorResponse(
+				/* translators: %1$s: storage class, %2$s: provider name */
+				sprintf( __( '%1$s is not a storage class %2$s offers', 'arraypress' ), $storage_class, $this->get_provider()->get_label() ),
+				'invalid_storage_class',
+				400
+			);
+		}
+
+		$head = $this->head_object( $bucket, $object_key );
+
+		if ( ! $head->is_successful() || ! $head instanceof ObjectResponse ) {
+			return $head;
+		}
+
+		$current = (string) $head->get_metadata_value( 'storage_class', 'STANDARD' );
+
+		if ( $current === $storage_class ) {
+			return new SuccessResponse(
+				/* translators: %s: storage class */
+				sprintf( __( 'The file is already in %s', 'arraypress' ), $storage_class ),
+				200,
+				[
+					'bucket'        => $bucket,
+					'key'           => $object_key,
+					'storage_class' => $storage_class,
+					'changed'       => false,
+				]
+			);
+		}
+
+		// An archived object cannot be read, and so cannot be copied, until
+		// a restored copy of it is there to read.
+		$restore = (array) $head->get_metadata_value( 'restore', [] );
+
+		if ( FileUtil::is_archived( $current ) && '' === ( $restore['expiry_date'] ?? '' ) ) {
+			return new ErrorResponse(
+				/* translators: %s: storage class */
+				sprintf( __( 'The file is archived in %s; restore it before moving it to another storage class', 'arraypress' ), $current ),
+				'object_archived',
+				409
+			);
+		}
+
+		$result = $this->copy_object( $bucket, $object_key, $bucket, $object_key, [
+			'content_type'        => (string) $head->get_metadata_value( 'content_type', '' ),
+			'content_disposition' => (string) $head->get_metadata_value( 'content_disposition', '' ),
+			'cache_control'       => (string) $head->get_metadata_value( 'cache_control', '' ),
+			'storage_class'       => $storage_class,
+			'user_metadata'       => (array) $head->get_metadata_value( 'user_metadata', [] ),
+		] );
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_change_storage_class_response',
+			$result,
+			$bucket,
+			$object_key,
+			$storage_class
+		);
+	}
+
+	/**
+	 * Ask for a temporary, readable copy of an archived object
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param int    $days       How long the restored copy is kept
+	 * @param string $tier       Retrieval tier: Expedited, Standard or Bulk
+	 *
+	 * @return ResponseInterface Response with 'status': started, restored or ongoing
+	 */
+	public function restore_object( string $bucket, string $object_key, int $days, string $tier = 'Standard' ): ResponseInterface {
+		$params = $this->apply_contextual_filters(
+			'arraypress_s3_restore_object_params',
+			[
+				'bucket'     => $bucket,
+				'object_key' => $object_key,
+				'days'       => $days,
+				'tier'       => $tier,
+			],
+			$bucket,
+			$object_key
+		);
+
+		$result = $this->api->restore_object( $params['bucket'], $params['object_key'], (int) $params['days'], $params['tier'] );
+
+		$this->debug( 'Client: Raw result from signer for restore:', $result );
+
+		// A cached existence check carries the restore state from before.
+		if ( $result->is_successful() && $this->cache->is_enabled() ) {
+			$this->cache->forget( $this->cache->key( 'object_exists', [
+				'bucket' => $params['bucket'],
+				'key'    => $params['object_key'],
+			] ) );
+		}
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_restore_object_response',
+			$result,
+			$params['bucket'],
+			$params['object_key'],
+			$params['days']
+		);
+	}
+}
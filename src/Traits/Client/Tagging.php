@@ -0,0 +1,116 @@
+<?php
+/**
+ * Client Object Tagging Trait
+ *
+ * Handles object tags for the S3 Client with caching and contextual filters.
+ *
+ * @package     ArrayPress\S3\Traits\Client
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Client;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+
+/**
+ * Trait Tagging
+ *
+ * Provides reading and replacing the tags on an object
+ */
+trait Tagging {
+
+	/**
+	 * Get the tags on an object
+	 *
+	 * Cached like a listing: the browser's tag filter reads the tags of every
+	 * file in a folder, and filtering again should not read them all again.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param bool   $use_cache  Whether to use cache
+	 *
+	 * @return ResponseInterface Response with 'tags', values by tag key
+	 */
+	public function get_object_tagging( string $bucket, string $object_key, bool $use_cache = true ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$cache_key = $this->cache->key( 'object_tags', [
+			'bucket' => $bucket,
+			'key'    => $object_key,
+		] );
+
+		if ( $use_cache && $this->cache->is_enabled() ) {
+			$cached = $this->cache->get( $cache_key );
+			if ( $cached !== false ) {
+				return $cached;
+			}
+		}
+
+		$result = $this->api->get_object_tagging( $bucket, $object_key );
+
+		$this->debug( 'Client: Raw result from signer for tagging get:', $result );
+
+		if ( $use_cache && $this->cache->is_enabled() && $result->is_successful() ) {
+			$this->cache->set( $cache_key, $result );
+		}
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_get_object_tagging_response',
+			$result,
+			$bucket,
+			$object_key
+		);
+	}
+
+	/**
+	 * Replace the tags on an object
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param array  $tags       Values by tag key; empty removes them all
+	 *
+	 * @return ResponseInterface Response
+	 */
+	public function put_object_tagging( string $bucket, string $object_key, array $tags ): ResponseInterface {
+		$params = $this->apply_contextual_filters(
+			'arraypress_s3_put_object_tagging_params',
+			[
+				'bucket'     => $bucket,
+				'object_key' => $object_key,
+				'tags'       => $tags,
+			],
+			$bucket,
+			$object_key
+		);
+
+		$result = $this->api->put_object_tagging( $params['bucket'], $params['object_key'], $params['tags'] );
+
+		$this->debug( 'Client: Raw result from signer for tagging put:', $result );
+
+		if ( $result->is_successful() && $this->cache->is_enabled() ) {
+			$this->cache->forget( $this->cache->key( 'object_tags', [
+				'bucket' => $params['bucket'],
+				'key'    => $params['object_key'],
+			] ) );
+		}
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_put_object_tagging_response',
+			$result,
+			$params['bucket'],
+			$params['object_key'],
+			$params['tags']
+		);
+	}
+}
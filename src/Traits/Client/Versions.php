@@ -0,0 +1,181 @@
+<?php
+/**
+ * Client Object Versions Trait
+ *
+ * Handles the version history of objects in versioned buckets for the S3
+ * Client with contextual filters.
+ *
+ * @package     ArrayPress\S3\Traits\Client
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Traits\Client;
+
+use ArrayPress\S3\Interfaces\Response as ResponseInterface;
+use ArrayPress\S3\Responses\ErrorResponse;
+use ArrayPress\S3\Responses\SuccessResponse;
+
+/**
+ * Trait Versions
+ *
+ * Provides listing, restoring and permanently deleting an object's versions
+ */
+trait Versions {
+
+	/**
+	 * Most listing pages read for one object's history.
+	 *
+	 * ListObjectVersions lists by prefix, so a key's history shares its pages
+	 * with every key that starts with it. This caps what a busy prefix costs.
+	 *
+	 * @var int
+	 */
+	private static int $max_version_pages = 10;
+
+	/**
+	 * Get the versions and delete markers of one object
+	 *
+	 * Not cached: the history is read when the admin asks for it, and is
+	 * changed by every write to the object.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 *
+	 * @return ResponseInterface Response with 'versions', newest first, and 'truncated'
+	 *                           when there were more than could be read
+	 */
+	public function get_object_versions( string $bucket, string $object_key ): ResponseInterface {
+		if ( empty( $bucket ) || empty( $object_key ) ) {
+			return new ErrorResponse(
+				__( 'Bucket and object key are required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		$versions          = [];
+		$key_marker        = '';
+		$version_id_marker = '';
+		$truncated         = false;
+
+		for ( $page = 0; $page < self::$max_version_pages; $page ++ ) {
+			$result = $this->api->list_object_versions( $bucket, $object_key, 1000, $key_marker, $version_id_marker );
+
+			$this->debug( 'Client: Raw result from signer for versions list:', $result );
+
+			if ( ! $result->is_successful() ) {
+				return $result;
+			}
+
+			$data = $result->get_data();
+			$past = false;
+
+			foreach ( $data['versions'] as $version ) {
+				if ( $version['key'] === $object_key ) {
+					$versions[] = $version;
+				} elseif ( strcmp( $version['key'], $object_key ) > 0 ) {
+					// Keys are listed in order, and the key itself sorts
+					// before every longer key that starts with it.
+					$past = true;
+				}
+			}
+
+			$truncated = $data['truncated'];
+
+			if ( $past || ! $truncated ) {
+				$truncated = false;
+				break;
+			}
+
+			$key_marker        = $data['next_key_marker'];
+			$version_id_marker = $data['next_version_id_marker'];
+		}
+
+		$response = new SuccessResponse(
+			/* translators: %d: number of versions */
+			sprintf( _n( '%d version found', '%d versions found', count( $versions ), 'arraypress' ), count( $versions ) ),
+			200,
+			[
+				'bucket'    => $bucket,
+				'key'       => $object_key,
+				'versions'  => $versions,
+				'truncated' => $truncated,
+			]
+		);
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_get_object_versions_response',
+			$response,
+			$bucket,
+			$object_key
+		);
+	}
+
+	/**
+	 * Make an earlier version the current one
+	 *
+	 * The version is copied over the object, which adds it as a new version
+	 * on top: the history is kept, including the version being replaced.
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param string $version_id Version to restore
+	 *
+	 * @return ResponseInterface Response from the copy
+	 */
+	public function restore_object_version( string $bucket, string $object_key, string $version_id ): ResponseInterface {
+		if ( '' === $version_id ) {
+			return new ErrorResponse(
+				__( 'Version ID is required', 'arraypress' ),
+				'invalid_parameters',
+				400
+			);
+		}
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_restore_object_version_response',
+			$this->copy_object( $bucket, $object_key, $bucket, $object_key, null, $version_id ),
+			$bucket,
+			$object_key,
+			$version_id
+		);
+	}
+
+	/**
+	 * Permanently delete one version of an object
+	 *
+	 * @param string $bucket     Bucket name
+	 * @param string $object_key Object key
+	 * @param string $version_id Version to delete
+	 *
+	 * @return ResponseInterface Response
+	 */
+	public function delete_object_version( string $bucket, string $object_key, string $version_id ): ResponseInterface {
+		$params = $this->apply_contextual_filters(
+			'arraypress_s3_delete_object_version_params',
+			[
+				'bucket'     => $bucket,
+				'object_key' => $object_key,
+				'version_id' => $version_id,
+			],
+			$bucket,
+			$object_key
+		);
+
+		$result = $this->api->delete_object_version( $params['bucket'], $params['object_key'], $params['version_id'] );
+
+		$this->debug( 'Client: Raw result from signer for version delete:', $result );
+
+		return $this->apply_contextual_filters(
+			'arraypress_s3_delete_object_version_response',
+			$result,
+			$params['bucket'],
+			$params['object_key'],
+			$params['version_id']
+		);
+	}
+}
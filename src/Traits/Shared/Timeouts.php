@@ -33,20 +33,24 @@ trait Timeouts {
 		'head_bucket'        => 15,
 		'delete_object'      => 15,
 		'delete_bucket'      => 15,
+		'restore_object'     => 15,
 
 		// Standard operations (GET, PUT, LIST)
 		'get_object'         => 30,
 		'put_object'         => 30,
 		'list_objects'       => 30,
 		'list_buckets'       => 30,
+		'list_versions'      => 30,
 		'copy_object'        => 30,
 		'create_bucket'      => 30,
+		'object_tagging'     => 30,
 
 		// Batch/bulk operations
 		'batch_delete'       => 60,
 		'batch_copy'         => 60,
 		'multipart_init'     => 60,
 		'multipart_upload'   => 120,
+		'multipart_copy'     => 120,
 		'multipart_complete' => 60,
 
 		// Upload operations
@@ -162,6 +162,30 @@ class Directory {
 		return '' === $target_prefix ? $filename : $target_prefix . '/' . $filename;
 	}
 
+	/**
+	 * Number a key the way desktop file managers do: "manual (2).pdf"
+	 *
+	 * The name a copy gets when the admin keeps both, matching what the
+	 * browser gives an upload kept beside an existing file. A number already
+	 * there is replaced rather than added to, so a copy of "manual (2).pdf"
+	 * is "manual (3).pdf" and not "manual (2) (2).pdf".
+	 *
+	 * @param string $key Object key.
+	 * @param int    $n   Number to give it.
+	 *
+	 * @return string
+	 */
+	public static function numbered_key( string $key, int $n ): string {
+		$slash     = strrpos( $key, '/' );
+		$folder    = false === $slash ? '' : substr( $key, 0, $slash + 1 );
+		$name      = false === $slash ? $key : substr( $key, $slash + 1 );
+		$dot       = strrpos( $name, '.' );
+		$base      = $dot ? substr( $name, 0, $dot ) : $name;
+		$extension = $dot ? substr( $name, $dot ) : '';
+
+		return $folder . preg_replace( '/ \(\d+\)$/', '', $base ) . ' (' . $n . ')' . $extension;
+	}
+
 	/**
 	 * Check if rename would result in the same key
 	 *
@@ -209,6 +233,20 @@ class Directory {
 		return rtrim( $folder_path, '/' ) . '/';
 	}
 
+	/**
+	 * Whether a path is a folder or lies anywhere beneath it
+	 *
+	 * Compared with trailing slashes, so "docs" does not contain "docs-old".
+	 *
+	 * @param string $folder Folder path
+	 * @param string $path   Path to test
+	 *
+	 * @return bool
+	 */
+	public static function contains( string $folder, string $path ): bool {
+		return str_starts_with( self::normalize( $path ), self::normalize( $folder ) );
+	}
+
 	/**
 	 * Get the depth level of a path (number of folder levels)
 	 *
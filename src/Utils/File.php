@@ -111,4 +111,95 @@ class File {
 
 		return 'other';
 	}
+
+	/**
+	 * Build a Content-Disposition header
+	 *
+	 * The quoted filename is for clients that read nothing else, so anything
+	 * outside printable ASCII is replaced in it; RFC 6266's filename* then
+	 * carries the name as it is.
+	 *
+	 * @param string $type     'inline', 'attachment', or empty for no header.
+	 * @param string $filename Name to save the file as; empty to leave it to the browser.
+	 *
+	 * @return string Header value, or empty
+	 */
+	public static function content_disposition( string $type, string $filename = '' ): string {
+		if ( '' === $type ) {
+			return '';
+		}
+
+		if ( '' === $filename ) {
+			return $type;
+		}
+
+		$fallback = (string) preg_replace( '/[^\x20-\x7E]|["\\\\]/', '_', $filename );
+		$header   = sprintf( '%s; filename="%s"', $type, $fallback );
+
+		if ( $fallback !== $filename ) {
+			$header .= "; filename*=UTF-8''" . rawurlencode( $filename );
+		}
+
+		return $header;
+	}
+
+	/**
+	 * Read a Content-Disposition header back into its type and filename
+	 *
+	 * @param string $header Header value.
+	 *
+	 * @return array{type: string, filename: string} Type is 'inline', 'attachment' or empty.
+	 */
+	public static function parse_content_disposition( string $header ): array {
+		$type     = preg_match( '/^\s*(inline|attachment)\b/i', $header, $match ) ? strtolower( $match[1] ) : '';
+		$filename = '';
+
+		if ( preg_match( "/filename\*\s*=\s*UTF-8''([^;\s]+)/i", $header, $match ) ) {
+			$filename = rawurldecode( $match[1] );
+		} elseif ( preg_match( '/filename\s*=\s*(?:"((?:[^"\\\\]|\\\\.)*)"|([^;\s]+))/i', $header, $match ) ) {
+			$filename = '' !== $match[1] ? stripslashes( $match[1] ) : $match[2];
+		}
+
+		return [
+			'type'     => $type,
+			'filename' => $filename,
+		];
+	}
+
+	/**
+	 * Whether a storage class keeps objects where they cannot be read
+	 *
+	 * An object in one of these has to be restored before it can be
+	 * downloaded or copied. Glacier Instant Retrieval is not among them: it
+	 * reads like any other class.
+	 *
+	 * @param string $storage_class Storage class.
+	 *
+	 * @return bool
+	 */
+	public static function is_archived( string $storage_class ): bool {
+		return in_array( strtoupper( $storage_class ), [ 'GLACIER', 'DEEP_ARCHIVE' ], true );
+	}
+
+	/**
+	 * Read an x-amz-restore header into the state of an archived object's restore
+	 *
+	 * S3 sends `ongoing-request="true"` while the copy is being made, then
+	 * `ongoing-request="false", expiry-date="..."` for as long as it lasts,
+	 * and nothing at all once it has expired or if none was asked for.
+	 *
+	 * @param string $header Header value.
+	 *
+	 * @return array{requested: bool, ongoing: bool, expiry_date: string} Expiry date as sent, or empty.
+	 */
+	public static function parse_restore( string $header ): array {
+		$ongoing = preg_match( '/ongoing-request\s*=\s*"?(true|false)"?/i', $header, $match ) ? strtolower( $match[1] ) : '';
+		$expiry  = preg_match( '/expiry-date\s*=\s*"([^"]*)"/i', $header, $match ) ? trim( $match[1] ) : '';
+
+		return [
+			'requested'   => '' !== $ongoing,
+			'ongoing'     => 'true' === $ongoing,
+			'expiry_date' => $expiry,
+		];
+	}
 }
@@ -0,0 +1,84 @@
+<?php
+/**
+ * Search Utility Class
+ *
+ * Matches object keys against what an admin typed into the search box.
+ *
+ * @package     ArrayPress\S3\Utils
+ * @copyright   Copyright (c) 2025, ArrayPress Limited
+ * @license     GPL2+
+ * @version     1.0.0
+ * @author      David Sherlock
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Utils;
+
+/**
+ * Class Search
+ *
+ * Substring and glob matching of object keys
+ */
+class Search {
+
+	/**
+	 * Whether a query is a glob rather than plain text
+	 *
+	 * @param string $query Search query.
+	 *
+	 * @return bool
+	 */
+	public static function is_glob( string $query ): bool {
+		return strpbrk( $query, '*?' ) !== false;
+	}
+
+	/**
+	 * Whether a key matches a query
+	 *
+	 * Plain text matches anywhere in the filename, as the search box does
+	 * for the rows on screen. A glob matches the whole filename, or -- when
+	 * it names a folder, as in "invoices/*.pdf" -- the whole path below the
+	 * folder searched. Both ignore case.
+	 *
+	 * @param string $query        Search query.
+	 * @param string $relative_key Key relative to the prefix being searched.
+	 *
+	 * @return bool
+	 */
+	public static function matches( string $query, string $relative_key ): bool {
+		$query = trim( $query );
+
+		if ( '' === $query || '' === $relative_key ) {
+			return false;
+		}
+
+		if ( ! self::is_glob( $query ) ) {
+			return str_contains( mb_strtolower( Directory::name( $relative_key ) ), mb_strtolower( $query ) );
+		}
+
+		$subject = str_contains( $query, '/' ) ? $relative_key : Directory::name( $relative_key );
+
+		return (bool) preg_match( self::glob_pattern( $query ), $subject );
+	}
+
+	/**
+	 * Turn a glob into an anchored regular expression
+	 *
+	 * "*" and "?" stay within one folder, as they do in a shell; "**"
+	 * crosses folders.
+	 *
+	 * @param string $glob Glob.
+	 *
+	 * @return string
+	 */
+	private static function glob_pattern( string $glob ): string {
+		$pattern = strtr( preg_quote( $glob, '#' ), [
+			'\*\*' => '.*',
+			'\*'   => '[^/]*',
+			'\?'   => '[^/]',
+		] );
+
+		return '#^' . $pattern . '$#iu';
+	}
+}
@@ -297,4 +297,154 @@ class Validate {
 			'message' => '',
 		];
 	}
+
+	/**
+	 * Validate the headers and custom metadata to store on an object
+	 *
+	 * Custom metadata is held to what survives the trip: names of letters,
+	 * numbers and hyphens, since proxies drop headers with underscores, and
+	 * ASCII values, which S3 returns as sent. S3 keeps at most 2 KB of it.
+	 *
+	 * @param array $fields {
+	 *     Fields to validate.
+	 *
+	 *     @type string $content_type  Content-Type.
+	 *     @type string $cache_control Cache-Control.
+	 *     @type string $download_name Filename for Content-Disposition.
+	 *     @type array  $user_metadata List of name and value pairs.
+	 * }
+	 *
+	 * @return array Validation result with 'valid' boolean and 'message' string
+	 */
+	public static function object_metadata( array $fields ): array {
+		$token = '[a-z0-9!#$&^_.+-]+';
+
+		if ( ! preg_match( '~^' . $token . '/' . $token . '(\s*;\s*' . $token . '=("[^"\\\\]*"|' . $token . '))*$~iD', (string) ( $fields['content_type'] ?? '' ) ) ) {
+			return [
+				'valid'   => false,
+				'message' => __( 'Content-Type must be a MIME type, such as application/pdf', 'arraypress' ),
+			];
+		}
+
+		$cache_control = (string) ( $fields['cache_control'] ?? '' );
+
+		if ( strlen( $cache_control ) > 255 || ! preg_match( '/^[\x20-\x7E]*$/D', $cache_control ) ) {
+			return [
+				'valid'   => false,
+				'message' => __( 'Cache-Control can only hold plain text, up to 255 characters', 'arraypress' ),
+			];
+		}
+
+		$download_name = (string) ( $fields['download_name'] ?? '' );
+
+		if ( strlen( $download_name ) > 255 || preg_match( '#[\x00-\x1F\x7F/\\\\]#', $download_name ) ) {
+			return [
+				'valid'   => false,
+				'message' => __( 'The download filename cannot contain slashes or control characters', 'arraypress' ),
+			];
+		}
+
+		$names = [];
+		$size  = 0;
+
+		foreach ( $fields['user_metadata'] ?? [] as $pair ) {
+			$name  = strtolower( (string) ( $pair['name'] ?? '' ) );
+			$value = (string) ( $pair['value'] ?? '' );
+
+			if ( ! preg_match( '/^[a-z0-9]+(-[a-z0-9]+)*$/D', $name ) ) {
+				return [
+					'valid'   => false,
+					/* translators: %s: metadata name */
+					'message' => sprintf( __( 'Metadata name "%s" can only contain letters, numbers and hyphens', 'arraypress' ), $name ),
+				];
+			}
+
+			if ( isset( $names[ $name ] ) ) {
+				return [
+					'valid'   => false,
+					/* translators: %s: metadata name */
+					'message' => sprintf( __( 'Metadata name "%s" is used more than once', 'arraypress' ), $name ),
+				];
+			}
+
+			if ( ! preg_match( '/^[\x20-\x7E]*$/D', $value ) ) {
+				return [
+					'valid'   => false,
+					/* translators: %s: metadata name */
+					'message' => sprintf( __( 'The value of "%s" can only contain plain ASCII text', 'arraypress' ), $name ),
+				];
+			}
+
+			$names[ $name ] = true;
+			$size          += strlen( $name ) + strlen( $value );
+		}
+
+		if ( $size > 2048 ) {
+			return [
+				'valid'   => false,
+				'message' => __( 'Custom metadata cannot exceed 2 KB in total', 'arraypress' ),
+			];
+		}
+
+		return [
+			'valid'   => true,
+			'message' => '',
+		];
+	}
+
+	/**
+	 * Validate a tag set for an object
+	 *
+	 * S3's limits: ten tags, keys of up to 128 characters and values of up to
+	 * 256, in letters, numbers, spaces and + - = . _ : / @. Keys starting
+	 * "aws:" are reserved.
+	 *
+	 * @param array $tags Values by tag key
+	 *
+	 * @return array Validation result with 'valid' boolean and 'message' string
+	 */
+	public static function object_tags( array $tags ): array {
+		if ( count( $tags ) > 10 ) {
+			return [
+				'valid'   => false,
+				'message' => __( 'An object can have at most 10 tags', 'arraypress' ),
+			];
+		}
+
+		$allowed = '/^[\p{L}\p{Z}\p{N}_.:\/=+\-@]*$/uD';
+
+		foreach ( $tags as $key => $value ) {
+			$key   = (string) $key;
+			$value = (string) $value;
+
+			if ( '' === $key || mb_strlen( $key ) > 128 || ! preg_match( $allowed, $key ) ) {
+				return [
+					'valid'   => false,
+					/* translators: %s: tag key */
+					'message' => sprintf( __( 'Tag key "%s" must be 1 to 128 letters, numbers, spaces or + - = . _ : / @', 'arraypress' ), $key ),
+				];
+			}
+
+			if ( 0 === stripos( $key, 'aws:' ) ) {
+				return [
+					'valid'   => false,
+					/* translators: %s: tag key */
+					'message' => sprintf( __( 'Tag key "%s" uses the reserved aws: prefix', 'arraypress' ), $key ),
+				];
+			}
+
+			if ( mb_strlen( $value ) > 256 || ! preg_match( $allowed, $value ) ) {
+				return [
+					'valid'   => false,
+					/* translators: %s: tag key */
+					'message' => sprintf( __( 'The value of tag "%s" must be up to 256 letters, numbers, spaces or + - = . _ : / @', 'arraypress' ), $key ),
+				];
+			}
+		}
+
+		return [
+			'valid'   => true,
+			'message' => '',
+		];
+	}
 }
@@ -112,4 +112,82 @@ final class Builder {
 
 		return $xml;
 	}
+
+	/**
+	 * Build XML for completing a multipart upload
+	 *
+	 * S3 rejects the list unless it is in ascending part order, and the
+	 * browser finishes parts in whatever order the network allows.
+	 *
+	 * @param array $parts ETags keyed by part number
+	 *
+	 * @return string XML string
+	 */
+	public static function complete_multipart_upload( array $parts ): string {
+		ksort( $parts, SORT_NUMERIC );
+
+		$xml = '<?xml version="1.0" encoding="UTF-8"?>' . "\n";
+		$xml .= '<CompleteMultipartUpload xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' . "\n";
+
+		foreach ( $parts as $part_number => $etag ) {
+			// Browsers read the ETag header with its quotes on; some providers
+			// refuse it without them. Normalise to exactly one pair.
+			$etag = '"' . trim( (string) $etag, '"' ) . '"';
+
+			$xml .= '  <Part>' . "\n";
+			$xml .= '    <PartNumber>' . (int) $part_number . '</PartNumber>' . "\n";
+			$xml .= '    <ETag>' . htmlspecialchars( $etag, ENT_XML1 | ENT_COMPAT, 'UTF-8' ) . '</ETag>' . "\n";
+			$xml .= '  </Part>' . "\n";
+		}
+
+		$xml .= '</CompleteMultipartUpload>';
+
+		return $xml;
+	}
+
+	/**
+	 * Build XML for setting an object's tags
+	 *
+	 * @param array $tags Values by tag key
+	 *
+	 * @return string XML string
+	 */
+	public static function tagging( array $tags ): string {
+		$xml = '<?xml version="1.0" encoding="UTF-8"?>' . "\n";
+		$xml .= '<Tagging xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' . "\n";
+		$xml .= '  <TagSet>' . "\n";
+
+		foreach ( $tags as $key => $value ) {
+			// A key of digits arrives as an integer: PHP converts array keys.
+			$xml .= '    <Tag>' . "\n";
+			$xml .= '      <Key>' . htmlspecialchars( (string) $key, ENT_XML1 | ENT_COMPAT, 'UTF-8' ) . '</Key>' . "\n";
+			$xml .= '      <Value>' . htmlspecialchars( (string) $value, ENT_XML1 | ENT_COMPAT, 'UTF-8' ) . '</Value>' . "\n";
+			$xml .= '    </Tag>' . "\n";
+		}
+
+		$xml .= '  </TagSet>' . "\n";
+		$xml .= '</Tagging>';
+
+		return $xml;
+	}
+
+	/**
+	 * Build XML for restoring an archived object
+	 *
+	 * @param int    $days How long the restored copy is kept
+	 * @param string $tier Retrieval tier: Expedited, Standard or Bulk
+	 *
+	 * @return string XML string
+	 */
+	public static function restore_request( int $days, string $tier ): string {
+		$xml = '<?xml version="1.0" encoding="UTF-8"?>' . "\n";
+		$xml .= '<RestoreRequest xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' . "\n";
+		$xml .= '  <Days>' . $days . '</Days>' . "\n";
+		$xml .= '  <GlacierJobParameters>' . "\n";
+		$xml .= '    <Tier>' . htmlspecialchars( $tier, ENT_XML1 | ENT_COMPAT, 'UTF-8' ) . '</Tier>' . "\n";
+		$xml .= '  </GlacierJobParameters>' . "\n";
+		$xml .= '</RestoreRequest>';
+
+		return $xml;
+	}
 }
@@ -167,6 +167,121 @@ class Response {
 		];
 	}
 
+	/**
+	 * Parse an UploadPartCopy response.
+	 *
+	 * @param array $xml Parsed XML.
+	 *
+	 * @return array ETag of the copied part.
+	 */
+	public static function copy_part( array $xml ): array {
+		$result = $xml['CopyPartResult'] ?? $xml;
+
+		return [
+			'etag' => Extract::etag( $result['ETag'] ?? '' ),
+		];
+	}
+
+	/**
+	 * Parse a CreateMultipartUpload response.
+	 *
+	 * @param array $xml Parsed XML.
+	 *
+	 * @return array Upload ID.
+	 */
+	public static function multipart_upload( array $xml ): array {
+		$result = $xml['InitiateMultipartUploadResult'] ?? $xml;
+
+		return [
+			'upload_id' => Extract::text( $result['UploadId'] ?? '' ),
+		];
+	}
+
+	/**
+	 * Parse a CompleteMultipartUpload response.
+	 *
+	 * @param array $xml Parsed XML.
+	 *
+	 * @return array ETag and location of the assembled object.
+	 */
+	public static function complete_multipart_upload( array $xml ): array {
+		$result = $xml['CompleteMultipartUploadResult'] ?? $xml;
+
+		return [
+			'etag'     => Extract::etag( $result['ETag'] ?? '' ),
+			'location' => Extract::text( $result['Location'] ?? '' ),
+		];
+	}
+
+	/**
+	 * Parse a GetObjectTagging response.
+	 *
+	 * @param array $xml Parsed XML.
+	 *
+	 * @return array Values by tag key.
+	 */
+	public static function tagging( array $xml ): array {
+		$tagging = $xml['Tagging'] ?? $xml;
+		$set     = is_array( $tagging['TagSet'] ?? null ) ? $tagging['TagSet'] : [];
+		$tags    = [];
+
+		foreach ( self::items( $set['Tag'] ?? null, 'Key' ) as $tag ) {
+			$key = Extract::text( $tag['Key'] ?? '' );
+
+			if ( '' !== $key ) {
+				$tags[ $key ] = Extract::text( $tag['Value'] ?? '' );
+			}
+		}
+
+		return $tags;
+	}
+
+	/**
+	 * Parse a ListObjectVersions response.
+	 *
+	 * Versions and delete markers come as separate lists, so the order they
+	 * had in the document is lost; they are put back newest first within
+	 * each key, which is the order S3 sends them in.
+	 *
+	 * @param array $xml Parsed XML.
+	 *
+	 * @return array Versions and delete markers, and pagination state.
+	 */
+	public static function versions( array $xml ): array {
+		$result    = $xml['ListVersionsResult'] ?? $xml;
+		$truncated = Extract::flag( $result['IsTruncated'] ?? '' );
+
+		$entry = static fn( array $node, bool $delete_marker ): array => [
+			'key'           => Extract::text( $node['Key'] ?? '' ),
+			'version_id'    => Extract::text( $node['VersionId'] ?? 'null' ),
+			'is_latest'     => Extract::flag( $node['IsLatest'] ?? '' ),
+			'delete_marker' => $delete_marker,
+			'last_modified' => Extract::text( $node['LastModified'] ?? '' ),
+			'etag'          => $delete_marker ? '' : Extract::etag( $node['ETag'] ?? '' ),
+			'size'          => $delete_marker ? 0 : (int) Extract::text( $node['Size'] ?? '0' ),
+			'storage_class' => $delete_marker ? '' : Extract::text( $node['StorageClass'] ?? 'STANDARD' ),
+		];
+
+		$versions = array_merge(
+			array_map( static fn( $node ) => $entry( $node, false ), self::items( $result['Version'] ?? null, 'Key' ) ),
+			array_map( static fn( $node ) => $entry( $node, true ), self::items( $result['DeleteMarker'] ?? null, 'Key' ) )
+		);
+
+		usort( $versions, static fn( array $a, array $b ): int => strcmp( $a['key'], $b['key'] )
+			?: ( $b['is_latest'] <=> $a['is_latest'] )
+			?: strcmp( $b['last_modified'], $a['last_modified'] ) );
+
+		return [
+			'versions'               => array_values( array_filter(
+				$versions,
+				static fn( array $version ): bool => '' !== $version['key']
+			) ),
+			'truncated'              => $truncated,
+			'next_key_marker'        => $truncated ? Extract::text( $result['NextKeyMarker'] ?? '' ) : '',
+			'next_version_id_marker' => $truncated ? Extract::text( $result['NextVersionIdMarker'] ?? '' ) : '',
+		];
+	}
+
 	/**
 	 * Read a ListBuckets marker.
 	 *
@@ -0,0 +1,99 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Admin;
+
+use ArrayPress\S3\Admin\Favorites;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * The buckets a user has starred.
+ *
+ * The first favorite is where the media tab opens, so a bucket that is no
+ * longer allowed must never come back from here: the tab would open on a
+ * listing the permission check then refuses.
+ */
+final class FavoritesTest extends TestCase {
+
+	protected function setUp(): void {
+		$GLOBALS['wp_test_options'] = [];
+		$GLOBALS['wp_test_user_id'] = 1;
+	}
+
+	protected function tearDown(): void {
+		unset( $GLOBALS['wp_test_user_id'] );
+	}
+
+	private function favorites( array $allowed = [], string $suffix = 'r2_edd' ): Favorites {
+		return new Favorites( $suffix, static fn(): array => $allowed );
+	}
+
+	public function test_favorites_keep_the_order_they_were_starred_in(): void {
+		$favorites = $this->favorites();
+
+		$favorites->set( 'media', true );
+		$favorites->set( 'archive', true );
+
+		$this->assertSame( [ 'media', 'archive' ], $favorites->get() );
+		$this->assertSame( 'media', $favorites->first() );
+	}
+
+	public function test_starring_twice_does_not_duplicate(): void {
+		$favorites = $this->favorites();
+
+		$favorites->set( 'media', true );
+
+		$this->assertSame( [ 'media' ], $favorites->set( 'media', true ) );
+	}
+
+	public function test_unstarring_removes_the_bucket(): void {
+		$favorites = $this->favorites();
+
+		$favorites->set( 'media', true );
+		$favorites->set( 'archive', true );
+
+		$this->assertSame( [ 'archive' ], $favorites->set( 'media', false ) );
+		$this->assertFalse( $favorites->has( 'media' ) );
+	}
+
+	public function test_a_bucket_outside_the_allow_list_is_not_offered(): void {
+		$this->favorites()->set( 'retired', true );
+		$this->favorites()->set( 'media', true );
+
+		$favorites = $this->favorites( [ 'media' ] );
+
+		$this->assertSame( [ 'media' ], $favorites->get() );
+		$this->assertSame( 'media', $favorites->first() );
+	}
+
+	public function test_favorites_belong_to_the_user_who_starred_them(): void {
+		$this->favorites()->set( 'media', true );
+
+		$GLOBALS['wp_test_user_id'] = 2;
+
+		$this->assertSame( [], $this->favorites()->get() );
+		$this->assertSame( '', $this->favorites()->first() );
+	}
+
+	/**
+	 * Two browsers can hold different credentials, where the same bucket
+	 * name is a different bucket, or none at all.
+	 */
+	public function test_each_browser_instance_keeps_its_own(): void {
+		$this->favorites( [], 'r2_edd' )->set( 'media', true );
+
+		$this->assertSame( [], $this->favorites( [], 'aws_woocommerce' )->get() );
+	}
+
+	public function test_sort_puts_favorites_first(): void {
+		$favorites = $this->favorites();
+
+		$favorites->set( 'zeta', true );
+		$favorites->set( 'beta', true );
+
+		$this->assertSame(
+			[ 'zeta', 'beta', 'alpha', 'gamma' ],
+			$favorites->sort( [ 'alpha', 'beta', 'gamma', 'zeta' ] )
+		);
+	}
+}
@@ -33,6 +33,12 @@ final class TemplatesTest extends TestCase {
 
 		$this->assertStringContainsString( 'id="tmpl-s3-bucket-details"', $output );
 		$this->assertStringContainsString( 'id="tmpl-s3-file-details"', $output );
+		$this->assertStringContainsString( 'id="tmpl-s3-object-metadata"', $output );
+		$this->assertStringContainsString( 'id="tmpl-s3-object-tags"', $output );
+		$this->assertStringContainsString( 'id="tmpl-s3-object-storage"', $output );
+		$this->assertStringContainsString( 'id="tmpl-s3-object-versions"', $output );
+		$this->assertStringContainsString( 'id="tmpl-s3-shared-links"', $output );
+		$this->assertStringContainsString( 'id="tmpl-s3-object-downloads"', $output );
 		$this->assertStringContainsString( 'type="text/html"', $output );
 	}
 
@@ -53,7 +59,7 @@ final class TemplatesTest extends TestCase {
 	public function test_values_are_interpolated_through_the_escaping_form(): void {
 		$output = $this->render();
 
-		foreach ( [ 'data.bucket', 'data.cors.details', 'data.filename', 'data.key', 'data.etag' ] as $field ) {
+		foreach ( [ 'data.bucket', 'data.cors.details', 'data.filename', 'data.key', 'data.etag', 'pair.name', 'pair.value', 'tag.key', 'tag.value', 'version.version_id', 'version.etag', 'storageClass', 'data.restore.expiry_formatted', 'link.key', 'link.note', 'link.user', 'download.ip' ] as $field ) {
 			$this->assertMatchesRegularExpression(
 				'/\{\{\s*' . preg_quote( $field, '/' ) . '\s*\}\}/',
 				$output,
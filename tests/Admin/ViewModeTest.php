@@ -0,0 +1,50 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Admin;
+
+use ArrayPress\S3\Admin\ViewMode;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Whether a user sees files as a list or a grid.
+ *
+ * The view is printed into the table's class, so whatever comes back from
+ * here ends up in markup: only a known view may.
+ */
+final class ViewModeTest extends TestCase {
+
+	protected function setUp(): void {
+		$GLOBALS['wp_test_options'] = [];
+		$GLOBALS['wp_test_user_id'] = 1;
+	}
+
+	protected function tearDown(): void {
+		unset( $GLOBALS['wp_test_user_id'] );
+	}
+
+	public function test_the_list_is_the_default(): void {
+		$this->assertSame( 'list', ( new ViewMode() )->get() );
+		$this->assertFalse( ( new ViewMode() )->is_grid() );
+	}
+
+	public function test_the_view_belongs_to_the_user_who_chose_it(): void {
+		$this->assertSame( 'grid', ( new ViewMode() )->set( 'grid' ) );
+
+		$GLOBALS['wp_test_user_id'] = 2;
+
+		$this->assertSame( 'list', ( new ViewMode() )->get() );
+	}
+
+	public function test_an_unknown_view_is_ignored(): void {
+		$view_mode = new ViewMode();
+
+		$view_mode->set( 'grid' );
+
+		$this->assertSame( 'grid', $view_mode->set( '" onmouseover="alert(1)' ) );
+
+		update_user_meta( 1, $view_mode->meta_key(), 'tiles' );
+
+		$this->assertSame( 'list', $view_mode->get() );
+	}
+}
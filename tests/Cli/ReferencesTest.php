@@ -0,0 +1,144 @@
+<?php
+/**
+ * Finding and repairing the products that deliver an object.
+ *
+ * @package ArrayPress\S3
+ */
+
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Cli;
+
+use ArrayPress\S3\Cli\Files;
+use ArrayPress\S3\Cli\References;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Class ReferencesTest
+ */
+final class ReferencesTest extends TestCase {
+
+	/**
+	 * A file table held in memory, recording every write.
+	 *
+	 * @param array<int, array> $posts Files by post ID.
+	 *
+	 * @return Files
+	 */
+	private function store( array $posts ): Files {
+		return new class( $posts ) implements Files {
+
+			public array $writes = [];
+
+			public function __construct( public array $posts ) {
+			}
+
+			public function noun( bool $plural = false ): string {
+				return $plural ? 'products' : 'product';
+			}
+
+			public function locate( string $reference ): int {
+				return 0;
+			}
+
+			public function label( int $id ): string {
+				return 'Product ' . $id;
+			}
+
+			public function files( int $id ): array {
+				return $this->posts[ $id ] ?? [];
+			}
+
+			public function assign( int $id, array $files, string $mode ): void {
+				$this->writes[]     = [ $id, $mode ];
+				$this->posts[ $id ] = $files;
+			}
+
+			public function all(): array {
+				return array_keys( $this->posts );
+			}
+		};
+	}
+
+	/**
+	 * Build a file row.
+	 *
+	 * @param string $name Name.
+	 * @param string $path Path.
+	 *
+	 * @return array
+	 */
+	private function file( string $name, string $path ): array {
+		return [
+			'name' => $name,
+			'path' => $path,
+		];
+	}
+
+	public function test_finds_each_post_holding_an_object_once(): void {
+		$references = new References( $this->store( [
+			10 => [ $this->file( 'Plugin', 'media/plugin.zip' ), $this->file( 'Again', 's3://media/plugin.zip' ) ],
+			11 => [ $this->file( 'Other', 'media/other.zip' ) ],
+			12 => [ $this->file( 'Plugin', '/media/plugin.zip/' ) ],
+		] ) );
+
+		$this->assertSame( [ 10, 12 ], array_column( $references->find( 'media', 'plugin.zip' ), 'id' ) );
+		$this->assertSame( 'Product 10', $references->find( 'media', 'plugin.zip' )[0]['label'] );
+		$this->assertTrue( $references->holds( 11, 'media', 'other.zip' ) );
+		$this->assertFalse( $references->holds( 11, 'media', 'plugin.zip' ) );
+	}
+
+	/**
+	 * SYNC matches by name, so the rows left behind keep their identity --
+	 * and on WooCommerce, the download id customers' permissions hang on.
+	 */
+	public function test_detach_drops_only_the_rows_for_the_object(): void {
+		$store      = $this->store( [
+			10 => [ $this->file( 'Plugin', 'media/plugin.zip' ), $this->file( 'Docs', 'media/docs.pdf' ) ],
+		] );
+		$references = new References( $store );
+
+		$this->assertSame( 1, $references->detach( 10, 'media', 'plugin.zip' ) );
+		$this->assertSame( [ $this->file( 'Docs', 'media/docs.pdf' ) ], $store->posts[10] );
+		$this->assertSame( [ [ 10, Files::SYNC ] ], $store->writes );
+		$this->assertSame( [], $references->find( 'media', 'plugin.zip' ) );
+	}
+
+	public function test_repoint_keeps_the_name_and_the_path_style(): void {
+		$store      = $this->store( [
+			10 => [ $this->file( 'Plugin', 's3://media/plugin.zip' ) ],
+		] );
+		$references = new References( $store );
+
+		$this->assertSame( 1, $references->repoint( 10, 'media', 'plugin.zip', 'releases/plugin-2.zip' ) );
+		$this->assertSame( [ $this->file( 'Plugin', 's3://media/releases/plugin-2.zip' ) ], $store->posts[10] );
+		$this->assertSame( [ 10 ], array_column( $references->find( 'media', 'releases/plugin-2.zip' ), 'id' ) );
+	}
+
+	/**
+	 * A renamed object takes every product delivering it along, and leaves
+	 * the products delivering something else alone.
+	 */
+	public function test_follow_repoints_every_post_holding_the_object(): void {
+		$store = $this->store( [
+			10 => [ $this->file( 'Plugin', 'media/old/plugin.zip' ) ],
+			11 => [ $this->file( 'Bundle', 's3://media/old/plugin.zip' ), $this->file( 'Docs', 'media/old/docs.pdf' ) ],
+			12 => [ $this->file( 'Docs', 'media/old/docs.pdf' ) ],
+		] );
+
+		$this->assertSame( 2, ( new References( $store ) )->follow( 'media', 'old/plugin.zip', 'new/plugin.zip' ) );
+		$this->assertSame( 'media/new/plugin.zip', $store->posts[10][0]['path'] );
+		$this->assertSame( 's3://media/new/plugin.zip', $store->posts[11][0]['path'] );
+		$this->assertSame( 'media/old/docs.pdf', $store->posts[11][1]['path'] );
+		$this->assertSame( [ 10, 11 ], array_column( $store->writes, 0 ) );
+	}
+
+	public function test_a_post_without_the_object_is_not_written(): void {
+		$store = $this->store( [
+			10 => [ $this->file( 'Docs', 'media/docs.pdf' ) ],
+		] );
+
+		$this->assertSame( 0, ( new References( $store ) )->detach( 10, 'media', 'plugin.zip' ) );
+		$this->assertSame( [], $store->writes );
+	}
+}
@@ -5,14 +5,17 @@ namespace ArrayPress\S3\Tests;
 
 use ArrayPress\S3\Admin\Assets;
 use ArrayPress\S3\Admin\Config;
+use ArrayPress\S3\Admin\Favorites;
 use ArrayPress\S3\Admin\MediaLibrary;
 use ArrayPress\S3\Admin\Screen;
 use ArrayPress\S3\Admin\Templates;
 use ArrayPress\S3\Admin\Translations;
+use ArrayPress\S3\Admin\ViewMode;
 use ArrayPress\S3\Api;
 use ArrayPress\S3\Browser;
 use ArrayPress\S3\Cache;
 use ArrayPress\S3\Client;
+use ArrayPress\S3\FolderJobs;
 use ArrayPress\S3\Permissions;
 use ArrayPress\S3\Provider;
 use ArrayPress\S3\Rest\Controller;
@@ -54,6 +57,8 @@ final class CompositionTest extends TestCase {
 			Client::class,
 			Config::class,
 			Controller::class,
+			Favorites::class,
+			FolderJobs::class,
 			MediaLibrary::class,
 			Objects::class,
 			Permissions::class,
@@ -61,6 +66,7 @@ final class CompositionTest extends TestCase {
 			Screen::class,
 			Templates::class,
 			Translations::class,
+			ViewMode::class,
 		];
 
 		return array_combine(
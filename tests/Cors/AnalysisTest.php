@@ -18,6 +18,7 @@ final class AnalysisTest extends TestCase {
 	private const UPLOAD_RULE = [
 		'AllowedOrigins' => [ 'https://shop.example' ],
 		'AllowedMethods' => [ 'PUT', 'POST' ],
+		'AllowedHeaders' => [ 'Content-Type' ],
 	];
 
 	// -- Upload capability -------------------------------------------------
@@ -34,7 +35,7 @@ final class AnalysisTest extends TestCase {
 	}
 
 	public function test_wildcard_origin_allows_anyone(): void {
-		$rules = [ [ 'AllowedOrigins' => [ '*' ], 'AllowedMethods' => [ 'PUT' ] ] ];
+		$rules = [ [ 'AllowedOrigins' => [ '*' ], 'AllowedMethods' => [ 'PUT' ], 'AllowedHeaders' => [ '*' ] ] ];
 
 		$this->assertTrue( Analysis::allows_upload( $rules, 'https://anything.example' )['allows_upload'] );
 	}
@@ -78,6 +79,36 @@ final class AnalysisTest extends TestCase {
 		$this->assertFalse( Analysis::allows_upload( $rules, 'https://shop.example' )['allows_upload'] );
 	}
 
+	/**
+	 * Every upload sends a Content-Type, and the preflight asks for it. A rule
+	 * with the right origin and method but no allowed headers still refuses.
+	 */
+	public function test_rule_must_allow_the_content_type_header(): void {
+		$rules = [ [ 'AllowedOrigins' => [ 'https://shop.example' ], 'AllowedMethods' => [ 'PUT' ] ] ];
+
+		$this->assertFalse( Analysis::allows_upload( $rules, 'https://shop.example' )['allows_upload'] );
+	}
+
+	public function test_allowed_headers_match_without_regard_to_case(): void {
+		$rules = [ [ 'AllowedOrigins' => [ '*' ], 'AllowedMethods' => [ 'PUT' ], 'AllowedHeaders' => [ 'content-type' ] ] ];
+
+		$this->assertTrue( Analysis::allows_upload( $rules, 'https://shop.example' )['allows_upload'] );
+	}
+
+	/**
+	 * Uploads add their checksum headers only where the rule allows them, so
+	 * an older rule is reported as working, just without the checks.
+	 */
+	public function test_checksum_headers_are_reported_separately(): void {
+		$plain  = Analysis::allows_upload( [ self::UPLOAD_RULE ], 'https://shop.example' );
+		$rules  = [ [ 'AllowedOrigins' => [ '*' ], 'AllowedMethods' => [ 'PUT' ], 'AllowedHeaders' => [ 'Content-Type', 'Content-MD5', 'x-amz-*' ] ] ];
+		$checks = Analysis::allows_upload( $rules, 'https://shop.example' );
+
+		$this->assertTrue( $plain['allows_upload'] );
+		$this->assertFalse( $plain['allows_checksums'] );
+		$this->assertTrue( $checks['allows_checksums'] );
+	}
+
 	public function test_matching_rules_are_returned_for_inspection(): void {
 		$result = Analysis::allows_upload( [ self::UPLOAD_RULE ], 'https://shop.example' );
 
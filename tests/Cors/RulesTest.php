@@ -3,6 +3,7 @@ declare( strict_types=1 );
 
 namespace ArrayPress\S3\Tests\Cors;
 
+use ArrayPress\S3\Cors\Analysis;
 use ArrayPress\S3\Cors\Rules;
 use ArrayPress\S3\Xml\Builder;
 use PHPUnit\Framework\TestCase;
@@ -23,6 +24,44 @@ final class RulesTest extends TestCase {
 		$this->assertSame( [ 'https://shop.example' ], $rules[0]['AllowedOrigins'] );
 	}
 
+	/**
+	 * Completing a multipart upload needs each part's ETag, which a browser
+	 * hides unless the rule exposes it.
+	 */
+	public function test_upload_scenario_exposes_the_part_etag(): void {
+		foreach ( [ 'upload_only', 'presigned_upload' ] as $scenario ) {
+			$rules = Rules::generate( $scenario, [ 'https://shop.example' ] );
+
+			$this->assertContains( 'ETag', $rules[0]['ExposeHeaders'], $scenario );
+		}
+	}
+
+	/**
+	 * An SSE-KMS or SSE-C object's ETag is not its MD5, and the uploader can
+	 * only tell when it can read the encryption headers.
+	 */
+	public function test_upload_scenarios_expose_the_encryption_headers(): void {
+		foreach ( [ 'upload_only', 'presigned_upload', 'full_access' ] as $scenario ) {
+			$exposed = Rules::generate( $scenario, [ 'https://shop.example' ] )[0]['ExposeHeaders'];
+
+			$this->assertContains( 'x-amz-server-side-encryption', $exposed, $scenario );
+			$this->assertContains( 'x-amz-server-side-encryption-customer-algorithm', $exposed, $scenario );
+		}
+	}
+
+	/**
+	 * A preflight naming a header the rule does not allow fails the upload,
+	 * so each header the uploader can send has to be on every upload rule.
+	 */
+	public function test_upload_scenarios_allow_the_headers_the_uploader_sends(): void {
+		foreach ( [ 'upload_only', 'presigned_upload', 'full_access' ] as $scenario ) {
+			$rules  = Rules::generate( $scenario, [ 'https://shop.example' ] );
+			$result = Analysis::allows_upload( $rules, 'https://shop.example' );
+
+			$this->assertTrue( $result['allows_checksums'], $scenario );
+		}
+	}
+
 	public function test_public_read_scenario_is_read_only(): void {
 		$rules = Rules::generate( 'public_read' );
 
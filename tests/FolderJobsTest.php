@@ -0,0 +1,195 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests;
+
+use ArrayPress\S3\Cli\Files;
+use ArrayPress\S3\Client;
+use ArrayPress\S3\FolderJobs;
+use ArrayPress\S3\Provider;
+use ArrayPress\S3\Tests\Support\FakeHttp;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Moving a folder a batch at a time.
+ *
+ * A job is advanced by whichever of the browser's poll and WP-Cron gets to it
+ * first, so the hazard is two of them moving the same batch at once, and a
+ * job left behind with half a folder in each place.
+ */
+final class FolderJobsTest extends TestCase {
+
+	protected function setUp(): void {
+		FakeHttp::reset();
+		$GLOBALS['wp_test_options']    = [];
+		$GLOBALS['wp_test_cron']       = [];
+		$GLOBALS['wp_test_actions']    = [];
+		$GLOBALS['wp_test_did_action'] = [];
+		$GLOBALS['wp_test_user_id']    = 1;
+	}
+
+	protected function tearDown(): void {
+		unset( $GLOBALS['wp_test_user_id'], $GLOBALS['wp_test_filters']['arraypress_s3_rename_object_params'] );
+	}
+
+	private function jobs(): FolderJobs {
+		return new FolderJobs( new Client( Provider::r2( 'account123' ), 'key', 'secret', false ), 'r2_edd' );
+	}
+
+	private function listing( string ...$keys ): string {
+		$contents = '';
+
+		foreach ( $keys as $key ) {
+			$contents .= '<Contents><Key>' . $key . '</Key><Size>1</Size></Contents>';
+		}
+
+		return '<ListBucketResult><IsTruncated>false</IsTruncated>' . $contents . '</ListBucketResult>';
+	}
+
+	public function test_a_started_job_is_kept_and_scheduled(): void {
+		$jobs = $this->jobs();
+		$job  = $jobs->start( 'media', 'old/', 'new/' );
+
+		$this->assertMatchesRegularExpression( '/^[a-f0-9]{32}$/', $job['id'] );
+		$this->assertSame( 'running', $jobs->get( $job['id'] )['status'] );
+		$this->assertSame( $jobs->hook(), $GLOBALS['wp_test_cron'][0]['hook'] );
+		$this->assertSame( [], FakeHttp::requests(), 'Starting a job moves nothing yet' );
+	}
+
+	public function test_an_unknown_job_is_null(): void {
+		$this->assertNull( $this->jobs()->get( str_repeat( 'a', 32 ) ) );
+		$this->assertNull( $this->jobs()->advance( str_repeat( 'a', 32 ) ) );
+	}
+
+	public function test_a_batch_moves_every_key_and_reports_each_one(): void {
+		$jobs = $this->jobs();
+		$job  = $jobs->start( 'media', 'old/', 'new/' );
+
+		FakeHttp::queue( 200, $this->listing( 'old/a.zip', 'old/sub/b.zip' ) );
+		FakeHttp::queue( 200, '<CopyObjectResult><ETag>"a"</ETag></CopyObjectResult>' );
+		FakeHttp::queue( 204 );
+		FakeHttp::queue( 200, '<CopyObjectResult><ETag>"b"</ETag></CopyObjectResult>' );
+		FakeHttp::queue( 204 );
+
+		$job = $jobs->advance( $job['id'] );
+
+		$this->assertSame( 'done', $job['status'] );
+		$this->assertSame( 2, $job['moved'] );
+		$this->assertSame(
+			[ [ 'media', 'old/a.zip', 'new/a.zip' ], [ 'media', 'old/sub/b.zip', 'new/sub/b.zip' ] ],
+			$GLOBALS['wp_test_actions']['arraypress_s3_object_renamed']
+		);
+	}
+
+	/**
+	 * A product delivering a file in the folder would otherwise be left
+	 * pointing at a key that no longer exists.
+	 */
+	public function test_products_follow_the_files_moved(): void {
+		$store = new class() implements Files {
+
+			public array $posts = [ 10 => [ [ 'name' => 'Plugin', 'path' => 'media/old/a.zip' ] ] ];
+
+			public function noun( bool $plural = false ): string {
+				return $plural ? 'products' : 'product';
+			}
+
+			public function locate( string $reference ): int {
+				return 0;
+			}
+
+			public function label( int $id ): string {
+				return 'Product ' . $id;
+			}
+
+			public function files( int $id ): array {
+				return $this->posts[ $id ] ?? [];
+			}
+
+			public function assign( int $id, array $files, string $mode ): void {
+				$this->posts[ $id ] = $files;
+			}
+
+			public function all(): array {
+				return array_keys( $this->posts );
+			}
+		};
+
+		$jobs = $this->jobs()->set_file_store( $store );
+		$job  = $jobs->start( 'media', 'old/', 'new/' );
+
+		FakeHttp::queue( 200, $this->listing( 'old/a.zip' ) );
+		FakeHttp::queue( 200, '<CopyObjectResult><ETag>"a"</ETag></CopyObjectResult>' );
+		FakeHttp::queue( 204 );
+
+		$jobs->advance( $job['id'] );
+
+		$this->assertSame( 'media/new/a.zip', $store->posts[10][0]['path'] );
+	}
+
+	/**
+	 * The lock is what keeps a poll and a cron run from copying the same
+	 * batch twice over.
+	 */
+	public function test_a_batch_under_way_elsewhere_is_left_to_finish(): void {
+		$jobs = $this->jobs();
+		$job  = $jobs->start( 'media', 'old/', 'new/' );
+
+		add_option( 's3_folder_job_r2_edd_' . $job['id'] . '_lock', time() );
+
+		$this->assertSame( 0, $jobs->advance( $job['id'] )['moved'] );
+		$this->assertSame( [], FakeHttp::requests() );
+	}
+
+	/**
+	 * A request that died mid-batch never released its lock; the job would
+	 * otherwise stop there for good.
+	 */
+	public function test_a_lock_left_by_a_dead_request_is_taken_over(): void {
+		$jobs = $this->jobs();
+		$job  = $jobs->start( 'media', 'old/', 'new/' );
+		$lock = 's3_folder_job_r2_edd_' . $job['id'] . '_lock';
+
+		add_option( $lock, time() - 600 );
+		FakeHttp::queue( 200, $this->listing() );
+
+		$this->assertSame( 'done', $jobs->advance( $job['id'] )['status'] );
+		$this->assertArrayNotHasKey( $lock, $GLOBALS['wp_test_options'], 'The lock is released after the batch' );
+	}
+
+	/**
+	 * Cancelling while a batch is under way must not be undone when the
+	 * batch saves where it got to.
+	 */
+	public function test_a_cancel_during_a_batch_is_kept(): void {
+		$jobs = $this->jobs();
+		$job  = $jobs->start( 'media', 'old/', 'new/' );
+
+		$GLOBALS['wp_test_filters']['arraypress_s3_rename_object_params'] = static function ( array $params ) use ( $jobs, $job ): array {
+			$jobs->cancel( $job['id'] );
+
+			return $params;
+		};
+
+		FakeHttp::queue( 200, '<ListBucketResult><IsTruncated>true</IsTruncated><NextContinuationToken>next</NextContinuationToken>'
+			. '<Contents><Key>old/a.zip</Key><Size>1</Size></Contents></ListBucketResult>' );
+		FakeHttp::queue( 200, '<CopyObjectResult><ETag>"a"</ETag></CopyObjectResult>' );
+		FakeHttp::queue( 204 );
+
+		$this->assertSame( 'cancelled', $jobs->advance( $job['id'] )['status'] );
+		$this->assertSame( 'cancelled', $jobs->get( $job['id'] )['status'] );
+		$this->assertSame( [], $GLOBALS['wp_test_cron'] );
+	}
+
+	public function test_a_cancelled_job_moves_nothing_more(): void {
+		$jobs = $this->jobs();
+		$job  = $jobs->start( 'media', 'old/', 'new/' );
+
+		$this->assertSame( 'cancelled', $jobs->cancel( $job['id'] )['status'] );
+		$this->assertSame( [], $GLOBALS['wp_test_cron'] );
+
+		$jobs->advance( $job['id'] );
+
+		$this->assertSame( [], FakeHttp::requests() );
+	}
+}
@@ -3,9 +3,13 @@ declare( strict_types=1 );
 
 namespace ArrayPress\S3\Tests\Rest;
 
+use ArrayPress\S3\Admin\Favorites;
+use ArrayPress\S3\Admin\ViewMode;
 use ArrayPress\S3\Client;
+use ArrayPress\S3\FolderJobs;
 use ArrayPress\S3\Provider;
 use ArrayPress\S3\Rest\Controller;
+use ArrayPress\S3\SharedLinks;
 use PHPUnit\Framework\TestCase;
 use ReflectionProperty;
 use WP_Error;
@@ -35,12 +39,18 @@ final class ControllerTest extends TestCase {
 	}
 
 	private function controller( string $route_base = 'cloudflare-r2', array $allowed = [] ): Controller {
+		$client = new Client( Provider::r2( 'account123' ), 'key', 'secret', false );
+
 		return new Controller(
-			new Client( Provider::r2( 'account123' ), 'key', 'secret', false ),
+			$client,
 			'cloudflare-r2',
 			'upload_files',
 			$route_base,
-			static fn(): array => $allowed
+			static fn(): array => $allowed,
+			new Favorites( $route_base, static fn(): array => $allowed ),
+			new FolderJobs( $client, $route_base ),
+			new ViewMode(),
+			new SharedLinks( $route_base, static fn(): array => $allowed )
 		);
 	}
 
@@ -94,6 +104,43 @@ final class ControllerTest extends TestCase {
 		}
 	}
 
+	/**
+	 * A copy names two buckets and the route is gated on the source. Unless
+	 * the target passes the same allow-list, a permitted bucket becomes a
+	 * way to write into any other.
+	 */
+	public function test_copy_target_bucket_is_held_to_the_allow_list(): void {
+		$this->controller( 'cloudflare-r2', [ 'permitted-bucket' ] )->register_rest_routes();
+
+		$copy = current( array_filter(
+			$GLOBALS['registered_rest_routes'],
+			static fn( array $registered ): bool => str_ends_with( $registered['route'], '/objects/copy' )
+		) );
+
+		$validate = $copy['args'][0]['args']['target_bucket']['validate_callback'];
+
+		$this->assertInstanceOf( WP_Error::class, $validate( 'someone-elses-bucket' ) );
+		$this->assertTrue( $validate( 'permitted-bucket' ) );
+	}
+
+	/**
+	 * Each part of a large copy names its target again, and is checked again:
+	 * the part route writes as surely as the route that started the copy.
+	 */
+	public function test_copy_part_target_bucket_is_held_to_the_allow_list(): void {
+		$this->controller( 'cloudflare-r2', [ 'permitted-bucket' ] )->register_rest_routes();
+
+		$part = current( array_filter(
+			$GLOBALS['registered_rest_routes'],
+			static fn( array $registered ): bool => str_ends_with( $registered['route'], '/objects/copy/part' )
+		) );
+
+		$validate = $part['args'][0]['args']['target_bucket']['validate_callback'];
+
+		$this->assertInstanceOf( WP_Error::class, $validate( 'someone-elses-bucket' ) );
+		$this->assertTrue( $validate( 'permitted-bucket' ) );
+	}
+
 	/**
 	 * Two plugins each bundling a Strauss-prefixed copy must not collide on
 	 * route paths, since a REST route is a public URL Strauss cannot isolate.
@@ -155,14 +202,20 @@ final class ControllerTest extends TestCase {
 	 */
 	public function test_allow_list_is_resolved_at_call_time(): void {
 		$allowed    = [];
+		$resolver   = static function () use ( &$allowed ): array {
+			return $allowed;
+		};
+		$client     = new Client( Provider::r2( 'account123' ), 'key', 'secret', false );
 		$controller = new Controller(
-			new Client( Provider::r2( 'account123' ), 'key', 'secret', false ),
+			$client,
 			'cloudflare-r2',
 			'upload_files',
 			'cloudflare-r2',
-			static function () use ( &$allowed ): array {
-				return $allowed;
-			}
+			$resolver,
+			new Favorites( 'cloudflare-r2', $resolver ),
+			new FolderJobs( $client, 'cloudflare-r2' ),
+			new ViewMode(),
+			new SharedLinks( 'cloudflare-r2', $resolver )
 		);
 
 		$request = new WP_REST_Request();
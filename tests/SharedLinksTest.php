@@ -0,0 +1,232 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests;
+
+use ArrayPress\S3\SharedLinks;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * The record of links handed out.
+ *
+ * Compliance reads it to see who shared what, so what matters is that a link
+ * is recorded as made, only a link to this site can be revoked, and a token
+ * only opens the link it was made for.
+ */
+final class SharedLinksTest extends TestCase {
+
+	protected function setUp(): void {
+		$GLOBALS['wp_test_options'] = [];
+		$GLOBALS['wp_test_cron']    = [];
+		$GLOBALS['wp_test_user_id'] = 7;
+	}
+
+	protected function tearDown(): void {
+		unset( $GLOBALS['wp_test_user_id'] );
+	}
+
+	private function links( array $allowed = [] ): SharedLinks {
+		return new SharedLinks( 'r2_edd', static fn(): array => $allowed );
+	}
+
+	private function record( SharedLinks $links, array $link = [] ): array {
+		return $links->record( $link + [
+			'bucket'     => 'media',
+			'key'        => 'reports/q1.pdf',
+			'expires_at' => time() + HOUR_IN_SECONDS,
+		] );
+	}
+
+	public function test_a_link_is_recorded_with_who_made_it(): void {
+		$links = $this->links();
+		$link  = $this->record( $links, [ 'note' => 'For the auditors', 'proxy' => true ] );
+
+		$this->assertMatchesRegularExpression( '/^[a-f0-9]{32}$/', $link['id'] );
+		$this->assertSame( 7, $links->get( $link['id'] )['user_id'] );
+		$this->assertSame( 'For the auditors', $links->get( $link['id'] )['note'] );
+		$this->assertSame( 'active', SharedLinks::status( $link ) );
+	}
+
+	public function test_query_filters_by_status_search_and_user(): void {
+		$links   = $this->links();
+		$report  = $this->record( $links, [ 'note' => 'Board pack' ] );
+		$expired = $this->record( $links, [ 'key' => 'old.zip', 'expires_at' => time() - 60 ] );
+
+		$GLOBALS['wp_test_user_id'] = 8;
+		$other = $this->record( $links, [ 'key' => 'other.pdf' ] );
+
+		$this->assertSame( [ $other['id'], $report['id'] ], array_column( $links->query(), 'id' ) );
+		$this->assertSame( [ $expired['id'] ], array_column( $links->query( [ 'status' => 'expired' ] ), 'id' ) );
+		$this->assertSame( [ $report['id'] ], array_column( $links->query( [ 'search' => 'board' ] ), 'id' ) );
+		$this->assertSame( [ $report['id'] ], array_column( $links->query( [ 'user_id' => 7 ] ), 'id' ) );
+		$this->assertCount( 3, $links->query( [ 'status' => 'all' ] ) );
+	}
+
+	public function test_only_a_link_to_this_site_can_be_revoked(): void {
+		$links  = $this->links();
+		$proxy  = $this->record( $links, [ 'proxy' => true ] );
+		$direct = $this->record( $links );
+
+		$this->assertSame( 'revoked', SharedLinks::status( $links->revoke( $proxy['id'] ) ) );
+		$this->assertSame( 7, $links->get( $proxy['id'] )['revoked_by'] );
+		$this->assertSame( 'active', SharedLinks::status( $links->revoke( $direct['id'] ) ) );
+		$this->assertNull( $links->revoke( str_repeat( 'a', 32 ) ) );
+	}
+
+	public function test_a_token_opens_only_its_own_link(): void {
+		$links = $this->links();
+		$one   = $this->record( $links, [ 'proxy' => true ] );
+		$two   = $this->record( $links, [ 'proxy' => true ] );
+
+		$this->assertTrue( $links->verify( $one['id'], $links->token( $one['id'] ) ) );
+		$this->assertFalse( $links->verify( $two['id'], $links->token( $one['id'] ) ) );
+		$this->assertFalse( $links->verify( $one['id'], '' ) );
+		$this->assertArrayNotHasKey( 'token', $links->get( $one['id'] ), 'The record alone must not open the link' );
+	}
+
+	public function test_links_outside_the_allow_list_are_not_listed_or_found(): void {
+		$link = $this->record( $this->links() );
+
+		$this->assertNull( $this->links( [ 'elsewhere' ] )->get( $link['id'] ) );
+		$this->assertSame( [], $this->links( [ 'elsewhere' ] )->query() );
+		$this->assertNotNull( $this->links( [ 'media' ] )->get( $link['id'] ) );
+	}
+
+	public function test_a_link_made_only_to_download_is_not_listed(): void {
+		$links = $this->links();
+		$own   = $this->record( $links, [ 'proxy' => true, 'shared' => false ] );
+
+		$this->assertNotNull( $links->get( $own['id'] ), 'It must still be followable' );
+		$this->assertSame( [], $links->query( [ 'status' => 'all' ] ) );
+	}
+
+	public function test_downloads_are_logged_per_link_and_per_file(): void {
+		$links = $this->links();
+		$one   = $this->record( $links, [ 'proxy' => true ] );
+		$two   = $this->record( $links, [ 'proxy' => true ] );
+		$other = $this->record( $links, [ 'proxy' => true, 'key' => 'other.pdf' ] );
+
+		$links->log_download( $one, '203.0.113.9' );
+		$links->log_download( $two, '' );
+		$links->log_download( $one, '198.51.100.4' );
+		$links->log_download( $other, '' );
+
+		$this->assertSame( [ $one['id'] => 2, $two['id'] => 1, $other['id'] => 1 ], $links->download_counts() );
+
+		$file = $links->downloads( [ 'bucket' => 'media', 'key' => 'reports/q1.pdf' ] );
+
+		$this->assertCount( 3, $file );
+		$this->assertSame( '198.51.100.4', $file[0]['ip'], 'Newest first' );
+		$this->assertSame( 7, $file[0]['user_id'] );
+		$this->assertCount( 2, $links->downloads( [ 'link' => $one['id'] ] ) );
+	}
+
+	/**
+	 * The link is public, and each visit logs one. The log stays one row of
+	 * a fixed size however often it is followed; the count goes on.
+	 */
+	public function test_the_log_keeps_the_latest_downloads_and_counts_them_all(): void {
+		$links = $this->links();
+		$link  = $this->record( $links, [ 'proxy' => true ] );
+
+		for ( $i = 0; $i < 1005; $i++ ) {
+			$links->log_download( $link, '203.0.113.' . ( $i % 256 ) );
+		}
+
+		$rows = array_filter( array_keys( $GLOBALS['wp_test_options'] ), static function ( string $name ): bool {
+			return str_starts_with( $name, 's3_browser_shared_link_log_' );
+		} );
+
+		$this->assertSame( [ 's3_browser_shared_link_log_r2_edd' ], array_values( $rows ) );
+		$this->assertCount( 1000, $links->downloads( [ 'link' => $link['id'] ] ) );
+		$this->assertSame( '203.0.113.236', $links->downloads()[0]['ip'], 'The latest are kept' );
+		$this->assertSame( [ $link['id'] => 1005 ], $links->download_counts() );
+		$this->assertSame( 1005, $links->download_count( [ 'bucket' => 'media', 'key' => 'reports/q1.pdf' ] ) );
+	}
+
+	public function test_downloads_past_keeping_are_dropped_by_the_clean_up(): void {
+		$links = $this->links();
+		$link  = $this->record( $links, [ 'proxy' => true ] );
+
+		$links->log_download( $link, '203.0.113.9' );
+		$links->log_download( $link, '198.51.100.4' );
+
+		$GLOBALS['wp_test_options']['s3_browser_shared_link_log_r2_edd']['entries'][0]['time'] = time() - 100 * DAY_IN_SECONDS;
+
+		$this->assertCount( 2, $links->downloads( [ 'link' => $link['id'] ] ), 'Logging trims nothing itself' );
+
+		$links->clean_up();
+
+		$this->assertSame( [ '198.51.100.4' ], array_column( $links->downloads( [ 'link' => $link['id'] ] ), 'ip' ) );
+	}
+
+	public function test_links_long_past_expiry_are_dropped_by_the_clean_up(): void {
+		$links = $this->links();
+		$old   = $this->record( $links, [ 'expires_at' => time() - 100 * DAY_IN_SECONDS ] );
+		$this->record( $links );
+
+		$this->assertSame( $links->hook(), $GLOBALS['wp_test_cron'][0]['hook'], 'Recording a link schedules the clean-up' );
+
+		$links->clean_up();
+
+		$this->assertNull( $links->get( $old['id'] ) );
+		$this->assertCount( 1, $links->query( [ 'status' => 'all' ] ) );
+	}
+
+	/**
+	 * Dropping the oldest link regardless would turn away visitors to a link
+	 * to this site that is still meant to work. The limit is kept to as each
+	 * link is recorded, without waiting for the clean-up.
+	 */
+	public function test_past_the_limit_an_open_link_to_this_site_is_never_dropped(): void {
+		$links  = $this->links();
+		$open   = $this->record( $links, [ 'proxy' => true ] );
+		$direct = $this->record( $links );
+		$ended  = $this->record( $links, [ 'proxy' => true, 'expires_at' => time() - 60 ] );
+
+		for ( $i = 0; $i < 1998; $i++ ) {
+			$this->record( $links, [ 'proxy' => true ] );
+		}
+
+		$this->assertNotNull( $links->get( $open['id'] ) );
+		$this->assertNull( $links->get( $ended['id'] ), 'A link that can no longer be followed goes first' );
+		$this->assertNotNull( $links->get( $direct['id'] ), 'Only as many as are over the limit go' );
+		$this->assertCount( 2000, $links->query( [ 'status' => 'all' ] ) );
+	}
+
+	/**
+	 * Two requests each reading every link and writing them all back would
+	 * lose whichever wrote first. Each change is made to the links as they
+	 * are stored when it is made.
+	 */
+	public function test_a_link_recorded_during_a_revoke_is_not_lost(): void {
+		$first  = $this->links();
+		$second = $this->links();
+		$shared = $this->record( $first, [ 'proxy' => true ] );
+
+		// The revoking request has read the link before the other records one.
+		$seen = $first->get( $shared['id'] );
+		$made = $this->record( $second, [ 'proxy' => true ] );
+
+		$first->revoke( $seen['id'] );
+
+		$this->assertNotNull( $first->get( $made['id'] ) );
+		$this->assertSame( 'revoked', SharedLinks::status( $second->get( $shared['id'] ) ) );
+	}
+
+	public function test_a_lock_left_by_a_request_that_died_is_taken_over(): void {
+		$GLOBALS['wp_test_options']['s3_browser_shared_links_r2_edd_lock'] = time() - 60;
+
+		$links = $this->links();
+		$link  = $this->record( $links );
+
+		$this->assertNotNull( $links->get( $link['id'] ) );
+		$this->assertArrayNotHasKey( 's3_browser_shared_links_r2_edd_lock', $GLOBALS['wp_test_options'], 'The lock is released after the change' );
+	}
+
+	public function test_another_instance_with_a_longer_suffix_keeps_its_own_links(): void {
+		$this->record( new SharedLinks( 'r2_edd_shop', static fn(): array => [] ) );
+
+		$this->assertSame( [], $this->links()->query( [ 'status' => 'all' ] ) );
+	}
+}
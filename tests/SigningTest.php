@@ -212,4 +212,53 @@ final class SigningTest extends TestCase {
 		$url = $signer->get_presigned_url( 'b', 'k.txt', -5 )->get_url();
 		$this->assertStringContainsString( 'X-Amz-Expires=60', $url );
 	}
+
+	/**
+	 * Response overrides are honoured only because they are signed: the
+	 * signature has to cover them, quoted filename and all.
+	 */
+	public function test_response_overrides_are_signed_into_the_url(): void {
+		$signer = new Api( Provider::r2( 'abc123' ), self::ACCESS_KEY, self::SECRET_KEY );
+
+		$url  = $signer->get_presigned_url( 'my-bucket', 'q1.csv', 60, '', [
+			'content_type'        => 'text/plain',
+			'content_disposition' => 'attachment; filename="Q1 report.csv"',
+			'cache_control'       => '',
+		] )->get_url();
+		$bits = $this->dissect( $url );
+
+		$this->assertSame( 'text/plain', rawurldecode( $bits['params']['response-content-type'] ) );
+		$this->assertSame( 'attachment; filename="Q1 report.csv"', rawurldecode( $bits['params']['response-content-disposition'] ) );
+		$this->assertArrayNotHasKey( 'response-cache-control', $bits['params'] );
+
+		$canonical_request = "GET\n"
+		                     . $bits['path'] . "\n"
+		                     . $this->canonical_query( $bits['params'] ) . "\n"
+		                     . 'host:' . $bits['host'] . "\n"
+		                     . "\n"
+		                     . "host\n"
+		                     . 'UNSIGNED-PAYLOAD';
+
+		$this->assertSame(
+			$this->expected_signature( $canonical_request, rawurldecode( $bits['params']['X-Amz-Date'] ), 'auto' ),
+			$bits['params']['X-Amz-Signature']
+		);
+	}
+
+	/**
+	 * The checksum has to be part of what is signed, or the URL would accept
+	 * any content with the parameter simply dropped.
+	 */
+	public function test_upload_checksum_is_signed_into_the_url(): void {
+		$signer   = new Api( Provider::r2( 'abc123' ), self::ACCESS_KEY, self::SECRET_KEY );
+		$checksum = base64_encode( hash( 'sha256', 'file contents', true ) );
+
+		$params = $this->dissect( $signer->get_presigned_upload_url( 'b', 'k.txt', 15, $checksum )->get_url() )['params'];
+
+		$this->assertSame( $checksum, rawurldecode( $params['x-amz-checksum-sha256'] ) );
+
+		$params = $this->dissect( $signer->get_presigned_upload_url( 'b', 'k.txt' )->get_url() )['params'];
+
+		$this->assertArrayNotHasKey( 'x-amz-checksum-sha256', $params );
+	}
 }
@@ -0,0 +1,52 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Tables;
+
+use ArrayPress\S3\Client;
+use ArrayPress\S3\Provider;
+use ArrayPress\S3\Tables\Buckets;
+use ArrayPress\S3\Tests\Support\FakeHttp;
+use PHPUnit\Framework\TestCase;
+use WP_Error;
+
+require_once ABSPATH . 'wp-admin/includes/class-wp-list-table.php';
+
+/**
+ * The bucket list's rows, drawn again after a refresh.
+ *
+ * The browser swaps these in for the rows on the page, so a failed listing
+ * has to come back as an error rather than as an empty list.
+ */
+final class BucketsTest extends TestCase {
+
+	protected function setUp(): void {
+		FakeHttp::reset();
+		$GLOBALS['wp_test_options'] = [];
+	}
+
+	private function page() {
+		return Buckets::get_page_data(
+			new Client( Provider::r2( 'account123' ), 'key', 'secret', false ),
+			'cloudflare-r2',
+			null
+		);
+	}
+
+	public function test_a_page_has_a_row_per_bucket(): void {
+		FakeHttp::queue_fixture( 'list-buckets.xml' );
+
+		$page = $this->page();
+
+		$this->assertSame( 2, $page['count'] );
+		$this->assertSame( 2, substr_count( $page['html'], '<tr' ) );
+		$this->assertSame( '2 buckets', $page['count_label'] );
+	}
+
+	public function test_a_failed_listing_is_an_error(): void {
+		FakeHttp::queue_fixture( 'error-access-denied-r2.xml', 403 );
+
+		$this->expectOutputString( '' );
+		$this->assertInstanceOf( WP_Error::class, $this->page() );
+	}
+}
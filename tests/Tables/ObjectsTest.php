@@ -0,0 +1,62 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Tables;
+
+use ArrayPress\S3\Client;
+use ArrayPress\S3\Provider;
+use ArrayPress\S3\Tables\Objects;
+use ArrayPress\S3\Tests\Support\FakeHttp;
+use PHPUnit\Framework\TestCase;
+
+require_once ABSPATH . 'wp-admin/includes/class-wp-list-table.php';
+
+/**
+ * Rows rendered one key at a time.
+ *
+ * The browser puts these in place after an upload, a rename or a new folder
+ * instead of reloading, so a row here has to be the row a listing would have
+ * drawn -- and no row at all where a listing would have drawn none.
+ */
+final class ObjectsTest extends TestCase {
+
+	protected function setUp(): void {
+		FakeHttp::reset();
+		$GLOBALS['wp_test_options'] = [];
+	}
+
+	private function rows( array $keys, string $prefix = 'docs/' ): array {
+		return Objects::get_rows(
+			new Client( Provider::r2( 'account123' ), 'key', 'secret', false ),
+			'cloudflare-r2',
+			'my-bucket',
+			$prefix,
+			$keys
+		);
+	}
+
+	public function test_a_folder_row_costs_no_request(): void {
+		$rows = $this->rows( [ 'docs/manuals/' ] );
+
+		$this->assertSame( 'docs/manuals/', $rows[0]['key'] );
+		$this->assertStringContainsString( 'data-row-key="docs/manuals/"', $rows[0]['html'] );
+		$this->assertStringContainsString( 'class="check-column"', $rows[0]['html'] );
+		$this->assertSame( [], FakeHttp::requests() );
+	}
+
+	public function test_a_key_that_is_gone_renders_nothing(): void {
+		FakeHttp::queue( 404 );
+
+		$this->assertSame( '', $this->rows( [ 'docs/missing.pdf' ] )[0]['html'] );
+	}
+
+	/**
+	 * The listing hides empty files, so an upload of one must not make a row
+	 * appear that the next visit would not show.
+	 */
+	public function test_a_file_the_listing_would_hide_renders_nothing(): void {
+		FakeHttp::queue( 200, '', [ 'content-length' => '0', 'etag' => '"d41d8cd98f00b204e9800998ecf8427e"' ] );
+
+		$this->assertSame( '', $this->rows( [ 'docs/empty.txt' ] )[0]['html'] );
+	}
+}
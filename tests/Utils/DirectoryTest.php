@@ -79,4 +79,35 @@ final class DirectoryTest extends TestCase {
 	public function test_a_keyless_input_is_returned_unchanged(): void {
 		$this->assertSame( '', Directory::build_move_key( '', 'archive' ) );
 	}
+
+	public function test_a_copy_kept_beside_the_original_is_numbered(): void {
+		$this->assertSame( 'releases/v2/plugin (2).zip', Directory::numbered_key( 'releases/v2/plugin.zip', 2 ) );
+	}
+
+	/**
+	 * A copy of a copy counts on rather than stacking numbers.
+	 */
+	public function test_an_existing_number_is_replaced(): void {
+		$this->assertSame( 'manual (3).pdf', Directory::numbered_key( 'manual (2).pdf', 3 ) );
+	}
+
+	/**
+	 * A leading dot starts the name, not an extension.
+	 */
+	public function test_a_dotfile_is_numbered_at_the_end(): void {
+		$this->assertSame( 'config/.htaccess (2)', Directory::numbered_key( 'config/.htaccess', 2 ) );
+	}
+
+	public function test_a_folder_contains_itself_and_its_subfolders(): void {
+		$this->assertTrue( Directory::contains( 'releases/v2/', 'releases/v2' ) );
+		$this->assertTrue( Directory::contains( 'releases/v2', 'releases/v2/beta/' ) );
+	}
+
+	/**
+	 * A sibling sharing the folder's name as a prefix is not inside it.
+	 */
+	public function test_a_folder_does_not_contain_a_sibling_with_a_longer_name(): void {
+		$this->assertFalse( Directory::contains( 'releases/v2/', 'releases/v20/' ) );
+		$this->assertFalse( Directory::contains( 'releases/v2/', 'releases/' ) );
+	}
 }
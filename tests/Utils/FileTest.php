@@ -0,0 +1,72 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Utils;
+
+use ArrayPress\S3\Utils\File;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Writing and reading the Content-Disposition header.
+ *
+ * What is written is read back into the details dialog, so a name has to
+ * survive the round trip -- including one a plain quoted string cannot hold.
+ */
+final class FileTest extends TestCase {
+
+	public function test_no_type_means_no_header(): void {
+		$this->assertSame( '', File::content_disposition( '', 'report.pdf' ) );
+		$this->assertSame( 'inline', File::content_disposition( 'inline' ) );
+	}
+
+	public function test_an_ascii_name_is_only_quoted(): void {
+		$this->assertSame( 'attachment; filename="report.pdf"', File::content_disposition( 'attachment', 'report.pdf' ) );
+	}
+
+	public function test_a_name_beyond_ascii_also_goes_in_filename_star(): void {
+		$header = File::content_disposition( 'attachment', 'résumé "final".pdf' );
+
+		$this->assertSame( 'attachment; filename="r__sum__ _final_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22final%22.pdf', $header );
+		$this->assertSame(
+			[
+				'type'     => 'attachment',
+				'filename' => 'résumé "final".pdf',
+			],
+			File::parse_content_disposition( $header )
+		);
+	}
+
+	public function test_headers_written_elsewhere_are_read(): void {
+		$this->assertSame( 'a; b.txt', File::parse_content_disposition( 'Attachment; filename="a; b.txt"' )['filename'] );
+		$this->assertSame( 'plain.txt', File::parse_content_disposition( 'inline; filename=plain.txt' )['filename'] );
+		$this->assertSame( 'inline', File::parse_content_disposition( 'INLINE' )['type'] );
+		$this->assertSame( '', File::parse_content_disposition( 'form-data; name="x"' )['type'] );
+	}
+
+	public function test_only_classes_that_cannot_be_read_count_as_archived(): void {
+		$this->assertTrue( File::is_archived( 'GLACIER' ) );
+		$this->assertTrue( File::is_archived( 'deep_archive' ) );
+		$this->assertFalse( File::is_archived( 'GLACIER_IR' ) );
+		$this->assertFalse( File::is_archived( 'STANDARD' ) );
+	}
+
+	public function test_restore_header_is_read_at_each_stage(): void {
+		$this->assertSame(
+			[
+				'requested'   => false,
+				'ongoing'     => false,
+				'expiry_date' => '',
+			],
+			File::parse_restore( '' )
+		);
+		$this->assertTrue( File::parse_restore( 'ongoing-request="true"' )['ongoing'] );
+		$this->assertSame(
+			[
+				'requested'   => true,
+				'ongoing'     => false,
+				'expiry_date' => 'Fri, 21 Dec 2012 00:00:00 GMT',
+			],
+			File::parse_restore( 'ongoing-request="false", expiry-date="Fri, 21 Dec 2012 00:00:00 GMT"' )
+		);
+	}
+}
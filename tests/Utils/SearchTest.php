@@ -0,0 +1,53 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Utils;
+
+use ArrayPress\S3\Utils\Search;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Matching keys against the search box.
+ *
+ * The bucket search lists every key below a folder and keeps the ones this
+ * says yes to, so a wrong answer here is a file the admin cannot find, or a
+ * page of results that have nothing to do with what they typed.
+ */
+final class SearchTest extends TestCase {
+
+	public function test_plain_text_matches_anywhere_in_the_filename(): void {
+		$this->assertTrue( Search::matches( 'invoice', '2026/march/Invoice-0042.pdf' ) );
+	}
+
+	/**
+	 * The folders are shown beside each hit; matching them too would turn a
+	 * search for "2026" into every file under the 2026 folder.
+	 */
+	public function test_plain_text_ignores_the_folders(): void {
+		$this->assertFalse( Search::matches( 'march', '2026/march/invoice-0042.pdf' ) );
+	}
+
+	public function test_a_glob_matches_the_whole_filename(): void {
+		$this->assertTrue( Search::matches( '*.PDF', 'docs/manual.pdf' ) );
+		$this->assertFalse( Search::matches( '*.pdf', 'docs/manual.pdf.zip' ) );
+	}
+
+	public function test_a_question_mark_is_exactly_one_character(): void {
+		$this->assertTrue( Search::matches( 'v?.zip', 'releases/v2.zip' ) );
+		$this->assertFalse( Search::matches( 'v?.zip', 'releases/v10.zip' ) );
+	}
+
+	public function test_a_glob_with_a_folder_matches_the_path(): void {
+		$this->assertTrue( Search::matches( 'invoices/*.pdf', 'invoices/0042.pdf' ) );
+		$this->assertFalse( Search::matches( 'invoices/*.pdf', 'invoices/2026/0042.pdf' ) );
+	}
+
+	public function test_a_double_star_crosses_folders(): void {
+		$this->assertTrue( Search::matches( 'invoices/**.pdf', 'invoices/2026/march/0042.pdf' ) );
+	}
+
+	public function test_regex_characters_are_taken_literally(): void {
+		$this->assertTrue( Search::matches( 'track (1)*', 'audio/track (1) final.wav' ) );
+		$this->assertFalse( Search::matches( 'a.c*', 'abc.txt' ) );
+	}
+}
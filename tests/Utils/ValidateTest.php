@@ -0,0 +1,83 @@
+<?php
+declare( strict_types=1 );
+
+namespace ArrayPress\S3\Tests\Utils;
+
+use ArrayPress\S3\Utils\Validate;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Headers and metadata set from the details dialog.
+ *
+ * Each value goes out as an HTTP header on a signed copy, so anything that
+ * would break the header, or come back different, is refused before then.
+ */
+final class ValidateTest extends TestCase {
+
+	/**
+	 * Valid fields, with some replaced.
+	 *
+	 * @param array $fields Fields to change.
+	 *
+	 * @return array
+	 */
+	private function fields( array $fields = [] ): array {
+		return $fields + [
+			'content_type'  => 'text/csv; charset=utf-8',
+			'cache_control' => 'public, max-age=86400',
+			'download_name' => 'Report (final).csv',
+			'user_metadata' => [
+				[
+					'name'  => 'owner',
+					'value' => 'finance',
+				],
+			],
+		];
+	}
+
+	public function test_ordinary_headers_pass(): void {
+		$this->assertTrue( Validate::object_metadata( $this->fields() )['valid'] );
+		$this->assertTrue( Validate::object_metadata( [ 'content_type' => 'application/pdf' ] )['valid'] );
+	}
+
+	public function test_content_type_must_be_a_mime_type(): void {
+		foreach ( [ '', 'pdf', 'text/', 'text/html<script>', "text/plain\r\nX-Evil: 1" ] as $type ) {
+			$this->assertFalse( Validate::object_metadata( $this->fields( [ 'content_type' => $type ] ) )['valid'], $type );
+		}
+	}
+
+	public function test_a_download_name_cannot_be_a_path(): void {
+		$this->assertFalse( Validate::object_metadata( $this->fields( [ 'download_name' => '../secret.txt' ] ) )['valid'] );
+		$this->assertTrue( Validate::object_metadata( $this->fields( [ 'download_name' => 'résumé.pdf' ] ) )['valid'] );
+	}
+
+	public function test_metadata_names_are_header_safe_and_unique(): void {
+		$pair = fn( string $name ): array => [
+			'name'  => $name,
+			'value' => 'x',
+		];
+
+		$this->assertFalse( Validate::object_metadata( $this->fields( [ 'user_metadata' => [ $pair( 'my_key' ) ] ] ) )['valid'] );
+		$this->assertFalse( Validate::object_metadata( $this->fields( [ 'user_metadata' => [ $pair( 'a b' ) ] ] ) )['valid'] );
+		$this->assertFalse( Validate::object_metadata( $this->fields( [ 'user_metadata' => [ $pair( 'Owner' ), $pair( 'owner' ) ] ] ) )['valid'] );
+		$this->assertTrue( Validate::object_metadata( $this->fields( [ 'user_metadata' => [ $pair( 'Source-System' ) ] ] ) )['valid'] );
+	}
+
+	public function test_metadata_values_are_ascii_and_limited_to_2_kb(): void {
+		$this->assertFalse( Validate::object_metadata( $this->fields( [ 'user_metadata' => [ [ 'name' => 'city', 'value' => 'Zürich' ] ] ] ) )['valid'] );
+		$this->assertFalse( Validate::object_metadata( $this->fields( [ 'user_metadata' => [ [ 'name' => 'notes', 'value' => str_repeat( 'a', 2048 ) ] ] ] ) )['valid'] );
+	}
+
+	public function test_tags_within_the_limits_pass(): void {
+		$this->assertTrue( Validate::object_tags( [ 'tier' => 'pro', 'release channel' => 'beta/2', 'archived' => '' ] )['valid'] );
+		$this->assertTrue( Validate::object_tags( [ 'région' => 'Zürich' ] )['valid'] );
+	}
+
+	public function test_tags_beyond_the_limits_are_refused(): void {
+		$this->assertFalse( Validate::object_tags( array_fill_keys( range( 1, 11 ), 'x' ) )['valid'] );
+		$this->assertFalse( Validate::object_tags( [ str_repeat( 'k', 129 ) => 'x' ] )['valid'] );
+		$this->assertFalse( Validate::object_tags( [ 'notes' => str_repeat( 'v', 257 ) ] )['valid'] );
+		$this->assertFalse( Validate::object_tags( [ 'tier' => 'pro!' ] )['valid'] );
+		$this->assertFalse( Validate::object_tags( [ 'aws:createdBy' => 'me' ] )['valid'] );
+	}
+}
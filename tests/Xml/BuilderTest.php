@@ -83,4 +83,45 @@ final class BuilderTest extends TestCase {
 		$this->assertNotFalse( $parsed );
 		$this->assertSame( 'a&b<c>.txt', (string) $parsed->Object->Key );
 	}
+
+	/**
+	 * Parts finish in whatever order the network allows, and S3 refuses a
+	 * completion list that is not ascending.
+	 */
+	public function test_complete_multipart_upload_sorts_parts(): void {
+		$xml    = Builder::complete_multipart_upload( [ 3 => 'c', 1 => 'a', 2 => 'b' ] );
+		$parsed = simplexml_load_string( $xml );
+
+		$this->assertNotFalse( $parsed );
+		$this->assertCount( 3, $parsed->Part );
+		$this->assertSame( '1', (string) $parsed->Part[0]->PartNumber );
+		$this->assertSame( '3', (string) $parsed->Part[2]->PartNumber );
+	}
+
+	public function test_complete_multipart_upload_quotes_etags_once(): void {
+		$parsed = simplexml_load_string( Builder::complete_multipart_upload( [ 1 => '"abc"', 2 => 'def' ] ) );
+
+		$this->assertSame( '"abc"', (string) $parsed->Part[0]->ETag );
+		$this->assertSame( '"def"', (string) $parsed->Part[1]->ETag );
+	}
+
+	public function test_tagging_is_well_formed_and_escaped(): void {
+		$parsed = simplexml_load_string( Builder::tagging( [
+			'tier' => 'pro & up',
+			2024   => '',
+		] ) );
+
+		$this->assertNotFalse( $parsed );
+		$this->assertCount( 2, $parsed->TagSet->Tag );
+		$this->assertSame( 'pro & up', (string) $parsed->TagSet->Tag[0]->Value );
+		$this->assertSame( '2024', (string) $parsed->TagSet->Tag[1]->Key );
+	}
+
+	public function test_restore_request_is_well_formed(): void {
+		$parsed = simplexml_load_string( Builder::restore_request( 7, 'Bulk' ) );
+
+		$this->assertNotFalse( $parsed );
+		$this->assertSame( '7', (string) $parsed->Days );
+		$this->assertSame( 'Bulk', (string) $parsed->GlacierJobParameters->Tier );
+	}
 }
@@ -258,4 +258,100 @@ final class ResponseTest extends TestCase {
 			Response::copy( $this->xml( '<Something/>' ) )
 		);
 	}
+
+	public function test_copied_part_strips_etag_quotes(): void {
+		$result = Response::copy_part( $this->xml(
+			'<CopyPartResult><LastModified>2024-05-01T10:00:00.000Z</LastModified>'
+			. '<ETag>&quot;b54357faf0632cce46e942fa68356b38&quot;</ETag></CopyPartResult>'
+		) );
+
+		$this->assertSame( 'b54357faf0632cce46e942fa68356b38', $result['etag'] );
+	}
+
+	// -- Multipart --------------------------------------------------------
+
+	public function test_multipart_upload_reads_the_upload_id(): void {
+		$result = Response::multipart_upload( $this->xml(
+			'<InitiateMultipartUploadResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+			. '<Bucket>media</Bucket><Key>big.zip</Key><UploadId>VXBsb2FkIElE</UploadId>'
+			. '</InitiateMultipartUploadResult>'
+		) );
+
+		$this->assertSame( 'VXBsb2FkIElE', $result['upload_id'] );
+	}
+
+	public function test_completed_multipart_upload_strips_etag_quotes(): void {
+		$result = Response::complete_multipart_upload( $this->xml(
+			'<CompleteMultipartUploadResult><Location>https://media.example/big.zip</Location>'
+			. '<ETag>&quot;3858f62230ac3c915f300c664312c11f-9&quot;</ETag></CompleteMultipartUploadResult>'
+		) );
+
+		$this->assertSame( '3858f62230ac3c915f300c664312c11f-9', $result['etag'] );
+		$this->assertSame( 'https://media.example/big.zip', $result['location'] );
+	}
+
+	// -- Tagging ----------------------------------------------------------
+
+	public function test_tagging_reads_a_single_tag(): void {
+		$result = Response::tagging( $this->xml(
+			'<Tagging><TagSet><Tag><Key>tier</Key><Value>pro</Value></Tag></TagSet></Tagging>'
+		) );
+
+		$this->assertSame( [ 'tier' => 'pro' ], $result );
+	}
+
+	public function test_tagging_reads_several_tags_and_empty_values(): void {
+		$result = Response::tagging( $this->xml(
+			'<Tagging xmlns="http://s3.amazonaws.com/doc/2006-03-01/"><TagSet>'
+			. '<Tag><Key>tier</Key><Value>pro</Value></Tag>'
+			. '<Tag><Key>channel</Key><Value>beta</Value></Tag>'
+			. '<Tag><Key>archived</Key><Value></Value></Tag>'
+			. '</TagSet></Tagging>'
+		) );
+
+		$this->assertSame( [ 'tier' => 'pro', 'channel' => 'beta', 'archived' => '' ], $result );
+	}
+
+	public function test_tagging_of_an_untagged_object_is_empty(): void {
+		$this->assertSame( [], Response::tagging( $this->xml( '<Tagging><TagSet/></Tagging>' ) ) );
+	}
+
+	// -- Versions ---------------------------------------------------------
+
+	public function test_versions_read_a_single_version(): void {
+		$result = Response::versions( $this->xml(
+			'<ListVersionsResult><IsTruncated>false</IsTruncated>'
+			. '<Version><Key>a.txt</Key><VersionId>null</VersionId><IsLatest>true</IsLatest>'
+			. '<LastModified>2025-01-01T00:00:00.000Z</LastModified><ETag>"abc"</ETag><Size>5</Size>'
+			. '<StorageClass>STANDARD</StorageClass></Version></ListVersionsResult>'
+		) );
+
+		$this->assertCount( 1, $result['versions'] );
+		$this->assertSame( 'null', $result['versions'][0]['version_id'] );
+		$this->assertSame( 'abc', $result['versions'][0]['etag'] );
+		$this->assertSame( 5, $result['versions'][0]['size'] );
+		$this->assertFalse( $result['versions'][0]['delete_marker'] );
+		$this->assertFalse( $result['truncated'] );
+	}
+
+	public function test_versions_put_delete_markers_back_in_date_order(): void {
+		$result = Response::versions( $this->xml(
+			'<ListVersionsResult><IsTruncated>true</IsTruncated>'
+			. '<NextKeyMarker>a.txt</NextKeyMarker><NextVersionIdMarker>v1</NextVersionIdMarker>'
+			. '<Version><Key>a.txt</Key><VersionId>v3</VersionId><IsLatest>true</IsLatest>'
+			. '<LastModified>2025-03-01T00:00:00.000Z</LastModified><ETag>"three"</ETag><Size>3</Size></Version>'
+			. '<Version><Key>a.txt</Key><VersionId>v1</VersionId><IsLatest>false</IsLatest>'
+			. '<LastModified>2025-01-01T00:00:00.000Z</LastModified><ETag>"one"</ETag><Size>1</Size></Version>'
+			. '<DeleteMarker><Key>a.txt</Key><VersionId>v2</VersionId><IsLatest>false</IsLatest>'
+			. '<LastModified>2025-02-01T00:00:00.000Z</LastModified></DeleteMarker>'
+			. '</ListVersionsResult>'
+		) );
+
+		$this->assertSame( [ 'v3', 'v2', 'v1' ], array_column( $result['versions'], 'version_id' ) );
+		$this->assertTrue( $result['versions'][1]['delete_marker'] );
+		$this->assertSame( '', $result['versions'][1]['etag'] );
+		$this->assertTrue( $result['truncated'] );
+		$this->assertSame( 'a.txt', $result['next_key_marker'] );
+		$this->assertSame( 'v1', $result['next_version_id_marker'] );
+	}
 }
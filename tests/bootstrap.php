@@ -41,6 +41,11 @@ if ( ! defined( 'ABSPATH' ) ) {
 		. "\t\tpublic function display() {}\n"
 		. "\t\tpublic function get_columns() { return []; }\n"
 		. "\t\tpublic function prepare_items() {}\n"
+		. "\t\tprotected function single_row_columns( \$item ) {}\n"
+		. "\t\tpublic function display_rows_or_placeholder() {\n"
+		. "\t\t\tforeach ( \$this->items as \$item ) { echo '<tr>'; \$this->single_row_columns( \$item ); echo '</tr>'; }\n"
+		. "\t\t\tif ( ! \$this->items ) { echo '<tr class=\"no-items\"></tr>'; }\n"
+		. "\t\t}\n"
 		. "\t}\n}\n"
 	);
 
@@ -126,6 +131,12 @@ if ( ! function_exists( 'esc_html__' ) ) {
 	}
 }
 
+if ( ! function_exists( 'esc_attr__' ) ) {
+	function esc_attr__( string $text, string $domain = 'default' ): string {
+		return $text;
+	}
+}
+
 if ( ! function_exists( 'current_user_can' ) ) {
 	function current_user_can( string $capability ): bool {
 		return $GLOBALS['test_user_can'] ?? true;
@@ -314,6 +325,27 @@ if ( ! function_exists( 'get_option' ) ) {
 	}
 }
 
+// Like the options table's unique name: the first to add a row has it.
+if ( ! function_exists( 'add_option' ) ) {
+	function add_option( string $key, $value = '', $deprecated = '', $autoload = null ): bool {
+		if ( array_key_exists( $key, $GLOBALS['wp_test_options'] ) ) {
+			return false;
+		}
+
+		$GLOBALS['wp_test_options'][ $key ] = $value;
+
+		return true;
+	}
+}
+
+if ( ! function_exists( 'delete_option' ) ) {
+	function delete_option( string $key ): bool {
+		unset( $GLOBALS['wp_test_options'][ $key ] );
+
+		return true;
+	}
+}
+
 if ( ! function_exists( 'update_option' ) ) {
 	function update_option( string $key, $value, $autoload = null ): bool {
 		$GLOBALS['wp_test_options'][ $key ] = $value;
@@ -322,6 +354,33 @@ if ( ! function_exists( 'update_option' ) ) {
 	}
 }
 
+/* User meta, per user in the same in-memory store. */
+if ( ! function_exists( 'get_current_user_id' ) ) {
+	function get_current_user_id(): int {
+		return (int) ( $GLOBALS['wp_test_user_id'] ?? 1 );
+	}
+}
+
+if ( ! function_exists( 'get_user_meta' ) ) {
+	function get_user_meta( int $user_id, string $key = '', bool $single = false ) {
+		return $GLOBALS['wp_test_options'][ 'user_' . $user_id . '_' . $key ] ?? ( $single ? '' : [] );
+	}
+}
+
+if ( ! function_exists( 'update_user_meta' ) ) {
+	function update_user_meta( int $user_id, string $key, $value ) {
+		$GLOBALS['wp_test_options'][ 'user_' . $user_id . '_' . $key ] = $value;
+
+		return true;
+	}
+}
+
+if ( ! function_exists( 'wp_cache_delete' ) ) {
+	function wp_cache_delete( $key, string $group = '' ): bool {
+		return true;
+	}
+}
+
 if ( ! function_exists( 'wp_using_ext_object_cache' ) ) {
 	function wp_using_ext_object_cache(): bool {
 		return false;
@@ -460,6 +519,72 @@ if ( ! function_exists( 'did_action' ) ) {
 	}
 }
 
+// Fired actions are recorded with their arguments, so a test can assert that
+// consumers were told about a change without a consumer to tell.
+if ( ! function_exists( 'do_action' ) ) {
+	function do_action( string $hook, ...$args ): void {
+		$GLOBALS['wp_test_did_action'][ $hook ] = did_action( $hook ) + 1;
+		$GLOBALS['wp_test_actions'][ $hook ][]  = $args;
+	}
+}
+
+// Cron is a list of scheduled events; nothing runs them.
+if ( ! function_exists( 'wp_next_scheduled' ) ) {
+	function wp_next_scheduled( string $hook, array $args = [] ) {
+		foreach ( $GLOBALS['wp_test_cron'] ?? [] as $event ) {
+			if ( $event['hook'] === $hook && $event['args'] === $args ) {
+				return $event['timestamp'];
+			}
+		}
+
+		return false;
+	}
+}
+
+if ( ! function_exists( 'wp_schedule_single_event' ) ) {
+	function wp_schedule_single_event( int $timestamp, string $hook, array $args = [], bool $wp_error = false ): bool {
+		$GLOBALS['wp_test_cron'][] = [ 'timestamp' => $timestamp, 'hook' => $hook, 'args' => $args ];
+
+		return true;
+	}
+}
+
+if ( ! function_exists( 'wp_clear_scheduled_hook' ) ) {
+	function wp_clear_scheduled_hook( string $hook, array $args = [], bool $wp_error = false ): int {
+		$before = $GLOBALS['wp_test_cron'] ?? [];
+
+		$GLOBALS['wp_test_cron'] = array_values( array_filter(
+			$before,
+			static fn( array $event ): bool => ! ( $event['hook'] === $hook && $event['args'] === $args )
+		) );
+
+		return count( $before ) - count( $GLOBALS['wp_test_cron'] );
+	}
+}
+
+if ( ! function_exists( 'wp_generate_uuid4' ) ) {
+	function wp_generate_uuid4(): string {
+		$hex = bin2hex( random_bytes( 16 ) );
+
+		return sprintf(
+			'%s-%s-4%s-%s-%s',
+			substr( $hex, 0, 8 ),
+			substr( $hex, 8, 4 ),
+			substr( $hex, 13, 3 ),
+			substr( $hex, 16, 4 ),
+			substr( $hex, 20, 12 )
+		);
+	}
+}
+
+if ( ! defined( 'MINUTE_IN_SECONDS' ) ) {
+	define( 'MINUTE_IN_SECONDS', 60 );
+}
+
+if ( ! defined( 'WEEK_IN_SECONDS' ) ) {
+	define( 'WEEK_IN_SECONDS', 604800 );
+}
+
 if ( ! function_exists( 'get_current_screen' ) ) {
 	function get_current_screen() {
 		return $GLOBALS['wp_test_screen'] ?? null;
@@ -476,6 +601,12 @@ if ( ! function_exists( 'get_post_type' ) ) {
 	}
 }
 
+if ( ! function_exists( 'get_edit_post_link' ) ) {
+	function get_edit_post_link( $post = 0, string $context = 'display' ): string {
+		return 'https://example.com/wp-admin/post.php?post=' . (int) $post . '&action=edit';
+	}
+}
+
 if ( ! function_exists( 'is_admin' ) ) {
 	function is_admin(): bool {
 		return (bool) ( $GLOBALS['wp_test_is_admin'] ?? true );
@@ -505,3 +636,9 @@ if ( ! function_exists( 'wp_date' ) ) {
 		return gmdate( $format, $timestamp ?? time() );
 	}
 }
+
+if ( ! function_exists( 'wp_salt' ) ) {
+	function wp_salt( string $scheme = 'auth' ): string {
+		return 'test-salt-' . $scheme;
+	}
+}
@@ -0,0 +1,74 @@
+/**
+ * Checking an upload's ETag against its MD5
+ *
+ * Runs the browser script in a bare context with only what it reaches for:
+ * node --test tests/js
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const MD5 = '9e107d9d372bb6826bd81d3542a419d6';
+
+function loadBrowser() {
+    const window = {S3Browser: {}};
+    const jQuery = {extend: Object.assign};
+
+    vm.runInNewContext(
+        fs.readFileSync(path.join(__dirname, '../../assets/js/browser/checksums.js'), 'utf8'),
+        {window: window, jQuery: jQuery}
+    );
+
+    return window.S3Browser;
+}
+
+function response(headers) {
+    return {
+        getResponseHeader: function (name) {
+            return headers[name.toLowerCase()] || null;
+        }
+    };
+}
+
+test('a matching ETag is confirmed', function () {
+    assert.strictEqual(loadBrowser().etagMatches('"' + MD5 + '"', MD5, response({})), true);
+});
+
+test('a different ETag is a mismatch', function () {
+    assert.strictEqual(loadBrowser().etagMatches('"' + 'a'.repeat(32) + '"', MD5, response({})), false);
+});
+
+test('an ETag not in MD5 form cannot be compared', function () {
+    assert.strictEqual(loadBrowser().etagMatches('"opaque-id"', MD5), null);
+});
+
+// Under SSE-KMS the ETag looks like an MD5 but is not the content's, so a
+// comparison would report damage, and retry, on every upload.
+test('an SSE-KMS object cannot be compared', function () {
+    const xhr = response({'x-amz-server-side-encryption': 'aws:kms'});
+
+    assert.strictEqual(loadBrowser().etagMatches('"' + 'a'.repeat(32) + '"', MD5, xhr), null);
+});
+
+test('an SSE-KMS object with a dual-layer key cannot be compared', function () {
+    const xhr = response({'x-amz-server-side-encryption': 'aws:kms:dsse'});
+
+    assert.strictEqual(loadBrowser().etagMatches('"' + 'a'.repeat(32) + '"', MD5, xhr), null);
+});
+
+test('an SSE-C object cannot be compared', function () {
+    const xhr = response({'x-amz-server-side-encryption-customer-algorithm': 'AES256'});
+
+    assert.strictEqual(loadBrowser().etagMatches('"' + 'a'.repeat(32) + '"', MD5, xhr), null);
+});
+
+// SSE-S3 keeps the MD5 ETag, so the check still applies.
+test('an SSE-S3 object is still compared', function () {
+    const xhr = response({'x-amz-server-side-encryption': 'AES256'});
+
+    assert.strictEqual(loadBrowser().etagMatches('"' + 'a'.repeat(32) + '"', MD5, xhr), false);
+});